@@ -0,0 +1,166 @@
+/**
+ * PROXY/SERVER.JS - SOROSWAP API KEY PROXY
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Minimal Node server that keeps the Soroswap secret key off the client.
+ * The browser calls this proxy without credentials; the proxy adds the
+ * bearer key and forwards an allow-listed set of endpoints upstream.
+ *
+ * USAGE (Node 18+, no dependencies):
+ *   SOROSWAP_API_KEY=sk_... ALLOWED_ORIGINS=http://localhost:3000 npm run proxy
+ *
+ * ENVIRONMENT:
+ * - SOROSWAP_API_KEY  (required) Secret bearer key
+ * - ALLOWED_ORIGINS   (required) Comma-separated origins allowed to call the
+ *                     proxy; requests from any other origin are refused, so
+ *                     other sites cannot spend the key
+ * - SOROSWAP_API_URL  Upstream API root (default https://api.soroswap.finance)
+ * - PORT              Listen port (default 8787)
+ *
+ * Then point the app at it with `soroswapProxyUrl` in public/config.json
+ * or REACT_APP_SOROSWAP_PROXY_URL.
+ */
+
+const http = require('http');
+
+const API_URL = (process.env.SOROSWAP_API_URL || 'https://api.soroswap.finance').replace(/\/+$/, '');
+const API_KEY = process.env.SOROSWAP_API_KEY;
+const PORT = Number(process.env.PORT) || 8787;
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(o => o.trim())
+  .filter(Boolean);
+const MAX_BODY_BYTES = 256 * 1024;
+const UPSTREAM_TIMEOUT_MS = 15000;
+
+// Forwarded endpoints and the methods allowed on each
+const ROUTES = {
+  '/asset-list': ['GET'],
+  '/quote': ['POST'],
+  '/quote/build': ['POST'],
+  '/send': ['POST'],
+  '/pools': ['GET'],
+  '/price': ['GET'],
+};
+
+if (!API_KEY) {
+  console.error('SOROSWAP_API_KEY is required');
+  process.exit(1);
+}
+if (ALLOWED_ORIGINS.length === 0 || ALLOWED_ORIGINS.includes('*')) {
+  console.error('ALLOWED_ORIGINS must list the origins allowed to use the proxy (a wildcard is not accepted)');
+  process.exit(1);
+}
+
+/**
+ * Sets CORS headers for allowed origins
+ */
+const applyCors = (req, res) => {
+  const origin = req.headers.origin;
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+};
+
+/**
+ * Sends a JSON error response
+ */
+const sendError = (res, status, message, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ message }));
+};
+
+/**
+ * Buffers the request body, rejecting oversized payloads
+ *
+ * Reading stops at the limit; the socket stays open so the 413 can still
+ * be written.
+ */
+const readBody = req =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.removeListener('data', onData);
+        req.pause();
+        reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+
+const server = http.createServer(async (req, res) => {
+  applyCors(req, res);
+
+  // Browsers send Origin on cross-origin calls; only listed sites may use the key
+  const origin = req.headers.origin;
+  if (origin && !ALLOWED_ORIGINS.includes(origin)) {
+    sendError(res, 403, `Origin ${origin} is not allowed`);
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const methods = ROUTES[url.pathname];
+
+  if (!methods) {
+    sendError(res, 404, `Endpoint ${url.pathname} is not proxied`);
+    return;
+  }
+  if (!methods.includes(req.method)) {
+    sendError(res, 405, `${req.method} not allowed on ${url.pathname}`);
+    return;
+  }
+
+  try {
+    const body = req.method === 'POST' ? await readBody(req) : undefined;
+
+    const upstream = await fetch(`${API_URL}${url.pathname}${url.search}`, {
+      method: req.method,
+      headers: {
+        Authorization: `Bearer ${API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body,
+      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS),
+    });
+
+    const headers = { 'Content-Type': upstream.headers.get('content-type') || 'application/json' };
+    const retryAfter = upstream.headers.get('retry-after');
+    if (retryAfter) headers['Retry-After'] = retryAfter;
+
+    res.writeHead(upstream.status, headers);
+    res.end(Buffer.from(await upstream.arrayBuffer()));
+  } catch (err) {
+    console.error(`Proxy error on ${req.method} ${url.pathname}:`, err.message);
+    if (err.status === 413) {
+      // The rest of the body is never read, so the connection cannot be reused
+      sendError(res, 413, err.message, { Connection: 'close' });
+      res.on('finish', () => req.destroy());
+    } else if (err.name === 'TimeoutError') {
+      sendError(res, 504, `Upstream did not respond within ${UPSTREAM_TIMEOUT_MS / 1000}s`);
+    } else {
+      sendError(res, 502, err.message);
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`ClearSwap proxy forwarding to ${API_URL} on port ${PORT}`);
+});
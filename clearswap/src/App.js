@@ -14,11 +14,11 @@
  *  Lightning Fast Settlements - ~3 second finality on Soroban
  *  Ultra-Low Fees - $0.001 average transaction cost
  *  Professional UX/UI - Modern, responsive, accessible design
- *  Secure Wallet Integration - Albedo wallet connector with security validation
+ *  Secure Wallet Integration - Freighter, xBull, LOBSTR and Albedo via wallet adapters
  * 
  * TECHNICAL ARCHITECTURE:
  * - React 18+ with modern hooks and functional components
- * - State management via React Context (wallet state)
+ * - State management via a shared store in React Context (see store/)
  * - Component-based architecture with clear separation of concerns
  * - CSS modules for styling with responsive design
  * - API integration with Soroswap aggregation protocol
@@ -55,23 +55,52 @@
  * 
  */
 
-import React, { useState } from 'react';
+import React, { useCallback, useEffect } from 'react';
+import { Navigate, Route, Routes, useLocation, useNavigate } from 'react-router-dom';
 import { ArrowRight, Sparkles, BarChart3, Shield, Zap, Target } from 'lucide-react';
 import Navbar from './components/Navbar';
 import Home from './Pages/Home';
+import History from './Pages/History';
+import Analytics from './Pages/Analytics';
+import Settings from './Pages/Settings';
+import useStore from './hooks/useStore';
+import useNotifications from './hooks/useNotifications';
+import { sessionExpirySet, sessionRestored, walletDisconnected } from './store/actions';
+import {
+  selectIsConnected,
+  selectIsRestoringSession,
+  selectPublicKey,
+  selectSessionExpiresAt,
+  selectWalletAdapter,
+} from './store/selectors';
+import { clearSession, loadSession, restoreSession, saveSession } from './wallets/walletSession';
 import './App.css';
 
 /**
  * Main Application Component
  * 
- * Controls the overall application flow, wallet connection state, and view management.
- * Acts as the central state container for wallet connection and navigation logic.
+ * Controls the overall application flow, the wallet session lifecycle, and view management.
  * 
  * STATE MANAGEMENT:
- * - walletAddress: User's connected Stellar wallet address
- * - publicKey: User's Stellar public key for transaction signing
- * - walletKit: Wallet connector instance (reserved for future use)
- * - currentView: Current application view ('landing' or 'swap')
+ * Wallet, network, tokens, balances, settings and swap history live in the
+ * shared store (see store/reducer.js); views read them with selectors
+ * instead of receiving them as props. App only drives the session:
+ * - Restores the stored session on startup (wallet-only routes wait for it)
+ * - Persists newly connected wallets and tracks the session expiry
+ * - Ends the session on disconnect or expiry
+ * 
+ * SESSION PERSISTENCE:
+ * The connected wallet and key are stored (see wallets/walletSession) and
+ * silently restored on reload; the session ends on disconnect or expiry.
+ * The URL keeps the current screen, so a reload stays where it was.
+ * 
+ * ROUTES:
+ * - /           Landing page (/#about etc. scroll to a section)
+ * - /swap       Swap interface; the query string holds the pair and amount
+ *               (see services/swapLink), e.g. /swap?from=XLM&to=USDC&amount=100
+ * - /analytics  Market analytics (no wallet needed)
+ * - /history    Transaction history (wallet only)
+ * - /settings   Swap settings (wallet only)
  * 
  * NAVIGATION FLOW:
  * Landing Page → Wallet Connection → Swap Interface → Back to Landing
@@ -80,10 +109,65 @@ function App() {
 
   // GLOBAL APPLICATION STATE
 
-  const [walletAddress, setWalletAddress] = useState(null); // Connected wallet address
-  const [publicKey, setPublicKey] = useState(null); // Stellar public key
-  const [walletKit, setWalletKit] = useState(null); // Wallet connector (future use)
-  const [currentView, setCurrentView] = useState('landing'); // 'landing' or 'swap'
+  const { state, dispatch } = useStore();
+  const publicKey = selectPublicKey(state); // Stellar public key
+  const walletAdapter = selectWalletAdapter(state); // Connected wallet's adapter
+  const isConnected = selectIsConnected(state);
+  const restoringSession = selectIsRestoringSession(state); // Stored session still being checked
+  const sessionExpiresAt = selectSessionExpiresAt(state); // Persisted session expiry (ms)
+
+  const navigate = useNavigate();
+  const { notify, warning } = useNotifications();
+
+  // SESSION MANAGEMENT
+
+  /**
+   * Ends the wallet session: forgets the adapter, clears state and storage
+   * 
+   * @param {string} message - Feedback shown to the user
+   * @param {string} [type='info'] - Toast variant for the message
+   */
+  const endSession = useCallback((message, type = 'info') => {
+    walletAdapter?.disconnect().catch(err => console.error('Wallet disconnect failed:', err));
+    clearSession();
+    dispatch(walletDisconnected());
+    navigate('/');
+    notify({ type, message });
+  }, [walletAdapter, dispatch, navigate, notify]);
+
+  // Restore a stored session once on startup, re-validated by the wallet
+  useEffect(() => {
+    let cancelled = false;
+
+    restoreSession().then(session => {
+      if (!cancelled) dispatch(sessionRestored(session));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [dispatch]);
+
+  // Persist newly connected wallets (a restored session keeps its expiry)
+  useEffect(() => {
+    if (!walletAdapter || !publicKey) return;
+    const stored = loadSession();
+    const session =
+      stored?.walletId === walletAdapter.id && stored.publicKey === publicKey
+        ? stored
+        : saveSession({ walletId: walletAdapter.id, publicKey });
+    if (session.expiresAt !== sessionExpiresAt) dispatch(sessionExpirySet(session.expiresAt));
+  }, [walletAdapter, publicKey, sessionExpiresAt, dispatch]);
+
+  // Disconnect automatically once the session expires
+  useEffect(() => {
+    if (!sessionExpiresAt) return undefined;
+    const timer = setTimeout(
+      () => endSession('Your wallet session has expired. Please reconnect your wallet.', 'warning'),
+      Math.max(0, sessionExpiresAt - Date.now())
+    );
+    return () => clearTimeout(timer);
+  }, [sessionExpiresAt, endSession]);
 
   // USER INTERACTION HANDLERS
 
@@ -96,12 +180,12 @@ function App() {
    * 3. If not connected: Show wallet connection prompt
    */
   const handleGetStarted = () => {
-    if (walletAddress) {
+    if (isConnected) {
       // User has wallet connected - proceed to trading
-      setCurrentView('swap');
+      navigate('/swap');
     } else {
       // Wallet not connected - guide user to connect first
-      alert('Please connect your wallet first to start trading.');
+      warning('Please connect your wallet first to start trading.');
     }
   };
 
@@ -109,29 +193,29 @@ function App() {
    * Handle wallet disconnection
    * 
    * Flow:
-   * 1. Clear all wallet-related state
+   * 1. Clear all wallet-related state and the stored session
    * 2. Return to landing page
    * 3. Show confirmation to user
    */
   const handleDisconnect = () => {
-    setWalletAddress(null);
-    setPublicKey(null);
-    setWalletKit(null);
-    setCurrentView('landing');
-    alert('Wallet disconnected');
+    endSession('Wallet disconnected');
   };
 
   /**
-   * Placeholder for analytics feature
-   * 
-   * Future implementation could include:
-   * - Trading volume statistics
-   * - Price history charts
-   * - Portfolio performance tracking
-   * - Market sentiment analysis
+   * Opens the market analytics view (no wallet needed; the wallet's own
+   * activity is shown when one is connected)
    */
   const handleViewAnalytics = () => {
-    alert('Analytics feature coming soon! This will show trading statistics and market data.');
+    navigate('/analytics');
+  };
+
+  /**
+   * Guards the wallet-only routes: nothing while the stored session is
+   * being restored, the swap page's connect prompt when there is no wallet
+   */
+  const requireWallet = element => {
+    if (isConnected) return element;
+    return restoringSession ? null : <Navigate to="/swap" replace />;
   };
 
 
@@ -140,28 +224,34 @@ function App() {
   return (
     <div className="app">
       {/* Navigation Bar - Present on all views */}
-      <Navbar
-        walletAddress={walletAddress}
-        setWalletAddress={setWalletAddress}
-        setPublicKey={setPublicKey}
-        onDisconnect={handleDisconnect}
-        onViewChange={setCurrentView}
-        currentView={currentView}
-      />
+      <Navbar onDisconnect={handleDisconnect} />
 
-      {/* Conditional View Rendering */}
-      {currentView === 'landing' ? (
-        <LandingPage 
-          onGetStarted={handleGetStarted} 
-          onViewAnalytics={handleViewAnalytics} 
+      {/* Routed Views */}
+      <Routes>
+        <Route
+          path="/"
+          element={<LandingPage onGetStarted={handleGetStarted} onViewAnalytics={handleViewAnalytics} />}
         />
-      ) : (
-        <Home
-          publicKey={publicKey}
-          walletAddress={walletAddress}
-          onBackToLanding={() => setCurrentView('landing')}
+        <Route
+          path="/swap"
+          element={
+            <Home onBackToLanding={() => navigate('/')} onViewHistory={() => navigate('/history')} />
+          }
         />
-      )}
+        <Route
+          path="/analytics"
+          element={<Analytics onBack={() => navigate('/')} />}
+        />
+        <Route
+          path="/history"
+          element={requireWallet(<History onBack={() => navigate('/swap')} />)}
+        />
+        <Route
+          path="/settings"
+          element={requireWallet(<Settings onClose={() => navigate('/swap')} />)}
+        />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
     </div>
   );
 }
@@ -194,6 +284,17 @@ function App() {
  * @param {function} onViewAnalytics - Handler for analytics CTA
  */
 const LandingPage = ({ onGetStarted, onViewAnalytics }) => {
+  const location = useLocation();
+
+  // Scroll to the section named in the URL (/#about, /#howItWorks, ...)
+  // once it is rendered; keyed on the navigation so repeat clicks scroll too
+  useEffect(() => {
+    const section = location.hash && document.getElementById(location.hash.slice(1));
+    if (section) {
+      section.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [location.key, location.hash]);
+
   return (
     <main className="landing">
       {/* HERO SECTION - PRIMARY VALUE PROPOSITION */}
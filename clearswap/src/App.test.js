@@ -1,8 +1,22 @@
 import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
 import App from './App';
+import { NotificationProvider } from './context/NotificationContext';
+import { StoreProvider } from './store/StoreContext';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+test('renders the landing page', async () => {
+  render(
+    <MemoryRouter initialEntries={['/']}>
+      <StoreProvider>
+        <NotificationProvider>
+          <App />
+        </NotificationProvider>
+      </StoreProvider>
+    </MemoryRouter>
+  );
+
+  // Waiting also lets the stored-session check on startup settle
+  expect(await screen.findByRole('heading', { level: 1 })).toHaveTextContent(/transparent token swaps/i);
+  expect(screen.getByRole('button', { name: 'Start trading' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'View analytics' })).toBeInTheDocument();
 });
@@ -0,0 +1,325 @@
+/**
+ * ANALYTICS.JSX - MARKET ANALYTICS VIEW
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Market overview behind the landing page's "View Analytics" button, built
+ * from the Soroswap pool and price endpoints and the Stellar DEX trade
+ * history on Horizon (see services/analytics.js).
+ *
+ * SECTIONS:
+ * - Totals: TVL, reported 24h volume and pool count
+ * - Pair price chart with selectable candle intervals
+ * - TVL and volume per protocol, and the largest pools
+ * - Top movers over 24 hours
+ * - The connected wallet's own volume and fees paid
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { ArrowLeft, RefreshCw, AlertCircle, TrendingUp, TrendingDown, Wallet } from 'lucide-react';
+import PriceChart from '../components/PriceChart';
+import useAnalytics from '../hooks/useAnalytics';
+import usePairCandles from '../hooks/usePairCandles';
+import useStore from '../hooks/useStore';
+import useTokenRegistry from '../hooks/useTokenRegistry';
+import { selectHistory, selectNetworkConfig, selectPublicKey } from '../store/selectors';
+import {
+  CANDLE_INTERVALS,
+  buildCandles,
+  getSamplingStart,
+  getTopMovers,
+  pairSeries,
+  summarisePools,
+  summariseProtocols,
+  summariseUserActivity,
+} from '../services/analytics';
+import { getProtocolName } from '../services/quoteRoute';
+import { formatAmount } from '../utils/amounts';
+import './Home.css';
+import './Analytics.css';
+
+const TOP_POOLS = 10;
+const TOP_MOVERS = 5;
+
+const usdFormatter = new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency: 'USD',
+  notation: 'compact',
+  maximumFractionDigits: 2,
+});
+
+const formatUsd = value => (value == null ? '-' : usdFormatter.format(value));
+const formatPrice = value => Number(value.toPrecision(6)).toString();
+const formatSince = time => (time ? `since ${new Date(time).toLocaleString()}` : 'from now on');
+
+/**
+ * Analytics Page
+ *
+ * The network, connected wallet and its swap history come from the shared store.
+ *
+ * @param {function} onBack - Leaves the analytics view
+ */
+const Analytics = ({ onBack }) => {
+  const { state } = useStore();
+  const networkConfig = selectNetworkConfig(state); // Selected network
+  const walletAddress = selectPublicKey(state); // Connected wallet, if any
+  const historyEntries = selectHistory(state); // The wallet's swap history
+  const { tokens } = useTokenRegistry(); // Same shared list the swap view uses
+  const [pair, setPair] = useState({ base: '', quote: '' }); // Charted pair
+  const [intervalId, setIntervalId] = useState('1h'); // Candle size
+
+  // Chart the first two listed tokens until the user picks a pair
+  useEffect(() => {
+    setPair({ base: tokens[0]?.address || '', quote: tokens[1]?.address || '' });
+  }, [tokens]);
+
+  const { pools, prices, samples, loading, error, updatedAt, refresh } = useAnalytics({ networkConfig, tokens });
+
+  const tokenByAddress = useMemo(() => new Map(tokens.map(token => [token.address, token])), [tokens]);
+  const getSymbol = address => tokenByAddress.get(address)?.symbol || `${address.substring(0, 6)}...`;
+
+  const poolRows = useMemo(
+    () => summarisePools(pools, prices, address => tokenByAddress.get(address)?.decimals ?? 7),
+    [pools, prices, tokenByAddress]
+  );
+  const protocolRows = useMemo(() => summariseProtocols(poolRows), [poolRows]);
+  const movers = useMemo(() => getTopMovers(samples).slice(0, TOP_MOVERS), [samples]);
+  const activity = useMemo(() => summariseUserActivity(historyEntries, prices), [historyEntries, prices]);
+
+  const intervalMs = CANDLE_INTERVALS.find(i => i.id === intervalId).ms;
+  const { candles: tradeCandles, loading: tradesLoading } = usePairCandles({
+    networkConfig,
+    base: tokenByAddress.get(pair.base),
+    quote: tokenByAddress.get(pair.quote),
+    intervalMs,
+  });
+  const sampleCandles = useMemo(
+    () => buildCandles(pairSeries(samples[pair.base], samples[pair.quote]), intervalMs),
+    [samples, pair, intervalMs]
+  );
+  // Stellar DEX trades when the pair has any, otherwise this browser's samples
+  const fromTrades = tradeCandles?.length > 0;
+  const candles = fromTrades ? tradeCandles : sampleCandles;
+  const samplingSince = formatSince(getSamplingStart(samples));
+
+  const totalTvl = protocolRows.reduce((sum, row) => sum + row.tvlUsd, 0);
+  const totalVolume = protocolRows.reduce((sum, row) => sum + row.volume24hUsd, 0);
+
+  return (
+    <div className="home-container">
+      <div className="analytics-container">
+        <div className="swap-card">
+          <div className="swap-header">
+            <h2 className="swap-title">Market Analytics</h2>
+            <div className="header-actions">
+              {updatedAt && (
+                <span className="analytics-updated">Updated {new Date(updatedAt).toLocaleTimeString()}</span>
+              )}
+              <button onClick={refresh} className="info-button" title="Reload market data" disabled={loading}>
+                <RefreshCw size={20} className={loading ? 'spin' : ''} />
+              </button>
+              <button onClick={onBack} className="info-button" title="Back">
+                <ArrowLeft size={20} />
+              </button>
+            </div>
+          </div>
+
+          {error && (
+            <div className="error">
+              <AlertCircle size={16} />
+              {error}
+            </div>
+          )}
+
+          {/* TOTALS */}
+          <div className="analytics-stats">
+            <div className="analytics-stat">
+              <span className="analytics-stat-label">Total Value Locked</span>
+              <span className="analytics-stat-value">{formatUsd(totalTvl)}</span>
+            </div>
+            <div className="analytics-stat">
+              <span className="analytics-stat-label">24h Volume</span>
+              <span className="analytics-stat-value">{formatUsd(totalVolume)}</span>
+            </div>
+            <div className="analytics-stat">
+              <span className="analytics-stat-label">Pools</span>
+              <span className="analytics-stat-value">{pools.length}</span>
+            </div>
+          </div>
+
+          {/* PAIR PRICE CHART */}
+          <section className="analytics-section">
+            <div className="analytics-section-header">
+              <h3>Pair Price</h3>
+              <div className="analytics-pair">
+                <select
+                  className="analytics-select"
+                  value={pair.base}
+                  onChange={e => setPair(prev => ({ ...prev, base: e.target.value }))}
+                  aria-label="Base token"
+                >
+                  {tokens.map(token => (
+                    <option key={token.address} value={token.address}>
+                      {token.symbol}
+                    </option>
+                  ))}
+                </select>
+                <span>/</span>
+                <select
+                  className="analytics-select"
+                  value={pair.quote}
+                  onChange={e => setPair(prev => ({ ...prev, quote: e.target.value }))}
+                  aria-label="Quote token"
+                >
+                  {tokens.map(token => (
+                    <option key={token.address} value={token.address}>
+                      {token.symbol}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="analytics-chips">
+              {CANDLE_INTERVALS.map(interval => (
+                <button
+                  key={interval.id}
+                  className={`analytics-chip ${interval.id === intervalId ? 'active' : ''}`}
+                  onClick={() => setIntervalId(interval.id)}
+                  aria-pressed={interval.id === intervalId}
+                >
+                  {interval.label}
+                </button>
+              ))}
+            </div>
+            {candles.length > 0 && <PriceChart candles={candles} formatPrice={formatPrice} />}
+            {fromTrades && <p className="analytics-note">Stellar DEX trades, from Horizon.</p>}
+            {!fromTrades && candles.length > 0 && (
+              <p className="analytics-note">
+                Soroswap prices sampled in this browser {samplingSince}; this pair has no Stellar DEX trade history.
+              </p>
+            )}
+            {candles.length === 0 && !tradesLoading && (
+              <p className="analytics-note">
+                Collecting price data {samplingSince}. This pair has no Stellar DEX trade history, so candles are built
+                from Soroswap prices sampled every few minutes while this view is open.
+              </p>
+            )}
+          </section>
+
+          {/* PROTOCOLS */}
+          <section className="analytics-section">
+            <h3>Protocols</h3>
+            <table className="analytics-table">
+              <thead>
+                <tr>
+                  <th>Protocol</th>
+                  <th>Pools</th>
+                  <th>TVL</th>
+                  <th>24h Volume</th>
+                </tr>
+              </thead>
+              <tbody>
+                {protocolRows.map(row => (
+                  <tr key={row.protocol}>
+                    <td>{getProtocolName(row.protocol)}</td>
+                    <td>{row.pools}</td>
+                    <td>{formatUsd(row.tvlUsd)}</td>
+                    <td>{formatUsd(row.volume24hUsd)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          {/* LARGEST POOLS */}
+          <section className="analytics-section">
+            <h3>Top Pools</h3>
+            <table className="analytics-table">
+              <thead>
+                <tr>
+                  <th>Pool</th>
+                  <th>Protocol</th>
+                  <th>TVL</th>
+                  <th>24h Volume</th>
+                </tr>
+              </thead>
+              <tbody>
+                {poolRows.slice(0, TOP_POOLS).map(row => (
+                  <tr key={row.address}>
+                    <td>
+                      {getSymbol(row.tokenA)}/{getSymbol(row.tokenB)}
+                    </td>
+                    <td>{getProtocolName(row.protocol)}</td>
+                    <td>{formatUsd(row.tvlUsd)}</td>
+                    <td>{formatUsd(row.volume24hUsd)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          {/* TOP MOVERS */}
+          <section className="analytics-section">
+            <h3>Top Movers (24h)</h3>
+            {movers.length > 0 ? (
+              <ul className="analytics-movers">
+                {movers.map(mover => (
+                  <li key={mover.asset}>
+                    <span>{getSymbol(mover.asset)}</span>
+                    <span>${formatPrice(mover.price)}</span>
+                    <span className={mover.change >= 0 ? 'analytics-up' : 'analytics-down'}>
+                      {mover.change >= 0 ? <TrendingUp size={14} /> : <TrendingDown size={14} />}
+                      {mover.change >= 0 ? '+' : ''}
+                      {mover.change.toFixed(2)}%
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="analytics-note">
+                Collecting price data {samplingSince}. Movers appear once prices have been sampled twice within 24
+                hours.
+              </p>
+            )}
+          </section>
+
+          {/* YOUR ACTIVITY */}
+          <section className="analytics-section">
+            <h3>Your Activity</h3>
+            {walletAddress ? (
+              <div className="analytics-stats">
+                <div className="analytics-stat">
+                  <span className="analytics-stat-label">Swaps</span>
+                  <span className="analytics-stat-value">{activity.swaps}</span>
+                </div>
+                <div className="analytics-stat">
+                  <span className="analytics-stat-label">Volume</span>
+                  <span className="analytics-stat-value">{formatUsd(activity.volumeUsd)}</span>
+                </div>
+                <div className="analytics-stat">
+                  <span className="analytics-stat-label">Fees Paid</span>
+                  <span className="analytics-stat-value">{formatUsd(activity.platformFeesUsd)}</span>
+                  <span className="analytics-stat-label">
+                    + {formatAmount(String(activity.networkFeesStroops), 7)} XLM network
+                  </span>
+                </div>
+              </div>
+            ) : (
+              <p className="analytics-note">
+                <Wallet size={14} /> Connect a wallet to see your volume and fees.
+              </p>
+            )}
+            {walletAddress && activity.unpriced > 0 && (
+              <p className="analytics-note">
+                {activity.unpriced} swap{activity.unpriced > 1 ? 's' : ''} left out of the USD totals (no price).
+              </p>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Analytics;
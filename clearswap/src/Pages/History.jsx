@@ -0,0 +1,186 @@
+/**
+ * HISTORY.JSX - TRANSACTION HISTORY VIEW
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Answers "did my swap go through?": every swap the connected wallet made
+ * on the selected network, newest first, with its status and how the
+ * result compared to the quote.
+ *
+ * PER SWAP:
+ * - Pair, amount sold and amount received (actual next to quoted)
+ * - Realised slippage against the quote
+ * - Platform fee and the network fee charged
+ * - Route by protocol
+ * - Status (pending swaps update automatically) and an explorer link
+ */
+
+import React, { useEffect } from 'react';
+import { ArrowLeft, ArrowRight, CheckCircle, AlertCircle, Clock, RefreshCw, ExternalLink } from 'lucide-react';
+import { explorerTxUrl } from '../config/networks';
+import { formatAmount } from '../utils/amounts';
+import { formatBps } from '../services/swapSettings';
+import { getProtocolName } from '../services/quoteRoute';
+import { getRealisedSlippageBps } from '../services/txHistory';
+import useStore from '../hooks/useStore';
+import useTxHistory from '../hooks/useTxHistory';
+import { selectNetworkConfig } from '../store/selectors';
+import './Home.css';
+import './History.css';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  failed: 'Failed',
+};
+
+const STATUS_ICONS = {
+  pending: <Clock size={14} />,
+  confirmed: <CheckCircle size={14} />,
+  failed: <AlertCircle size={14} />,
+};
+
+/**
+ * Transaction History Page
+ *
+ * The history and selected network come from the shared store.
+ *
+ * @param {function} onBack - Returns to the swap view
+ */
+const History = ({ onBack }) => {
+  const { state } = useStore();
+  const networkConfig = selectNetworkConfig(state); // Selected network, for explorer links
+  const { entries, backfill, backfilling, error } = useTxHistory();
+
+  // Pull in swaps made elsewhere whenever the view opens
+  useEffect(() => {
+    backfill();
+  }, [backfill]);
+
+  /**
+   * Actual amount when known, otherwise the quoted one marked as such
+   */
+  const renderAmount = (actual, quoted, token) => {
+    if (actual != null) return `${formatAmount(actual, token.decimals)} ${token.symbol}`;
+    if (quoted != null) return `~${formatAmount(quoted, token.decimals)} ${token.symbol} (quoted)`;
+    return '-';
+  };
+
+  const renderSlippage = entry => {
+    const bps = getRealisedSlippageBps(entry);
+    if (bps === null) return '-';
+    const className = bps > 0 ? 'history-worse' : 'history-better';
+    return <span className={className}>{bps > 0 ? `-${formatBps(bps)}` : `+${formatBps(-bps)}`}</span>;
+  };
+
+  const renderFee = entry => {
+    const parts = [];
+    if (entry.feeBps != null) parts.push(`${formatBps(entry.feeBps)} platform`);
+    if (entry.networkFee != null) parts.push(`${formatAmount(entry.networkFee, 7)} XLM network`);
+    return parts.join(' + ') || '-';
+  };
+
+  return (
+    <div className="home-container">
+      <div className="swap-container history-container">
+        <div className="swap-card">
+          <div className="swap-header">
+            <h2 className="swap-title">Transaction History</h2>
+            <div className="header-actions">
+              <button onClick={backfill} className="info-button" title="Reload from Horizon" disabled={backfilling}>
+                <RefreshCw size={20} className={backfilling ? 'spin' : ''} />
+              </button>
+              <button onClick={onBack} className="info-button" title="Back to swap">
+                <ArrowLeft size={20} />
+              </button>
+            </div>
+          </div>
+
+          {error && (
+            <div className="error">
+              <AlertCircle size={16} />
+              {error}
+            </div>
+          )}
+
+          {entries.length === 0 ? (
+            <div className="history-empty">
+              {backfilling ? 'Loading past swaps...' : `No swaps on ${networkConfig.label} yet.`}
+            </div>
+          ) : (
+            <ul className="history-list">
+              {entries.map(entry => {
+                const slippageLabel = entry.tradeType === 'EXACT_OUT' ? 'Realised Slippage (sold)' : 'Realised Slippage';
+                return (
+                  <li key={entry.hash} className="history-entry">
+                    <div className="history-entry-header">
+                      <span className="history-pair">
+                        {entry.fromToken.symbol}
+                        <ArrowRight size={14} />
+                        {entry.toToken.symbol}
+                      </span>
+                      <span className={`history-status history-status-${entry.status}`}>
+                        {STATUS_ICONS[entry.status]}
+                        {STATUS_LABELS[entry.status] || entry.status}
+                      </span>
+                    </div>
+
+                    <div className="quote-row">
+                      <span>Sold</span>
+                      <span>{renderAmount(entry.amountIn, entry.quotedAmountIn, entry.fromToken)}</span>
+                    </div>
+                    <div className="quote-row">
+                      <span>Received</span>
+                      <span>{renderAmount(entry.amountOut, entry.quotedAmountOut, entry.toToken)}</span>
+                    </div>
+                    {entry.quotedAmountOut != null && entry.amountOut != null && (
+                      <div className="quote-row">
+                        <span>Quoted</span>
+                        <span>
+                          {formatAmount(entry.quotedAmountOut, entry.toToken.decimals)} {entry.toToken.symbol}
+                        </span>
+                      </div>
+                    )}
+                    <div className="quote-row">
+                      <span>{slippageLabel}</span>
+                      {renderSlippage(entry)}
+                    </div>
+                    <div className="quote-row">
+                      <span>Fee</span>
+                      <span>{renderFee(entry)}</span>
+                    </div>
+                    {entry.route?.length > 0 && (
+                      <div className="quote-row">
+                        <span>Route</span>
+                        <span>
+                          {entry.route.map(leg => `${getProtocolName(leg.protocol)} ${leg.percent}%`).join(' + ')}
+                        </span>
+                      </div>
+                    )}
+                    {entry.error && <div className="history-error">{entry.error}</div>}
+
+                    <div className="history-entry-footer">
+                      <span>{new Date(entry.createdAt).toLocaleString()}</span>
+                      <a
+                        href={explorerTxUrl(networkConfig.id, entry.hash)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="swap-status-link"
+                      >
+                        {entry.hash.substring(0, 8)}...{entry.hash.substring(entry.hash.length - 8)}
+                        <ExternalLink size={12} />
+                      </a>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default History;
@@ -10,19 +10,40 @@
  * 
  * KEY FEATURES IMPLEMENTED:
  *  Real-time token price quotes via Soroswap API integration
+ *  Debounced, auto-refreshing quotes that expire before they go stale
  *  Multi-protocol aggregation (Soroswap, Phoenix, Aqua, SDEX)
- *  Transparent fee display with detailed breakdown
+ *  Side-by-side quotes from each protocol alone and the aggregated route,
+ *  with the best highlighted and any row executable
+ *  Route view with every hop and the per-protocol split of an order
+ *  Fee breakdown: platform fee, per-pool fees and the simulated network fee,
+ *  with the total effective cost
  *  Slippage protection and minimum received calculations
+ *  Exact-input and exact-output trades (type in either field)
+ *  Per-wallet swap settings (slippage, protocols, trustlines, deadline)
  *  Secure wallet connection validation
  *  Error handling with user-friendly fallbacks
  *  Loading states and UX optimization
  *  Token balance display and max amount functionality
+ *  Searchable token picker with favourites, recents and custom imports
+ *  Token list merged from several asset lists, with verification badges
+ *  and a cached copy of the last good list for outages
  *  Swap direction reversal with single click
+ *  Every submitted swap recorded in the transaction history
+ *  Transaction progress modal from signing to confirmation, plus toasts
+ *  Swap review with final amounts, fees and route; price changes must be
+ *  accepted and high price impact needs a typed confirmation or expert mode
+ *  Quotes checked against a Reflector oracle / SDEX order book reference
+ *  price; large deviations warn or block the swap
+ *  Pre-signing Soroban simulation: balance changes, fees, resources and auth
+ *  entries reviewed before the wallet opens, with classified failure reasons
+ *  Shareable swap URLs (/swap?from=XLM&to=USDC&amount=100) that open pre-filled
+ *  Wallet, tokens, balances and settings read from the shared store, loaded once
  * 
  * STELLAR/SOROBAN INTEGRATION:
  * - Connects to Soroswap API for liquidity aggregation
  * - Handles Stellar asset contracts and decimal precision
- * - Implements proper stroops conversion (1e7 multiplier)
+ * - Converts amounts with each token's own decimals using exact BigInt
+ *   arithmetic (src/utils/amounts.js) - no float rounding
  * - Supports multiple DEX protocols on Stellar network
  * - Uses bearer token authentication for API security
  * 
@@ -47,7 +68,7 @@
  * @hackathon Stellar Hacks x Paltalabs
  */
 
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useMemo, useRef } from 'react';
 import {
   ArrowDownUp,
   TrendingUp,
@@ -56,136 +77,272 @@ import {
   AlertCircle,
   CheckCircle,
   Wallet,
+  Clock,
+  Settings,
+  ArrowLeftRight,
+  ChevronDown,
+  History,
+  Scale,
 } from 'lucide-react';
+import { useSearchParams } from 'react-router-dom';
+import { Asset } from '@stellar/stellar-sdk';
+import soroswapClient from '../services/soroswapClient';
+import { NetworkError, RequestCancelledError, ServerError } from '../services/soroswapErrors';
+import { explorerTxUrl } from '../config/networks';
+import { getConfig } from '../config/runtimeConfig';
+import { baseUnitsToDecimal, decimalToBaseUnits, formatAmount, formatRate } from '../utils/amounts';
+import { validateSwap } from '../services/preflight';
+import { formatBps, toQuoteParams } from '../services/swapSettings';
+import { applyDeadline } from '../services/txDeadline';
+import { getProtocolName, getQuoteRoute } from '../services/quoteRoute';
+import { AGGREGATED_ID } from '../services/quoteComparison';
+import { getImpactGate } from '../services/swapReview';
+import { lookupTransaction, simulateTransaction } from '../services/sorobanRpc';
+import { TX_STAGES, TX_STAGE_LABELS } from '../services/notifications';
+import { getAverageNetworkFee } from '../services/analytics';
+import useBalances from '../hooks/useBalances';
+import useSwapSettings from '../hooks/useSwapSettings';
+import useTokenPreferences from '../hooks/useTokenPreferences';
+import useNotifications from '../hooks/useNotifications';
+import useStore from '../hooks/useStore';
+import useTokenRegistry from '../hooks/useTokenRegistry';
+import useTxHistory from '../hooks/useTxHistory';
+import useSwapFees from '../hooks/useSwapFees';
+import useQuoteComparison from '../hooks/useQuoteComparison';
+import usePriceGuard from '../hooks/usePriceGuard';
+import {
+  selectHistory,
+  selectNetwork,
+  selectNetworkConfig,
+  selectPublicKey,
+  selectWalletAdapter,
+} from '../store/selectors';
+import { mergeImportedTokens } from '../services/tokenPreferences';
+import { buildSwapSearch, findLinkedToken, linkTokenParam, parseSwapLink } from '../services/swapLink';
+import SwapSettingsPanel from '../components/SwapSettingsPanel';
+import QuoteRoute from '../components/QuoteRoute';
+import FeeBreakdown from '../components/FeeBreakdown';
+import PriceCheck from '../components/PriceCheck';
+import QuoteComparison from '../components/QuoteComparison';
+import SwapReviewModal from '../components/SwapReviewModal';
+import TokenPickerModal from '../components/TokenPickerModal';
+import TokenIcon from '../components/TokenIcon';
 import './Home.css';
 
+// Quote requests wait for the user to stop typing for this long
+const QUOTE_DEBOUNCE_MS = 500;
+
+const NO_TOKENS = [];
+
+// Error prefix for the stage a failure happened in
+const STAGE_ERRORS = {
+  [TX_STAGES.BUILDING]: 'Failed to build transaction',
+  [TX_STAGES.SIMULATING]: 'Transaction simulation failed',
+  [TX_STAGES.AWAITING_SIGNATURE]: 'Signature was not completed',
+  [TX_STAGES.SUBMITTING]: 'Transaction submission failed',
+};
+
 /**
  * Home Component - Main Swap Interface
  * 
  * This component manages the entire token swapping workflow from quote generation
  * to trade execution, with full integration to the Stellar/Soroban ecosystem.
  * 
- * @param {string} publicKey - User's Stellar public key from wallet connection
- * @param {string} walletAddress - User's wallet address for display
+ * The connected wallet, selected network, token list, balances, settings
+ * and swap history come from the shared store (see store/), so switching
+ * views or reconnecting does not reload them.
+ * 
  * @param {function} onBackToLanding - Callback to return to landing page
+ * @param {function} onViewHistory - Opens the transaction history view
  */
-function Home({ publicKey, walletAddress, onBackToLanding }) {
+function Home({ onBackToLanding, onViewHistory }) {
 
   // STATE MANAGEMENT
   
   // Core swap state
-  const [tokens, setTokens] = useState([]); // Available tokens from API
   const [fromToken, setFromToken] = useState(''); // Source token contract address
   const [toToken, setToToken] = useState(''); // Destination token contract address
   const [amount, setAmount] = useState(''); // User input amount to swap
+  const [amountOut, setAmountOut] = useState(''); // Amount to receive, when typed into the To field
+  const [tradeType, setTradeType] = useState('EXACT_IN'); // Which field the user typed into
   const [quote, setQuote] = useState(null); // API quote response with pricing data
+  const [quoteProtocols, setQuoteProtocols] = useState(null); // Protocol a compared row pinned quotes to (null: settings)
   
   // UI state management
   const [loadingQuote, setLoadingQuote] = useState(false); // Quote fetch loading
-  const [loadingTokens, setLoadingTokens] = useState(false); // Token list loading
   const [error, setError] = useState(''); // User-facing error messages
   const [showDetails, setShowDetails] = useState(false); // Quote details visibility
+  const [showSettings, setShowSettings] = useState(false); // Settings panel visibility
+  const [invertRate, setInvertRate] = useState(false); // Show the rate as to -> from
+  const [pickerSide, setPickerSide] = useState(null); // 'from' | 'to' while the token picker is open
+  const [pickerQuery, setPickerQuery] = useState(''); // Search the picker opens with (unknown linked token)
   const [isExecuting, setIsExecuting] = useState(false); // Swap execution state
+  const [showReview, setShowReview] = useState(false); // Swap review dialog visibility
+  const [showComparison, setShowComparison] = useState(false); // Protocol comparison dialog visibility
+  const [fieldIssues, setFieldIssues] = useState({ errors: {}, warnings: {} }); // Pre-flight results by field
 
-  // API CONFIGURATION
-  
-  // Soroswap API endpoints and authentication
-  // NOTE: In production, API keys should be stored securely on backend
-  const API_BASE_URL = 'https://soroswap-api-staging-436722401508.us-central1.run.app';
-  const API_KEY = 'sk_e2acb3e0b5248f286023ef7ce9a5cde7e087c12579ae85fb3e9e318aeb11c6ce';
+  // Quote freshness
+  const [quotedAt, setQuotedAt] = useState(null); // When the displayed quote was fetched (ms)
+  const [now, setNow] = useState(() => Date.now()); // Ticks every second while a quote is shown
+  const quoteRequestRef = useRef(null); // AbortController of the latest quote request
+  const fetchQuoteRef = useRef(null); // Latest fetchQuote, called from timers
+  const reviewRef = useRef(null); // Settles the simulation review awaiting the user
+  const { quoteRefreshMs, quoteMaxAgeMs } = getConfig();
 
-  // Wallet connection validation
-  const isConnected = Boolean(publicKey || walletAddress);
+  // Swap link: the query string mirrors the form once it has been applied
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [linkedSearch, setLinkedSearch] = useState(null); // Query string the form currently reflects
+  const search = searchParams.toString();
 
-  // TOKEN MANAGEMENT FUNCTIONS
-  
-  /**
-   * Fetches available tokens from Soroswap API with fallback support
-   * 
-   * STELLAR INTEGRATION:
-   * - Retrieves asset list from Soroswap aggregator
-   * - Handles Stellar asset contracts and metadata
-   * - Provides fallback tokens for demo purposes
-   * - Filters valid tokens with proper contract addresses
-   */
-  const fetchTokens = useCallback(async () => {
-    if (!isConnected) return; // Only fetch when wallet is connected
+  // Toasts and the transaction progress modal (which tracks the swap being executed)
+  const { success: notifySuccess, transaction, showTransaction, closeTransaction } = useNotifications();
 
-    setLoadingTokens(true);
-    setError('');
+  // Connected wallet and selected network from the shared store
+  const { state } = useStore();
+  const publicKey = selectPublicKey(state); // User's Stellar public key
+  const walletAdapter = selectWalletAdapter(state); // Signs transactions
+  const network = selectNetwork(state); // 'mainnet' or 'testnet'
+  const isConnected = Boolean(publicKey);
 
-    try {
-      // API call to Soroswap for available trading pairs
-      const response = await fetch(`${API_BASE_URL}/asset-list?name=soroswap`, {
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-      });
+  // Endpoints, passphrase and fallback tokens for the selected network
+  const networkConfig = selectNetworkConfig(state);
 
-      if (!response.ok) throw new Error(`API request failed: ${response.status}`);
+  // Slippage, protocols, trustline mode and deadline, saved per wallet
+  const { settings: swapSettings, updateSettings, resetSettings } = useSwapSettings();
 
-      const data = await response.json();
+  // Shared asset list for the network, loaded once rather than on every connect
+  const { tokens: registryTokens, source: tokenSource, savedAt: tokenListSavedAt, loading: registryLoading } =
+    useTokenRegistry();
+  const listedTokens = isConnected ? registryTokens : NO_TOKENS;
+  const loadingTokens = isConnected && registryLoading;
 
-      // Validate API response structure
-      if (!data.assets || !Array.isArray(data.assets)) {
-        throw new Error('Token list not available');
-      }
+  // Records submitted swaps; pending ones are tracked by the store
+  const { recordSwap } = useTxHistory();
+  const historyEntries = selectHistory(state);
+  const averageNetworkFee = useMemo(() => getAverageNetworkFee(historyEntries), [historyEntries]);
 
-      // Transform API data to internal token format
-      const filteredTokens = data.assets
-        .map(asset => ({
-          address: asset.contract, // Stellar contract address
-          symbol: asset.code, // Token symbol (e.g., USDC, XLM)
-          name: asset.name || asset.code, // Full token name
-          decimals: asset.decimals || 7, // Stellar default decimals
-          icon: asset.icon, // Token icon URL
-        }))
-        .filter(token => token.address && token.symbol); // Filter valid tokens
-
-      if (filteredTokens.length === 0) throw new Error('No valid tokens found');
-
-      setTokens(filteredTokens);
-      // Auto-select first two tokens for better UX
-      setFromToken(filteredTokens[0]?.address || '');
-      setToToken(filteredTokens[1]?.address || '');
-      
-    } catch (err) {
-      console.error('Error fetching tokens:', err);
-      
-      // FALLBACK SYSTEM: Hardcoded tokens for demo reliability
-      const fallbackTokens = [
-        {
-          address: 'CCW67TSZV3SSS2HXMBQ5JFGCKJNXKZM7UQUWUZPUTHXSTZLEO7SJMI75',
-          symbol: 'USDC',
-          name: 'USD Coin',
-          decimals: 7,
-        },
-        {
-          address: 'CAS3J7GYLGXMF6TDJBBYYSE3HQ6BBSMLNUQ34T6TZMYMW2EVH34XOWMA',
-          symbol: 'XLM',
-          name: 'Stellar Lumens',
-          decimals: 7,
-        },
-        {
-          address: 'CDTKPWPLOURQA2SGTKTUQOWRCBZEORB4BWBOMJ3D3ZTQQSGE5F6JBQLV',
-          symbol: 'EURC',
-          name: 'Euro Coin',
-          decimals: 7,
-        },
-      ];
-
-      setTokens(fallbackTokens);
-      setFromToken(fallbackTokens[0].address);
-      setToToken(fallbackTokens[1].address);
-      setError('Using fallback token list. Some features may be limited.');
-    } finally {
-      setLoadingTokens(false);
-    }
-  }, [API_BASE_URL, API_KEY, isConnected]);
+  // Favourite, recent and user-imported tokens for this network
+  const {
+    favorites,
+    recents,
+    imported,
+    toggleFavorite,
+    addRecent,
+    importToken,
+  } = useTokenPreferences(network);
+
+  // Asset list plus any custom tokens the user imported
+  const tokens = useMemo(() => mergeImportedTokens(listedTokens, imported), [listedTokens, imported]);
+
+  // Real balances for every listed token (Horizon + Soroban RPC)
+  const {
+    balances,
+    account,
+    loading: loadingBalances,
+    error: balanceError,
+    refresh: refreshBalances,
+  } = useBalances({ tokens });
+
+  // Itemised fees of the displayed quote (network fee simulated while shown or reviewed)
+  const selectedFromToken = tokens.find(t => t.address === fromToken);
+  const selectedToToken = tokens.find(t => t.address === toToken);
+  const swapFees = useSwapFees({
+    quote,
+    fromToken: selectedFromToken,
+    toToken: selectedToToken,
+    feeBps: toQuoteParams(swapSettings).feeBps,
+    enabled: showDetails || showReview,
+  });
+
+  // The same trade quoted by each protocol alone and by the aggregated route
+  const {
+    rows: comparisonRows,
+    comparing,
+    error: comparisonError,
+    compare: compareQuotes,
+    clear: clearComparison,
+  } = useQuoteComparison();
+
+  // The quote checked against an independent reference price
+  const priceGuard = usePriceGuard({ quote, fromToken: selectedFromToken, toToken: selectedToToken });
+
+  // XLM's contract address on the selected network
+  const nativeAddress = useMemo(
+    () => Asset.native().contractId(networkConfig.passphrase),
+    [networkConfig]
+  );
+
+  // The amount the user typed: sold for EXACT_IN, bought for EXACT_OUT
+  const isExactOut = tradeType === 'EXACT_OUT';
+  const requestedAmount = isExactOut ? amountOut : amount;
+
+  // Quote age drives the countdown and blocks executing stale prices
+  const quoteAgeMs = quotedAt ? Math.max(now - quotedAt, 0) : 0;
+  const isQuoteStale = Boolean(quote) && quoteAgeMs > quoteMaxAgeMs;
+  const refreshInSeconds = Math.max(Math.ceil((quoteRefreshMs - quoteAgeMs) / 1000), 0);
+
+  /**
+   * Gets token decimals from contract address (Stellar default is 7)
+   */
+  const getTokenDecimals = useCallback(address => {
+    const token = tokens.find(t => t.address === address);
+    return token?.decimals ?? 7;
+  }, [tokens]);
+
+  // PRE-FLIGHT VALIDATION
+
+  /**
+   * Runs the pre-flight checks and shows any problems next to their inputs
+   * 
+   * @param {'quote'|'execute'} phase - Which action is about to run
+   * @param {Object} [overrides] - Inputs to check instead of the current state
+   * @returns {boolean} True when the action may proceed
+   */
+  const runPreflight = useCallback((phase, overrides = {}) => {
+    const result = validateSwap({
+      phase,
+      isConnected,
+      tradeType,
+      amount,
+      amountOut,
+      fromToken: tokens.find(t => t.address === fromToken),
+      toToken: tokens.find(t => t.address === toToken),
+      balances,
+      account,
+      nativeAddress,
+      gaslessTrustline: swapSettings.gaslessTrustline,
+      quote,
+      quoteAgeMs: quotedAt ? Date.now() - quotedAt : 0,
+      maxQuoteAgeMs: quoteMaxAgeMs,
+      ...overrides,
+    });
+    setFieldIssues({ errors: result.errors, warnings: result.warnings });
+    return result.ok;
+  }, [isConnected, tradeType, amount, amountOut, tokens, fromToken, toToken, balances, account, nativeAddress, swapSettings, quote, quotedAt, quoteMaxAgeMs]);
 
   // QUOTE AND PRICING FUNCTIONS
+
+  /**
+   * Quote request payload for the form's inputs
+   *
+   * @param {Array<string>|null} [protocols] - Protocols to quote from instead of the settings'
+   * @returns {Object}
+   */
+  const buildQuotePayload = useCallback((protocols = null) => {
+    // Convert the typed amount to base units of the token it is denominated in
+    const amountInBaseUnits = isExactOut
+      ? decimalToBaseUnits(amountOut, getTokenDecimals(toToken))
+      : decimalToBaseUnits(amount, getTokenDecimals(fromToken));
+
+    return {
+      assetIn: fromToken, // Source token contract
+      assetOut: toToken, // Destination token contract
+      amount: amountInBaseUnits.toString(), // Amount sold (EXACT_IN) or bought (EXACT_OUT)
+      tradeType, // Which side of the trade is fixed
+      ...toQuoteParams(swapSettings), // Protocols, slippage, trustline mode, platform fee
+      ...(protocols && { protocols }),
+    };
+  }, [fromToken, toToken, amount, amountOut, tradeType, isExactOut, swapSettings, getTokenDecimals]);
   
   /**
    * Fetches real-time swap quote from Soroswap API
@@ -196,120 +353,318 @@ function Home({ publicKey, walletAddress, onBackToLanding }) {
    * - Price impact calculation and warnings
    * - Gas estimation and fee breakdown
    * - Minimum received amount calculation
+   *
+   * Runs automatically (debounced) as the inputs change and again every
+   * `quoteRefreshMs` while a quote is shown. Starting a request cancels the
+   * previous one, so a slow response can never overwrite a newer quote.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh=false] - Re-fetch for the same inputs,
+   *   keeping the current quote visible until the new one arrives
+   * @param {Array<string>|null} [options.protocols] - Protocols to quote from
+   *   (defaults to the ones a compared row pinned, else the settings)
    */
-  const fetchQuote = useCallback(async () => {
-    // Input validation
-    if (!isConnected) {
-      setError('Please connect your wallet first');
-      return;
-    }
+  const fetchQuote = useCallback(async ({ refresh = false, protocols = quoteProtocols } = {}) => {
+    quoteRequestRef.current?.abort();
 
-    if (!fromToken || !toToken || !amount || parseFloat(amount) <= 0) {
-      setError('Please select tokens and enter a valid amount');
-      return;
-    }
-    
-    if (fromToken === toToken) {
-      setError('Please select different tokens for swap');
+    // Pre-flight validation (balance, trustline, reserve)
+    if (!runPreflight('quote')) {
+      setQuote(null);
+      setQuotedAt(null);
+      setLoadingQuote(false);
       return;
     }
 
+    const controller = new AbortController();
+    quoteRequestRef.current = controller;
+
     setLoadingQuote(true);
     setError('');
-    setQuote(null);
+    if (!refresh) {
+      setQuote(null);
+      setQuotedAt(null);
+    }
 
     try {
-      // Convert user amount to stroops (Stellar's base unit)
-      const amountInStroops = Math.floor(parseFloat(amount) * 1e7).toString();
-
-      // Comprehensive quote request payload
-      const payload = {
-        assetIn: fromToken, // Source token contract
-        assetOut: toToken, // Destination token contract
-        amount: amountInStroops, // Amount in stroops
-        tradeType: 'EXACT_IN', // Exact input amount
-        protocols: ['soroswap', 'phoenix', 'aqua', 'sdex'], // DEX aggregation
-        slippageTolerance: 50, // 0.5% slippage protection
-        gaslessTrustline: 'CREATE', // Auto-create trustlines
-        feeBps: 50, // 0.5% platform fee in basis points
-      };
+      const payload = buildQuotePayload(protocols);
 
       // API call for quote with comprehensive error handling
-      const res = await fetch(`${API_BASE_URL}/quote?network=mainnet`, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
+      const data = await soroswapClient.getQuote(payload, {
+        network: networkConfig.id,
+        signal: controller.signal,
       });
-
-      if (!res.ok) {
-        const errorText = await res.text();
-        throw new Error(
-          `Quote request failed: ${res.status} ${res.statusText} - ${errorText}`
-        );
-      }
-
-      const data = await res.json();
       setQuote(data); // Store complete quote data
-      setShowDetails(true); // Auto-show quote details
+      setQuotedAt(Date.now()); // Starts the refresh countdown
+      if (!refresh) setShowDetails(true); // Auto-show quote details
+
+      // The input amount of an EXACT_OUT trade is only known now
+      if (isExactOut) runPreflight('quote', { quote: data });
       
     } catch (err) {
+      // Superseded by newer inputs - not an error
+      if (err instanceof RequestCancelledError || controller.signal.aborted) return;
       console.error('Error fetching quote:', err);
-      setError(`Failed to get quote: ${err.message}`);
+      setError(`Failed to ${refresh ? 'refresh' : 'get'} quote: ${err.message}`);
     } finally {
-      setLoadingQuote(false);
+      if (quoteRequestRef.current === controller) {
+        quoteRequestRef.current = null;
+        setLoadingQuote(false);
+      }
+    }
+  }, [quoteProtocols, isExactOut, networkConfig, runPreflight, buildQuotePayload]);
+
+  // SWAP REVIEW
+
+  /**
+   * Opens the review dialog once the pre-flight checks pass; the swap
+   * itself only runs from the dialog's confirm button
+   */
+  const openReview = () => {
+    if (!runPreflight('execute')) return;
+    setShowReview(true);
+  };
+
+  const closeReview = useCallback(() => setShowReview(false), []);
+
+  /**
+   * Runs the reviewed swap. The confirm button is only enabled while the
+   * current quote is the accepted one, so this executes exactly that price.
+   */
+  const confirmReview = () => {
+    setShowReview(false);
+    executeSwap();
+  };
+
+  // PROTOCOL COMPARISON
+
+  /**
+   * Quotes the trade from every protocol alone and from the aggregated route
+   */
+  const runComparison = () => {
+    try {
+      compareQuotes(buildQuotePayload());
+    } catch (err) {
+      setError(`Failed to compare quotes: ${err.message}`);
     }
-  }, [fromToken, toToken, amount, API_BASE_URL, API_KEY, isConnected]);
+  };
+
+  const openComparison = () => {
+    setShowComparison(true);
+    runComparison();
+  };
+
+  const closeComparison = useCallback(() => setShowComparison(false), []);
+
+  /**
+   * Takes a compared row to the swap review. A single-protocol row pins
+   * later refreshes to that protocol until the inputs change.
+   */
+  const selectComparisonRow = row => {
+    const rowAgeMs = Date.now() - row.fetchedAt;
+    if (!runPreflight('execute', { quote: row.quote, quoteAgeMs: rowAgeMs })) {
+      setShowComparison(false);
+      return;
+    }
+
+    quoteRequestRef.current?.abort(); // A refresh in flight would replace the chosen quote
+    setQuoteProtocols(row.id === AGGREGATED_ID ? null : row.protocols);
+    setQuote(row.quote);
+    setQuotedAt(row.fetchedAt);
+    setShowComparison(false);
+    setShowReview(true);
+  };
+
+  /**
+   * Drops a pinned protocol and quotes the aggregated route again
+   */
+  const switchToAggregatedRoute = () => {
+    setQuoteProtocols(null);
+    fetchQuote({ refresh: true, protocols: null });
+  };
 
   // SWAP EXECUTION FUNCTION
   
   /**
-   * Executes the token swap transaction
+   * Executes the quoted swap on-chain
    * 
-   * NOTE: This is currently a simulation for demo purposes.
-   * In production, this would:
-   * 1. Create Stellar transaction with proper signatures
-   * 2. Submit to Soroban smart contracts
-   * 3. Handle transaction confirmation and status
-   * 4. Update user balances and transaction history
+   * FLOW:
+   * 1. BUILDING - Soroswap builds an unsigned XDR transaction from the quote
+   * 2. SIMULATING - Soroban RPC simulates the exact envelope; a failure is
+   *    classified (balance, trustline, slippage, ...) before any signature.
+   *    A classic SDEX path payment is read from the envelope instead
+   * 3. REVIEWING - The user checks the simulated balance changes, fees,
+   *    resources and authorizations, then continues or cancels
+   * 4. AWAITING_SIGNATURE - The connected wallet asks the user to sign it
+   * 5. SUBMITTING - The signed envelope is sent to the network via Soroswap;
+   *    when that times out or fails server-side, its hash is looked up on
+   *    Soroban RPC, so a swap that landed is never reported as failed
+   * 6. CONFIRMED / FAILED - The real hash and ledger (or the failing stage) are shown
+   *
+   * Progress is shown in the transaction modal. Each stage reports its own
+   * error so a rejected signature is never confused with a failed submission.
    */
   const executeSwap = async () => {
-    if (!isConnected) {
-      setError('Please connect your wallet first');
-      return;
-    }
+    // Pre-flight validation, including that the quote still matches the inputs
+    if (!runPreflight('execute')) return;
 
-    if (!quote) {
-      setError('Please get a quote first');
+    if (!walletAdapter) {
+      setError('Wallet session expired. Please reconnect your wallet.');
       return;
     }
 
+    // Freeze the quote being executed: no refresh may land mid-signature
+    quoteRequestRef.current?.abort();
+
+    const signer = publicKey;
+    const title = `Swap ${getTokenSymbol(fromToken)} for ${getTokenSymbol(toToken)}`;
+    let stage = TX_STAGES.BUILDING;
+    let submitted = {}; // Hash, explorer link and history action once the network has the transaction
+
     setIsExecuting(true);
     setError('');
-    
+    showTransaction({ stage, title });
+
     try {
-      // Simulate network delay for realistic UX
-      await new Promise(resolve => setTimeout(resolve, 3000));
-
-      // Success notification with swap details
-      alert(
-        `Swap executed successfully!\n\nSwapped: ${amount} ${getTokenSymbol(
-          fromToken
-        )}\nReceived: ${formatAmount(quote.amountOut)} ${getTokenSymbol(
-          toToken
-        )}\nTransaction will appear in your wallet shortly.`
+      // STEP 1: Build the unsigned transaction from the quote
+      const { xdr: builtXdr } = await soroswapClient.buildTransaction(
+        { quote, from: signer, to: signer },
+        { network: networkConfig.id }
       );
+      if (!builtXdr) throw new Error('No transaction returned by the build endpoint');
+
+      // The network rejects the swap if it lands after the user's deadline
+      const xdr = applyDeadline(builtXdr, swapSettings.deadlineMinutes);
+
+      // STEP 2: Simulate the exact envelope the wallet will be asked to sign
+      stage = TX_STAGES.SIMULATING;
+      showTransaction({ stage, title });
+      const simulation = await simulateTransaction({ networkConfig, xdr, account: signer });
 
-      // Reset UI state after successful swap
+      // STEP 3: Let the user review what it does before the wallet opens
+      stage = TX_STAGES.REVIEWING;
+      const approved = await new Promise(resolve => {
+        reviewRef.current = resolve;
+        showTransaction({
+          stage,
+          title,
+          simulation,
+          simulationTokens: simulation.balanceChanges.map(({ contractId }) => ({
+            symbol: getTokenSymbol(contractId),
+            decimals: getTokenDecimals(contractId),
+          })),
+          confirm: {
+            label: 'Continue to wallet',
+            onConfirm: () => resolve(true),
+            onCancel: () => resolve(false),
+          },
+        });
+      });
+      reviewRef.current = null;
+      if (!approved) {
+        closeTransaction();
+        return;
+      }
+
+      // STEP 4: Ask the wallet to sign (the wallet never submits on its own)
+      stage = TX_STAGES.AWAITING_SIGNATURE;
+      showTransaction({ stage, title });
+
+      const signedXdr = await walletAdapter.signTransaction(xdr, {
+        networkPassphrase: networkConfig.passphrase,
+        address: signer,
+      });
+
+      // STEP 5: Submit the signed envelope
+      stage = TX_STAGES.SUBMITTING;
+      showTransaction({ stage, title });
+      const submittedAt = Date.now();
+
+      let result;
+      let unconfirmed = null; // Submission error when the network may still have the transaction
+      try {
+        result = await soroswapClient.sendTransaction({ xdr: signedXdr }, { network: networkConfig.id });
+      } catch (err) {
+        // A timeout or 5xx can come after the network accepted the envelope:
+        // ask the network before calling the swap failed
+        if (!(err instanceof NetworkError || err instanceof ServerError)) throw err;
+        const lookup = await lookupTransaction({ networkConfig, xdr: signedXdr }).catch(() => null);
+        if (!lookup) throw err;
+        if (lookup.status === 'NOT_FOUND') unconfirmed = err;
+        result = { hash: lookup.hash, ledger: lookup.ledger, status: lookup.status };
+      }
+      const hash = result.hash || result.txHash;
+      const rejected = result.successful === false || result.status === 'FAILED' || result.status === 'ERROR';
+      const rejection = result.resultXdr || result.result_xdr || 'Transaction was rejected by the network';
+      if (hash) {
+        submitted = {
+          hash,
+          explorerUrl: explorerTxUrl(networkConfig.id, hash),
+          action: { label: 'Track in transaction history', onClick: onViewHistory },
+        };
+      }
+
+      // Track the swap in the history until Horizon has its final result
+      if (hash) {
+        recordSwap({
+          hash,
+          status: rejected ? 'failed' : 'pending',
+          createdAt: submittedAt,
+          expiresAt: submittedAt + swapSettings.deadlineMinutes * 60 * 1000,
+          fromToken: { address: fromToken, symbol: getTokenSymbol(fromToken), decimals: getTokenDecimals(fromToken) },
+          toToken: { address: toToken, symbol: getTokenSymbol(toToken), decimals: getTokenDecimals(toToken) },
+          tradeType: quote.tradeType || tradeType,
+          quotedAmountIn: String(quote.amountIn),
+          quotedAmountOut: String(quote.amountOut),
+          amountIn: null,
+          amountOut: null,
+          feeBps: toQuoteParams(swapSettings).feeBps,
+          route: getQuoteRoute(quote).map(({ protocol, percent }) => ({ protocol, percent })),
+          ledger: result.ledger ?? null,
+          error: rejected ? rejection : undefined,
+        });
+      }
+
+      if (rejected) throw new Error(rejection);
+      if (unconfirmed) {
+        throw new Error(
+          `${unconfirmed.message}. It may still be processed - follow it in the transaction history.`
+        );
+      }
+
+      // STEP 6: Confirmed - show the real on-chain result
+      const summary = `Swapped ${formatAmount(quote.amountIn, getTokenDecimals(fromToken))} ${getTokenSymbol(
+        fromToken
+      )} for ${formatAmount(quote.amountOut, getTokenDecimals(toToken))} ${getTokenSymbol(toToken)}`;
+      showTransaction({
+        stage: TX_STAGES.CONFIRMED,
+        title,
+        ...submitted,
+        ledger: result.ledger,
+        summary,
+      });
+      notifySuccess(summary, {
+        title: 'Swap confirmed',
+        action: submitted.explorerUrl && { label: 'View on explorer', href: submitted.explorerUrl },
+      });
+
+      // Reset UI state after successful swap and pick up the new balances
       setAmount('');
+      setAmountOut('');
       setQuote(null);
+      setQuotedAt(null);
       setShowDetails(false);
+      refreshBalances();
       
     } catch (err) {
-      console.error('Swap execution error:', err);
-      setError(`Swap failed: ${err.message}`);
+      console.error(`Swap execution error (${stage}):`, err, err.diagnostic || '');
+      const message = err.message || String(err);
+      showTransaction({
+        stage: TX_STAGES.FAILED,
+        title,
+        failedStage: stage,
+        error: `${STAGE_ERRORS[stage]}: ${message}`,
+        ...submitted,
+      });
     } finally {
       setIsExecuting(false);
     }
@@ -318,23 +673,39 @@ function Home({ publicKey, walletAddress, onBackToLanding }) {
   // UTILITY FUNCTIONS
   
   /**
-   * Sets maximum available balance for swap
-   * Currently uses mock data - would integrate with actual wallet balances
+   * Sets maximum spendable balance for swap
+   * 
+   * For XLM this already excludes the account's minimum reserve and a fee
+   * buffer; for other tokens it excludes amounts locked in open offers.
    */
   const setMaxAmount = () => {
     if (!isConnected) {
       setError('Please connect your wallet first');
       return;
     }
-    setAmount('1000.0000'); // Mock balance for demonstration
+    const balance = balances[fromToken];
+    if (!balance) {
+      setError('Balance not loaded yet');
+      return;
+    }
+    setTradeType('EXACT_IN');
+    setAmount(baseUnitsToDecimal(balance.spendable, getTokenDecimals(fromToken)));
   };
 
   /**
-   * Formats token amounts from stroops to human-readable format
+   * Typing into the From field fixes the amount sold
    */
-  const formatAmount = (amount, decimals = 7) => {
-    if (!amount) return '0.0000';
-    return (parseFloat(amount) / Math.pow(10, decimals)).toFixed(4);
+  const handleAmountInChange = value => {
+    setTradeType('EXACT_IN');
+    setAmount(value);
+  };
+
+  /**
+   * Typing into the To field fixes the amount bought
+   */
+  const handleAmountOutChange = value => {
+    setTradeType('EXACT_OUT');
+    setAmountOut(value);
   };
 
   /**
@@ -346,6 +717,31 @@ function Home({ publicKey, walletAddress, onBackToLanding }) {
     return token ? token.symbol : address.substring(0, 8) + '...';
   };
 
+
+  /**
+   * Balance label for a token card
+   */
+  const getBalanceLabel = address => {
+    if (!address) return '-';
+    const balance = balances[address];
+    if (!balance) return loadingBalances ? 'Loading...' : '-';
+    return formatAmount(balance.amount, getTokenDecimals(address));
+  };
+
+  /**
+   * Renders the pre-flight error (or, failing that, warning) for a field
+   */
+  const renderFieldIssue = field => {
+    const errorMessage = fieldIssues.errors[field];
+    const message = errorMessage || fieldIssues.warnings[field];
+    if (!message) return null;
+    return (
+      <div className={errorMessage ? 'field-error' : 'field-warning'} role={errorMessage ? 'alert' : 'status'}>
+        <AlertCircle size={14} /> {message}
+      </div>
+    );
+  };
+
   /**
    * Gets full token name from contract address
    */
@@ -355,6 +751,57 @@ function Home({ publicKey, walletAddress, onBackToLanding }) {
     return token ? token.name : 'Unknown Token';
   };
 
+  /**
+   * Applies a token chosen in the picker; picking the other side's token
+   * flips the pair instead of selecting the same token twice
+   */
+  const handleTokenSelect = token => {
+    const other = pickerSide === 'from' ? toToken : fromToken;
+    if (token.address === other) {
+      swapTokens();
+    } else if (pickerSide === 'from') {
+      setFromToken(token.address);
+    } else {
+      setToToken(token.address);
+    }
+    addRecent(token.address);
+    setPickerSide(null);
+    setPickerQuery('');
+  };
+
+  /**
+   * Closes the token picker without a selection
+   */
+  const closeTokenPicker = useCallback(() => {
+    setPickerSide(null);
+    setPickerQuery('');
+  }, []);
+
+  /**
+   * Token selector button for one side of the swap
+   */
+  const renderTokenButton = (side, address) => {
+    const token = tokens.find(t => t.address === address);
+    return (
+      <button
+        onClick={() => setPickerSide(side)}
+        className="token-select token-select-button"
+        disabled={loadingTokens || !isConnected}
+        aria-label={`Select token to swap ${side}`}
+      >
+        {token ? (
+          <>
+            <TokenIcon token={token} size={20} />
+            {token.symbol}
+          </>
+        ) : (
+          'Select Token'
+        )}
+        <ChevronDown size={16} className="token-select-chevron" />
+      </button>
+    );
+  };
+
   /**
    * Swaps from/to tokens and resets dependent state
    */
@@ -377,25 +824,142 @@ function Home({ publicKey, walletAddress, onBackToLanding }) {
 
   // SIDE EFFECTS (useEffect hooks)
   
-  // Fetch tokens when wallet connects
+  // Quotes and tokens belong to one network - drop them on switch
+  // (declared before the default pair below, which then refills them)
   useEffect(() => {
-    if (isConnected) {
-      fetchTokens();
+    setQuote(null);
+    setShowDetails(false);
+    setFromToken('');
+    setToToken('');
+  }, [network]);
+
+  // Start on the first two listed tokens (a swap link may override them)
+  useEffect(() => {
+    if (fromToken || toToken || listedTokens.length === 0) return;
+    setFromToken(listedTokens[0].address);
+    setToToken(listedTokens[1]?.address || '');
+  }, [listedTokens, fromToken, toToken]);
+
+  // Say when the asset lists could not be fetched
+  useEffect(() => {
+    if (!isConnected) return;
+    if (tokenSource === 'cache') {
+      setError(`Asset lists are unavailable - showing the list saved ${new Date(tokenListSavedAt).toLocaleString()}.`);
+    } else if (tokenSource === 'fallback') {
+      setError('Using fallback token list. Some features may be limited.');
     }
-  }, [fetchTokens, isConnected]);
+  }, [isConnected, tokenSource, tokenListSavedAt]);
+
+  // Keep timers pointed at the latest fetchQuote without restarting them
+  useEffect(() => {
+    fetchQuoteRef.current = fetchQuote;
+  }, [fetchQuote]);
+
+  // Debounced auto-quote: any input change drops the old quote, cancels the
+  // in-flight request and fetches again once the user stops typing
+  useEffect(() => {
+    quoteRequestRef.current?.abort();
+    quoteRequestRef.current = null;
+    setLoadingQuote(false);
+    setQuote(null);
+    setQuotedAt(null);
+    setQuoteProtocols(null);
+    clearComparison();
+
+    if (!isConnected || !requestedAmount || !fromToken || !toToken) return;
+
+    const timer = setTimeout(() => fetchQuoteRef.current(), QUOTE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [isConnected, requestedAmount, tradeType, fromToken, toToken, network, swapSettings, clearComparison]);
+
+  // Refresh the displayed quote on an interval (paused while a swap executes)
+  useEffect(() => {
+    if (!quotedAt || isExecuting) return;
+    const delay = Math.max(quotedAt + quoteRefreshMs - Date.now(), 0);
+    const timer = setTimeout(() => fetchQuoteRef.current({ refresh: true }), delay);
+    return () => clearTimeout(timer);
+  }, [quotedAt, isExecuting, quoteRefreshMs]);
+
+  // Review and comparison are of the displayed trade - they end when the inputs change
+  useEffect(() => {
+    if (quote) return;
+    setShowReview(false);
+    setShowComparison(false);
+  }, [quote]);
+
+  // Drive the countdown while a quote is shown
+  useEffect(() => {
+    if (!quotedAt) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [quotedAt]);
+
+  // Pre-flight messages describe the previous inputs - clear them on edit
+  useEffect(() => {
+    setFieldIssues({ errors: {}, warnings: {} });
+  }, [amount, amountOut, tradeType, fromToken, toToken, network]);
+
+  // Apply a swap link (on load, or on back/forward to another pair) once
+  // the token list is in. A token that is not listed opens the picker
+  // with it pre-filled, so contract IDs and CODE:ISSUER go straight to import.
+  useEffect(() => {
+    if (search === linkedSearch || loadingTokens || listedTokens.length === 0) return;
+
+    const link = parseSwapLink(searchParams);
+    setLinkedSearch(search);
+    if (!link) return;
+
+    const from = findLinkedToken(tokens, link.from);
+    const to = findLinkedToken(tokens, link.to);
+    if (from) setFromToken(from.address);
+    if (to && to.address !== from?.address) setToToken(to.address);
+
+    if (link.amount) {
+      setTradeType(link.exactOut ? 'EXACT_OUT' : 'EXACT_IN');
+      setAmount(link.exactOut ? '' : link.amount);
+      setAmountOut(link.exactOut ? link.amount : '');
+    }
+
+    if (link.from && !from) {
+      setPickerQuery(link.from);
+      setPickerSide('from');
+    } else if (link.to && !to) {
+      setPickerQuery(link.to);
+      setPickerSide('to');
+    }
+  }, [search, searchParams, linkedSearch, loadingTokens, listedTokens, tokens]);
+
+  // Keep the URL in step with the form, without adding history entries
+  useEffect(() => {
+    if (search !== linkedSearch || listedTokens.length === 0) return;
+
+    const next = buildSwapSearch({
+      from: linkTokenParam(tokens, fromToken),
+      to: linkTokenParam(tokens, toToken),
+      amount: requestedAmount,
+      exactOut: isExactOut,
+    });
+    if (next === search) return;
+    setLinkedSearch(next);
+    setSearchParams(next, { replace: true });
+  }, [search, linkedSearch, listedTokens, tokens, fromToken, toToken, requestedAmount, isExactOut, setSearchParams]);
 
   // Reset all state when wallet disconnects
   useEffect(() => {
     if (!isConnected) {
-      setTokens([]);
       setFromToken('');
       setToToken('');
       setAmount('');
+      setAmountOut('');
+      setTradeType('EXACT_IN');
       setQuote(null);
       setError('');
       setShowDetails(false);
+      reviewRef.current?.(false); // A pending review can no longer be signed
+      closeTransaction();
     }
-  }, [isConnected]);
+  }, [isConnected, closeTransaction]);
 
 
   // RENDER COMPONENT
@@ -441,7 +1005,7 @@ function Home({ publicKey, walletAddress, onBackToLanding }) {
                 <div className="header-actions">
                   <div className="wallet-info">
                     <Wallet size={16} />
-                    <span>{walletAddress.substring(0, 8)}...{walletAddress.substring(walletAddress.length - 6)}</span>
+                    <span>{publicKey.substring(0, 8)}...{publicKey.substring(publicKey.length - 6)}</span>
                   </div>
                   <button
                     onClick={() => setShowDetails(!showDetails)}
@@ -450,15 +1014,42 @@ function Home({ publicKey, walletAddress, onBackToLanding }) {
                   >
                     <Info size={20} />
                   </button>
+                  <button onClick={onViewHistory} className="info-button" title="Transaction history">
+                    <History size={20} />
+                  </button>
+                  <button
+                    onClick={() => setShowSettings(!showSettings)}
+                    className={`info-button ${showSettings ? 'active' : ''}`}
+                    title="Swap settings"
+                    aria-expanded={showSettings}
+                  >
+                    <Settings size={20} />
+                  </button>
                 </div>
               </div>
 
+              {/* SWAP SETTINGS */}
+              {showSettings && (
+                <SwapSettingsPanel
+                  settings={swapSettings}
+                  onChange={updateSettings}
+                  onReset={resetSettings}
+                  onClose={() => setShowSettings(false)}
+                />
+              )}
+
               {/* Error display */}
               {error && (
                 <div className="error">
                   <AlertCircle size={16} /> {error}
                 </div>
               )}
+              {balanceError && (
+                <div className="error">
+                  <AlertCircle size={16} /> {balanceError}
+                </div>
+              )}
+              {renderFieldIssue('wallet')}
 
               {/* Loading state */}
               {loadingTokens && (
@@ -481,31 +1072,33 @@ function Home({ publicKey, walletAddress, onBackToLanding }) {
                   <input
                     type="number"
                     placeholder="0.0"
-                    value={amount}
-                    onChange={e => setAmount(e.target.value)}
-                    className="amount-input"
+                    value={
+                      isExactOut
+                        ? quote ? baseUnitsToDecimal(quote.amountIn, getTokenDecimals(fromToken)) : ''
+                        : amount
+                    }
+                    onChange={e => handleAmountInChange(e.target.value)}
+                    className={`amount-input ${isExactOut ? 'estimated' : ''} ${
+                      fieldIssues.errors.amount ? 'invalid' : ''
+                    }`}
+                    aria-invalid={Boolean(fieldIssues.errors.amount)}
                     disabled={!isConnected}
                   />
 
-                  <select
-                    value={fromToken}
-                    onChange={e => setFromToken(e.target.value)}
-                    className="token-select"
-                    disabled={loadingTokens || !isConnected}
-                  >
-                    <option value="">Select Token</option>
-                    {tokens.map(token => (
-                      <option key={token.address} value={token.address}>
-                        {token.symbol}
-                      </option>
-                    ))}
-                  </select>
+                  {renderTokenButton('from', fromToken)}
                 </div>
 
                 <div className="token-info">
-                  <span className="token-name">{getTokenName(fromToken)}</span>
-                  <span className="balance">Balance: 1,000.00</span>
+                  <span className="token-name">
+                    {getTokenName(fromToken)}
+                    {tokens.find(t => t.address === fromToken)?.unverified && (
+                      <span className="token-badge-unverified">Unverified</span>
+                    )}
+                  </span>
+                  <span className="balance">Balance: {getBalanceLabel(fromToken)}</span>
                 </div>
+                {renderFieldIssue('amount')}
+                {renderFieldIssue('fromToken')}
               </div>
 
               {/* SWAP DIRECTION BUTTON */}
@@ -527,29 +1120,36 @@ function Home({ publicKey, walletAddress, onBackToLanding }) {
                 </div>
 
                 <div className="token-input-row">
-                  <div className="output-amount">
-                    {quote ? formatAmount(quote.amountOut) : '0.0'}
-                  </div>
+                  <input
+                    type="number"
+                    placeholder="0.0"
+                    value={
+                      isExactOut
+                        ? amountOut
+                        : quote ? baseUnitsToDecimal(quote.amountOut, getTokenDecimals(toToken)) : ''
+                    }
+                    onChange={e => handleAmountOutChange(e.target.value)}
+                    className={`amount-input output-amount ${!isExactOut ? 'estimated' : ''} ${
+                      fieldIssues.errors.amountOut ? 'invalid' : ''
+                    }`}
+                    aria-invalid={Boolean(fieldIssues.errors.amountOut)}
+                    disabled={!isConnected}
+                  />
 
-                  <select
-                    value={toToken}
-                    onChange={e => setToToken(e.target.value)}
-                    className="token-select"
-                    disabled={loadingTokens || !isConnected}
-                  >
-                    <option value="">Select Token</option>
-                    {tokens.map(token => (
-                      <option key={token.address} value={token.address}>
-                        {token.symbol}
-                      </option>
-                    ))}
-                  </select>
+                  {renderTokenButton('to', toToken)}
                 </div>
 
                 <div className="token-info">
-                  <span className="token-name">{getTokenName(toToken)}</span>
-                  <span className="balance">Balance: 0.00</span>
+                  <span className="token-name">
+                    {getTokenName(toToken)}
+                    {tokens.find(t => t.address === toToken)?.unverified && (
+                      <span className="token-badge-unverified">Unverified</span>
+                    )}
+                  </span>
+                  <span className="balance">Balance: {getBalanceLabel(toToken)}</span>
                 </div>
+                {renderFieldIssue('amountOut')}
+                {renderFieldIssue('toToken')}
               </div>
 
               {/* DETAILED QUOTE INFORMATION */}
@@ -557,42 +1157,126 @@ function Home({ publicKey, walletAddress, onBackToLanding }) {
                 <div className="quote-details">
                   <div className="quote-row">
                     <span>Rate</span>
-                    <span>
-                      1 {getTokenSymbol(fromToken)} ={' '}
-                      {(parseFloat(formatAmount(quote.amountOut)) / parseFloat(amount)).toFixed(6)}{' '}
-                      {getTokenSymbol(toToken)}
-                    </span>
+                    <button
+                      className="rate-toggle"
+                      onClick={() => setInvertRate(!invertRate)}
+                      title="Show inverse rate"
+                    >
+                      1 {getTokenSymbol(invertRate ? toToken : fromToken)} ={' '}
+                      {formatRate(
+                        quote.amountIn,
+                        getTokenDecimals(fromToken),
+                        quote.amountOut,
+                        getTokenDecimals(toToken),
+                        { inverse: invertRate }
+                      )}{' '}
+                      {getTokenSymbol(invertRate ? fromToken : toToken)}
+                      <ArrowLeftRight size={14} />
+                    </button>
                   </div>
                   <div className="quote-row">
                     <span>Price Impact</span>
-                    <span style={{ color: parseFloat(quote.priceImpactPct || 0) > 3 ? '#ff4757' : '#2ed573' }}>
+                    <span style={{ color: getImpactGate(quote, swapSettings).level !== 'none' ? '#ff4757' : '#2ed573' }}>
                       {quote.priceImpactPct || 'N/A'}%
                     </span>
                   </div>
+                  <PriceCheck
+                    check={priceGuard.check}
+                    loading={priceGuard.loading}
+                    fromSymbol={getTokenSymbol(fromToken)}
+                    toSymbol={getTokenSymbol(toToken)}
+                  />
                   <div className="quote-row">
-                    <span>Minimum Received</span>
-                    <span>
-                      {formatAmount(quote.otherAmountThreshold)} {getTokenSymbol(toToken)}
-                    </span>
+                    <span>Slippage Tolerance</span>
+                    <span>{formatBps(swapSettings.slippageBps)}</span>
                   </div>
+                  {quote.tradeType === 'EXACT_OUT' ? (
+                    <div className="quote-row">
+                      <span>Maximum Sold</span>
+                      <span>
+                        {formatAmount(quote.otherAmountThreshold, getTokenDecimals(fromToken))}{' '}
+                        {getTokenSymbol(fromToken)}
+                      </span>
+                    </div>
+                  ) : (
+                    <div className="quote-row">
+                      <span>Minimum Received</span>
+                      <span>
+                        {formatAmount(quote.otherAmountThreshold, getTokenDecimals(toToken))}{' '}
+                        {getTokenSymbol(toToken)}
+                      </span>
+                    </div>
+                  )}
                   <div className="quote-row">
                     <span>Platform</span>
                     <span className="platform-name">{quote.platform}</span>
                   </div>
-                  <div className="quote-row">
-                    <span>Network Fee</span>
-                    <span>~$0.001</span>
-                  </div>
+                  {quoteProtocols && (
+                    <div className="quote-row">
+                      <span>Quoting from {quoteProtocols.map(getProtocolName).join(', ')} only</span>
+                      <button className="rate-toggle" onClick={switchToAggregatedRoute}>
+                        Use aggregated route
+                      </button>
+                    </div>
+                  )}
+                  <FeeBreakdown
+                    breakdown={swapFees.breakdown}
+                    estimating={swapFees.estimating}
+                    error={swapFees.error}
+                    fromToken={selectedFromToken}
+                    toToken={selectedToToken}
+                  />
+                  <QuoteRoute
+                    quote={quote}
+                    getTokenSymbol={getTokenSymbol}
+                    formatTokenAmount={(value, address) => formatAmount(value, getTokenDecimals(address))}
+                  />
                 </div>
               )}
 
+              {/* QUOTE FRESHNESS */}
+              {quote && (
+                <div className={`quote-freshness ${isQuoteStale ? 'stale' : ''}`} role="status">
+                  {loadingQuote ? (
+                    <>
+                      <RefreshCw size={14} className="spin" />
+                      Refreshing quote...
+                    </>
+                  ) : isQuoteStale ? (
+                    <>
+                      <AlertCircle size={14} />
+                      Quote expired - refresh to continue
+                    </>
+                  ) : (
+                    <>
+                      <Clock size={14} />
+                      Quote refreshes in {refreshInSeconds}s
+                    </>
+                  )}
+                </div>
+              )}
+
+              {/* PROTOCOL COMPARISON */}
+              {quote && (
+                <button className="compare-btn" onClick={openComparison} disabled={isExecuting}>
+                  <Scale size={14} />
+                  Compare protocols
+                </button>
+              )}
+
+              {/* ACCOUNT-LEVEL PRE-FLIGHT ISSUES */}
+              {renderFieldIssue('reserve')}
+              {renderFieldIssue('quote')}
+
               {/* ACTION BUTTONS */}
               <div className="action-buttons">
                 <button
-                  onClick={fetchQuote}
-                  disabled={!isConnected || loadingQuote || loadingTokens || !amount || !fromToken || !toToken}
+                  onClick={() => fetchQuote({ refresh: Boolean(quote) })}
+                  disabled={!isConnected || loadingQuote || loadingTokens || !requestedAmount || !fromToken || !toToken}
                   className={`get-quote-btn ${
-                    !isConnected || loadingQuote || loadingTokens || !amount || !fromToken || !toToken ? 'disabled' : ''
+                    !isConnected || loadingQuote || loadingTokens || !requestedAmount || !fromToken || !toToken
+                      ? 'disabled'
+                      : ''
                   }`}
                 >
                   {loadingQuote ? (
@@ -603,26 +1287,27 @@ function Home({ publicKey, walletAddress, onBackToLanding }) {
                   ) : (
                     <>
                       <TrendingUp size={20} />
-                      Get Quote
+                      {quote ? 'Refresh Quote' : 'Get Quote'}
                     </>
                   )}
                 </button>
 
                 {quote && (
                   <button
-                    onClick={executeSwap}
-                    disabled={!isConnected || isExecuting}
-                    className={`swap-now-btn ${!isConnected || isExecuting ? 'disabled' : ''}`}
+                    onClick={openReview}
+                    disabled={!isConnected || isExecuting || isQuoteStale}
+                    className={`swap-now-btn ${!isConnected || isExecuting || isQuoteStale ? 'disabled' : ''}`}
+                    title={isQuoteStale ? 'Quote expired - refresh to review' : undefined}
                   >
                     {isExecuting ? (
                       <>
                         <RefreshCw size={20} className="spin" />
-                        Executing...
+                        {TX_STAGE_LABELS[transaction?.stage] || 'Executing...'}
                       </>
                     ) : (
                       <>
                         <CheckCircle size={20} />
-                        Execute Swap
+                        Review Swap
                       </>
                     )}
                   </button>
@@ -633,8 +1318,10 @@ function Home({ publicKey, walletAddress, onBackToLanding }) {
             {/* PLATFORM STATISTICS */}
             <div className="stats-row">
               <div className="stat-mini-card">
-                <div className="stat-value">$0.001</div>
-                <div className="stat-label-mini">Avg Fee</div>
+                <div className="stat-value">
+                  {averageNetworkFee === null ? '-' : `${formatAmount(averageNetworkFee, 7)} XLM`}
+                </div>
+                <div className="stat-label-mini">Your Avg Network Fee</div>
               </div>
               <div className="stat-mini-card">
                 <div className="stat-value">~3s</div>
@@ -648,6 +1335,56 @@ function Home({ publicKey, walletAddress, onBackToLanding }) {
           </div>
         )}
       </div>
+
+      {/* TOKEN PICKER */}
+      <TokenPickerModal
+        isOpen={Boolean(pickerSide)}
+        onClose={closeTokenPicker}
+        onSelect={handleTokenSelect}
+        tokens={tokens}
+        selectedAddress={pickerSide === 'from' ? fromToken : toToken}
+        favorites={favorites}
+        recents={recents}
+        onToggleFavorite={toggleFavorite}
+        onImport={importToken}
+        networkConfig={networkConfig}
+        getBalanceLabel={getBalanceLabel}
+        initialQuery={pickerQuery}
+      />
+
+      {/* PROTOCOL COMPARISON */}
+      {showComparison && selectedFromToken && selectedToToken && (
+        <QuoteComparison
+          rows={comparisonRows}
+          comparing={comparing}
+          error={comparisonError}
+          tradeType={tradeType}
+          fromToken={selectedFromToken}
+          toToken={selectedToToken}
+          feeBps={toQuoteParams(swapSettings).feeBps}
+          disabled={isExecuting}
+          onRefresh={runComparison}
+          onSelect={selectComparisonRow}
+          onClose={closeComparison}
+        />
+      )}
+
+      {/* SWAP REVIEW */}
+      {showReview && quote && selectedFromToken && selectedToToken && (
+        <SwapReviewModal
+          quote={quote}
+          fromToken={selectedFromToken}
+          toToken={selectedToToken}
+          settings={swapSettings}
+          fees={swapFees}
+          priceGuard={priceGuard}
+          isQuoteStale={isQuoteStale}
+          refreshing={loadingQuote}
+          getTokenSymbol={getTokenSymbol}
+          onConfirm={confirmReview}
+          onClose={closeReview}
+        />
+      )}
     </>
   );
 }
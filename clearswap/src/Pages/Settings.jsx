@@ -0,0 +1,46 @@
+/**
+ * SETTINGS.JSX - SWAP SETTINGS PAGE
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * The swap settings panel on its own route (/settings), so it can be
+ * linked to directly. It edits the same per-wallet settings as the panel
+ * on the swap page.
+ */
+
+import React from 'react';
+import SwapSettingsPanel from '../components/SwapSettingsPanel';
+import useSwapSettings from '../hooks/useSwapSettings';
+import './Home.css';
+
+/**
+ * Settings Page
+ *
+ * Edits the connected wallet's settings in the shared store.
+ *
+ * @param {function} onClose - Leaves the settings page
+ */
+const Settings = ({ onClose }) => {
+  const { settings, updateSettings, resetSettings } = useSwapSettings();
+
+  return (
+    <div className="home-container">
+      <div className="swap-container">
+        <div className="swap-card">
+          <div className="swap-header">
+            <h2 className="swap-title">Settings</h2>
+          </div>
+          <SwapSettingsPanel
+            settings={settings}
+            onChange={updateSettings}
+            onReset={resetSettings}
+            onClose={onClose}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
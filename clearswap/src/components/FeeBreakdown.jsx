@@ -0,0 +1,147 @@
+/**
+ * FEEBREAKDOWN.JSX - SWAP FEE BREAKDOWN VIEW
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Shows everything a swap costs inside the quote details: the platform
+ * fee in the output token, each route leg's pool fees, the simulated
+ * network fee (inclusion + resource) and the total effective cost. USD
+ * values appear wherever a price is known. A pool fee that is only
+ * estimated is marked as such and is not in the total.
+ */
+
+import React from 'react';
+import { RefreshCw } from 'lucide-react';
+import { getProtocolName } from '../services/quoteRoute';
+import { ESTIMATED_POOL_FEE_BPS } from '../services/feeBreakdown';
+import { formatBps } from '../services/swapSettings';
+import { formatAmount } from '../utils/amounts';
+import './FeeBreakdown.css';
+
+const usdFormatter = new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency: 'USD',
+  maximumFractionDigits: 2,
+});
+
+const formatUsd = usd => {
+  if (usd == null) return null;
+  return usd > 0 && usd < 0.01 ? '<$0.01' : usdFormatter.format(usd);
+};
+
+/**
+ * One fee line: label, amount and its USD value
+ */
+const FeeRow = ({ label, detail, amount, usd }) => (
+  <div className="fee-row">
+    <span className="fee-label">
+      {label}
+      {detail && <span className="fee-detail">{detail}</span>}
+    </span>
+    <span className="fee-amount">
+      {amount}
+      {formatUsd(usd) && <span className="fee-usd">{formatUsd(usd)}</span>}
+    </span>
+  </div>
+);
+
+/**
+ * How a route leg's pool fee adds up
+ */
+const describePoolFee = (leg, split) => {
+  const share = split ? ` on ${leg.percent}%` : '';
+  if (leg.estimated) return `estimate, ~${formatBps(ESTIMATED_POOL_FEE_BPS)} per unknown pool${share}`;
+  if (leg.hopBps.every(bps => bps === 0)) return 'order book, in the price';
+  const hops = leg.hopBps.every(bps => bps === leg.hopBps[0])
+    ? `${formatBps(leg.hopBps[0])} × ${leg.hops} hop${leg.hops > 1 ? 's' : ''}`
+    : leg.hopBps.map(formatBps).join(' + ');
+  return `${hops}${share}`;
+};
+
+/**
+ * Fee Breakdown
+ *
+ * @param {import('../services/feeBreakdown').FeeBreakdown} breakdown
+ * @param {boolean} estimating - Network fee simulation in flight
+ * @param {string} error - Why the network fee is unavailable
+ * @param {Object} fromToken - Input token (pool fees are in it)
+ * @param {Object} toToken - Output token (the platform fee is in it)
+ */
+const FeeBreakdown = ({ breakdown, estimating, error, fromToken, toToken }) => {
+  if (!breakdown) return null;
+  const { platform, pools, network } = breakdown;
+  const excluded = [
+    ...(network?.bps == null ? ['network fee'] : []),
+    ...(pools.some(leg => leg.estimated) ? ['estimated pool fees'] : []),
+  ];
+
+  const renderNetworkFee = () => {
+    if (network) {
+      return (
+        <FeeRow
+          label="Network fee"
+          detail={
+            network.classic
+              ? 'classic transaction fee'
+              : `${formatAmount(network.inclusionFee, 7)} inclusion + ${formatAmount(network.resourceFee, 7)} resources`
+          }
+          amount={`${formatAmount(network.total, 7)} XLM`}
+          usd={network.usd}
+        />
+      );
+    }
+    return (
+      <FeeRow
+        label="Network fee"
+        amount={
+          estimating ? (
+            <span className="fee-pending">
+              <RefreshCw size={12} className="spin" /> Simulating...
+            </span>
+          ) : (
+            <span className="fee-pending">{error || 'Unavailable'}</span>
+          )
+        }
+      />
+    );
+  };
+
+  return (
+    <div className="fee-breakdown">
+      <div className="fee-breakdown-title">Fees</div>
+
+      <FeeRow
+        label="Platform fee"
+        detail={formatBps(platform.bps)}
+        amount={`${formatAmount(platform.amount, toToken.decimals)} ${toToken.symbol}`}
+        usd={platform.usd}
+      />
+
+      {pools.map((leg, i) => (
+        <FeeRow
+          key={`${leg.protocol}-${i}`}
+          label={`${getProtocolName(leg.protocol)} pool fee`}
+          detail={describePoolFee(leg, pools.length > 1)}
+          amount={`${leg.estimated ? '~' : ''}${formatAmount(leg.amount, fromToken.decimals)} ${fromToken.symbol}`}
+          usd={leg.usd}
+        />
+      ))}
+
+      {renderNetworkFee()}
+
+      <div className="fee-row fee-total">
+        <span className="fee-label">
+          Total cost
+          {!breakdown.complete && <span className="fee-detail">excl. {excluded.join(' and ')}</span>}
+        </span>
+        <span className="fee-amount">
+          {formatBps(breakdown.totalBps)}
+          {formatUsd(breakdown.totalUsd) && <span className="fee-usd">{formatUsd(breakdown.totalUsd)}</span>}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default FeeBreakdown;
@@ -8,19 +8,20 @@
  * COMPONENT PURPOSE:
  * This component serves as the primary navigation interface and wallet connection
  * handler for the ClearSwap application. It provides seamless integration with
- * Albedo wallet and manages user authentication state across the entire app.
+ * Stellar wallets (Freighter, xBull, LOBSTR, Albedo) through a shared adapter
+ * layer and manages user authentication state across the entire app.
  * 
  * KEY FEATURES IMPLEMENTED:
- *  Albedo Wallet Integration - Secure connection with user consent
- *  Smooth Scroll Navigation - Intelligent section scrolling with view management
+ *  Multi-Wallet Integration - Secure connection with user consent
+ *  Smooth Scroll Navigation - Section links (/#about...) scroll once the landing page renders
  *  Responsive Design - Mobile-friendly navigation with collapsible menu
  *  Wallet State Management - Connected/disconnected state handling
  *  User Experience Optimization - Clear feedback and error handling
  *  Security Validation - Proper wallet extension detection
- *  Cross-View Navigation - Seamless navigation between landing and swap views
+ *  Cross-View Navigation - Router links to the swap, analytics, history and settings pages
  * 
  * STELLAR WALLET INTEGRATION:
- * - Albedo wallet connector for Stellar network
+ * - Wallet adapters for Freighter, xBull, LOBSTR and Albedo (src/wallets)
  * - Public key extraction and validation
  * - Secure authentication token handling
  * - User consent flow with clear messaging
@@ -56,8 +57,16 @@
  * 
  */
 
-import React from 'react';
+import React, { useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { Wallet, Zap } from 'lucide-react';
+import { NETWORKS } from '../config/networks';
+import { WalletNotAvailableError, WalletRejectedError } from '../wallets/walletErrors';
+import WalletPickerModal from './WalletPickerModal';
+import useNotifications from '../hooks/useNotifications';
+import useStore from '../hooks/useStore';
+import { networkChanged, walletConnected } from '../store/actions';
+import { selectNetwork, selectNetworkConfig, selectPublicKey } from '../store/selectors';
 import './Navbar.css';
 
 /**
@@ -67,131 +76,103 @@ import './Navbar.css';
  * Serves as the persistent header across all application views with intelligent
  * navigation and state management.
  * 
+ * The connected wallet and selected network come from the shared store;
+ * connecting a wallet or picking a network updates it directly.
+ * 
  * PROPS:
- * @param {string} walletAddress - Current connected wallet address (if any)
- * @param {function} setWalletAddress - State setter for wallet address
- * @param {function} setPublicKey - State setter for Stellar public key
  * @param {function} onDisconnect - Callback for wallet disconnection
- * @param {function} onViewChange - Callback for view navigation
- * @param {string} currentView - Current application view ('landing' or 'swap')
  * 
  * FEATURES:
- * - Albedo wallet integration with secure connection flow
+ * - Multi-wallet connection (Freighter, xBull, LOBSTR, Albedo) via a picker
  * - Intelligent navigation with smooth scrolling
  * - Responsive design for mobile and desktop
  * - Clear wallet connection status display
  * - Error handling with user-friendly messages
  */
-const Navbar = ({
-  walletAddress,
-  setWalletAddress,
-  setPublicKey,
-  onDisconnect,
-  onViewChange,
-  currentView,
-}) => {
+const Navbar = ({ onDisconnect }) => {
+
+  const [showWalletPicker, setShowWalletPicker] = useState(false); // Wallet picker visibility
+  const [connectingId, setConnectingId] = useState(null); // Wallet currently connecting
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { success, info, warning, error } = useNotifications();
+  const { state, dispatch } = useStore();
+  const walletAddress = selectPublicKey(state); // Connected wallet address (if any)
+  const network = selectNetwork(state); // 'mainnet' or 'testnet'
+  const networkConfig = selectNetworkConfig(state);
+  const onLanding = location.pathname === '/';
   
   // NAVIGATION FUNCTIONS
   
   /**
-   * Intelligent Section Scrolling
+   * Section Navigation
    * 
-   * Handles smooth scrolling to landing page sections with cross-view navigation.
-   * If user is on swap view, first navigates back to landing then scrolls.
-   * 
-   * FLOW:
-   * 1. Check current view
-   * 2. If on swap view: Navigate to landing first
-   * 3. Wait for view transition, then scroll to target section
-   * 4. If already on landing: Scroll immediately
+   * Navigates to a landing page section as a URL hash (/#about). The
+   * landing page scrolls to the section once it has rendered, so this
+   * works the same from any route and from browser back/forward.
    * 
    * @param {string} id - Target section ID to scroll to
    */
   const scrollToSection = (id) => {
-    if (currentView !== 'landing') {
-      // Switch to landing view first
-      onViewChange('landing');
-      
-      // Wait for view transition then scroll
-      setTimeout(() => {
-        const section = document.getElementById(id);
-        if (section) {
-          section.scrollIntoView({ behavior: 'smooth' });
-        }
-      }, 100); // Brief delay for view rendering
-    } else {
-      // Already on landing - scroll immediately
-      const section = document.getElementById(id);
-      if (section) {
-        section.scrollIntoView({ behavior: 'smooth' });
-      }
-    }
+    navigate({ pathname: '/', hash: `#${id}` });
   };
 
 
   // WALLET INTEGRATION FUNCTIONS
   
   /**
-   * Albedo Wallet Connection Handler
-   * 
-   * Manages the complete wallet connection flow with comprehensive error handling
-   * and user feedback. Integrates with Albedo wallet extension for Stellar network.
+   * Opens the wallet picker
+   */
+  const handleConnectClick = () => {
+    setShowWalletPicker(true);
+  };
+
+  /**
+   * Wallet Connection Handler
    * 
-   * SECURITY FEATURES:
-   * - Wallet extension detection before connection attempt
-   * - User consent validation through Albedo popup
-   * - Public key extraction and validation
-   * - Clear error messaging for all failure scenarios
-   * - Automatic view navigation after successful connection
+   * Connects the wallet chosen in the picker through its adapter, so every
+   * provider goes through the same flow and error handling.
    * 
    * FLOW:
-   * 1. Check for Albedo wallet extension availability
-   * 2. Request public key with authentication token
-   * 3. Validate response and extract public key
-   * 4. Update application state with wallet information
-   * 5. Navigate to swap interface automatically
-   * 6. Provide clear success/error feedback
+   * 1. Ask the adapter to connect (opens the wallet's own consent prompt)
+   * 2. Update application state with the key and the adapter used
+   * 3. Navigate to swap interface automatically
+   * 4. Provide clear success/error feedback
+   * 
+   * @param {import('../wallets/walletAdapter').WalletAdapter} adapter - Wallet chosen by the user
    */
-  const handleConnectClick = async () => {
-    try {
-      // STEP 1: Wallet Extension Detection
-      if (!window.albedo) {
-        alert('Albedo wallet extension is not installed. Please install it to connect your wallet.');
-        return;
-      }
+  const handleWalletSelect = async (adapter) => {
+    setConnectingId(adapter.id);
 
-      // STEP 2: Request Wallet Connection
-      // Opens Albedo popup for user confirmation to connect wallet
-      const response = await window.albedo.publicKey({ 
-        token: "auth" // Authentication token for secure connection
+    try {
+      const pubkey = await adapter.connect({
+        networkPassphrase: networkConfig.passphrase,
       });
-      
-      // STEP 3: Validate Connection Response
-      if (response && response.pubkey) {
-        // Connection successful - update application state
-        setWalletAddress(response.pubkey);
-        setPublicKey(response.pubkey);
-        
-        // STEP 4: User Feedback & Navigation
-        alert(`Wallet connected successfully! You can now start trading.`);
-        
-        // Automatically switch to swap view after successful connection
-        if (currentView === 'landing') {
-          onViewChange('swap');
-        }
+
+      // Connection successful - update application state
+      dispatch(walletConnected(adapter, pubkey));
+      setShowWalletPicker(false);
+
+      success(`${adapter.name} connected successfully! You can now start trading.`);
+
+      // Automatically switch to swap view after successful connection
+      if (onLanding) {
+        navigate('/swap');
       }
-      
     } catch (err) {
       console.error("Connection failed or cancelled:", err);
-      
-      // STEP 5: Comprehensive Error Handling
-      if (err.message && err.message.includes('User rejected')) {
+
+      if (err instanceof WalletRejectedError) {
         // User cancelled connection - non-intrusive message
-        alert("Connection was cancelled by user.");
+        info("Connection was cancelled by user.");
+      } else if (err instanceof WalletNotAvailableError) {
+        warning(err.message, { action: adapter.url && { label: `Get ${adapter.name}`, href: adapter.url } });
       } else {
         // Technical error - provide helpful guidance
-        alert("Connection failed. Please make sure Albedo wallet is installed and try again.");
+        error(`Connection failed. Please make sure ${adapter.name} is installed and unlocked, then try again.`);
       }
+    } finally {
+      setConnectingId(null);
     }
   };
 
@@ -249,6 +230,34 @@ const Navbar = ({
             How It Works
           </button>
         </li>
+        <li>
+          <button
+            className="nav-link"
+            onClick={() => navigate('/analytics')}
+            aria-label="Open market analytics"
+          >
+            Analytics
+          </button>
+        </li>
+        {walletAddress && (
+          <>
+            <li>
+              <button className="nav-link" onClick={() => navigate('/swap')} aria-label="Open the swap interface">
+                Swap
+              </button>
+            </li>
+            <li>
+              <button className="nav-link" onClick={() => navigate('/history')} aria-label="Open transaction history">
+                History
+              </button>
+            </li>
+            <li>
+              <button className="nav-link" onClick={() => navigate('/settings')} aria-label="Open swap settings">
+                Settings
+              </button>
+            </li>
+          </>
+        )}
         <li>
           <button 
             className="nav-link" 
@@ -260,16 +269,30 @@ const Navbar = ({
         </li>
       </ul>
 
-      {/* WALLET CONNECTION SECTION */}
-      <div>
+      {/* NETWORK SELECTOR & WALLET CONNECTION SECTION */}
+      <div className="nav-actions">
+        <select
+          className={`network-select ${network === 'testnet' ? 'testnet' : ''}`}
+          value={network}
+          onChange={e => dispatch(networkChanged(e.target.value))}
+          aria-label="Select Stellar network"
+          title="Stellar network used for quotes, balances and signing"
+        >
+          {Object.values(NETWORKS).map(({ id, label }) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+
         {walletAddress ? (
           // CONNECTED STATE: Show wallet info and navigation options
           <div className="wallet-connected">
-            {/* Back to Landing Button (only shown on swap view) */}
-            {currentView === 'swap' && (
+            {/* Back to Landing Button (only shown inside the app views) */}
+            {!onLanding && (
               <button
                 className="back-to-landing-btn"
-                onClick={() => onViewChange('landing')}
+                onClick={() => navigate('/')}
                 aria-label="Return to home page"
               >
                 Back to Home
@@ -300,6 +323,13 @@ const Navbar = ({
           </button>
         )}
       </div>
+
+      <WalletPickerModal
+        isOpen={showWalletPicker}
+        onClose={() => setShowWalletPicker(false)}
+        onSelect={handleWalletSelect}
+        connectingId={connectingId}
+      />
     </nav>
   );
 };
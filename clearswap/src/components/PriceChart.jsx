@@ -0,0 +1,59 @@
+/**
+ * PRICECHART.JSX - OHLC CANDLESTICK CHART
+ *
+ * Draws price candles as a plain SVG, scaled to the candles' own high and
+ * low. Rising candles are green, falling ones red.
+ */
+
+import React from 'react';
+import './PriceChart.css';
+
+const WIDTH = 600;
+const HEIGHT = 240;
+const PADDING = 8;
+
+/**
+ * @param {Array<import('../services/analytics').Candle>} candles - Oldest first
+ * @param {function(number): string} formatPrice - Axis label formatter
+ */
+const PriceChart = ({ candles, formatPrice }) => {
+  if (candles.length === 0) return null;
+
+  const high = Math.max(...candles.map(c => c.high));
+  const low = Math.min(...candles.map(c => c.low));
+  const range = high - low || high * 0.01 || 1; // Flat series still get some height
+  const y = price => PADDING + ((high - price) / range) * (HEIGHT - PADDING * 2);
+
+  const slot = WIDTH / candles.length;
+  const bodyWidth = Math.max(1, Math.min(16, slot * 0.6));
+
+  return (
+    <div className="price-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" role="img" aria-label="Price chart">
+        {candles.map((candle, i) => {
+          const x = slot * i + slot / 2;
+          const rising = candle.close >= candle.open;
+          const top = y(Math.max(candle.open, candle.close));
+          const bottom = y(Math.min(candle.open, candle.close));
+          return (
+            <g key={candle.time} className={rising ? 'candle-up' : 'candle-down'}>
+              <title>
+                {`${new Date(candle.time).toLocaleString()}  O ${formatPrice(candle.open)}  H ${formatPrice(
+                  candle.high
+                )}  L ${formatPrice(candle.low)}  C ${formatPrice(candle.close)}`}
+              </title>
+              <line x1={x} x2={x} y1={y(candle.high)} y2={y(candle.low)} />
+              <rect x={x - bodyWidth / 2} y={top} width={bodyWidth} height={Math.max(1, bottom - top)} />
+            </g>
+          );
+        })}
+      </svg>
+      <div className="price-chart-axis">
+        <span>{formatPrice(high)}</span>
+        <span>{formatPrice(low)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default PriceChart;
@@ -0,0 +1,72 @@
+/**
+ * PRICECHECK.JSX - REFERENCE PRICE CHECK VIEW
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Shows the independent reference price next to a quote (Reflector
+ * oracle or SDEX order book, see services/priceGuard.js), how far the
+ * quote deviates from it, and why the swap is warned about or blocked.
+ */
+
+import React from 'react';
+import { AlertCircle, RefreshCw, ShieldCheck } from 'lucide-react';
+import { formatBps } from '../services/swapSettings';
+import './PriceCheck.css';
+
+const formatPrice = price => price.toLocaleString(undefined, { maximumSignificantDigits: 6 });
+
+/**
+ * Price Check
+ *
+ * @param {import('../services/priceGuard').PriceCheck|null} check
+ * @param {boolean} loading - First reference price for the pair still loading
+ * @param {string} fromSymbol
+ * @param {string} toSymbol
+ */
+const PriceCheck = ({ check, loading, fromSymbol, toSymbol }) => {
+  if (loading || !check) {
+    return (
+      <div className="price-check">
+        <div className="price-check-row">
+          <span>Reference Price</span>
+          <span className="price-check-pending">
+            <RefreshCw size={12} className="spin" /> Checking...
+          </span>
+        </div>
+      </div>
+    );
+  }
+
+  const { level, reference, deviationBps, message } = check;
+  const deviationLabel =
+    deviationBps === null ? '' : deviationBps > 0 ? `${formatBps(deviationBps)} worse` : `${formatBps(-deviationBps)} better`;
+
+  return (
+    <div className={`price-check price-check-${level}`}>
+      <div className="price-check-row">
+        <span className="price-check-label">
+          Reference Price
+          {reference && <span className="price-check-source">{reference.sourceName}</span>}
+        </span>
+        {reference ? (
+          <span className="price-check-value">
+            1 {fromSymbol} = {formatPrice(reference.price)} {toSymbol}
+            <span className="price-check-deviation">
+              {level === 'ok' && <ShieldCheck size={12} />} Quote {deviationLabel}
+            </span>
+          </span>
+        ) : (
+          <span className="price-check-pending">Unavailable</span>
+        )}
+      </div>
+      {(level === 'warn' || level === 'blocked') && (
+        <div className={level === 'blocked' ? 'field-error' : 'field-warning'} role={level === 'blocked' ? 'alert' : 'status'}>
+          <AlertCircle size={14} /> {message}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PriceCheck;
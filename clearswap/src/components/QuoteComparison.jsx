@@ -0,0 +1,195 @@
+/**
+ * QUOTECOMPARISON.JSX - PER-PROTOCOL QUOTE COMPARISON DIALOG
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * The same trade quoted by each protocol alone and by the aggregated
+ * route (see services/quoteComparison.js), side by side: amount, how far
+ * behind the best it is, price impact, fees and route hops. The best row
+ * is highlighted, the gain from aggregating is stated, and any row with a
+ * quote can be taken to the swap review.
+ */
+
+import React, { useEffect } from 'react';
+import { X, RefreshCw, Trophy } from 'lucide-react';
+import { formatAmount } from '../utils/amounts';
+import { formatBps } from '../services/swapSettings';
+import {
+  AGGREGATED_ID,
+  getBestRowId,
+  getShortfallBps,
+  summariseQuote,
+} from '../services/quoteComparison';
+import './QuoteComparison.css';
+
+/**
+ * Quote Comparison
+ *
+ * @param {Array<import('../services/quoteComparison').ComparisonRow>} rows
+ * @param {boolean} comparing - Quotes in flight
+ * @param {string} error - Why the comparison failed as a whole
+ * @param {'EXACT_IN'|'EXACT_OUT'} tradeType
+ * @param {Object} fromToken - Token sold ({ address, symbol, decimals })
+ * @param {Object} toToken - Token bought
+ * @param {number} feeBps - Platform fee the quotes were requested with
+ * @param {boolean} disabled - A swap is executing
+ * @param {function} onRefresh - Runs the comparison again
+ * @param {function} onSelect - Called with the row to execute
+ * @param {function} onClose - Dismisses the dialog
+ */
+const QuoteComparison = ({
+  rows,
+  comparing,
+  error,
+  tradeType,
+  fromToken,
+  toToken,
+  feeBps,
+  disabled,
+  onRefresh,
+  onSelect,
+  onClose,
+}) => {
+  // Close on Escape
+  useEffect(() => {
+    const onKeyDown = e => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const isExactOut = tradeType === 'EXACT_OUT';
+  const bestId = getBestRowId(rows, tradeType);
+  const best = rows.find(row => row.id === bestId);
+
+  // What aggregating gains over the best protocol on its own
+  const aggregated = rows.find(row => row.id === AGGREGATED_ID);
+  const bestSingle = rows.find(row => row.id === getBestRowId(rows.filter(r => r.id !== AGGREGATED_ID), tradeType));
+  const aggregationGainBps = aggregated?.quote && bestSingle ? getShortfallBps(bestSingle, aggregated, tradeType) : null;
+
+  const describeAggregationGain = () => {
+    if (aggregationGainBps > 0) {
+      return `Aggregation gets ${formatBps(aggregationGainBps)} ${isExactOut ? 'cheaper' : 'more'} than the best single protocol (${bestSingle.name}).`;
+    }
+    if (aggregationGainBps === 0) return `${bestSingle.name} alone matches the aggregated route for this trade.`;
+    return `${bestSingle.name} alone beats the aggregated route by ${formatBps(-aggregationGainBps)} for this trade.`;
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="wallet-modal comparison-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="comparison-modal-title"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="wallet-modal-header">
+          <h2 id="comparison-modal-title">Compare Protocols</h2>
+          <div className="comparison-header-actions">
+            <button className="modal-close" onClick={onRefresh} disabled={comparing} aria-label="Refresh quotes">
+              <RefreshCw size={20} className={comparing ? 'spin' : ''} />
+            </button>
+            <button className="modal-close" onClick={onClose} aria-label="Close comparison">
+              <X size={20} />
+            </button>
+          </div>
+        </div>
+
+        <p className="comparison-subtitle">
+          The same {fromToken.symbol} to {toToken.symbol} trade, quoted by each protocol alone and by the aggregated
+          route.
+        </p>
+
+        {error && <div className="field-error">{error}</div>}
+
+        {rows.length === 0 && comparing ? (
+          <div className="comparison-loading">
+            <RefreshCw size={16} className="spin" /> Requesting quotes...
+          </div>
+        ) : (
+          rows.length > 0 && (
+            <div className="comparison-table-wrap">
+              <table className="comparison-table">
+                <thead>
+                  <tr>
+                    <th>Source</th>
+                    <th>{isExactOut ? `You pay (${fromToken.symbol})` : `You receive (${toToken.symbol})`}</th>
+                    <th>vs Best</th>
+                    <th>Impact</th>
+                    <th>Fees</th>
+                    <th>Hops</th>
+                    <th aria-label="Actions" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => {
+                    if (!row.quote) {
+                      return (
+                        <tr key={row.id} className="comparison-row-empty">
+                          <td>{row.name}</td>
+                          <td colSpan={6} title={row.error}>
+                            No quote
+                          </td>
+                        </tr>
+                      );
+                    }
+
+                    const summary = summariseQuote(row.quote, { feeBps, fromToken, toToken });
+                    const shortfall = getShortfallBps(row, best, tradeType);
+                    const isBest = row.id === bestId;
+                    return (
+                      <tr key={row.id} className={isBest ? 'comparison-row-best' : ''}>
+                        <td>
+                          {row.name}
+                          {isBest && (
+                            <span className="comparison-best">
+                              <Trophy size={12} /> Best
+                            </span>
+                          )}
+                        </td>
+                        <td>
+                          {isExactOut
+                            ? formatAmount(summary.amountIn, fromToken.decimals)
+                            : formatAmount(summary.amountOut, toToken.decimals)}
+                        </td>
+                        <td className={shortfall > 0 ? 'comparison-worse' : ''}>
+                          {isBest ? '-' : `-${formatBps(shortfall)}`}
+                        </td>
+                        <td>{summary.impactBps === null ? 'N/A' : formatBps(summary.impactBps)}</td>
+                        <td>{formatBps(summary.feeBps)}</td>
+                        <td>
+                          {summary.hops}
+                          {summary.legs > 1 && <span className="comparison-detail"> in {summary.legs} legs</span>}
+                        </td>
+                        <td>
+                          <button className="comparison-swap" onClick={() => onSelect(row)} disabled={disabled || comparing}>
+                            Swap
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )
+        )}
+
+        {aggregationGainBps !== null && !comparing && (
+          <div className="comparison-summary" role="status">
+            {describeAggregationGain()}
+          </div>
+        )}
+
+        <p className="comparison-note">
+          Fees are the platform and pool fees; the network fee is about the same for every row.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default QuoteComparison;
@@ -0,0 +1,75 @@
+/**
+ * QUOTEROUTE.JSX - QUOTE ROUTE VIEW
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Shows where an order is going: one row per leg with the protocol, its
+ * share of the order, every hop token by token and the leg's expected
+ * output. Amounts the API did not report per leg are marked "≈".
+ */
+
+import React from 'react';
+import { ChevronRight } from 'lucide-react';
+import { getProtocolName, getQuoteRoute } from '../services/quoteRoute';
+import './QuoteRoute.css';
+
+/**
+ * Quote Route
+ *
+ * @param {Object} quote - Soroswap quote response
+ * @param {function} getTokenSymbol - Maps a contract address to its symbol
+ * @param {function} formatTokenAmount - Formats base units of a token: (amount, address) => string
+ */
+const QuoteRoute = ({ quote, getTokenSymbol, formatTokenAmount }) => {
+  const legs = getQuoteRoute(quote);
+  if (legs.length === 0) return null;
+
+  return (
+    <div className="quote-route">
+      <div className="quote-route-title">
+        Route {legs.length > 1 && <span>split across {legs.length} legs</span>}
+      </div>
+
+      {legs.map((leg, i) => {
+        const tokenOut = leg.path[leg.path.length - 1];
+        return (
+          <div className="route-leg" key={`${leg.protocol}-${i}`}>
+            <div className="route-leg-header">
+              <span className="route-protocol">{getProtocolName(leg.protocol)}</span>
+              <span className="route-percent">{leg.percent}%</span>
+            </div>
+
+            <div className="route-bar" aria-hidden="true">
+              <div className="route-bar-fill" style={{ width: `${leg.percent}%` }} />
+            </div>
+
+            <div className="route-path">
+              {leg.path.map((address, hop) => (
+                <React.Fragment key={`${address}-${hop}`}>
+                  {hop > 0 && <ChevronRight size={14} className="route-arrow" />}
+                  <span className="route-token" title={address}>
+                    {getTokenSymbol(address)}
+                  </span>
+                </React.Fragment>
+              ))}
+            </div>
+
+            <div className="route-amounts">
+              <span>
+                {leg.estimated && '≈ '}
+                {formatTokenAmount(leg.amountIn, leg.path[0])} {getTokenSymbol(leg.path[0])}
+              </span>
+              <span>
+                {leg.estimated && '≈ '}
+                {formatTokenAmount(leg.amountOut, tokenOut)} {getTokenSymbol(tokenOut)}
+              </span>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default QuoteRoute;
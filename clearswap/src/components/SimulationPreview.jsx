@@ -0,0 +1,154 @@
+/**
+ * SIMULATIONPREVIEW.JSX - PRE-SIGNING SIMULATION REVIEW
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * What the built transaction will do, from its Soroban RPC simulation,
+ * shown in the transaction modal before the wallet is asked to sign:
+ * - Exact balance changes of the connected account per asset
+ * - Network fee (inclusion + resource fee)
+ * - Resource footprint: instructions, bytes and ledger entries
+ * - Every authorization the transaction carries and who signs it
+ *
+ * A classic path payment (SDEX route) is not simulated: it shows the
+ * amounts its operations send and receive, within the slippage limit,
+ * and the envelope's fee.
+ */
+
+import React from 'react';
+import { ArrowDownLeft, ArrowUpRight, KeyRound } from 'lucide-react';
+import useStore from '../hooks/useStore';
+import { selectPublicKey } from '../store/selectors';
+import { formatAmount } from '../utils/amounts';
+import './SimulationPreview.css';
+
+const shorten = address => `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+
+const BOUND_LABELS = { min: 'at least ', max: 'at most ' };
+
+const formatBytes = bytes => (bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`);
+
+/**
+ * Simulation Preview
+ *
+ * @param {import('../services/txSimulation').TransactionSimulation} simulation
+ * @param {Array<{ symbol: string, decimals: number }>} tokens - Token of each balance change, same order
+ */
+const SimulationPreview = ({ simulation, tokens = [] }) => {
+  const { state } = useStore();
+  const account = selectPublicKey(state);
+  const { balanceChanges, fees, resources, auth, classic } = simulation;
+
+  const describeSigner = signer => {
+    if (!signer) return 'Covered by your transaction signature';
+    return signer === account ? 'Signed by your account' : `Signed by ${shorten(signer)}`;
+  };
+
+  return (
+    <div className="sim-preview">
+      {/* BALANCE CHANGES */}
+      <div className="sim-section">
+        <div className="sim-section-title">Balance changes</div>
+        {balanceChanges.length === 0 ? (
+          <div className="sim-empty">No token balance changes for your account.</div>
+        ) : (
+          balanceChanges.map((change, i) => {
+            const token = tokens[i] || { symbol: shorten(change.contractId), decimals: 7 };
+            const received = change.amount > 0n;
+            return (
+              <div key={change.contractId} className={`sim-change ${received ? 'sim-in' : 'sim-out'}`}>
+                {received ? <ArrowDownLeft size={14} /> : <ArrowUpRight size={14} />}
+                <span className="sim-change-amount">
+                  {change.bound && <span className="sim-detail">{BOUND_LABELS[change.bound]}</span>}
+                  {received ? '+' : '-'}
+                  {formatAmount(received ? change.amount : -change.amount, token.decimals)} {token.symbol}
+                </span>
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      {/* FEES AND RESOURCES */}
+      <div className="sim-section">
+        <div className="sim-section-title">{classic ? 'Network fee' : 'Network fee and resources'}</div>
+        <div className="sim-row">
+          <span>Network fee</span>
+          <span>{formatAmount(fees.inclusionFee + fees.resourceFee, 7)} XLM</span>
+        </div>
+        {resources && (
+          <>
+            <div className="sim-row sim-detail">
+              <span>Inclusion / resource fee</span>
+              <span>
+                {formatAmount(fees.inclusionFee, 7)} / {formatAmount(fees.resourceFee, 7)} XLM
+              </span>
+            </div>
+            <div className="sim-row sim-detail">
+              <span>CPU instructions</span>
+              <span>{resources.instructions.toLocaleString()}</span>
+            </div>
+            <div className="sim-row sim-detail">
+              <span>Ledger entries read / written</span>
+              <span>
+                {resources.readEntries + resources.writeEntries} / {resources.writeEntries}
+              </span>
+            </div>
+            <div className="sim-row sim-detail">
+              <span>Data read / written</span>
+              <span>
+                {formatBytes(resources.readBytes)} / {formatBytes(resources.writeBytes)}
+              </span>
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* AUTHORIZATIONS */}
+      {!classic && (
+        <div className="sim-section">
+          <div className="sim-section-title">Authorizations</div>
+          {auth.length === 0 ? (
+            <div className="sim-empty">No contract authorizations required.</div>
+          ) : (
+            auth.map((entry, i) => (
+              <div key={`${entry.contractId}-${entry.functionName}-${i}`} className="sim-auth">
+                <KeyRound size={14} />
+                <div>
+                  <div className="sim-auth-call">
+                    {entry.functionName}
+                    {entry.contractId && <span title={entry.contractId}> on {shorten(entry.contractId)}</span>}
+                    {entry.subInvocations > 0 && (
+                      <span className="sim-detail">
+                        {' '}
+                        + {entry.subInvocations} nested call{entry.subInvocations > 1 ? 's' : ''}
+                      </span>
+                    )}
+                  </div>
+                  <div className="sim-detail">{describeSigner(entry.signer)}</div>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
+      <div className="sim-note">
+        {classic ? (
+          <>
+            Classic SDEX path payment, read from the transaction rather than simulated. The order book can still move
+            before it lands; your slippage limit still applies.
+          </>
+        ) : (
+          <>
+            Simulated against ledger {simulation.latestLedger}. Pool prices can still move before the transaction lands;
+            your slippage limit still applies.
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SimulationPreview;
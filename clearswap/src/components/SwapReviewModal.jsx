@@ -0,0 +1,237 @@
+/**
+ * SWAPREVIEWMODAL.JSX - SWAP REVIEW DIALOG
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * The last look at a swap before it runs: final amounts, the minimum
+ * received (or maximum sold), rate, price impact, fees and route. The
+ * quote keeps refreshing underneath; a new price has to be accepted before
+ * the swap can be confirmed. High price impact needs the confirmation
+ * phrase typed, and impact above the hard limit blocks the swap unless
+ * expert mode is on (see services/swapReview.js). So does a quote too far
+ * below the independent reference price (see services/priceGuard.js).
+ *
+ * Mounted only while open, so every review starts from the quote shown
+ * when the user clicked "Review Swap".
+ */
+
+import React, { useEffect, useState } from 'react';
+import { X, AlertTriangle, ArrowDown, RefreshCw, ShieldAlert } from 'lucide-react';
+import { formatAmount, formatRate } from '../utils/amounts';
+import { formatBps } from '../services/swapSettings';
+import { CONFIRM_PHRASE, getImpactGate, getPriceChange, isConfirmPhrase } from '../services/swapReview';
+import FeeBreakdown from './FeeBreakdown';
+import PriceCheck from './PriceCheck';
+import QuoteRoute from './QuoteRoute';
+import './SwapReviewModal.css';
+
+/**
+ * Swap Review Modal
+ *
+ * @param {Object} quote - Latest quote for the form's inputs
+ * @param {Object} fromToken - Token sold ({ address, symbol, decimals })
+ * @param {Object} toToken - Token bought
+ * @param {import('../services/swapSettings').SwapSettings} settings
+ * @param {Object} fees - useSwapFees() result: { breakdown, estimating, error }
+ * @param {Object} priceGuard - usePriceGuard() result: { check, loading }
+ * @param {boolean} isQuoteStale - The quote is too old to execute
+ * @param {boolean} refreshing - A quote refresh is in flight
+ * @param {function} getTokenSymbol - Maps a contract address to its symbol
+ * @param {function} onConfirm - Runs the swap with the current quote
+ * @param {function} onClose - Dismisses the review
+ */
+const SwapReviewModal = ({
+  quote,
+  fromToken,
+  toToken,
+  settings,
+  fees,
+  priceGuard,
+  isQuoteStale,
+  refreshing,
+  getTokenSymbol,
+  onConfirm,
+  onClose,
+}) => {
+  const [acceptedQuote, setAcceptedQuote] = useState(quote); // Price the user agreed to
+  const [phrase, setPhrase] = useState(''); // Typed confirmation for high impact
+
+  // Close on Escape
+  useEffect(() => {
+    const onKeyDown = e => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const priceChange = getPriceChange(acceptedQuote, quote);
+  const gate = getImpactGate(quote, settings);
+  const isExactOut = quote.tradeType === 'EXACT_OUT';
+  const formatTokenAmount = (value, address) =>
+    formatAmount(value, address === fromToken.address ? fromToken.decimals : toToken.decimals);
+
+  // Why the swap cannot be confirmed yet; empty when it can
+  const getBlockedReason = () => {
+    if (isQuoteStale) return 'Quote expired - waiting for a fresh price';
+    if (priceChange) return 'Accept the new price to continue';
+    if (gate.level === 'blocked') return 'Price impact is above the limit';
+    if (priceGuard.loading) return 'Checking the reference price';
+    if (priceGuard.check?.level === 'blocked') return 'The quote is too far below the reference price';
+    if (gate.level === 'confirm' && !isConfirmPhrase(phrase)) return `Type ${CONFIRM_PHRASE} to continue`;
+    return '';
+  };
+  const blockedReason = getBlockedReason();
+
+  const changedToken = priceChange?.field === 'amountIn' ? fromToken : toToken;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="wallet-modal review-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="review-modal-title"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="wallet-modal-header">
+          <h2 id="review-modal-title">Review Swap</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close swap review">
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* FINAL AMOUNTS */}
+        <div className="review-amounts">
+          <div className="review-amount">
+            <span className="review-amount-label">You pay{isExactOut && ' (estimated)'}</span>
+            <span className="review-amount-value">
+              {formatAmount(quote.amountIn, fromToken.decimals)} {fromToken.symbol}
+            </span>
+          </div>
+          <ArrowDown size={16} className="review-amount-arrow" />
+          <div className="review-amount">
+            <span className="review-amount-label">You receive{!isExactOut && ' (estimated)'}</span>
+            <span className="review-amount-value">
+              {formatAmount(quote.amountOut, toToken.decimals)} {toToken.symbol}
+            </span>
+          </div>
+        </div>
+
+        {/* PRICE CHANGED WHILE REVIEWING */}
+        {priceChange && (
+          <div className={`review-banner ${priceChange.better ? 'review-banner-info' : 'review-banner-warning'}`}>
+            <div>
+              Price updated: you now {priceChange.field === 'amountIn' ? 'pay' : 'receive'}{' '}
+              {formatAmount(priceChange.current, changedToken.decimals)} {changedToken.symbol} instead of{' '}
+              {formatAmount(priceChange.previous, changedToken.decimals)} ({priceChange.changePct > 0 ? '+' : ''}
+              {priceChange.changePct.toFixed(2)}%{priceChange.better ? ', better' : ', worse'})
+            </div>
+            <button className="review-accept" onClick={() => setAcceptedQuote(quote)}>
+              Accept new price
+            </button>
+          </div>
+        )}
+
+        {/* TERMS */}
+        <div className="review-details">
+          <div className="review-row">
+            <span>Rate</span>
+            <span>
+              1 {fromToken.symbol} ={' '}
+              {formatRate(quote.amountIn, fromToken.decimals, quote.amountOut, toToken.decimals)} {toToken.symbol}
+            </span>
+          </div>
+          <div className="review-row">
+            <span>Price Impact</span>
+            <span className={gate.level === 'none' ? 'review-ok' : 'review-danger'}>
+              {gate.impactBps === null ? 'N/A' : formatBps(gate.impactBps)}
+            </span>
+          </div>
+          <PriceCheck
+            check={priceGuard.check}
+            loading={priceGuard.loading}
+            fromSymbol={fromToken.symbol}
+            toSymbol={toToken.symbol}
+          />
+          <div className="review-row">
+            <span>Slippage Tolerance</span>
+            <span>{formatBps(settings.slippageBps)}</span>
+          </div>
+          <div className="review-row review-highlight">
+            <span>{isExactOut ? 'Maximum Sold' : 'Minimum Received'}</span>
+            <span>
+              {isExactOut
+                ? `${formatAmount(quote.otherAmountThreshold, fromToken.decimals)} ${fromToken.symbol}`
+                : `${formatAmount(quote.otherAmountThreshold, toToken.decimals)} ${toToken.symbol}`}
+            </span>
+          </div>
+          <FeeBreakdown
+            breakdown={fees.breakdown}
+            estimating={fees.estimating}
+            error={fees.error}
+            fromToken={fromToken}
+            toToken={toToken}
+          />
+          <QuoteRoute quote={quote} getTokenSymbol={getTokenSymbol} formatTokenAmount={formatTokenAmount} />
+        </div>
+
+        {/* PRICE IMPACT GATE */}
+        {gate.level === 'blocked' && (
+          <div className="review-banner review-banner-danger" role="alert">
+            <ShieldAlert size={16} />
+            <div>{gate.message}</div>
+          </div>
+        )}
+        {gate.level === 'confirm' && (
+          <div className="review-banner review-banner-danger">
+            <AlertTriangle size={16} />
+            <div className="review-phrase">
+              <div>{gate.message} You may receive much less than the market price.</div>
+              <label htmlFor="review-phrase">
+                Type <strong>{CONFIRM_PHRASE}</strong> to swap anyway
+              </label>
+              <input
+                id="review-phrase"
+                type="text"
+                autoComplete="off"
+                value={phrase}
+                onChange={e => setPhrase(e.target.value)}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* QUOTE FRESHNESS */}
+        {refreshing ? (
+          <div className="review-status" role="status">
+            <RefreshCw size={14} className="spin" /> Refreshing quote...
+          </div>
+        ) : (
+          isQuoteStale && (
+            <div className="review-status review-danger" role="status">
+              <AlertTriangle size={14} /> Quote expired - waiting for a fresh price
+            </div>
+          )
+        )}
+
+        <div className="tx-actions">
+          <button className="tx-action-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            className="tx-action-primary"
+            onClick={onConfirm}
+            disabled={Boolean(blockedReason)}
+            title={blockedReason || undefined}
+          >
+            Confirm Swap
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SwapReviewModal;
@@ -0,0 +1,254 @@
+/**
+ * SWAPSETTINGSPANEL.JSX - SWAP SETTINGS
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Lets the user tune how swaps are quoted and executed: slippage
+ * tolerance (presets or a custom value), which protocols the aggregator
+ * may route through, whether missing trustlines are created, how long a
+ * signed transaction stays valid, the price impact that needs a typed
+ * confirmation and expert mode. Changes apply immediately and are saved
+ * for the connected wallet.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { X, AlertCircle, RotateCcw } from 'lucide-react';
+import {
+  MAX_DEADLINE_MINUTES,
+  MAX_PRICE_IMPACT_BPS,
+  MIN_DEADLINE_MINUTES,
+  MIN_IMPACT_CONFIRM_BPS,
+  PROTOCOLS,
+  SLIPPAGE_PRESETS_BPS,
+  formatBps,
+  getSlippageWarning,
+  parseImpactPercent,
+  parseSlippagePercent,
+} from '../services/swapSettings';
+import './SwapSettingsPanel.css';
+
+/**
+ * Swap Settings Panel
+ *
+ * @param {Object} settings - Current SwapSettings
+ * @param {function} onChange - Called with the changed fields
+ * @param {function} onReset - Restores the default settings
+ * @param {function} onClose - Hides the panel
+ */
+const SwapSettingsPanel = ({ settings, onChange, onReset, onClose }) => {
+  const isPreset = SLIPPAGE_PRESETS_BPS.includes(settings.slippageBps);
+  const [customSlippage, setCustomSlippage] = useState(isPreset ? '' : String(settings.slippageBps / 100));
+  const [deadline, setDeadline] = useState(String(settings.deadlineMinutes));
+  const [impactThreshold, setImpactThreshold] = useState(String(settings.impactConfirmBps / 100));
+  const [inputError, setInputError] = useState({}); // field -> message
+
+  // Follow external changes (reset, another wallet's settings)
+  useEffect(() => {
+    setCustomSlippage(SLIPPAGE_PRESETS_BPS.includes(settings.slippageBps) ? '' : String(settings.slippageBps / 100));
+    setDeadline(String(settings.deadlineMinutes));
+    setImpactThreshold(String(settings.impactConfirmBps / 100));
+    setInputError({});
+  }, [settings.slippageBps, settings.deadlineMinutes, settings.impactConfirmBps]);
+
+  const slippageWarning = getSlippageWarning(settings.slippageBps);
+
+  const handleCustomSlippage = value => {
+    setCustomSlippage(value);
+    if (value === '') return;
+    const bps = parseSlippagePercent(value);
+    if (bps === null) {
+      setInputError(prev => ({ ...prev, slippage: 'Enter a percentage between 0.01 and 50' }));
+      return;
+    }
+    setInputError(prev => ({ ...prev, slippage: '' }));
+    onChange({ slippageBps: bps });
+  };
+
+  const handleDeadline = value => {
+    setDeadline(value);
+    const minutes = Number(value);
+    if (!Number.isInteger(minutes) || minutes < MIN_DEADLINE_MINUTES || minutes > MAX_DEADLINE_MINUTES) {
+      setInputError(prev => ({
+        ...prev,
+        deadline: `Enter whole minutes between ${MIN_DEADLINE_MINUTES} and ${MAX_DEADLINE_MINUTES}`,
+      }));
+      return;
+    }
+    setInputError(prev => ({ ...prev, deadline: '' }));
+    onChange({ deadlineMinutes: minutes });
+  };
+
+  const handleImpactThreshold = value => {
+    setImpactThreshold(value);
+    const bps = parseImpactPercent(value);
+    if (bps === null) {
+      setInputError(prev => ({
+        ...prev,
+        impact: `Enter a percentage between ${formatBps(MIN_IMPACT_CONFIRM_BPS)} and ${formatBps(MAX_PRICE_IMPACT_BPS)}`,
+      }));
+      return;
+    }
+    setInputError(prev => ({ ...prev, impact: '' }));
+    onChange({ impactConfirmBps: bps });
+  };
+
+  const toggleProtocol = id => {
+    const enabled = settings.protocols.includes(id);
+    if (enabled && settings.protocols.length === 1) {
+      setInputError(prev => ({ ...prev, protocols: 'At least one protocol must stay enabled' }));
+      return;
+    }
+    setInputError(prev => ({ ...prev, protocols: '' }));
+    onChange({
+      protocols: enabled ? settings.protocols.filter(p => p !== id) : [...settings.protocols, id],
+    });
+  };
+
+  return (
+    <div className="settings-panel" role="region" aria-label="Swap settings">
+      <div className="settings-header">
+        <h3>Swap Settings</h3>
+        <div className="settings-header-actions">
+          <button className="settings-reset" onClick={onReset} title="Restore defaults">
+            <RotateCcw size={14} /> Reset
+          </button>
+          <button className="modal-close" onClick={onClose} aria-label="Close settings">
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+
+      {/* SLIPPAGE TOLERANCE */}
+      <div className="settings-section">
+        <label className="settings-label" htmlFor="custom-slippage">Slippage Tolerance</label>
+        <div className="settings-options">
+          {SLIPPAGE_PRESETS_BPS.map(bps => (
+            <button
+              key={bps}
+              className={`settings-chip ${settings.slippageBps === bps ? 'active' : ''}`}
+              onClick={() => onChange({ slippageBps: bps })}
+            >
+              {formatBps(bps)}
+            </button>
+          ))}
+          <div className={`settings-custom ${!isPreset ? 'active' : ''}`}>
+            <input
+              id="custom-slippage"
+              type="text"
+              inputMode="decimal"
+              placeholder="Custom"
+              value={customSlippage}
+              onChange={e => handleCustomSlippage(e.target.value)}
+            />
+            <span>%</span>
+          </div>
+        </div>
+        {inputError.slippage ? (
+          <div className="field-error">
+            <AlertCircle size={14} /> {inputError.slippage}
+          </div>
+        ) : (
+          slippageWarning && (
+            <div className="field-warning">
+              <AlertCircle size={14} /> {slippageWarning}
+            </div>
+          )
+        )}
+      </div>
+
+      {/* PROTOCOLS */}
+      <div className="settings-section">
+        <span className="settings-label">Protocols</span>
+        <div className="settings-options">
+          {PROTOCOLS.map(protocol => (
+            <label key={protocol.id} className="settings-toggle">
+              <input
+                type="checkbox"
+                checked={settings.protocols.includes(protocol.id)}
+                onChange={() => toggleProtocol(protocol.id)}
+              />
+              {protocol.name}
+            </label>
+          ))}
+        </div>
+        {inputError.protocols && (
+          <div className="field-error">
+            <AlertCircle size={14} /> {inputError.protocols}
+          </div>
+        )}
+      </div>
+
+      {/* TRUSTLINES */}
+      <div className="settings-section">
+        <label className="settings-label" htmlFor="trustline-mode">Missing Trustlines</label>
+        <select
+          id="trustline-mode"
+          className="settings-select"
+          value={settings.gaslessTrustline}
+          onChange={e => onChange({ gaslessTrustline: e.target.value })}
+        >
+          <option value="CREATE">Create automatically (locks 0.5 XLM reserve)</option>
+          <option value="NONE">Never create - block the swap</option>
+        </select>
+      </div>
+
+      {/* DEADLINE */}
+      <div className="settings-section">
+        <label className="settings-label" htmlFor="tx-deadline">Transaction Deadline</label>
+        <div className="settings-custom active">
+          <input
+            id="tx-deadline"
+            type="number"
+            min={MIN_DEADLINE_MINUTES}
+            max={MAX_DEADLINE_MINUTES}
+            value={deadline}
+            onChange={e => handleDeadline(e.target.value)}
+          />
+          <span>minutes</span>
+        </div>
+        {inputError.deadline && (
+          <div className="field-error">
+            <AlertCircle size={14} /> {inputError.deadline}
+          </div>
+        )}
+      </div>
+
+      {/* PRICE IMPACT SAFEGUARDS */}
+      <div className="settings-section">
+        <label className="settings-label" htmlFor="impact-threshold">Confirm Price Impact Above</label>
+        <div className="settings-custom active">
+          <input
+            id="impact-threshold"
+            type="text"
+            inputMode="decimal"
+            value={impactThreshold}
+            onChange={e => handleImpactThreshold(e.target.value)}
+          />
+          <span>%</span>
+        </div>
+        {inputError.impact && (
+          <div className="field-error">
+            <AlertCircle size={14} /> {inputError.impact}
+          </div>
+        )}
+        <label className="settings-toggle settings-expert">
+          <input
+            type="checkbox"
+            checked={settings.expertMode}
+            onChange={e => onChange({ expertMode: e.target.checked })}
+          />
+          Expert mode - allow swaps above {formatBps(MAX_PRICE_IMPACT_BPS)} price impact or far below the
+          reference price
+        </label>
+        {settings.expertMode && (
+          <div className="field-warning">
+            <AlertCircle size={14} /> High-impact swaps can lose most of their value on thin pools
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SwapSettingsPanel;
@@ -0,0 +1,93 @@
+/**
+ * TOASTCONTAINER.JSX - TOAST NOTIFICATIONS
+ *
+ * Stack of non-blocking notifications in the corner of the screen. Each
+ * toast dismisses itself after its duration (hovering pauses the timer)
+ * and may carry one action button.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { X, CheckCircle, Info, AlertTriangle, AlertCircle, ExternalLink } from 'lucide-react';
+import './ToastContainer.css';
+
+const ICONS = {
+  success: CheckCircle,
+  info: Info,
+  warning: AlertTriangle,
+  error: AlertCircle,
+};
+
+/**
+ * A single toast
+ *
+ * @param {import('../services/notifications').Toast} toast
+ * @param {function} onDismiss - Called with the toast id
+ */
+const ToastItem = ({ toast, onDismiss }) => {
+  const [paused, setPaused] = useState(false); // Hovered or focused
+
+  // Auto-dismiss unless sticky or paused
+  useEffect(() => {
+    if (!toast.duration || paused) return undefined;
+    const timer = setTimeout(() => onDismiss(toast.id), toast.duration);
+    return () => clearTimeout(timer);
+  }, [toast, paused, onDismiss]);
+
+  const Icon = ICONS[toast.type];
+  const { action } = toast;
+
+  return (
+    <div
+      className={`toast toast-${toast.type}`}
+      role={toast.type === 'error' ? 'alert' : 'status'}
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)}
+      onBlur={() => setPaused(false)}
+    >
+      <Icon size={18} className="toast-icon" />
+      <div className="toast-body">
+        {toast.title && <div className="toast-title">{toast.title}</div>}
+        <div className="toast-message">{toast.message}</div>
+        {action &&
+          (action.href ? (
+            <a className="toast-action" href={action.href} target="_blank" rel="noopener noreferrer">
+              {action.label}
+              <ExternalLink size={12} />
+            </a>
+          ) : (
+            <button
+              className="toast-action"
+              onClick={() => {
+                action.onClick();
+                onDismiss(toast.id);
+              }}
+            >
+              {action.label}
+            </button>
+          ))}
+      </div>
+      <button className="toast-close" onClick={() => onDismiss(toast.id)} aria-label="Dismiss notification">
+        <X size={14} />
+      </button>
+    </div>
+  );
+};
+
+/**
+ * @param {Array<import('../services/notifications').Toast>} toasts - Oldest first
+ * @param {function} onDismiss - Called with a toast id
+ */
+const ToastContainer = ({ toasts, onDismiss }) => {
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="toast-container" aria-live="polite">
+      {toasts.map(toast => (
+        <ToastItem key={toast.id} toast={toast} onDismiss={onDismiss} />
+      ))}
+    </div>
+  );
+};
+
+export default ToastContainer;
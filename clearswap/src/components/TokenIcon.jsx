@@ -0,0 +1,33 @@
+/**
+ * TOKENICON.JSX - TOKEN LOGO
+ *
+ * Shows a token's icon from the asset list, falling back to its first
+ * letter when there is no icon or the image fails to load.
+ */
+
+import React, { useEffect, useState } from 'react';
+
+/**
+ * @param {Object} token - Token ({ symbol, icon })
+ * @param {number} [size=24] - Diameter in pixels
+ */
+const TokenIcon = ({ token, size = 24 }) => {
+  const [failed, setFailed] = useState(false);
+
+  // A different token gets a fresh attempt
+  useEffect(() => setFailed(false), [token?.icon]);
+
+  const style = { width: size, height: size, fontSize: size * 0.45 };
+
+  if (!token?.icon || failed) {
+    return (
+      <span className="token-icon token-icon-fallback" style={style} aria-hidden="true">
+        {(token?.symbol || '?').charAt(0)}
+      </span>
+    );
+  }
+
+  return <img className="token-icon" src={token.icon} alt="" style={style} onError={() => setFailed(true)} />;
+};
+
+export default TokenIcon;
@@ -0,0 +1,267 @@
+/**
+ * TOKENPICKERMODAL.JSX - TOKEN SELECTION DIALOG
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Replaces the native token <select> with a searchable list that shows
+ * token icons and the connected account's balances.
+ *
+ * FEATURES:
+ * - Search by symbol, name or contract address
+ * - Pinned row: common tokens plus the user's favourites (star to pin)
+ * - Recently used tokens
+ * - Import: paste a Soroban contract ID or CODE:ISSUER to resolve any
+ *   token not in the asset list; imported tokens carry an "Unverified"
+ *   warning because nothing vouches for them
+ * - Verification badge naming the asset lists that include each token
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { X, Search, Star, AlertTriangle, RefreshCw, ShieldCheck } from 'lucide-react';
+import TokenIcon from './TokenIcon';
+import { COMMON_TOKEN_SYMBOLS, searchTokens } from '../services/tokenPreferences';
+import { parseTokenInput, resolveToken } from '../services/tokenResolver';
+import { getListNames } from '../services/assetLists';
+import './WalletPickerModal.css';
+import './TokenPickerModal.css';
+
+const RESOLVE_DEBOUNCE_MS = 300;
+
+/**
+ * Token Picker Modal
+ *
+ * @param {boolean} isOpen - Whether the dialog is shown
+ * @param {function} onClose - Called when the user dismisses the dialog
+ * @param {function} onSelect - Called with the chosen token object
+ * @param {Array} tokens - Listed and imported tokens
+ * @param {string} selectedAddress - Token currently selected on this side
+ * @param {Array<string>} favorites - Pinned token addresses
+ * @param {Array<string>} recents - Recently used token addresses
+ * @param {function} onToggleFavorite - Pins or unpins an address
+ * @param {function} onImport - Called with a resolved custom token before it is selected
+ * @param {Object} networkConfig - Selected network, used to resolve custom tokens
+ * @param {function} getBalanceLabel - Display balance for a token address
+ * @param {string} [initialQuery] - Search text to open with (a token from a swap link)
+ */
+const TokenPickerModal = ({
+  isOpen,
+  onClose,
+  onSelect,
+  tokens,
+  selectedAddress,
+  favorites,
+  recents,
+  onToggleFavorite,
+  onImport,
+  networkConfig,
+  getBalanceLabel,
+  initialQuery = '',
+}) => {
+  const [query, setQuery] = useState('');
+  const [resolved, setResolved] = useState(null); // Custom token found for the query
+  const [resolving, setResolving] = useState(false);
+  const [resolveError, setResolveError] = useState('');
+  const searchRef = useRef(null);
+
+  // Fresh search each time the dialog opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setQuery(initialQuery);
+    searchRef.current?.focus();
+  }, [isOpen, initialQuery]);
+
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const onKeyDown = e => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [isOpen, onClose]);
+
+  // Resolve pasted contract IDs and CODE:ISSUER assets
+  useEffect(() => {
+    setResolved(null);
+    setResolveError('');
+    setResolving(false);
+
+    const parsed = parseTokenInput(query);
+    if (!parsed || (parsed.kind === 'contract' && tokens.some(t => t.address === parsed.contractId))) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    setResolving(true);
+    const timer = setTimeout(async () => {
+      try {
+        const token = await resolveToken(query, { networkConfig });
+        if (!cancelled) setResolved(token);
+      } catch (err) {
+        if (!cancelled) setResolveError(err.message);
+      } finally {
+        if (!cancelled) setResolving(false);
+      }
+    }, RESOLVE_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, tokens, networkConfig]);
+
+  // A CODE:ISSUER asset may already be listed under its contract address
+  const listedMatch = resolved && tokens.find(t => t.address === resolved.address);
+
+  const results = useMemo(
+    () => (listedMatch ? [listedMatch] : searchTokens(tokens, query)),
+    [listedMatch, tokens, query]
+  );
+
+  const pinned = useMemo(() => {
+    const common = tokens.filter(t => !t.unverified && COMMON_TOKEN_SYMBOLS.includes(t.symbol));
+    const favored = favorites.map(address => tokens.find(t => t.address === address)).filter(Boolean);
+    return [...common, ...favored.filter(t => !common.includes(t))];
+  }, [tokens, favorites]);
+
+  const recent = useMemo(
+    () => recents.map(address => tokens.find(t => t.address === address)).filter(Boolean),
+    [tokens, recents]
+  );
+
+  if (!isOpen) return null;
+
+  const renderChip = token => (
+    <button
+      key={token.address}
+      className={`token-chip ${token.address === selectedAddress ? 'selected' : ''}`}
+      onClick={() => onSelect(token)}
+    >
+      <TokenIcon token={token} size={18} />
+      {token.symbol}
+    </button>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="wallet-modal token-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="token-modal-title"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="wallet-modal-header">
+          <h2 id="token-modal-title">Select a Token</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close token picker">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="token-search">
+          <Search size={16} />
+          <input
+            ref={searchRef}
+            type="text"
+            placeholder="Search name, symbol, contract or CODE:ISSUER"
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            aria-label="Search tokens"
+          />
+        </div>
+
+        {!query && pinned.length > 0 && <div className="token-chips">{pinned.map(renderChip)}</div>}
+        {!query && recent.length > 0 && (
+          <>
+            <div className="token-section-label">Recent</div>
+            <div className="token-chips">{recent.map(renderChip)}</div>
+          </>
+        )}
+
+        {/* CUSTOM TOKEN IMPORT */}
+        {resolving && (
+          <div className="token-import-status">
+            <RefreshCw size={14} className="spin" /> Looking up token...
+          </div>
+        )}
+        {resolveError && <div className="token-import-status error-text">{resolveError}</div>}
+        {resolved && !listedMatch && (
+          <div className="token-import">
+            <div className="token-row-main">
+              <TokenIcon token={resolved} size={32} />
+              <div className="token-row-text">
+                <span className="token-row-symbol">{resolved.symbol}</span>
+                <span className="token-row-name">{resolved.name}</span>
+              </div>
+            </div>
+            <div className="token-unverified-warning">
+              <AlertTriangle size={16} />
+              <span>
+                Unverified token. It is not on any of the asset lists and anyone can create a token with
+                any name - check the contract address before trading.
+              </span>
+            </div>
+            <button
+              className="token-import-button"
+              onClick={() => {
+                onImport(resolved);
+                onSelect(resolved);
+              }}
+            >
+              Import {resolved.symbol}
+            </button>
+          </div>
+        )}
+
+        <ul className="token-list">
+          {results.map(token => {
+            const isFavorite = favorites.includes(token.address);
+            return (
+              <li key={token.address}>
+                <button
+                  className={`token-row ${token.address === selectedAddress ? 'selected' : ''}`}
+                  onClick={() => onSelect(token)}
+                >
+                  <div className="token-row-main">
+                    <TokenIcon token={token} size={32} />
+                    <div className="token-row-text">
+                      <span className="token-row-symbol">
+                        {token.symbol}
+                        {token.unverified && <span className="token-badge-unverified">Unverified</span>}
+                        {token.lists?.length > 0 && (
+                          <span
+                            className="token-badge-verified"
+                            title={`Listed by ${getListNames(token, networkConfig).join(', ')}`}
+                          >
+                            <ShieldCheck size={12} />
+                            {token.lists.length}
+                          </span>
+                        )}
+                      </span>
+                      <span className="token-row-name">{token.name}</span>
+                    </div>
+                  </div>
+                  <span className="token-row-balance">{getBalanceLabel(token.address)}</span>
+                </button>
+                <button
+                  className={`token-favorite ${isFavorite ? 'active' : ''}`}
+                  onClick={() => onToggleFavorite(token.address)}
+                  aria-label={`${isFavorite ? 'Unpin' : 'Pin'} ${token.symbol}`}
+                  aria-pressed={isFavorite}
+                >
+                  <Star size={16} />
+                </button>
+              </li>
+            );
+          })}
+          {results.length === 0 && !resolving && !resolved && (
+            <li className="token-list-empty">No tokens match "{query}"</li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default TokenPickerModal;
@@ -0,0 +1,148 @@
+/**
+ * TRANSACTIONMODAL.JSX - TRANSACTION PROGRESS DIALOG
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Follows a transaction from building and simulation through the wallet
+ * signature and submission to confirmation, one step at a time. After
+ * simulation it shows what the transaction will do (see
+ * SimulationPreview) and waits for the user to continue or cancel before
+ * the wallet is asked to sign. Once it settles the dialog shows the
+ * outcome, the transaction hash with an explorer link and the ledger,
+ * and can be closed; until then it stays up so the user knows to finish
+ * signing in their wallet.
+ */
+
+import React, { useEffect } from 'react';
+import { X, CheckCircle, AlertCircle, RefreshCw, Circle, ExternalLink, Eye } from 'lucide-react';
+import { TX_STAGE_LABELS, TX_STAGES, getTxSteps, isTxSettled } from '../services/notifications';
+import SimulationPreview from './SimulationPreview';
+import './WalletPickerModal.css';
+import './TransactionModal.css';
+
+const STEP_ICONS = {
+  done: <CheckCircle size={18} />,
+  active: <RefreshCw size={18} className="spin" />,
+  failed: <AlertCircle size={18} />,
+  pending: <Circle size={18} />,
+};
+
+/**
+ * Transaction Modal
+ *
+ * @param {import('../services/notifications').TransactionStatus|null} status - Shown while set
+ * @param {function} onClose - Dismisses a settled transaction
+ */
+const TransactionModal = ({ status, onClose }) => {
+  const settled = isTxSettled(status);
+
+  // Close on Escape once the transaction has settled
+  useEffect(() => {
+    if (!settled) return undefined;
+    const onKeyDown = e => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [settled, onClose]);
+
+  if (!status) return null;
+
+  const { action, confirm } = status;
+  const reviewing = status.stage === TX_STAGES.REVIEWING && Boolean(confirm);
+
+  return (
+    <div className="modal-overlay" onClick={settled ? onClose : undefined}>
+      <div
+        className={`wallet-modal tx-modal tx-modal-${status.stage}`}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="tx-modal-title"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="wallet-modal-header">
+          <h2 id="tx-modal-title">{status.title || 'Transaction'}</h2>
+          {settled && (
+            <button className="modal-close" onClick={onClose} aria-label="Close transaction status">
+              <X size={20} />
+            </button>
+          )}
+        </div>
+
+        {/* STEPS */}
+        <ol className="tx-steps">
+          {getTxSteps(status).map(step => (
+            <li key={step.stage} className={`tx-step tx-step-${step.state}`}>
+              {/* The review step waits on the user, not on work in progress */}
+              {reviewing && step.stage === TX_STAGES.REVIEWING ? <Eye size={18} /> : STEP_ICONS[step.state]}
+              <span>{step.label}</span>
+            </li>
+          ))}
+        </ol>
+
+        {/* OUTCOME */}
+        <div className="tx-outcome" role="status">
+          <div className="tx-outcome-title">{TX_STAGE_LABELS[status.stage]}</div>
+          {status.stage === TX_STAGES.AWAITING_SIGNATURE && (
+            <div className="tx-outcome-row">Review and approve the transaction in your wallet.</div>
+          )}
+          {status.summary && <div className="tx-outcome-row">{status.summary}</div>}
+          {status.error && <div className="tx-outcome-row tx-outcome-error">{status.error}</div>}
+          {status.hash && (
+            <div className="tx-outcome-row">
+              <span>Transaction</span>
+              <a href={status.explorerUrl} target="_blank" rel="noopener noreferrer" className="swap-status-link">
+                {status.hash.substring(0, 8)}...{status.hash.substring(status.hash.length - 8)}
+                <ExternalLink size={12} />
+              </a>
+            </div>
+          )}
+          {status.ledger && (
+            <div className="tx-outcome-row">
+              <span>Ledger</span>
+              <span>{status.ledger}</span>
+            </div>
+          )}
+        </div>
+
+        {/* SIMULATED RESULT - reviewed before the wallet signs */}
+        {reviewing && status.simulation && (
+          <SimulationPreview simulation={status.simulation} tokens={status.simulationTokens} />
+        )}
+
+        {reviewing && (
+          <div className="tx-actions">
+            <button className="tx-action-secondary" onClick={confirm.onCancel}>
+              Cancel
+            </button>
+            <button className="tx-action-primary" onClick={confirm.onConfirm}>
+              {confirm.label}
+            </button>
+          </div>
+        )}
+
+        {settled && (
+          <div className="tx-actions">
+            {action && (
+              <button
+                className="tx-action-secondary"
+                onClick={() => {
+                  onClose();
+                  action.onClick();
+                }}
+              >
+                {action.label}
+              </button>
+            )}
+            <button className="tx-action-primary" onClick={onClose}>
+              {status.stage === TX_STAGES.CONFIRMED ? 'Done' : 'Close'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TransactionModal;
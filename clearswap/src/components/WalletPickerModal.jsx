@@ -0,0 +1,126 @@
+/**
+ * WALLETPICKERMODAL.JSX - WALLET SELECTION DIALOG
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Lets the user choose which Stellar wallet to connect. Each option shows
+ * whether the wallet was detected in this browser; wallets that are not
+ * installed link to their download page instead of failing on click.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { X, Wallet, RefreshCw, ExternalLink } from 'lucide-react';
+import { WALLET_IDS, createWalletAdapter } from '../wallets/walletAdapter';
+import './WalletPickerModal.css';
+
+/**
+ * Wallet Picker Modal
+ *
+ * @param {boolean} isOpen - Whether the dialog is shown
+ * @param {function} onClose - Called when the user dismisses the dialog
+ * @param {function} onSelect - Called with the chosen WalletAdapter
+ * @param {string|null} connectingId - Id of the wallet currently connecting, if any
+ * @param {Array} [adapters] - Adapters to offer (defaults to every supported wallet)
+ */
+const WalletPickerModal = ({ isOpen, onClose, onSelect, connectingId = null, adapters }) => {
+  const options = useMemo(() => adapters || WALLET_IDS.map(createWalletAdapter), [adapters]);
+  const [availability, setAvailability] = useState({}); // id -> boolean
+
+  // Detect installed wallets each time the dialog opens
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    let cancelled = false;
+
+    Promise.all(
+      options.map(async adapter => [adapter.id, await adapter.isAvailable().catch(() => false)])
+    ).then(entries => {
+      if (!cancelled) setAvailability(Object.fromEntries(entries));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, options]);
+
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const onKeyDown = e => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="wallet-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="wallet-modal-title"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="wallet-modal-header">
+          <h2 id="wallet-modal-title">Connect a Wallet</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close wallet picker">
+            <X size={20} />
+          </button>
+        </div>
+
+        <ul className="wallet-list">
+          {options.map(adapter => {
+            const installed = availability[adapter.id];
+            const isConnecting = connectingId === adapter.id;
+
+            return (
+              <li key={adapter.id}>
+                {installed === false ? (
+                  // Not detected - offer the install page instead
+                  <a
+                    className="wallet-option unavailable"
+                    href={adapter.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                  >
+                    <Wallet size={20} />
+                    <span className="wallet-option-name">{adapter.name}</span>
+                    <span className="wallet-option-status">
+                      Install <ExternalLink size={14} />
+                    </span>
+                  </a>
+                ) : (
+                  <button
+                    className="wallet-option"
+                    onClick={() => onSelect(adapter)}
+                    disabled={Boolean(connectingId)}
+                    aria-label={`Connect with ${adapter.name}`}
+                  >
+                    <Wallet size={20} />
+                    <span className="wallet-option-name">{adapter.name}</span>
+                    <span className="wallet-option-status">
+                      {isConnecting ? (
+                        <>
+                          <RefreshCw size={14} className="spin" /> Connecting...
+                        </>
+                      ) : installed ? (
+                        'Detected'
+                      ) : (
+                        ''
+                      )}
+                    </span>
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default WalletPickerModal;
@@ -0,0 +1,152 @@
+/**
+ * NETWORKS.JS - STELLAR NETWORK DEFINITIONS
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Everything that differs between testnet and mainnet lives here, so the
+ * network selected in the Navbar is the only switch a screen needs:
+ * - `network` query parameter for Soroswap API calls
+ * - Network passphrase for wallet signing
+ * - Horizon, Soroban RPC and block explorer endpoints
+ * - Asset lists to merge into the token list, and fallback token
+ *   contracts for when none of them (nor the cached copy) is available
+ * - Reflector price oracles the price guard checks quotes against
+ */
+
+/**
+ * @typedef {Object} NetworkConfig
+ * @property {'mainnet'|'testnet'} id - Value sent as the Soroswap `network` parameter
+ * @property {string} label - Display name
+ * @property {string} passphrase - Stellar network passphrase used for signing
+ * @property {string} horizonUrl - Horizon REST root
+ * @property {string} sorobanRpcUrl - Soroban RPC endpoint
+ * @property {string} explorerUrl - stellar.expert root for this network
+ * @property {Array<AssetListSource>} assetLists - Lists merged into the token list, in priority order
+ * @property {Array<Object>} fallbackTokens - Tokens shown when no list can be loaded
+ * @property {Array<PriceOracle>} priceOracles - Reference price sources, in priority order
+ */
+
+/**
+ * @typedef {Object} AssetListSource
+ * @property {string} id - Stable id recorded on each token it lists
+ * @property {string} name - Display name for verification badges
+ * @property {'soroswap'|'sep42'} type - Soroswap API list, or a SEP-42 JSON document
+ * @property {string} [listName] - Soroswap list name (type 'soroswap')
+ * @property {string} [url] - Document URL (type 'sep42')
+ */
+
+/**
+ * @typedef {Object} PriceOracle
+ * @property {string} id - Stable id shown as the reference price source
+ * @property {string} name - Display name
+ * @property {string} contractId - SEP-40 oracle contract
+ * @property {'stellar'|'other'} assetType - Prices Stellar assets by contract address, or
+ *   off-chain tickers by symbol
+ */
+
+const CURATED_LIST_ROOT = `${process.env.PUBLIC_URL || ''}/asset-lists`;
+
+/** @type {Object<string, NetworkConfig>} */
+export const NETWORKS = {
+  mainnet: {
+    id: 'mainnet',
+    label: 'Mainnet',
+    passphrase: 'Public Global Stellar Network ; September 2015',
+    horizonUrl: 'https://horizon.stellar.org',
+    sorobanRpcUrl: 'https://mainnet.sorobanrpc.com',
+    explorerUrl: 'https://stellar.expert/explorer/public',
+    assetLists: [
+      { id: 'soroswap', name: 'Soroswap', type: 'soroswap', listName: 'soroswap' },
+      {
+        id: 'stellarexpert',
+        name: 'StellarExpert',
+        type: 'sep42',
+        url: 'https://api.stellar.expert/explorer/public/asset-list/top50',
+      },
+      { id: 'clearswap', name: 'ClearSwap', type: 'sep42', url: `${CURATED_LIST_ROOT}/clearswap-mainnet.json` },
+    ],
+    priceOracles: [
+      {
+        id: 'reflector-dex',
+        name: 'Reflector (Stellar DEX)',
+        contractId: 'CALI2BYU2JE6WVRUFYTS6MSBNEHGJ35P4AVCZYF3B6QOE3QKOB2PLE6M',
+        assetType: 'stellar',
+      },
+      {
+        id: 'reflector-cex',
+        name: 'Reflector (exchanges)',
+        contractId: 'CAFJZQWSED6YAWZU3GWRTOCNPPCGBN32L7QV43XX5LZLFTK6JLN34DLN',
+        assetType: 'other',
+      },
+    ],
+    fallbackTokens: [
+      {
+        address: 'CCW67TSZV3SSS2HXMBQ5JFGCKJNXKZM7UQUWUZPUTHXSTZLEO7SJMI75',
+        symbol: 'USDC',
+        name: 'USD Coin',
+        decimals: 7,
+      },
+      {
+        address: 'CAS3J7GYLGXMF6TDJBBYYSE3HQ6BBSMLNUQ34T6TZMYMW2EVH34XOWMA',
+        symbol: 'XLM',
+        name: 'Stellar Lumens',
+        decimals: 7,
+      },
+      {
+        address: 'CDTKPWPLOURQA2SGTKTUQOWRCBZEORB4BWBOMJ3D3ZTQQSGE5F6JBQLV',
+        symbol: 'EURC',
+        name: 'Euro Coin',
+        decimals: 7,
+      },
+    ],
+  },
+  testnet: {
+    id: 'testnet',
+    label: 'Testnet',
+    passphrase: 'Test SDF Network ; September 2015',
+    horizonUrl: 'https://horizon-testnet.stellar.org',
+    sorobanRpcUrl: 'https://soroban-testnet.stellar.org',
+    explorerUrl: 'https://stellar.expert/explorer/testnet',
+    assetLists: [
+      { id: 'soroswap', name: 'Soroswap', type: 'soroswap', listName: 'soroswap' },
+      {
+        id: 'stellarexpert',
+        name: 'StellarExpert',
+        type: 'sep42',
+        url: 'https://api.stellar.expert/explorer/testnet/asset-list/top50',
+      },
+      { id: 'clearswap', name: 'ClearSwap', type: 'sep42', url: `${CURATED_LIST_ROOT}/clearswap-testnet.json` },
+    ],
+    priceOracles: [], // No oracle on testnet - the SDEX order book is the only reference
+    fallbackTokens: [
+      {
+        address: 'CBIELTK6YBZJU5UP2WWQEUCYKLPU6AUNZ2BQ4WWFEIE3USCIHMXQDAMA',
+        symbol: 'USDC',
+        name: 'USD Coin',
+        decimals: 7,
+      },
+      {
+        address: 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC',
+        symbol: 'XLM',
+        name: 'Stellar Lumens',
+        decimals: 7,
+      },
+    ],
+  },
+};
+
+export const DEFAULT_NETWORK = 'mainnet';
+
+/**
+ * Looks up a network by id, falling back to mainnet for unknown values
+ *
+ * @param {string} id
+ * @returns {NetworkConfig}
+ */
+export const getNetworkConfig = id => NETWORKS[id] || NETWORKS[DEFAULT_NETWORK];
+
+/**
+ * Block explorer link for a transaction on the given network
+ */
+export const explorerTxUrl = (id, hash) => `${getNetworkConfig(id).explorerUrl}/tx/${hash}`;
@@ -0,0 +1,99 @@
+/**
+ * RUNTIMECONFIG.JS - DEPLOYMENT CONFIGURATION
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Resolves which Soroswap API environment the app talks to, without
+ * rebuilding the bundle for every deployment.
+ *
+ * RESOLUTION ORDER (later wins):
+ * 1. Built-in defaults
+ * 2. Build-time `REACT_APP_*` environment variables
+ * 3. `public/config.json`, fetched once at startup
+ *
+ * SECURITY:
+ * When `soroswapProxyUrl` is set, requests go through the ClearSwap proxy
+ * (see proxy/server.js), which holds the secret key server-side, and no
+ * API key is attached in the browser. `REACT_APP_SOROSWAP_API_KEY` is only
+ * meant for local development: anything in a `REACT_APP_*` variable ends
+ * up in the shipped JavaScript.
+ */
+
+/**
+ * @typedef {Object} RuntimeConfig
+ * @property {string} soroswapApiUrl - Direct Soroswap API root
+ * @property {string} soroswapApiKey - Bearer key for direct calls (development only)
+ * @property {string} soroswapProxyUrl - ClearSwap proxy root; takes precedence over the direct API
+ * @property {string} network - Default Stellar network ('mainnet' or 'testnet')
+ * @property {number} quoteRefreshMs - How often a displayed quote is re-fetched
+ * @property {number} quoteMaxAgeMs - Quotes older than this cannot be executed
+ */
+
+const DEFAULT_CONFIG = {
+  soroswapApiUrl: 'https://api.soroswap.finance',
+  soroswapApiKey: '',
+  soroswapProxyUrl: '',
+  network: 'mainnet',
+  quoteRefreshMs: 15000,
+  quoteMaxAgeMs: 30000,
+};
+
+// Build-time overrides, inlined by react-scripts
+const ENV_CONFIG = {
+  soroswapApiUrl: process.env.REACT_APP_SOROSWAP_API_URL,
+  soroswapApiKey: process.env.REACT_APP_SOROSWAP_API_KEY,
+  soroswapProxyUrl: process.env.REACT_APP_SOROSWAP_PROXY_URL,
+  network: process.env.REACT_APP_STELLAR_NETWORK,
+  quoteRefreshMs: process.env.REACT_APP_QUOTE_REFRESH_MS,
+  quoteMaxAgeMs: process.env.REACT_APP_QUOTE_MAX_AGE_MS,
+};
+
+/**
+ * Merges config layers, ignoring empty or missing values. Numeric settings
+ * arrive as strings from environment variables and are coerced, dropping
+ * anything that is not a positive number.
+ */
+const mergeConfig = (...layers) =>
+  layers.reduce((merged, layer) => {
+    Object.entries(layer || {}).forEach(([key, value]) => {
+      if (!(key in DEFAULT_CONFIG) || value === undefined || value === null || value === '') return;
+      if (typeof DEFAULT_CONFIG[key] === 'number') {
+        const number = Number(value);
+        if (Number.isFinite(number) && number > 0) merged[key] = number;
+        return;
+      }
+      merged[key] = value;
+    });
+    return merged;
+  }, {});
+
+let currentConfig = mergeConfig(DEFAULT_CONFIG, ENV_CONFIG);
+
+/**
+ * Returns the active configuration
+ *
+ * @returns {RuntimeConfig}
+ */
+export const getConfig = () => currentConfig;
+
+/**
+ * Fetches `config.json` and layers it over the build-time configuration
+ *
+ * A missing or malformed file is not fatal: the app keeps running on the
+ * build-time values so local development needs no extra setup.
+ *
+ * @param {string} [url] - Location of the runtime config file
+ * @returns {Promise<RuntimeConfig>}
+ */
+export const loadRuntimeConfig = async (url = `${process.env.PUBLIC_URL || ''}/config.json`) => {
+  try {
+    const response = await window.fetch(url, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const runtime = await response.json();
+    currentConfig = mergeConfig(DEFAULT_CONFIG, ENV_CONFIG, runtime);
+  } catch (err) {
+    console.warn('Runtime config not loaded, using build-time configuration:', err.message);
+  }
+  return currentConfig;
+};
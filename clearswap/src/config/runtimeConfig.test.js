@@ -0,0 +1,59 @@
+import { getConfig, loadRuntimeConfig } from './runtimeConfig';
+import { clientOptionsFromConfig } from '../services/soroswapClient';
+
+describe('runtimeConfig', () => {
+  const originalFetch = window.fetch;
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+  });
+
+  test('layers config.json over defaults, ignoring empty values', async () => {
+    window.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ soroswapProxyUrl: 'https://proxy.test', network: '', unknownKey: 'x' }),
+    });
+
+    const config = await loadRuntimeConfig('/config.json');
+
+    expect(config.soroswapProxyUrl).toBe('https://proxy.test');
+    expect(config.network).toBe('mainnet');
+    expect(config).not.toHaveProperty('unknownKey');
+    expect(getConfig()).toBe(config);
+  });
+
+  test('coerces numeric settings and drops invalid ones', async () => {
+    window.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ quoteRefreshMs: '10000', quoteMaxAgeMs: 'soon' }),
+    });
+
+    const config = await loadRuntimeConfig('/config.json');
+
+    expect(config.quoteRefreshMs).toBe(10000);
+    expect(config.quoteMaxAgeMs).toBe(30000);
+  });
+
+  test('keeps the current config when config.json is unavailable', async () => {
+    const before = getConfig();
+    window.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(loadRuntimeConfig('/config.json')).resolves.toBe(before);
+    console.warn.mockRestore();
+  });
+
+  test('never sends an API key when calling through the proxy', () => {
+    const direct = { soroswapApiUrl: 'https://api.test', soroswapApiKey: 'sk_dev', network: 'testnet' };
+
+    expect(clientOptionsFromConfig(direct)).toEqual({
+      baseUrl: 'https://api.test',
+      apiKey: 'sk_dev',
+      network: 'testnet',
+    });
+    expect(clientOptionsFromConfig({ ...direct, soroswapProxyUrl: 'https://proxy.test' })).toEqual({
+      baseUrl: 'https://proxy.test',
+      network: 'testnet',
+    });
+  });
+});
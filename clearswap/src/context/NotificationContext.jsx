@@ -0,0 +1,73 @@
+/**
+ * NOTIFICATIONCONTEXT.JSX - NOTIFICATION PROVIDER
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * App-wide, non-blocking user feedback in place of window.alert. Any
+ * component reaches it through the useNotifications hook:
+ *
+ *   const { success, error, showTransaction } = useNotifications();
+ *   success('Wallet connected');
+ *   error('Quote failed', { action: { label: 'Retry', onClick: retry } });
+ *
+ * - notify / success / info / warning / error: queue a toast
+ * - dismiss: remove a toast early
+ * - showTransaction / closeTransaction: drive the transaction progress
+ *   modal; `transaction` is the status currently shown
+ */
+
+import React, { createContext, useCallback, useMemo, useRef, useState } from 'react';
+import ToastContainer from '../components/ToastContainer';
+import TransactionModal from '../components/TransactionModal';
+import { addToast, createToast, removeToast } from '../services/notifications';
+
+export const NotificationContext = createContext(null);
+
+/**
+ * Notification Provider
+ *
+ * Renders the toast stack and the transaction modal above its children.
+ *
+ * @param {React.ReactNode} children
+ */
+export const NotificationProvider = ({ children }) => {
+  const [toasts, setToasts] = useState([]); // Visible toasts, oldest first
+  const [transaction, setTransaction] = useState(null); // TransactionStatus shown in the modal
+  const nextIdRef = useRef(0);
+
+  const dismiss = useCallback(id => setToasts(list => removeToast(list, id)), []);
+
+  const notify = useCallback(options => {
+    nextIdRef.current += 1;
+    const toast = createToast(options, nextIdRef.current);
+    setToasts(list => addToast(list, toast));
+    return toast.id;
+  }, []);
+
+  const closeTransaction = useCallback(() => setTransaction(null), []);
+
+  // One shortcut per variant; stable so consumers can list them as dependencies
+  const shortcuts = useMemo(
+    () => ({
+      success: (message, options) => notify({ ...options, type: 'success', message }),
+      info: (message, options) => notify({ ...options, type: 'info', message }),
+      warning: (message, options) => notify({ ...options, type: 'warning', message }),
+      error: (message, options) => notify({ ...options, type: 'error', message }),
+    }),
+    [notify]
+  );
+
+  const value = useMemo(
+    () => ({ notify, ...shortcuts, dismiss, transaction, showTransaction: setTransaction, closeTransaction }),
+    [notify, shortcuts, dismiss, transaction, closeTransaction]
+  );
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+      <ToastContainer toasts={toasts} onDismiss={dismiss} />
+      <TransactionModal status={transaction} onClose={closeTransaction} />
+    </NotificationContext.Provider>
+  );
+};
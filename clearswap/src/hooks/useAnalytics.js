@@ -0,0 +1,73 @@
+/**
+ * USEANALYTICS.JS - MARKET DATA HOOK
+ *
+ * Loads pools and prices for the analytics view, records each price
+ * snapshot as a sample for the charts, and reloads every
+ * ANALYTICS_REFRESH_MS while the view is open.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { loadMarketData, loadPriceSamples, recordPriceSamples } from '../services/analytics';
+
+const ANALYTICS_REFRESH_MS = 60 * 1000;
+
+/**
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {Array<Object>} params.tokens - Token list
+ * @returns {{
+ *   pools: Array<Object>,
+ *   prices: Object<string, number>,
+ *   samples: import('../services/analytics').PriceSamples,
+ *   loading: boolean,
+ *   error: string,
+ *   updatedAt: number|null,
+ *   refresh: () => Promise<void>
+ * }}
+ */
+export default function useAnalytics({ networkConfig, tokens }) {
+  const network = networkConfig.id;
+  const [market, setMarket] = useState({ pools: [], prices: {}, updatedAt: null });
+  const [samples, setSamples] = useState(() => loadPriceSamples(network));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const requestRef = useRef(null); // AbortController of the latest load
+
+  const refresh = useCallback(async () => {
+    requestRef.current?.abort();
+    const controller = new AbortController();
+    requestRef.current = controller;
+    setLoading(true);
+
+    try {
+      const { pools, prices } = await loadMarketData({ networkConfig, tokens, signal: controller.signal });
+      if (controller.signal.aborted) return;
+      setMarket({ pools, prices, updatedAt: Date.now() });
+      setSamples(recordPriceSamples(network, prices));
+      setError('');
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      console.error('Error loading analytics:', err);
+      setError('Could not load market data from Soroswap');
+    } finally {
+      if (requestRef.current === controller) setLoading(false);
+    }
+  }, [network, networkConfig, tokens]);
+
+  // Another network has its own pools and samples
+  useEffect(() => {
+    setMarket({ pools: [], prices: {}, updatedAt: null });
+    setSamples(loadPriceSamples(network));
+  }, [network]);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, ANALYTICS_REFRESH_MS);
+    return () => {
+      clearInterval(timer);
+      requestRef.current?.abort();
+    };
+  }, [refresh]);
+
+  return { ...market, samples, loading, error, refresh };
+}
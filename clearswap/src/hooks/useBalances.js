@@ -0,0 +1,67 @@
+/**
+ * USEBALANCES.JS - ACCOUNT BALANCES HOOK
+ *
+ * Loads the connected account's token balances into the shared store and
+ * reloads them when the account, token list or network changes. Call
+ * `refresh()` after anything that moves funds, such as a confirmed swap.
+ */
+
+import { useCallback, useEffect, useRef } from 'react';
+import useStore from './useStore';
+import { balancesFailed, balancesLoaded, balancesRequested } from '../store/actions';
+import { selectBalances, selectNetworkConfig, selectOwner, selectPublicKey } from '../store/selectors';
+import { loadBalances } from '../services/balances';
+
+/**
+ * @param {Object} params
+ * @param {Array<Object>} params.tokens - Swap token list
+ * @returns {{
+ *   balances: Object<string, import('../services/balances').TokenBalance>,
+ *   account: Object|null,
+ *   loading: boolean,
+ *   error: string,
+ *   refresh: () => Promise<void>
+ * }}
+ */
+export default function useBalances({ tokens }) {
+  const { state, dispatch } = useStore();
+  const publicKey = selectPublicKey(state);
+  const networkConfig = selectNetworkConfig(state);
+  const owner = selectOwner(state);
+  const { byToken, account, loading, error } = selectBalances(state);
+  const requestRef = useRef(null); // AbortController of the latest load
+
+  const refresh = useCallback(async () => {
+    requestRef.current?.abort();
+    if (!owner || tokens.length === 0) return;
+
+    const controller = new AbortController();
+    requestRef.current = controller;
+    dispatch(balancesRequested(owner));
+
+    try {
+      const result = await loadBalances({ publicKey, tokens, networkConfig, signal: controller.signal });
+      if (controller.signal.aborted) return;
+
+      const failed = Object.keys(result.errors).length;
+      dispatch(
+        balancesLoaded(owner, {
+          byToken: result.byToken,
+          account: result.account,
+          error: failed ? `Could not load ${failed} token balance${failed > 1 ? 's' : ''}` : '',
+        })
+      );
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      console.error('Error loading balances:', err);
+      dispatch(balancesFailed(owner, 'Could not load balances'));
+    }
+  }, [owner, publicKey, tokens, networkConfig, dispatch]);
+
+  useEffect(() => {
+    refresh();
+    return () => requestRef.current?.abort();
+  }, [refresh]);
+
+  return { balances: byToken, account, loading, error, refresh };
+}
@@ -0,0 +1,28 @@
+/**
+ * USENOTIFICATIONS.JS - NOTIFICATION HOOK
+ *
+ * Toasts and the transaction progress modal, from the nearest
+ * NotificationProvider (see context/NotificationContext).
+ */
+
+import { useContext } from 'react';
+import { NotificationContext } from '../context/NotificationContext';
+
+/**
+ * @returns {{
+ *   notify: (options: Object) => number,
+ *   success: (message: string, options?: Object) => number,
+ *   info: (message: string, options?: Object) => number,
+ *   warning: (message: string, options?: Object) => number,
+ *   error: (message: string, options?: Object) => number,
+ *   dismiss: (id: number) => void,
+ *   transaction: import('../services/notifications').TransactionStatus|null,
+ *   showTransaction: (status: import('../services/notifications').TransactionStatus|null) => void,
+ *   closeTransaction: () => void
+ * }}
+ */
+export default function useNotifications() {
+  const context = useContext(NotificationContext);
+  if (!context) throw new Error('useNotifications must be used inside a NotificationProvider');
+  return context;
+}
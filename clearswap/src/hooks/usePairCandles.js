@@ -0,0 +1,52 @@
+/**
+ * USEPAIRCANDLES.JS - PAIR TRADE HISTORY HOOK
+ *
+ * Loads the Stellar DEX candles of the charted pair from Horizon (see
+ * services/analytics.js) whenever the pair or candle size changes.
+ * `candles` stays null when the pair has no trade history to load: a
+ * Soroban-only token, or a failed request.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { Asset } from '@stellar/stellar-sdk';
+import { fetchTradeCandles } from '../services/analytics';
+
+/**
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {Object|undefined} params.base - Charted token ({ address, symbol, issuer? })
+ * @param {Object|undefined} params.quote - Token the price is in
+ * @param {number} params.intervalMs - Candle size
+ * @returns {{ candles: Array<import('../services/analytics').Candle>|null, loading: boolean }}
+ */
+export default function usePairCandles({ networkConfig, base, quote, intervalMs }) {
+  const [candles, setCandles] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const nativeAddress = useMemo(() => Asset.native().contractId(networkConfig.passphrase), [networkConfig]);
+
+  useEffect(() => {
+    setCandles(null);
+    if (!base || !quote || base.address === quote.address) return undefined;
+
+    const controller = new AbortController();
+    setLoading(true);
+    fetchTradeCandles({ networkConfig, base, quote, nativeAddress, intervalMs, signal: controller.signal })
+      .then(result => {
+        if (!controller.signal.aborted) setCandles(result);
+      })
+      .catch(err => {
+        if (!controller.signal.aborted) console.error('Error loading pair trade history:', err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => {
+      controller.abort();
+      setLoading(false);
+    };
+  }, [networkConfig, base, quote, nativeAddress, intervalMs]);
+
+  return { candles, loading };
+}
@@ -0,0 +1,76 @@
+/**
+ * USEPRICEGUARD.JS - QUOTE PRICE CHECK HOOK
+ *
+ * Checks the displayed quote against an independent reference price (see
+ * services/priceGuard.js). The reference is fetched when the pair changes
+ * and again with a new quote once it is older than REFERENCE_TTL_MS.
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Asset } from '@stellar/stellar-sdk';
+import useStore from './useStore';
+import { selectNetworkConfig, selectSwapSettings } from '../store/selectors';
+import { checkQuotePrice, fetchReferencePrice } from '../services/priceGuard';
+
+const REFERENCE_TTL_MS = 60 * 1000;
+
+/**
+ * @param {Object} params
+ * @param {Object|null} params.quote - Displayed Soroswap quote
+ * @param {Object|undefined} params.fromToken - Input token ({ address, symbol, decimals, issuer? })
+ * @param {Object|undefined} params.toToken - Output token
+ * @returns {{ check: import('../services/priceGuard').PriceCheck|null, loading: boolean }}
+ */
+export default function usePriceGuard({ quote, fromToken, toToken }) {
+  const { state } = useStore();
+  const networkConfig = selectNetworkConfig(state);
+  const { expertMode } = selectSwapSettings(state);
+  const [reference, setReference] = useState({ pair: '', price: null }); // Latest reference and its pair
+  const [loading, setLoading] = useState(false); // Reference fetch in flight
+  const fetchedRef = useRef({ pair: '', at: 0 }); // Pair and time of the last fetch
+
+  const nativeAddress = useMemo(() => Asset.native().contractId(networkConfig.passphrase), [networkConfig]);
+  const pair = fromToken && toToken ? `${networkConfig.id}:${fromToken.address}:${toToken.address}` : '';
+
+  // Fetch for a new pair, or for a new quote once the reference has aged
+  useEffect(() => {
+    if (!pair || !quote) return undefined;
+    const last = fetchedRef.current;
+    if (last.pair === pair && Date.now() - last.at < REFERENCE_TTL_MS) return undefined;
+
+    fetchedRef.current = { pair, at: Date.now() };
+
+    const controller = new AbortController();
+    let settled = false;
+    setLoading(true);
+    fetchReferencePrice({ networkConfig, fromToken, toToken, nativeAddress, signal: controller.signal })
+      .then(price => {
+        settled = true;
+        if (!controller.signal.aborted) setReference({ pair, price });
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => {
+      controller.abort();
+      // The aborted fetch no longer clears it, and the next run may not fetch
+      setLoading(false);
+      // An interrupted fetch is retried on the next run
+      if (!settled) fetchedRef.current = { pair: '', at: 0 };
+    };
+  }, [pair, quote, networkConfig, fromToken, toToken, nativeAddress]);
+
+  // A reference for another pair does not count; while the first one
+  // for this pair loads there is nothing to check against yet
+  const hasReference = Boolean(pair) && reference.pair === pair;
+  const check = useMemo(
+    () =>
+      quote && fromToken && toToken && hasReference
+        ? checkQuotePrice({ quote, reference: reference.price, fromToken, toToken, expertMode })
+        : null,
+    [quote, reference, hasReference, fromToken, toToken, expertMode]
+  );
+
+  return { check, loading: loading && !hasReference };
+}
@@ -0,0 +1,75 @@
+/**
+ * USEQUOTECOMPARISON.JS - PER-PROTOCOL QUOTE COMPARISON HOOK
+ *
+ * Runs a quote comparison (see services/quoteComparison.js) on demand.
+ * Starting a new comparison or clearing it cancels the one in flight.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import useStore from './useStore';
+import { selectNetworkConfig, selectSwapSettings } from '../store/selectors';
+import { fetchQuoteComparison } from '../services/quoteComparison';
+import { RequestCancelledError } from '../services/soroswapErrors';
+
+/**
+ * @returns {{
+ *   rows: Array<import('../services/quoteComparison').ComparisonRow>,
+ *   comparing: boolean,
+ *   error: string,
+ *   compare: (payload: Object) => Promise<void>,
+ *   clear: () => void
+ * }}
+ */
+export default function useQuoteComparison() {
+  const { state } = useStore();
+  const networkConfig = selectNetworkConfig(state);
+  const { protocols } = selectSwapSettings(state);
+  const [rows, setRows] = useState([]); // One row per quote source
+  const [comparing, setComparing] = useState(false); // Requests in flight
+  const [error, setError] = useState(''); // Why the comparison failed as a whole
+  const requestRef = useRef(null); // AbortController of the comparison in flight
+
+  const clear = useCallback(() => {
+    requestRef.current?.abort();
+    requestRef.current = null;
+    setRows([]);
+    setComparing(false);
+    setError('');
+  }, []);
+
+  const compare = useCallback(
+    async payload => {
+      requestRef.current?.abort();
+      const controller = new AbortController();
+      requestRef.current = controller;
+
+      setComparing(true);
+      setError('');
+      try {
+        const result = await fetchQuoteComparison({
+          payload,
+          enabledProtocols: protocols,
+          network: networkConfig.id,
+          signal: controller.signal,
+        });
+        setRows(result);
+        if (result.every(row => !row.quote)) setError('No protocol could quote this trade');
+      } catch (err) {
+        if (err instanceof RequestCancelledError || controller.signal.aborted) return;
+        console.error('Error comparing quotes:', err);
+        setError(`Failed to compare quotes: ${err.message}`);
+      } finally {
+        if (requestRef.current === controller) {
+          requestRef.current = null;
+          setComparing(false);
+        }
+      }
+    },
+    [protocols, networkConfig]
+  );
+
+  // Nothing may land after the screen is gone
+  useEffect(() => () => requestRef.current?.abort(), []);
+
+  return { rows, comparing, error, compare, clear };
+}
@@ -0,0 +1,18 @@
+/**
+ * USESTORE.JS - SHARED STORE HOOK
+ *
+ * State and dispatch of the nearest StoreProvider (see
+ * store/StoreContext). Read state through store/selectors.js.
+ */
+
+import { useContext } from 'react';
+import { StoreContext } from '../store/StoreContext';
+
+/**
+ * @returns {{ state: import('../store/reducer').StoreState, dispatch: function }}
+ */
+export default function useStore() {
+  const context = useContext(StoreContext);
+  if (!context) throw new Error('useStore must be used inside a StoreProvider');
+  return context;
+}
@@ -0,0 +1,148 @@
+/**
+ * USESWAPFEES.JS - SWAP FEE BREAKDOWN HOOK
+ *
+ * Itemised fees of the displayed quote (see services/feeBreakdown.js).
+ * While `enabled`, it loads USD prices for the pair and XLM, the pools of
+ * route protocols that set fees per pool, and builds and simulates the
+ * transaction for the network fee. That is done once per trade (pair,
+ * amount, trade type and protocols), not for every refresh of its quote;
+ * the last estimate stays on screen while a changed trade is simulated.
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Asset } from '@stellar/stellar-sdk';
+import useStore from './useStore';
+import { selectNetworkConfig, selectPublicKey } from '../store/selectors';
+import soroswapClient from '../services/soroswapClient';
+import { loadPrices } from '../services/analytics';
+import { estimateNetworkFee } from '../services/sorobanRpc';
+import { getFeeBreakdown, getPoolFeeProtocols } from '../services/feeBreakdown';
+import { getQuoteRoute } from '../services/quoteRoute';
+import { SimulationError } from '../services/simulationErrors';
+
+/**
+ * What the network fee depends on: refreshed quotes of the same trade share it
+ */
+const getTradeKey = quote => {
+  if (!quote) return '';
+  const amount = quote.tradeType === 'EXACT_OUT' ? quote.amountOut : quote.amountIn;
+  const protocols = [...new Set(getQuoteRoute(quote).map(leg => leg.protocol))].sort();
+  return [quote.assetIn, quote.assetOut, quote.tradeType, amount, protocols.join('+')].join(':');
+};
+
+/**
+ * @param {Object} params
+ * @param {Object|null} params.quote - Displayed Soroswap quote
+ * @param {{ address: string, decimals: number }|undefined} params.fromToken
+ * @param {{ address: string, decimals: number }|undefined} params.toToken
+ * @param {number} params.feeBps - Platform fee the quote was requested with
+ * @param {boolean} params.enabled - Whether the breakdown is on screen
+ * @returns {{
+ *   breakdown: import('../services/feeBreakdown').FeeBreakdown|null,
+ *   estimating: boolean,
+ *   error: string
+ * }}
+ */
+export default function useSwapFees({ quote, fromToken, toToken, feeBps, enabled }) {
+  const { state } = useStore();
+  const publicKey = selectPublicKey(state);
+  const networkConfig = selectNetworkConfig(state);
+  const [prices, setPrices] = useState({}); // USD price by contract address
+  const [pools, setPools] = useState([]); // Pools of the route's per-pool-fee protocols
+  const [networkFee, setNetworkFee] = useState(null); // Simulated fee of the latest quote
+  const [estimating, setEstimating] = useState(false); // Simulation in flight
+  const [error, setError] = useState(''); // Why the network fee is unavailable
+
+  const nativeAddress = useMemo(() => Asset.native().contractId(networkConfig.passphrase), [networkConfig]);
+  const fromAddress = fromToken?.address;
+  const toAddress = toToken?.address;
+  const poolProtocols = useMemo(() => getPoolFeeProtocols(quote).join(','), [quote]);
+  const tradeKey = useMemo(() => getTradeKey(quote), [quote]);
+  const quoteRef = useRef(quote); // Latest quote, built when the trade changes
+  quoteRef.current = quote;
+  const estimatedRef = useRef(''); // Trade, wallet and network of the current estimate
+
+  // USD prices of the pair and of XLM (the network fee's currency)
+  useEffect(() => {
+    setPrices({});
+    if (!enabled || !fromAddress || !toAddress) return undefined;
+
+    const controller = new AbortController();
+    loadPrices({ networkConfig, assets: [fromAddress, toAddress, nativeAddress], signal: controller.signal })
+      .then(result => {
+        if (!controller.signal.aborted) setPrices(result);
+      })
+      .catch(err => {
+        if (!controller.signal.aborted) console.error('Error loading fee prices:', err);
+      });
+    return () => controller.abort();
+  }, [enabled, fromAddress, toAddress, nativeAddress, networkConfig]);
+
+  // Pools of the route protocols whose fees differ per pool
+  useEffect(() => {
+    setPools([]);
+    if (!enabled || !poolProtocols) return undefined;
+
+    const controller = new AbortController();
+    soroswapClient
+      .getPools({ protocols: poolProtocols.split(',') }, { network: networkConfig.id, signal: controller.signal })
+      .then(result => {
+        if (!controller.signal.aborted) setPools(Array.isArray(result) ? result : []);
+      })
+      .catch(err => {
+        if (!controller.signal.aborted) console.error('Error loading pool fees:', err);
+      });
+    return () => controller.abort();
+  }, [enabled, poolProtocols, networkConfig]);
+
+  // Build and simulate each new trade for its network fee
+  useEffect(() => {
+    if (!tradeKey) {
+      setNetworkFee(null);
+      estimatedRef.current = '';
+    }
+    const estimateKey = `${networkConfig.id}:${publicKey}:${tradeKey}`;
+    if (!enabled || !tradeKey || !publicKey || estimatedRef.current === estimateKey) {
+      setEstimating(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const estimate = async () => {
+      setEstimating(true);
+      try {
+        const { xdr } = await soroswapClient.buildTransaction(
+          { quote: quoteRef.current, from: publicKey, to: publicKey },
+          { network: networkConfig.id, signal: controller.signal }
+        );
+        const fee = await estimateNetworkFee({ networkConfig, xdr });
+        if (controller.signal.aborted) return;
+        estimatedRef.current = estimateKey;
+        setNetworkFee(fee);
+        setError('');
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('Error estimating network fee:', err);
+        estimatedRef.current = '';
+        setNetworkFee(null);
+        // A classified failure says why the swap would fail, not just that it did
+        setError(err instanceof SimulationError ? err.message : 'Could not simulate the transaction');
+      } finally {
+        if (!controller.signal.aborted) setEstimating(false);
+      }
+    };
+
+    estimate();
+    return () => controller.abort();
+  }, [enabled, tradeKey, publicKey, networkConfig]);
+
+  const breakdown = useMemo(
+    () =>
+      quote && fromToken && toToken
+        ? getFeeBreakdown({ quote, feeBps, networkFee, pools, prices, fromToken, toToken, nativeAddress })
+        : null,
+    [quote, feeBps, networkFee, pools, prices, fromToken, toToken, nativeAddress]
+  );
+
+  return { breakdown, estimating, error };
+}
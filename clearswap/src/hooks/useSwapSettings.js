@@ -0,0 +1,37 @@
+/**
+ * USESWAPSETTINGS.JS - SWAP SETTINGS HOOK
+ *
+ * The connected wallet's swap settings from the shared store (loaded by
+ * StoreProvider when the wallet changes); every update is persisted.
+ */
+
+import { useCallback } from 'react';
+import useStore from './useStore';
+import { settingsLoaded } from '../store/actions';
+import { selectPublicKey, selectSwapSettings } from '../store/selectors';
+import { DEFAULT_SWAP_SETTINGS, saveSwapSettings } from '../services/swapSettings';
+
+/**
+ * @returns {{
+ *   settings: import('../services/swapSettings').SwapSettings,
+ *   updateSettings: (changes: Object) => void,
+ *   resetSettings: () => void
+ * }}
+ */
+export default function useSwapSettings() {
+  const { state, dispatch } = useStore();
+  const publicKey = selectPublicKey(state);
+  const settings = selectSwapSettings(state);
+
+  const updateSettings = useCallback(
+    changes => dispatch(settingsLoaded(saveSwapSettings(publicKey, { ...settings, ...changes }))),
+    [publicKey, settings, dispatch]
+  );
+
+  const resetSettings = useCallback(
+    () => dispatch(settingsLoaded(saveSwapSettings(publicKey, DEFAULT_SWAP_SETTINGS))),
+    [publicKey, dispatch]
+  );
+
+  return { settings, updateSettings, resetSettings };
+}
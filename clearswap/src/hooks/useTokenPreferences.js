@@ -0,0 +1,55 @@
+/**
+ * USETOKENPREFERENCES.JS - TOKEN PICKER PREFERENCES HOOK
+ *
+ * Favourite, recent and imported tokens for the selected network, saved
+ * to localStorage on every change.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  addImported,
+  addRecent,
+  loadTokenPreferences,
+  saveTokenPreferences,
+  toggleFavorite,
+} from '../services/tokenPreferences';
+
+/**
+ * @param {string} network - Network id
+ * @returns {{
+ *   favorites: Array<string>,
+ *   recents: Array<string>,
+ *   imported: Array<Object>,
+ *   toggleFavorite: (address: string) => void,
+ *   addRecent: (address: string) => void,
+ *   importToken: (token: Object) => void
+ * }}
+ */
+export default function useTokenPreferences(network) {
+  const [prefs, setPrefs] = useState(() => loadTokenPreferences(network));
+  const prefsRef = useRef(prefs); // Latest preferences, for changes made between renders
+
+  useEffect(() => {
+    const loaded = loadTokenPreferences(network);
+    prefsRef.current = loaded;
+    setPrefs(loaded);
+  }, [network]);
+
+  // Saved outside the state updater, which React may run twice
+  const update = useCallback(
+    change => {
+      const next = change(prefsRef.current);
+      prefsRef.current = next;
+      saveTokenPreferences(network, next);
+      setPrefs(next);
+    },
+    [network]
+  );
+
+  return {
+    ...prefs,
+    toggleFavorite: useCallback(address => update(prev => toggleFavorite(prev, address)), [update]),
+    addRecent: useCallback(address => update(prev => addRecent(prev, address)), [update]),
+    importToken: useCallback(token => update(prev => addImported(prev, token)), [update]),
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * USETOKENREGISTRY.JS - SHARED TOKEN LIST HOOK
+ *
+ * The selected network's merged asset list from the shared store. The
+ * list is loaded the first time any view asks for it on a network and
+ * then shared, instead of every view fetching its own copy. `reload()`
+ * fetches it again.
+ */
+
+import { useCallback, useEffect } from 'react';
+import useStore from './useStore';
+import { tokensLoaded, tokensRequested } from '../store/actions';
+import { selectNetworkConfig, selectTokenRegistry, selectTokens, selectTokensNeeded } from '../store/selectors';
+import { loadTokenList } from '../services/assetLists';
+
+/**
+ * @returns {{
+ *   tokens: Array<Object>,
+ *   source: string|null,
+ *   savedAt: number|null,
+ *   loading: boolean,
+ *   reload: () => Promise<void>
+ * }}
+ */
+export default function useTokenRegistry() {
+  const { state, dispatch } = useStore();
+  const networkConfig = selectNetworkConfig(state);
+  const registry = selectTokenRegistry(state);
+  const needed = selectTokensNeeded(state);
+
+  const reload = useCallback(async () => {
+    const network = networkConfig.id;
+    dispatch(tokensRequested(network));
+    try {
+      // Merges every configured asset list, falling back to the cached copy
+      dispatch(tokensLoaded(network, await loadTokenList({ networkConfig })));
+    } catch (err) {
+      console.error('Error fetching tokens:', err);
+      dispatch(tokensLoaded(network, { tokens: networkConfig.fallbackTokens, source: 'fallback' }));
+    }
+  }, [networkConfig, dispatch]);
+
+  useEffect(() => {
+    if (needed) reload();
+  }, [needed, reload]);
+
+  return {
+    tokens: selectTokens(state),
+    source: registry?.source ?? null,
+    savedAt: registry?.savedAt ?? null,
+    loading: !registry || registry.status === 'loading',
+    reload,
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * USETXHISTORY.JS - SWAP HISTORY HOOK
+ *
+ * The connected wallet's swap history on the selected network, from the
+ * shared store. StoreProvider loads and saves it and polls pending swaps;
+ * `recordSwap()` adds a submitted swap and `backfill()` pulls in swaps
+ * made elsewhere.
+ */
+
+import { useCallback } from 'react';
+import useStore from './useStore';
+import { backfillFinished, backfillStarted, historyMerged } from '../store/actions';
+import { selectBackfill, selectHistory, selectNetworkConfig, selectOwner, selectPublicKey } from '../store/selectors';
+import { fetchHorizonSwaps } from '../services/txHistory';
+
+/**
+ * @returns {{
+ *   entries: Array<import('../services/txHistory').HistoryEntry>,
+ *   recordSwap: (entry: Object) => void,
+ *   backfill: () => Promise<void>,
+ *   backfilling: boolean,
+ *   error: string
+ * }}
+ */
+export default function useTxHistory() {
+  const { state, dispatch } = useStore();
+  const publicKey = selectPublicKey(state);
+  const networkConfig = selectNetworkConfig(state);
+  const owner = selectOwner(state);
+  const { backfilling, error } = selectBackfill(state);
+
+  const recordSwap = useCallback(
+    entry => dispatch(historyMerged(owner, [{ ...entry, source: 'clearswap' }])),
+    [owner, dispatch]
+  );
+
+  const backfill = useCallback(async () => {
+    if (!owner) return;
+    dispatch(backfillStarted());
+    try {
+      dispatch(historyMerged(owner, await fetchHorizonSwaps({ networkConfig, account: publicKey })));
+      dispatch(backfillFinished());
+    } catch (err) {
+      console.error('Error loading history from Horizon:', err);
+      dispatch(backfillFinished('Could not load past swaps from Horizon'));
+    }
+  }, [owner, publicKey, networkConfig, dispatch]);
+
+  return { entries: selectHistory(state), recordSwap, backfill, backfilling, error };
+}
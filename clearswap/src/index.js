@@ -1,15 +1,29 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
+import { BrowserRouter } from 'react-router-dom';
 import App from './App';
+import { NotificationProvider } from './context/NotificationContext';
+import { StoreProvider } from './store/StoreContext';
 import reportWebVitals from './reportWebVitals';
+import { loadRuntimeConfig } from './config/runtimeConfig';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+
+// Resolve the deployment's API environment before the first request goes out
+loadRuntimeConfig().finally(() => {
+  root.render(
+    <React.StrictMode>
+      <BrowserRouter basename={process.env.PUBLIC_URL}>
+        <StoreProvider>
+          <NotificationProvider>
+            <App />
+          </NotificationProvider>
+        </StoreProvider>
+      </BrowserRouter>
+    </React.StrictMode>
+  );
+});
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
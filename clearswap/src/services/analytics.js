@@ -0,0 +1,404 @@
+/* global BigInt */
+/**
+ * ANALYTICS.JS - MARKET AND ACCOUNT ANALYTICS
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Turns Soroswap `/pools` and `/price` responses into the analytics view:
+ * - TVL per pool (reserves valued at USD prices) and 24h volume where the
+ *   API reports it, rolled up per protocol
+ * - Pair price candles (OHLC) over selectable intervals
+ * - Top movers over the last 24 hours
+ * - The connected wallet's own volume and fees, from its swap history
+ *
+ * PRICE HISTORY:
+ * Pairs of classic assets (and XLM) get their candles from Horizon
+ * `trade_aggregations`, the Stellar DEX trade history. Soroswap `/price`
+ * returns spot prices only, so for everything else every load is recorded
+ * as a price sample (at most one per SAMPLE_SPACING_MS, kept for
+ * PRICE_RETENTION_MS) and candles and movers are built from those
+ * samples. They fill in the longer the view is open on a browser; until
+ * then the view says since when it has been collecting.
+ *
+ * USD figures are display estimates and use floating point; nothing here
+ * feeds back into a trade.
+ */
+
+import soroswapClient from './soroswapClient';
+import { horizonAssetParams } from './priceGuard';
+import { PROTOCOLS } from './swapSettings';
+import { baseUnitsToDecimal } from '../utils/amounts';
+
+export const PRICE_SAMPLES_STORAGE_PREFIX = 'clearswap.prices.';
+export const SAMPLE_SPACING_MS = 5 * 60 * 1000;
+export const PRICE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+export const MOVERS_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Assets per `/price` request: every one is a 56-character `asset=` parameter,
+// and a few hundred of them go past common URL and header size limits
+export const PRICE_BATCH_SIZE = 40;
+
+// Candle sizes Horizon aggregates trades at, and how many it returns at most
+const TRADE_RESOLUTIONS_MS = [60, 5 * 60, 15 * 60, 60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60].map(s => s * 1000);
+export const TRADE_CANDLE_LIMIT = 200;
+
+// Candle sizes offered by the chart
+export const CANDLE_INTERVALS = [
+  { id: '15m', label: '15m', ms: 15 * 60 * 1000 },
+  { id: '1h', label: '1H', ms: 60 * 60 * 1000 },
+  { id: '4h', label: '4H', ms: 4 * 60 * 60 * 1000 },
+  { id: '1d', label: '1D', ms: 24 * 60 * 60 * 1000 },
+];
+
+/**
+ * @typedef {Object<string, Array<[number, number]>>} PriceSamples
+ * Price samples per asset address: [timestamp ms, USD price], oldest first
+ */
+
+/**
+ * @typedef {Object} Candle
+ * @property {number} time - Start of the interval (ms)
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ */
+
+/**
+ * Reads the stored price samples for a network
+ *
+ * @param {string} network - Network id
+ * @returns {PriceSamples}
+ */
+export const loadPriceSamples = network => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(PRICE_SAMPLES_STORAGE_PREFIX + network));
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+/**
+ * Adds a price snapshot to the stored samples
+ *
+ * A snapshot taken within SAMPLE_SPACING_MS of an asset's last sample
+ * replaces it instead of adding a new one; samples older than the
+ * retention window are dropped.
+ *
+ * @param {string} network - Network id
+ * @param {Object<string, number>} prices - USD price per asset address
+ * @param {number} [now=Date.now()]
+ * @returns {PriceSamples} The stored samples
+ */
+export const recordPriceSamples = (network, prices, now = Date.now()) => {
+  const samples = loadPriceSamples(network);
+  const cutoff = now - PRICE_RETENTION_MS;
+
+  Object.entries(prices).forEach(([asset, price]) => {
+    if (!Number.isFinite(price) || price <= 0) return;
+    const series = (samples[asset] || []).filter(([time]) => time >= cutoff);
+    const last = series[series.length - 1];
+    if (last && now - last[0] < SAMPLE_SPACING_MS) series.pop();
+    series.push([now, price]);
+    samples[asset] = series;
+  });
+
+  try {
+    window.localStorage.setItem(PRICE_SAMPLES_STORAGE_PREFIX + network, JSON.stringify(samples));
+  } catch (err) {
+    console.warn('Could not save price samples:', err);
+  }
+  return samples;
+};
+
+/**
+ * Price of `base` in units of `quote` at every time both were sampled
+ *
+ * @param {Array<[number, number]>} [baseSeries]
+ * @param {Array<[number, number]>} [quoteSeries]
+ * @returns {Array<[number, number]>}
+ */
+export const pairSeries = (baseSeries = [], quoteSeries = []) => {
+  const quoteByTime = new Map(quoteSeries);
+  return baseSeries
+    .filter(([time]) => quoteByTime.get(time) > 0)
+    .map(([time, price]) => [time, price / quoteByTime.get(time)]);
+};
+
+/**
+ * Groups a price series into OHLC candles
+ *
+ * @param {Array<[number, number]>} series - [timestamp, price], oldest first
+ * @param {number} intervalMs - Candle size
+ * @returns {Array<Candle>}
+ */
+export const buildCandles = (series, intervalMs) => {
+  const candles = [];
+  series.forEach(([time, price]) => {
+    const start = Math.floor(time / intervalMs) * intervalMs;
+    const current = candles[candles.length - 1];
+    if (current && current.time === start) {
+      current.high = Math.max(current.high, price);
+      current.low = Math.min(current.low, price);
+      current.close = price;
+    } else {
+      candles.push({ time: start, open: price, high: price, low: price, close: price });
+    }
+  });
+  return candles;
+};
+
+/**
+ * Merges candles into larger ones
+ *
+ * @param {Array<Candle>} candles - Oldest first
+ * @param {number} intervalMs - Size of the merged candles
+ * @returns {Array<Candle>}
+ */
+export const mergeCandles = (candles, intervalMs) => {
+  const merged = [];
+  candles.forEach(candle => {
+    const start = Math.floor(candle.time / intervalMs) * intervalMs;
+    const current = merged[merged.length - 1];
+    if (current && current.time === start) {
+      current.high = Math.max(current.high, candle.high);
+      current.low = Math.min(current.low, candle.low);
+      current.close = candle.close;
+    } else {
+      merged.push({ ...candle, time: start });
+    }
+  });
+  return merged;
+};
+
+/**
+ * Earliest stored price sample
+ *
+ * @param {PriceSamples} samples
+ * @returns {number|null} Timestamp (ms), or null before the first sample
+ */
+export const getSamplingStart = samples => {
+  const starts = Object.values(samples)
+    .map(series => series[0]?.[0])
+    .filter(Number.isFinite);
+  return starts.length > 0 ? Math.min(...starts) : null;
+};
+
+/**
+ * Pair candles from the Stellar DEX trade history
+ *
+ * Asks Horizon for the largest resolution that divides the candle size
+ * and merges up to it (a 4H candle is four 1H aggregations).
+ *
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {Object} params.base - Charted token ({ address, symbol, issuer? })
+ * @param {Object} params.quote - Token the price is in
+ * @param {string} params.nativeAddress - XLM's contract address on the network
+ * @param {number} params.intervalMs - Candle size
+ * @param {function} [params.fetchImpl]
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<Array<Candle>|null>} Oldest first; null when either token is not a classic asset
+ */
+export const fetchTradeCandles = async ({
+  networkConfig,
+  base,
+  quote,
+  nativeAddress,
+  intervalMs,
+  fetchImpl = window.fetch,
+  signal,
+}) => {
+  const baseParams = horizonAssetParams(base, nativeAddress, 'base');
+  const counterParams = horizonAssetParams(quote, nativeAddress, 'counter');
+  if (!baseParams || !counterParams) return null;
+
+  const resolution = [...TRADE_RESOLUTIONS_MS].reverse().find(ms => intervalMs % ms === 0);
+  const query = new URLSearchParams({
+    ...baseParams,
+    ...counterParams,
+    resolution: String(resolution),
+    order: 'desc',
+    limit: String(TRADE_CANDLE_LIMIT),
+  });
+  const response = await fetchImpl(`${networkConfig.horizonUrl}/trade_aggregations?${query}`, { signal });
+  if (!response.ok) throw new Error(`Horizon trade aggregations request failed: ${response.status}`);
+  const body = await response.json();
+
+  const candles = (body._embedded?.records || [])
+    .map(record => ({
+      time: Number(record.timestamp),
+      open: parseFloat(record.open),
+      high: parseFloat(record.high),
+      low: parseFloat(record.low),
+      close: parseFloat(record.close),
+    }))
+    .filter(candle => Number.isFinite(candle.time) && candle.open > 0 && candle.close > 0)
+    .reverse();
+  return resolution === intervalMs ? candles : mergeCandles(candles, intervalMs);
+};
+
+/**
+ * Assets whose price moved most over the window
+ *
+ * @param {PriceSamples} samples
+ * @param {number} [now=Date.now()]
+ * @param {number} [windowMs=MOVERS_WINDOW_MS]
+ * @returns {Array<{ asset: string, price: number, change: number }>} `change` in percent, largest moves first
+ */
+export const getTopMovers = (samples, now = Date.now(), windowMs = MOVERS_WINDOW_MS) =>
+  Object.entries(samples)
+    .map(([asset, series]) => {
+      const inWindow = series.filter(([time]) => time >= now - windowMs);
+      if (inWindow.length < 2) return null;
+      const [, first] = inWindow[0];
+      const [, last] = inWindow[inWindow.length - 1];
+      return { asset, price: last, change: ((last - first) / first) * 100 };
+    })
+    .filter(Boolean)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+/**
+ * USD value of a base-unit amount, or null without a price
+ */
+const toUsd = (amount, decimals, price) =>
+  price == null || amount == null ? null : Number(baseUnitsToDecimal(amount, decimals)) * price;
+
+/**
+ * Values every pool at current prices
+ *
+ * @param {Array<Object>} pools - Soroswap `/pools` response
+ * @param {Object<string, number>} prices - USD price per asset address
+ * @param {function(string): number} getDecimals - Decimals of a token address
+ * @returns {Array<{ address: string, protocol: string, tokenA: string, tokenB: string, tvlUsd: number|null, volume24hUsd: number|null }>}
+ *   Sorted by TVL, unpriced pools last
+ */
+export const summarisePools = (pools, prices, getDecimals) =>
+  pools
+    .map(pool => {
+      const valueA = toUsd(pool.reserveA, getDecimals(pool.tokenA), prices[pool.tokenA]);
+      const valueB = toUsd(pool.reserveB, getDecimals(pool.tokenB), prices[pool.tokenB]);
+      const volume = Number(pool.volume24h);
+      return {
+        address: pool.address,
+        protocol: String(pool.protocol || 'unknown').toLowerCase(),
+        tokenA: pool.tokenA,
+        tokenB: pool.tokenB,
+        tvlUsd: valueA === null || valueB === null ? null : valueA + valueB,
+        volume24hUsd: pool.volume24h != null && Number.isFinite(volume) ? volume : null,
+      };
+    })
+    .sort((a, b) => (b.tvlUsd ?? -1) - (a.tvlUsd ?? -1));
+
+/**
+ * Rolls pool figures up per protocol
+ *
+ * @param {Array<Object>} poolRows - Output of summarisePools
+ * @returns {Array<{ protocol: string, pools: number, tvlUsd: number, volume24hUsd: number }>} Largest TVL first
+ */
+export const summariseProtocols = poolRows => {
+  const byProtocol = new Map();
+  poolRows.forEach(row => {
+    const entry = byProtocol.get(row.protocol) || { protocol: row.protocol, pools: 0, tvlUsd: 0, volume24hUsd: 0 };
+    entry.pools += 1;
+    entry.tvlUsd += row.tvlUsd || 0;
+    entry.volume24hUsd += row.volume24hUsd || 0;
+    byProtocol.set(row.protocol, entry);
+  });
+  return [...byProtocol.values()].sort((a, b) => b.tvlUsd - a.tvlUsd);
+};
+
+/**
+ * The wallet's confirmed swap volume and fees
+ *
+ * @param {Array<import('./txHistory').HistoryEntry>} entries
+ * @param {Object<string, number>} prices - USD price per asset address
+ * @returns {{ swaps: number, volumeUsd: number, platformFeesUsd: number, networkFeesStroops: number, unpriced: number }}
+ *   `unpriced` counts swaps left out of the USD totals for lack of a price
+ */
+export const summariseUserActivity = (entries, prices) =>
+  entries
+    .filter(entry => entry.status === 'confirmed')
+    .reduce(
+      (totals, entry) => {
+        const sold = entry.amountIn ?? entry.quotedAmountIn;
+        const volume = toUsd(sold, entry.fromToken.decimals, prices[entry.fromToken.address]);
+        return {
+          swaps: totals.swaps + 1,
+          volumeUsd: totals.volumeUsd + (volume || 0),
+          platformFeesUsd: totals.platformFeesUsd + ((volume || 0) * (entry.feeBps || 0)) / 10000,
+          networkFeesStroops: totals.networkFeesStroops + Number(entry.networkFee || 0),
+          unpriced: totals.unpriced + (volume === null ? 1 : 0),
+        };
+      },
+      { swaps: 0, volumeUsd: 0, platformFeesUsd: 0, networkFeesStroops: 0, unpriced: 0 }
+    );
+
+/**
+ * Average network fee of the wallet's swaps that report one
+ *
+ * @param {Array<import('./txHistory').HistoryEntry>} entries
+ * @returns {bigint|null} Stroops; null before any swap with a known fee
+ */
+export const getAverageNetworkFee = entries => {
+  const fees = entries.filter(entry => entry.networkFee != null).map(entry => BigInt(entry.networkFee));
+  return fees.length > 0 ? fees.reduce((sum, fee) => sum + fee, 0n) / BigInt(fees.length) : null;
+};
+
+/**
+ * Loads USD prices for a set of assets
+ *
+ * Assets are requested PRICE_BATCH_SIZE at a time, one batch after the
+ * other, and the results merged.
+ *
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {Array<string>} params.assets - Asset contract addresses
+ * @param {Object} [params.client] - Soroswap client (tests inject a mock)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<Object<string, number>>} Price by contract address; unpriced assets are left out
+ */
+export const loadPrices = async ({ networkConfig, assets, client = soroswapClient, signal }) => {
+  const unique = [...new Set(assets)].filter(Boolean);
+  if (unique.length === 0) return {};
+
+  const prices = {};
+  for (let start = 0; start < unique.length; start += PRICE_BATCH_SIZE) {
+    const batch = unique.slice(start, start + PRICE_BATCH_SIZE);
+    const priceList = await client.getPrices(batch, { network: networkConfig.id, signal });
+    (Array.isArray(priceList) ? priceList : []).forEach(({ asset, price }) => {
+      const value = Number(price);
+      if (asset && Number.isFinite(value) && value > 0) prices[asset] = value;
+    });
+  }
+  return prices;
+};
+
+/**
+ * Loads pools and USD prices for a network
+ *
+ * Pools of every supported protocol; prices for every listed token and
+ * every pool token.
+ *
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {Array<Object>} params.tokens - Token list
+ * @param {Object} [params.client] - Soroswap client (tests inject a mock)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<{ pools: Array<Object>, prices: Object<string, number> }>}
+ */
+export const loadMarketData = async ({ networkConfig, tokens, client = soroswapClient, signal }) => {
+  const options = { network: networkConfig.id, signal };
+  const pools = await client.getPools({ protocols: PROTOCOLS.map(protocol => protocol.id) }, options);
+  const poolList = Array.isArray(pools) ? pools : [];
+
+  const assets = new Set(tokens.map(token => token.address));
+  poolList.forEach(pool => {
+    assets.add(pool.tokenA);
+    assets.add(pool.tokenB);
+  });
+
+  const prices = await loadPrices({ networkConfig, assets: [...assets], client, signal });
+  return { pools: poolList, prices };
+};
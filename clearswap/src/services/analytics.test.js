@@ -0,0 +1,236 @@
+import {
+  PRICE_BATCH_SIZE,
+  PRICE_RETENTION_MS,
+  SAMPLE_SPACING_MS,
+  buildCandles,
+  fetchTradeCandles,
+  getAverageNetworkFee,
+  getSamplingStart,
+  getTopMovers,
+  loadMarketData,
+  loadPrices,
+  loadPriceSamples,
+  pairSeries,
+  recordPriceSamples,
+  summarisePools,
+  summariseProtocols,
+  summariseUserActivity,
+} from './analytics';
+import { NETWORKS } from '../config/networks';
+import fixture from './__fixtures__/soroswapAnalytics.json';
+
+const networkConfig = NETWORKS.mainnet;
+const XLM = 'CAS3J7GYLGXMF6TDJBBYYSE3HQ6BBSMLNUQ34T6TZMYMW2EVH34XOWMA';
+const USDC = 'CCW67TSZV3SSS2HXMBQ5JFGCKJNXKZM7UQUWUZPUTHXSTZLEO7SJMI75';
+const EURC = 'CDTKPWPLOURQA2SGTKTUQOWRCBZEORB4BWBOMJ3D3ZTQQSGE5F6JBQLV';
+const HOUR = 60 * 60 * 1000;
+
+// Offline client answering with the fixture responses
+const fixtureClient = () => ({
+  getPools: jest.fn().mockResolvedValue(fixture.pools),
+  getPrices: jest.fn().mockResolvedValue(fixture.prices),
+});
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe('analytics', () => {
+  test('loads pools and prices for listed and pool tokens', async () => {
+    const client = fixtureClient();
+    const { pools, prices } = await loadMarketData({ networkConfig, tokens: networkConfig.fallbackTokens, client });
+
+    expect(pools).toHaveLength(4);
+    expect(client.getPools.mock.calls[0][1]).toMatchObject({ network: 'mainnet' });
+    expect(client.getPrices.mock.calls[0][0]).toEqual(expect.arrayContaining([XLM, USDC, EURC]));
+    expect(prices[XLM]).toBe(0.12);
+  });
+
+  test('requests prices in batches and merges them', async () => {
+    const assets = Array.from({ length: PRICE_BATCH_SIZE * 2 + 1 }, (_, i) => `C${i}`);
+    const client = {
+      getPrices: jest.fn(batch => Promise.resolve(batch.map(asset => ({ asset, price: 1 })))),
+    };
+    const prices = await loadPrices({ networkConfig, assets: [...assets, 'C0'], client });
+
+    expect(client.getPrices.mock.calls.map(([batch]) => batch.length)).toEqual([PRICE_BATCH_SIZE, PRICE_BATCH_SIZE, 1]);
+    expect(Object.keys(prices)).toHaveLength(assets.length);
+  });
+
+  test('values pools at current prices and rolls them up per protocol', async () => {
+    const { pools, prices } = await loadMarketData({ networkConfig, tokens: [], client: fixtureClient() });
+    const rows = summarisePools(pools, prices, () => 7);
+
+    // 2.5M XLM at $0.12 + 300k USDC at $1
+    expect(rows[0]).toMatchObject({ protocol: 'soroswap', tvlUsd: 600000, volume24hUsd: 184230.55 });
+    // AQUA has no price, so its pool cannot be valued and sorts last
+    expect(rows[rows.length - 1]).toMatchObject({ protocol: 'aqua', tvlUsd: null, volume24hUsd: null });
+
+    const protocols = summariseProtocols(rows);
+    expect(protocols.map(p => p.protocol)).toEqual(['soroswap', 'phoenix', 'aqua']);
+    expect(protocols[0]).toMatchObject({ pools: 2, tvlUsd: 600000 + 50000 + 49910, volume24hUsd: 196730.55 });
+  });
+
+  test('records at most one price sample per spacing and drops old ones', () => {
+    const start = 1700000000000;
+    recordPriceSamples('mainnet', { [XLM]: 0.1 }, start - PRICE_RETENTION_MS - 1);
+    recordPriceSamples('mainnet', { [XLM]: 0.11 }, start);
+    recordPriceSamples('mainnet', { [XLM]: 0.12, bad: NaN }, start + SAMPLE_SPACING_MS / 2);
+    recordPriceSamples('mainnet', { [XLM]: 0.13 }, start + SAMPLE_SPACING_MS * 2);
+
+    expect(loadPriceSamples('mainnet')).toEqual({
+      [XLM]: [
+        [start + SAMPLE_SPACING_MS / 2, 0.12],
+        [start + SAMPLE_SPACING_MS * 2, 0.13],
+      ],
+    });
+    expect(loadPriceSamples('testnet')).toEqual({});
+  });
+
+  test('builds OHLC candles from a pair series', () => {
+    const base = [
+      [0, 0.1],
+      [HOUR / 2, 0.14],
+      [HOUR * 0.75, 0.12],
+      [HOUR, 0.11],
+    ];
+    const quote = [
+      [0, 1],
+      [HOUR / 2, 1],
+      [HOUR * 0.75, 1],
+    ];
+
+    const series = pairSeries(base, quote);
+    expect(series).toHaveLength(3);
+    expect(buildCandles(series, HOUR)).toEqual([{ time: 0, open: 0.1, high: 0.14, low: 0.1, close: 0.12 }]);
+  });
+
+  test('builds candles from Stellar DEX trade aggregations, merging up to the interval', async () => {
+    const record = (hour, open, high, low, close) => ({
+      timestamp: String(hour * HOUR),
+      open: String(open),
+      high: String(high),
+      low: String(low),
+      close: String(close),
+    });
+    const fetchImpl = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () =>
+        Promise.resolve({
+          _embedded: {
+            records: [
+              record(5, 0.13, 0.15, 0.12, 0.14),
+              record(4, 0.12, 0.13, 0.11, 0.13),
+              record(1, 0.1, 0.12, 0.09, 0.11),
+            ],
+          },
+        }),
+    });
+    const usdc = { address: USDC, symbol: 'USDC', issuer: 'GA5ZSEJYB37JRC5AVCIA5MOP4RHTM335X2KGX3IHOJAPP5RE34K4KZVN' };
+
+    const candles = await fetchTradeCandles({
+      networkConfig,
+      base: { address: XLM, symbol: 'XLM' },
+      quote: usdc,
+      nativeAddress: XLM,
+      intervalMs: 4 * HOUR,
+      fetchImpl,
+    });
+
+    const url = new URL(fetchImpl.mock.calls[0][0]);
+    expect(url.pathname).toBe('/trade_aggregations');
+    expect(url.searchParams.get('base_asset_type')).toBe('native');
+    expect(url.searchParams.get('counter_asset_code')).toBe('USDC');
+    expect(url.searchParams.get('resolution')).toBe(String(HOUR));
+    expect(candles).toEqual([
+      { time: 0, open: 0.1, high: 0.12, low: 0.09, close: 0.11 },
+      { time: 4 * HOUR, open: 0.12, high: 0.15, low: 0.11, close: 0.14 },
+    ]);
+
+    const sorobanOnly = { address: EURC, symbol: 'EURC' };
+    await expect(
+      fetchTradeCandles({
+        networkConfig,
+        base: sorobanOnly,
+        quote: usdc,
+        nativeAddress: XLM,
+        intervalMs: HOUR,
+        fetchImpl,
+      })
+    ).resolves.toBeNull();
+  });
+
+  test('reports when price sampling started', () => {
+    expect(getSamplingStart({})).toBeNull();
+    expect(
+      getSamplingStart({
+        a: [[30, 1]],
+        b: [
+          [10, 1],
+          [40, 1],
+        ],
+      })
+    ).toBe(10);
+  });
+
+  test('ranks movers by the size of their 24h move', () => {
+    const now = 100 * HOUR;
+    const movers = getTopMovers(
+      {
+        up: [
+          [now - 30 * HOUR, 1],
+          [now - 20 * HOUR, 1],
+          [now, 1.05],
+        ],
+        down: [
+          [now - 10 * HOUR, 2],
+          [now, 1.6],
+        ],
+        single: [[now, 3]],
+      },
+      now
+    );
+
+    expect(movers.map(m => m.asset)).toEqual(['down', 'up']);
+    expect(movers[0].change).toBeCloseTo(-20);
+    expect(movers[1].change).toBeCloseTo(5);
+  });
+
+  test("sums the wallet's confirmed volume and fees", () => {
+    const swap = (status, amountIn, fromToken) => ({
+      hash: `${status}-${fromToken}-${amountIn}`,
+      status,
+      fromToken: { address: fromToken, decimals: 7 },
+      toToken: { address: 'CX', decimals: 7 },
+      amountIn,
+      feeBps: 50,
+      networkFee: '10000',
+    });
+    const prices = Object.fromEntries(fixture.prices.map(({ asset, price }) => [asset, price]));
+
+    expect(
+      summariseUserActivity(
+        [
+          swap('confirmed', '1000000000', XLM),
+          swap('confirmed', '200000000', USDC),
+          swap('confirmed', '10000000', 'CUNPRICED'),
+          swap('failed', '1000000000', USDC),
+        ],
+        prices
+      )
+    ).toEqual({
+      swaps: 3,
+      volumeUsd: 32,
+      platformFeesUsd: 0.16,
+      networkFeesStroops: 30000,
+      unpriced: 1,
+    });
+  });
+
+  test("averages the wallet's recorded network fees", () => {
+    expect(getAverageNetworkFee([])).toBeNull();
+    expect(getAverageNetworkFee([{ networkFee: '10000' }, { networkFee: null }, { networkFee: '20001' }, {}])).toBe(
+      15000n
+    );
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * ASSETLISTCACHE.JS - LAST GOOD TOKEN LIST
+ *
+ * Keeps the most recent successfully merged token list per network in
+ * IndexedDB, so an asset list outage falls back to real recent data
+ * instead of the handful of hard-coded fallback tokens.
+ */
+
+const DB_NAME = 'clearswap';
+const DB_VERSION = 1;
+const STORE_NAME = 'assetLists';
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+        request.result.createObjectStore(STORE_NAME);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Runs one request against the store and closes the connection afterwards
+const withStore = async (mode, run) => {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = run(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Stores a merged token list for a network
+ *
+ * @param {string} network - Network id
+ * @param {Array<Object>} tokens
+ * @param {number} [now=Date.now()] - Timestamp recorded with the list
+ * @returns {Promise<void>}
+ */
+export const saveCachedTokens = async (network, tokens, now = Date.now()) => {
+  await withStore('readwrite', store => store.put({ tokens, savedAt: now }, network));
+};
+
+/**
+ * Reads the last stored token list for a network
+ *
+ * @param {string} network - Network id
+ * @returns {Promise<{ tokens: Array<Object>, savedAt: number }|null>}
+ */
+export const loadCachedTokens = async network => {
+  const record = await withStore('readonly', store => store.get(network));
+  if (!record || !Array.isArray(record.tokens) || record.tokens.length === 0) return null;
+  return record;
+};
+
+const assetListCache = { save: saveCachedTokens, load: loadCachedTokens };
+
+export default assetListCache;
@@ -0,0 +1,170 @@
+/**
+ * ASSETLISTS.JS - MERGED TOKEN LIST
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Builds the token list from every asset list configured for the network
+ * (Soroswap, StellarExpert top assets, the ClearSwap curated list):
+ * - Lists are fetched in parallel; one failing list does not block the rest
+ * - Tokens are merged by contract address and record which lists vouch for
+ *   them (`lists`), shown as a verification badge in the token picker
+ * - The last good merge is cached; when every list fails the cached copy
+ *   is used, and only without one the network's fallback tokens
+ */
+
+import { Asset } from '@stellar/stellar-sdk';
+import soroswapClient from './soroswapClient';
+import assetListCache from './assetListCache';
+
+/**
+ * Converts an asset list entry into the app's token format
+ *
+ * SEP-42 entries may omit `contract` for classic assets; the Stellar Asset
+ * Contract address is derived from the code, issuer and network.
+ *
+ * @param {Object} asset - Asset list entry ({ code, issuer?, contract?, name?, decimals?, icon? })
+ * @param {string} passphrase - Network passphrase
+ * @returns {Object|null} Token, or null when the entry cannot be used
+ */
+export const normalizeListAsset = (asset, passphrase) => {
+  if (!asset?.code) return null;
+
+  let address = asset.contract;
+  if (!address) {
+    try {
+      const classic = asset.issuer ? new Asset(asset.code, asset.issuer) : asset.code === 'XLM' ? Asset.native() : null;
+      address = classic?.contractId(passphrase);
+    } catch (err) {
+      return null; // Invalid code or issuer
+    }
+  }
+  if (!address) return null;
+
+  const token = {
+    address,
+    symbol: asset.code,
+    name: asset.name || asset.code,
+    decimals: asset.decimals ?? 7, // Stellar default is 7
+  };
+  if (asset.issuer) token.issuer = asset.issuer;
+  if (asset.icon) token.icon = asset.icon;
+  return token;
+};
+
+/**
+ * Fetches one asset list and returns its tokens
+ *
+ * @param {import('../config/networks').AssetListSource} source
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<Array<Object>>}
+ * @throws {Error} When the list cannot be loaded or contains no usable tokens
+ */
+export const fetchAssetList = async (source, { networkConfig, signal }) => {
+  let data;
+  if (source.type === 'soroswap') {
+    data = await soroswapClient.getAssetList(source.listName, { network: networkConfig.id, signal });
+  } else {
+    const response = await window.fetch(source.url, { signal });
+    if (!response.ok) throw new Error(`${source.name} list returned ${response.status}`);
+    data = await response.json();
+  }
+
+  if (!Array.isArray(data?.assets)) throw new Error(`${source.name} list has no assets`);
+
+  const tokens = data.assets.map(asset => normalizeListAsset(asset, networkConfig.passphrase)).filter(Boolean);
+  if (tokens.length === 0) throw new Error(`${source.name} list has no valid tokens`);
+  return tokens;
+};
+
+/**
+ * Merges tokens from several lists by contract address
+ *
+ * Lists are given in priority order: the first list to provide a field
+ * wins, later lists only fill gaps. Every token records the ids of the
+ * lists that contain it.
+ *
+ * @param {Array<{ source: Object, tokens: Array<Object> }>} results
+ * @returns {Array<Object>} Tokens with a `lists` array of source ids
+ */
+export const mergeAssetLists = results => {
+  const merged = new Map();
+
+  results.forEach(({ source, tokens }) => {
+    tokens.forEach(token => {
+      const existing = merged.get(token.address);
+      if (!existing) {
+        merged.set(token.address, { ...token, lists: [source.id] });
+        return;
+      }
+      Object.entries(token).forEach(([key, value]) => {
+        if (existing[key] === undefined) existing[key] = value;
+      });
+      if (!existing.lists.includes(source.id)) existing.lists.push(source.id);
+    });
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * Loads the token list for a network
+ *
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {Function} [params.fetchList] - List fetcher (tests inject a mock)
+ * @param {{ save: Function, load: Function }} [params.cache] - Token list cache
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<{ tokens: Array<Object>, source: 'live'|'cache'|'fallback', failedLists: Array<string>, savedAt?: number }>}
+ */
+export const loadTokenList = async ({
+  networkConfig,
+  fetchList = fetchAssetList,
+  cache = assetListCache,
+  signal,
+}) => {
+  const sources = networkConfig.assetLists || [];
+  const settled = await Promise.allSettled(sources.map(source => fetchList(source, { networkConfig, signal })));
+
+  const loaded = [];
+  const failedLists = [];
+  settled.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      loaded.push({ source: sources[index], tokens: result.value });
+    } else {
+      console.warn(`Asset list ${sources[index].id} unavailable:`, result.reason);
+      failedLists.push(sources[index].id);
+    }
+  });
+
+  if (loaded.length > 0) {
+    const tokens = mergeAssetLists(loaded);
+    try {
+      await cache.save(networkConfig.id, tokens);
+    } catch (err) {
+      console.warn('Could not cache token list:', err);
+    }
+    return { tokens, source: 'live', failedLists };
+  }
+
+  try {
+    const cached = await cache.load(networkConfig.id);
+    if (cached) return { tokens: cached.tokens, source: 'cache', savedAt: cached.savedAt, failedLists };
+  } catch (err) {
+    console.warn('Could not read cached token list:', err);
+  }
+
+  return { tokens: networkConfig.fallbackTokens, source: 'fallback', failedLists };
+};
+
+/**
+ * Display names of the lists that vouch for a token
+ *
+ * @param {Object} token - Token with a `lists` array
+ * @param {import('../config/networks').NetworkConfig} networkConfig
+ * @returns {Array<string>}
+ */
+export const getListNames = (token, networkConfig) =>
+  (token?.lists || []).map(id => networkConfig.assetLists?.find(list => list.id === id)?.name || id);
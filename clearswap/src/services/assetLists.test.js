@@ -0,0 +1,105 @@
+import { Asset } from '@stellar/stellar-sdk';
+import { fetchAssetList, getListNames, loadTokenList, mergeAssetLists, normalizeListAsset } from './assetLists';
+import { NETWORKS } from '../config/networks';
+
+const networkConfig = NETWORKS.mainnet;
+const USDC_ISSUER = 'GA5ZSEJYB37JRC5AVCIA5MOP4RHTM335X2KGX3IHOJAPP5RE34K4KZVN';
+const USDC_CONTRACT = 'CCW67TSZV3SSS2HXMBQ5JFGCKJNXKZM7UQUWUZPUTHXSTZLEO7SJMI75';
+
+const SOROSWAP = { id: 'soroswap', name: 'Soroswap' };
+const EXPERT = { id: 'stellarexpert', name: 'StellarExpert' };
+
+const memoryCache = (initial = null) => {
+  let record = initial;
+  return {
+    save: jest.fn(async (network, tokens) => {
+      record = { tokens, savedAt: 1000 };
+    }),
+    load: jest.fn(async () => record),
+  };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('assetLists', () => {
+  test('normalises entries and derives missing contract addresses', () => {
+    expect(normalizeListAsset({ code: 'USDC', issuer: USDC_ISSUER, name: 'USD Coin' }, networkConfig.passphrase)).toEqual({
+      address: USDC_CONTRACT,
+      symbol: 'USDC',
+      name: 'USD Coin',
+      decimals: 7,
+      issuer: USDC_ISSUER,
+    });
+    expect(normalizeListAsset({ code: 'XLM' }, networkConfig.passphrase).address).toBe(
+      Asset.native().contractId(networkConfig.passphrase)
+    );
+    expect(normalizeListAsset({ code: 'FOO', issuer: 'nope' }, networkConfig.passphrase)).toBeNull();
+    expect(normalizeListAsset({ contract: USDC_CONTRACT }, networkConfig.passphrase)).toBeNull();
+  });
+
+  test('fetches SEP-42 documents', async () => {
+    jest.spyOn(window, 'fetch').mockResolvedValue({
+      ok: true,
+      json: async () => ({ assets: [{ code: 'USDC', contract: USDC_CONTRACT, decimals: 7 }, { name: 'broken' }] }),
+    });
+
+    const tokens = await fetchAssetList(networkConfig.assetLists[2], { networkConfig });
+    expect(tokens).toEqual([{ address: USDC_CONTRACT, symbol: 'USDC', name: 'USDC', decimals: 7 }]);
+
+    window.fetch.mockResolvedValue({ ok: false, status: 503 });
+    await expect(fetchAssetList(networkConfig.assetLists[2], { networkConfig })).rejects.toThrow('returned 503');
+  });
+
+  test('merges by address, keeping the first list that sets a field', () => {
+    const merged = mergeAssetLists([
+      { source: SOROSWAP, tokens: [{ address: 'CUSDC', symbol: 'USDC', name: 'USD Coin' }] },
+      {
+        source: EXPERT,
+        tokens: [
+          { address: 'CUSDC', symbol: 'USDC', name: 'USDC', icon: 'usdc.png' },
+          { address: 'CAQUA', symbol: 'AQUA', name: 'Aquarius' },
+        ],
+      },
+    ]);
+
+    expect(merged).toEqual([
+      { address: 'CUSDC', symbol: 'USDC', name: 'USD Coin', icon: 'usdc.png', lists: ['soroswap', 'stellarexpert'] },
+      { address: 'CAQUA', symbol: 'AQUA', name: 'Aquarius', lists: ['stellarexpert'] },
+    ]);
+    expect(getListNames(merged[0], networkConfig)).toEqual(['Soroswap', 'StellarExpert']);
+  });
+
+  test('uses the lists that load and caches the merge', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const cache = memoryCache();
+    const fetchList = jest.fn(async source => {
+      if (source.id === 'stellarexpert') throw new Error('down');
+      return [{ address: 'CUSDC', symbol: 'USDC' }];
+    });
+
+    const result = await loadTokenList({ networkConfig, fetchList, cache });
+
+    expect(result.source).toBe('live');
+    expect(result.failedLists).toEqual(['stellarexpert']);
+    expect(result.tokens).toEqual([{ address: 'CUSDC', symbol: 'USDC', lists: ['soroswap', 'clearswap'] }]);
+    expect(cache.save).toHaveBeenCalledWith('mainnet', result.tokens);
+  });
+
+  test('falls back to the cached list, then to the fallback tokens', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const fetchList = jest.fn().mockRejectedValue(new Error('down'));
+    const cached = [{ address: 'CUSDC', symbol: 'USDC', lists: ['soroswap'] }];
+
+    await expect(
+      loadTokenList({ networkConfig, fetchList, cache: memoryCache({ tokens: cached, savedAt: 42 }) })
+    ).resolves.toMatchObject({ tokens: cached, source: 'cache', savedAt: 42 });
+
+    const brokenCache = { save: jest.fn(), load: jest.fn().mockRejectedValue(new Error('IndexedDB is not available')) };
+    await expect(loadTokenList({ networkConfig, fetchList, cache: brokenCache })).resolves.toMatchObject({
+      tokens: networkConfig.fallbackTokens,
+      source: 'fallback',
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/* global BigInt */
+/**
+ * BALANCES.JS - ACCOUNT BALANCE SERVICE
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Loads the connected account's real balance for every token in the swap
+ * list and works out how much of it can actually be spent.
+ *
+ * SOURCES:
+ * - Native XLM and classic trustlines: Horizon `/accounts/{id}`
+ *   (a classic asset's Soroban contract holds no separate balance for a
+ *   G-account, so the trustline is authoritative)
+ * - Soroban-native tokens: contract `balance(id)` read via Soroban RPC
+ *
+ * All amounts are integer strings in the token's base units (stroops for
+ * 7-decimal tokens) so no precision is lost before display.
+ */
+
+import { Asset } from '@stellar/stellar-sdk';
+import { addressArg, readContract } from './sorobanRpc';
+
+export const BASE_RESERVE_STROOPS = 5000000n; // 0.5 XLM per reserve entry
+export const FEE_BUFFER_STROOPS = 1000000n; // 0.1 XLM kept back for swap fees
+
+/**
+ * @typedef {Object} TokenBalance
+ * @property {string} amount - Balance in base units
+ * @property {string} spendable - Amount that can be swapped away, in base units
+ * @property {'native'|'classic'|'soroban'} kind - Where the balance comes from
+ * @property {boolean} hasTrustline - Whether the account can hold the token
+ */
+
+/**
+ * @typedef {Object} AccountBalances
+ * @property {Object|null} account - Horizon account record, null when unfunded
+ * @property {Object<string, TokenBalance>} byToken - Balances keyed by token contract address
+ * @property {Object<string, string>} errors - Per-token load failures
+ */
+
+/**
+ * Converts a Horizon decimal amount ("12.3400000") to base units without floats
+ */
+const horizonToBaseUnits = (value = '0', decimals = 7) => {
+  const [whole, fraction = ''] = String(value).split('.');
+  return BigInt(`${whole}${fraction.padEnd(decimals, '0').slice(0, decimals)}`);
+};
+
+/**
+ * Minimum XLM the account must keep: 2 base reserves plus one per subentry
+ * and sponsorship, plus XLM locked in open offers
+ *
+ * @param {Object|null} account - Horizon account record
+ * @returns {bigint} Minimum balance in stroops
+ */
+export const getMinimumBalance = account => {
+  if (!account) return 0n;
+  const native = account.balances.find(b => b.asset_type === 'native');
+  const entries =
+    2n +
+    BigInt(account.subentry_count || 0) +
+    BigInt(account.num_sponsoring || 0) -
+    BigInt(account.num_sponsored || 0);
+  return entries * BASE_RESERVE_STROOPS + horizonToBaseUnits(native?.selling_liabilities);
+};
+
+/**
+ * Fetches the Horizon account record; resolves null for unfunded accounts
+ */
+export const fetchAccount = async (horizonUrl, publicKey, { fetchImpl = window.fetch, signal } = {}) => {
+  const response = await fetchImpl(`${horizonUrl}/accounts/${publicKey}`, { signal });
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`Horizon account request failed: ${response.status}`);
+  return response.json();
+};
+
+/**
+ * Classifies a token against the network: native XLM, a wrapped classic
+ * asset (has an issuer) or a Soroban-native token
+ */
+const classifyToken = (token, networkConfig) => {
+  if (token.address === Asset.native().contractId(networkConfig.passphrase)) return 'native';
+  return token.issuer ? 'classic' : 'soroban';
+};
+
+/**
+ * Whether a Horizon balance line is the trustline of a classic token
+ *
+ * Matched on the asset's contract address rather than the symbol, which a
+ * merged asset list may spell differently from the asset code.
+ */
+const isTrustlineOf = (line, token, networkConfig) =>
+  line.asset_issuer === token.issuer &&
+  new Asset(line.asset_code, line.asset_issuer).contractId(networkConfig.passphrase) === token.address;
+
+/**
+ * Loads balances for every token
+ *
+ * @param {Object} params
+ * @param {string} params.publicKey - Connected account
+ * @param {Array<Object>} params.tokens - Swap token list ({ address, symbol, issuer, decimals })
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {Function} [params.fetchImpl] - fetch implementation (tests inject a mock)
+ * @param {Function} [params.readBalance] - Soroban balance reader (tests inject a mock)
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<AccountBalances>}
+ */
+export const loadBalances = async ({
+  publicKey,
+  tokens,
+  networkConfig,
+  fetchImpl = window.fetch,
+  readBalance = (contractId, owner) =>
+    readContract({ networkConfig, contractId, method: 'balance', args: [addressArg(owner)], source: owner }),
+  signal,
+}) => {
+  const account = await fetchAccount(networkConfig.horizonUrl, publicKey, { fetchImpl, signal });
+  const minimum = getMinimumBalance(account);
+  const byToken = {};
+  const errors = {};
+
+  await Promise.all(
+    tokens.map(async token => {
+      const kind = classifyToken(token, networkConfig);
+
+      try {
+        if (kind === 'native') {
+          const native = account?.balances.find(b => b.asset_type === 'native');
+          const amount = horizonToBaseUnits(native?.balance);
+          const spendable = amount - minimum - FEE_BUFFER_STROOPS;
+          byToken[token.address] = {
+            amount: amount.toString(),
+            spendable: (spendable > 0n ? spendable : 0n).toString(),
+            kind,
+            hasTrustline: true,
+          };
+        } else if (kind === 'classic') {
+          const line = account?.balances.find(b => isTrustlineOf(b, token, networkConfig));
+          const amount = horizonToBaseUnits(line?.balance, token.decimals);
+          const spendable = amount - horizonToBaseUnits(line?.selling_liabilities, token.decimals);
+          byToken[token.address] = {
+            amount: amount.toString(),
+            spendable: (spendable > 0n ? spendable : 0n).toString(),
+            kind,
+            hasTrustline: Boolean(line),
+          };
+        } else {
+          const amount = account ? BigInt(await readBalance(token.address, publicKey)) : 0n;
+          byToken[token.address] = {
+            amount: amount.toString(),
+            spendable: amount.toString(),
+            kind,
+            hasTrustline: true,
+          };
+        }
+      } catch (err) {
+        errors[token.address] = err.message;
+      }
+    })
+  );
+
+  return { account, byToken, errors };
+};
@@ -0,0 +1,94 @@
+import { Asset } from '@stellar/stellar-sdk';
+import { getMinimumBalance, loadBalances } from './balances';
+import { NETWORKS } from '../config/networks';
+
+const networkConfig = NETWORKS.testnet;
+const USDC_ISSUER = 'GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5';
+
+const XLM = { address: Asset.native().contractId(networkConfig.passphrase), symbol: 'XLM', decimals: 7 };
+const sac = code => new Asset(code, USDC_ISSUER).contractId(networkConfig.passphrase);
+const USDC = { address: sac('USDC'), symbol: 'USDC', issuer: USDC_ISSUER, decimals: 7 };
+const EURC = { address: sac('EURC'), symbol: 'EURC', issuer: USDC_ISSUER, decimals: 7 };
+const SOROBAN = { address: 'CSORO', symbol: 'SORO', decimals: 7 };
+
+const account = {
+  subentry_count: 1,
+  num_sponsoring: 0,
+  num_sponsored: 0,
+  balances: [
+    { asset_type: 'credit_alphanum4', asset_code: 'USDC', asset_issuer: USDC_ISSUER, balance: '25.5000000', selling_liabilities: '5.0000000' },
+    { asset_type: 'native', balance: '100.0000000', selling_liabilities: '0.0000000' },
+  ],
+};
+
+const horizon = (status, body) => jest.fn().mockResolvedValue({ ok: status === 200, status, json: () => Promise.resolve(body) });
+
+describe('balances', () => {
+  test('minimum balance counts base reserves and subentries', () => {
+    // (2 + 1 subentry) * 0.5 XLM
+    expect(getMinimumBalance(account)).toBe(15000000n);
+  });
+
+  test('loads native, trustline and Soroban balances', async () => {
+    const readBalance = jest.fn().mockResolvedValue(420000000n);
+
+    const { byToken, errors } = await loadBalances({
+      publicKey: 'GUSER',
+      tokens: [XLM, USDC, EURC, SOROBAN],
+      networkConfig,
+      fetchImpl: horizon(200, account),
+      readBalance,
+    });
+
+    expect(errors).toEqual({});
+    // 100 XLM - 1.5 XLM reserve - 0.1 XLM fee buffer
+    expect(byToken[XLM.address]).toEqual({ amount: '1000000000', spendable: '984000000', kind: 'native', hasTrustline: true });
+    expect(byToken[USDC.address]).toEqual({ amount: '255000000', spendable: '205000000', kind: 'classic', hasTrustline: true });
+    expect(byToken[EURC.address]).toMatchObject({ amount: '0', hasTrustline: false });
+    expect(byToken.CSORO).toMatchObject({ amount: '420000000', kind: 'soroban' });
+    expect(readBalance).toHaveBeenCalledWith('CSORO', 'GUSER');
+  });
+
+  test('finds the trustline by asset contract even when the listed symbol differs', async () => {
+    const { byToken } = await loadBalances({
+      publicKey: 'GUSER',
+      tokens: [{ ...USDC, symbol: 'USDC.e' }, { ...EURC, symbol: 'USDC' }],
+      networkConfig,
+      fetchImpl: horizon(200, account),
+      readBalance: jest.fn(),
+    });
+
+    expect(byToken[USDC.address]).toMatchObject({ amount: '255000000', hasTrustline: true });
+    expect(byToken[EURC.address]).toMatchObject({ amount: '0', hasTrustline: false });
+  });
+
+  test('treats unfunded accounts as empty without querying contracts', async () => {
+    const readBalance = jest.fn();
+
+    const { account: loaded, byToken } = await loadBalances({
+      publicKey: 'GNEW',
+      tokens: [XLM, SOROBAN],
+      networkConfig,
+      fetchImpl: horizon(404),
+      readBalance,
+    });
+
+    expect(loaded).toBeNull();
+    expect(byToken[XLM.address].spendable).toBe('0');
+    expect(byToken.CSORO.amount).toBe('0');
+    expect(readBalance).not.toHaveBeenCalled();
+  });
+
+  test('reports per-token failures without losing the others', async () => {
+    const { byToken, errors } = await loadBalances({
+      publicKey: 'GUSER',
+      tokens: [XLM, SOROBAN],
+      networkConfig,
+      fetchImpl: horizon(200, account),
+      readBalance: jest.fn().mockRejectedValue(new Error('rpc down')),
+    });
+
+    expect(byToken[XLM.address]).toBeDefined();
+    expect(errors).toEqual({ CSORO: 'rpc down' });
+  });
+});
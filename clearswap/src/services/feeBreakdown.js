@@ -0,0 +1,232 @@
+/* global BigInt */
+/**
+ * FEEBREAKDOWN.JS - SWAP FEE BREAKDOWN
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Everything a swap costs, itemised for the quote details:
+ * - Platform fee: ClearSwap's `feeBps`, taken from the output token
+ * - Pool fees: the liquidity fee of each pool on every hop of every route
+ *   leg (see services/quoteRoute.js), as the quote or Soroswap `/pools`
+ *   reports it, or the protocol's fixed fee. A hop whose fee is unknown
+ *   is estimated and left out of the totals.
+ * - Network fee: inclusion fee plus Soroban resource fee, from simulating
+ *   the built transaction (see services/sorobanRpc.js); the envelope fee
+ *   of a classic SDEX path payment
+ * and the total as an effective cost in basis points of the trade.
+ *
+ * The quoted amounts already have the platform and pool fees taken out;
+ * the figures here show how much of the difference each one accounts
+ * for. Fee amounts are exact base units; USD values and basis points are
+ * display estimates.
+ */
+
+import { getQuoteRoute } from './quoteRoute';
+import { baseUnitsToDecimal } from '../utils/amounts';
+
+const BPS = 10000n;
+const NATIVE_DECIMALS = 7;
+
+// Fee per hop of protocols that fix one for every pool: each Soroswap
+// pair charges 0.30%, and SDEX is an order book whose cost is the spread,
+// already in the quoted price. Phoenix and Aqua set fees per pool.
+export const PROTOCOL_FEE_BPS = {
+  soroswap: 30,
+  sdex: 0,
+};
+// Stand-in for a pool whose fee is unknown; shown as an estimate only
+export const ESTIMATED_POOL_FEE_BPS = 30;
+
+/**
+ * @typedef {Object} PoolFee
+ * @property {string} protocol - Protocol id of the route leg
+ * @property {number} percent - Leg's share of the order, 0-100
+ * @property {number} hops - Pools the leg passes through
+ * @property {Array<number>} hopBps - Liquidity fee of each pool, in path order
+ * @property {boolean} estimated - Some pool's fee is unknown; left out of the totals
+ * @property {bigint} amount - Fees of the leg, in base units of the input token
+ * @property {number} bps - Share of the whole trade
+ * @property {number|null} usd
+ */
+
+/**
+ * @typedef {Object} NetworkFee
+ * @property {bigint} inclusionFee - Stroops bid for inclusion in a ledger
+ * @property {bigint} resourceFee - Stroops for the Soroban resources the call uses
+ * @property {boolean} [classic] - The envelope fee of a classic transaction, which uses no resources
+ */
+
+/**
+ * @typedef {Object} FeeBreakdown
+ * @property {{ amount: bigint, bps: number, usd: number|null }} platform - Amount in the output token
+ * @property {Array<PoolFee>} pools
+ * @property {number} poolBps - All pool fees as a share of the trade
+ * @property {(NetworkFee & { total: bigint, bps: number|null, usd: number|null })|null} network - Null until simulated
+ * @property {number} totalBps - Effective cost of the trade
+ * @property {number|null} totalUsd - Null when any part has no USD price
+ * @property {boolean} complete - False when the network fee or an estimated pool fee is not in the totals
+ */
+
+/**
+ * Fee of a Soroswap `/pools` entry, or null when it reports none
+ */
+const readPoolFeeBps = pool => {
+  const fee = Number(pool.feeBps ?? pool.fee_bps ?? pool.totalFeeBps ?? pool.total_fee_bps);
+  return Number.isFinite(fee) && fee >= 0 ? fee : null;
+};
+
+/**
+ * Liquidity fee of the pool a hop trades through
+ *
+ * @param {string} protocol
+ * @param {string} tokenA - Either token of the hop
+ * @param {string} tokenB
+ * @param {Array<Object>} [pools] - Soroswap `/pools` response
+ * @returns {number|null} Basis points; null when unknown
+ */
+export const getPoolFeeBps = (protocol, tokenA, tokenB, pools = []) => {
+  const pool = pools.find(
+    entry =>
+      String(entry.protocol).toLowerCase() === protocol &&
+      ((entry.tokenA === tokenA && entry.tokenB === tokenB) || (entry.tokenA === tokenB && entry.tokenB === tokenA))
+  );
+  const fee = pool ? readPoolFeeBps(pool) : null;
+  return fee ?? PROTOCOL_FEE_BPS[protocol] ?? null;
+};
+
+/**
+ * Protocols of a quote whose pool fees only `/pools` can tell
+ *
+ * @param {Object|null} quote - Soroswap quote response
+ * @returns {Array<string>} Protocol ids, sorted
+ */
+export const getPoolFeeProtocols = quote =>
+  [
+    ...new Set(
+      getQuoteRoute(quote)
+        .filter(leg => !leg.feeBps && PROTOCOL_FEE_BPS[leg.protocol] == null)
+        .map(leg => leg.protocol)
+    ),
+  ].sort();
+
+/**
+ * `part` as basis points of `whole`, to two decimals
+ */
+const toBps = (part, whole) => (whole > 0n ? Number((part * BPS * 100n) / whole) / 100 : 0);
+
+/**
+ * USD value of an amount in base units, or null without a price
+ */
+const toUsd = (amount, decimals, price) =>
+  price == null ? null : Number(baseUnitsToDecimal(amount, decimals)) * price;
+
+/**
+ * Platform fee of a quote, in base units of the output token
+ *
+ * Uses the fee the API reports when it does; otherwise the quoted output
+ * is the amount left after `feeBps` was taken.
+ *
+ * @param {Object} quote - Soroswap quote response
+ * @param {number} feeBps - Platform fee the quote was requested with
+ * @returns {bigint}
+ */
+export const getPlatformFee = (quote, feeBps) => {
+  if (quote.platformFee?.feeAmount != null) return BigInt(quote.platformFee.feeAmount);
+  if (!feeBps) return 0n;
+  const fee = BigInt(feeBps);
+  return (BigInt(quote.amountOut || 0) * fee) / (BPS - fee);
+};
+
+/**
+ * Pool fees of every route leg, in base units of the input token
+ *
+ * Each hop charges its fee on what the previous hops left over. A fee the
+ * quote reports wins over the pool list; a hop with neither is charged
+ * ESTIMATED_POOL_FEE_BPS and its leg flagged `estimated`.
+ *
+ * @param {Object} quote - Soroswap quote response
+ * @param {Array<Object>} [pools] - Soroswap `/pools` response
+ * @returns {Array<Omit<PoolFee, 'bps'|'usd'>>}
+ */
+export const getPoolFees = (quote, pools = []) =>
+  getQuoteRoute(quote).map(leg => {
+    const hops = leg.path.length - 1;
+    const known =
+      leg.feeBps || leg.path.slice(1).map((token, hop) => getPoolFeeBps(leg.protocol, leg.path[hop], token, pools));
+    const hopBps = known.map(fee => fee ?? ESTIMATED_POOL_FEE_BPS);
+    let remaining = BigInt(leg.amountIn);
+    let amount = 0n;
+    hopBps.forEach(bps => {
+      const fee = (remaining * BigInt(Math.round(bps * 100))) / (BPS * 100n);
+      amount += fee;
+      remaining -= fee;
+    });
+    return { protocol: leg.protocol, percent: leg.percent, hops, hopBps, estimated: known.includes(null), amount };
+  });
+
+/**
+ * Itemised fees of a quote
+ *
+ * @param {Object} params
+ * @param {Object} params.quote - Soroswap quote response
+ * @param {number} params.feeBps - Platform fee the quote was requested with
+ * @param {NetworkFee|null} [params.networkFee] - From simulation; null while unknown
+ * @param {Array<Object>} [params.pools] - Soroswap `/pools` response, for per-pool fees
+ * @param {Object<string, number>} [params.prices] - USD price by contract address
+ * @param {{ address: string, decimals: number }} params.fromToken
+ * @param {{ address: string, decimals: number }} params.toToken
+ * @param {string} params.nativeAddress - XLM's contract address, for the network fee's price
+ * @returns {FeeBreakdown}
+ */
+export const getFeeBreakdown = ({
+  quote,
+  feeBps,
+  networkFee = null,
+  pools: poolList = [],
+  prices = {},
+  fromToken,
+  toToken,
+  nativeAddress,
+}) => {
+  const amountIn = BigInt(quote.amountIn || 0);
+  const amountOut = BigInt(quote.amountOut || 0);
+  const priceIn = prices[fromToken.address];
+
+  const platformAmount = getPlatformFee(quote, feeBps);
+  const platform = {
+    amount: platformAmount,
+    bps: toBps(platformAmount, amountOut + platformAmount),
+    usd: toUsd(platformAmount, toToken.decimals, prices[toToken.address]),
+  };
+
+  const pools = getPoolFees(quote, poolList).map(leg => ({
+    ...leg,
+    bps: toBps(leg.amount, amountIn),
+    usd: toUsd(leg.amount, fromToken.decimals, priceIn),
+  }));
+  const knownPools = pools.filter(leg => !leg.estimated);
+  const poolBps = knownPools.reduce((sum, leg) => sum + leg.bps, 0);
+
+  let network = null;
+  if (networkFee) {
+    const total = networkFee.inclusionFee + networkFee.resourceFee;
+    const usd = toUsd(total, NATIVE_DECIMALS, prices[nativeAddress]);
+    const tradeUsd = toUsd(amountIn, fromToken.decimals, priceIn);
+    let bps = null;
+    if (fromToken.address === nativeAddress) bps = toBps(total, amountIn);
+    else if (usd != null && tradeUsd) bps = Math.round((usd / tradeUsd) * 10000 * 100) / 100;
+    network = { ...networkFee, total, bps, usd };
+  }
+
+  const usdParts = [platform.usd, ...knownPools.map(leg => leg.usd), network ? network.usd : null];
+  return {
+    platform,
+    pools,
+    poolBps,
+    network,
+    totalBps: platform.bps + poolBps + (network?.bps ?? 0),
+    totalUsd: usdParts.includes(null) ? null : usdParts.reduce((sum, usd) => sum + usd, 0),
+    complete: network?.bps != null && knownPools.length === pools.length,
+  };
+};
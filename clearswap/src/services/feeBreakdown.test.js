@@ -0,0 +1,100 @@
+import { getFeeBreakdown, getPlatformFee, getPoolFeeProtocols, getPoolFees } from './feeBreakdown';
+
+const XLM = { address: 'CXLM', decimals: 7 };
+const USDC = { address: 'CUSDC', decimals: 7 };
+
+// 100 XLM for 99.5 USDC, direct on Soroswap
+const quote = { assetIn: 'CXLM', assetOut: 'CUSDC', amountIn: '1000000000', amountOut: '99500000', platform: 'soroswap' };
+
+describe('feeBreakdown', () => {
+  test('platform fee is what feeBps took from the output, unless the API reports it', () => {
+    expect(getPlatformFee(quote, 50)).toBe(500000n);
+    expect(getPlatformFee(quote, 0)).toBe(0n);
+    expect(getPlatformFee({ ...quote, platformFee: { feeBps: 50, feeAmount: '499999' } }, 50)).toBe(499999n);
+  });
+
+  test('pool fees compound over every hop of a leg', () => {
+    const fees = getPoolFees({
+      ...quote,
+      amountIn: '1000000',
+      routePlan: [
+        { swapInfo: { protocol: 'soroswap', path: ['CXLM', 'CAQUA', 'CUSDC'] }, percent: '50' },
+        { swapInfo: { protocol: 'sdex', path: ['CXLM', 'CUSDC'] }, percent: '50' },
+      ],
+    });
+    expect(fees).toEqual([
+      { protocol: 'soroswap', percent: 50, hops: 2, hopBps: [30, 30], estimated: false, amount: 1500n + 1495n },
+      { protocol: 'sdex', percent: 50, hops: 1, hopBps: [0], estimated: false, amount: 0n },
+    ]);
+  });
+
+  test('reads per-pool fees from the quote or the pool list', () => {
+    const routed = {
+      ...quote,
+      amountIn: '1000000',
+      routePlan: [
+        { swapInfo: { protocol: 'aqua', path: ['CXLM', 'CAQUA', 'CUSDC'] }, percent: '50' },
+        { swapInfo: { protocol: 'phoenix', path: ['CXLM', 'CUSDC'], feeBps: 25 }, percent: '50' },
+      ],
+    };
+    const pools = [
+      { protocol: 'aqua', tokenA: 'CAQUA', tokenB: 'CXLM', feeBps: 10 },
+      { protocol: 'aqua', tokenA: 'CAQUA', tokenB: 'CUSDC', feeBps: 100 },
+    ];
+    expect(getPoolFees(routed, pools)).toEqual([
+      { protocol: 'aqua', percent: 50, hops: 2, hopBps: [10, 100], estimated: false, amount: 500n + 4995n },
+      { protocol: 'phoenix', percent: 50, hops: 1, hopBps: [25], estimated: false, amount: 1250n },
+    ]);
+    expect(getPoolFeeProtocols(routed)).toEqual(['aqua']);
+  });
+
+  test('keeps a pool fee it can only estimate out of the totals', () => {
+    const breakdown = getFeeBreakdown({
+      quote: { ...quote, platform: 'phoenix' },
+      feeBps: 50,
+      networkFee: { inclusionFee: 100n, resourceFee: 99900n },
+      prices: { CXLM: 0.1, CUSDC: 1 },
+      fromToken: XLM,
+      toToken: USDC,
+      nativeAddress: 'CXLM',
+    });
+    expect(breakdown.pools[0]).toMatchObject({ hopBps: [30], estimated: true, amount: 3000000n });
+    expect(breakdown).toMatchObject({ poolBps: 0, totalBps: 51, complete: false });
+    expect(breakdown.totalUsd).toBeCloseTo(0.051);
+  });
+
+  test('totals every fee in basis points and USD', () => {
+    const breakdown = getFeeBreakdown({
+      quote,
+      feeBps: 50,
+      networkFee: { inclusionFee: 100n, resourceFee: 99900n },
+      prices: { CXLM: 0.1, CUSDC: 1 },
+      fromToken: XLM,
+      toToken: USDC,
+      nativeAddress: 'CXLM',
+    });
+
+    expect(breakdown.platform).toEqual({ amount: 500000n, bps: 50, usd: 0.05 });
+    expect(breakdown.pools[0]).toMatchObject({ amount: 3000000n, bps: 30 });
+    expect(breakdown.network).toMatchObject({ total: 100000n, bps: 1 });
+    expect(breakdown.totalBps).toBe(81);
+    expect(breakdown.totalUsd).toBeCloseTo(0.081);
+    expect(breakdown.complete).toBe(true);
+  });
+
+  test('leaves the network fee out of the totals until it is known and priced', () => {
+    const pending = getFeeBreakdown({ quote, feeBps: 50, fromToken: XLM, toToken: USDC, nativeAddress: 'CXLM' });
+    expect(pending).toMatchObject({ network: null, totalBps: 80, totalUsd: null, complete: false });
+
+    const unpriced = getFeeBreakdown({
+      quote: { ...quote, assetIn: 'CUSDC', assetOut: 'CXLM' },
+      feeBps: 50,
+      networkFee: { inclusionFee: 100n, resourceFee: 0n },
+      fromToken: USDC,
+      toToken: XLM,
+      nativeAddress: 'CXLM',
+    });
+    expect(unpriced.network).toMatchObject({ total: 100n, bps: null, usd: null });
+    expect(unpriced.complete).toBe(false);
+  });
+});
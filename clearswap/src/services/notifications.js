@@ -0,0 +1,159 @@
+/**
+ * NOTIFICATIONS.JS - TOAST QUEUE AND TRANSACTION PROGRESS
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * State behind the notification context (context/NotificationContext):
+ * - Toasts: non-blocking messages in four variants that dismiss
+ *   themselves after a per-variant delay and may carry one action
+ *   button ("View on explorer")
+ * - Transaction progress: the stages a transaction goes through, from
+ *   building through simulation and the user's review to confirmation,
+ *   as shown by the transaction modal
+ */
+
+export const TOAST_TYPES = ['success', 'info', 'warning', 'error'];
+export const MAX_TOASTS = 4;
+
+// Auto-dismiss delay per variant (ms); errors stay up longer
+export const TOAST_DURATIONS_MS = {
+  success: 5000,
+  info: 5000,
+  warning: 7000,
+  error: 9000,
+};
+
+// Transaction lifecycle, in order
+export const TX_STAGES = {
+  BUILDING: 'building',
+  SIMULATING: 'simulating',
+  REVIEWING: 'reviewing',
+  AWAITING_SIGNATURE: 'awaiting_signature',
+  SUBMITTING: 'submitting',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
+// User-facing progress label for each stage
+export const TX_STAGE_LABELS = {
+  [TX_STAGES.BUILDING]: 'Building transaction...',
+  [TX_STAGES.SIMULATING]: 'Simulating transaction...',
+  [TX_STAGES.REVIEWING]: 'Review the simulated result',
+  [TX_STAGES.AWAITING_SIGNATURE]: 'Waiting for wallet signature...',
+  [TX_STAGES.SUBMITTING]: 'Submitting to the network...',
+  [TX_STAGES.CONFIRMED]: 'Transaction confirmed',
+  [TX_STAGES.FAILED]: 'Transaction failed',
+};
+
+// Steps listed in the transaction modal
+const TX_STEPS = [
+  { stage: TX_STAGES.BUILDING, label: 'Build transaction' },
+  { stage: TX_STAGES.SIMULATING, label: 'Simulate on Soroban' },
+  { stage: TX_STAGES.REVIEWING, label: 'Review balance changes' },
+  { stage: TX_STAGES.AWAITING_SIGNATURE, label: 'Sign in wallet' },
+  { stage: TX_STAGES.SUBMITTING, label: 'Submit to network' },
+  { stage: TX_STAGES.CONFIRMED, label: 'Confirmed on ledger' },
+];
+
+/**
+ * @typedef {Object} ToastAction
+ * @property {string} label - Button text
+ * @property {string} [href] - Opens in a new tab
+ * @property {function} [onClick] - Runs instead of following a link
+ */
+
+/**
+ * @typedef {Object} Toast
+ * @property {number} id
+ * @property {'success'|'info'|'warning'|'error'} type
+ * @property {string} [title]
+ * @property {string} message
+ * @property {ToastAction} [action]
+ * @property {number} duration - Auto-dismiss delay in ms, 0 to stay until dismissed
+ */
+
+/**
+ * @typedef {Object} TransactionStatus
+ * @property {string} stage - One of TX_STAGES
+ * @property {string} [title] - Modal heading ("Swap XLM for USDC")
+ * @property {string} [failedStage] - Stage a failed transaction stopped at
+ * @property {string} [summary] - Outcome shown once confirmed
+ * @property {string} [error]
+ * @property {string} [hash]
+ * @property {number} [ledger]
+ * @property {string} [explorerUrl] - Link to the transaction
+ * @property {ToastAction} [action] - Extra button, e.g. open the history
+ * @property {import('./txSimulation').TransactionSimulation} [simulation] - Shown while reviewing
+ * @property {Array<{ symbol: string, decimals: number }>} [simulationTokens] - Token of each balance change
+ * @property {{ label: string, onConfirm: function, onCancel: function }} [confirm] - Review buttons
+ */
+
+/**
+ * Builds a toast from notify() options
+ *
+ * @param {Object} options - { type, title, message, action, duration }
+ * @param {number} id
+ * @returns {Toast}
+ */
+export const createToast = ({ type = 'info', title, message, action, duration } = {}, id) => {
+  const variant = TOAST_TYPES.includes(type) ? type : 'info';
+  return {
+    id,
+    type: variant,
+    title,
+    message: String(message ?? ''),
+    action,
+    duration: duration ?? TOAST_DURATIONS_MS[variant],
+  };
+};
+
+/**
+ * Adds a toast to the queue, newest last
+ *
+ * A toast repeating the newest one's text replaces it rather than
+ * stacking, and only the newest MAX_TOASTS are kept.
+ *
+ * @param {Array<Toast>} toasts
+ * @param {Toast} toast
+ * @returns {Array<Toast>}
+ */
+export const addToast = (toasts, toast) => {
+  const last = toasts[toasts.length - 1];
+  const kept = last && last.type === toast.type && last.message === toast.message ? toasts.slice(0, -1) : toasts;
+  return [...kept, toast].slice(-MAX_TOASTS);
+};
+
+/**
+ * @param {Array<Toast>} toasts
+ * @param {number} id
+ * @returns {Array<Toast>}
+ */
+export const removeToast = (toasts, id) => toasts.filter(toast => toast.id !== id);
+
+/**
+ * Progress of each step for the transaction modal
+ *
+ * @param {TransactionStatus} status
+ * @returns {Array<{ stage: string, label: string, state: 'done'|'active'|'pending'|'failed' }>}
+ */
+export const getTxSteps = status => {
+  const failed = status.stage === TX_STAGES.FAILED;
+  const current = TX_STEPS.findIndex(step => step.stage === (failed ? status.failedStage : status.stage));
+
+  return TX_STEPS.map((step, index) => {
+    let state = 'pending';
+    if (status.stage === TX_STAGES.CONFIRMED || index < current) state = 'done';
+    else if (index === current) state = failed ? 'failed' : 'active';
+    return { ...step, state };
+  });
+};
+
+/**
+ * Whether the transaction has finished, successfully or not
+ *
+ * @param {TransactionStatus|null} status
+ * @returns {boolean}
+ */
+export const isTxSettled = status =>
+  Boolean(status) && (status.stage === TX_STAGES.CONFIRMED || status.stage === TX_STAGES.FAILED);
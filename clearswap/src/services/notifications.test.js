@@ -0,0 +1,67 @@
+import {
+  MAX_TOASTS,
+  TOAST_DURATIONS_MS,
+  TX_STAGES,
+  addToast,
+  createToast,
+  getTxSteps,
+  isTxSettled,
+  removeToast,
+} from './notifications';
+
+describe('notifications', () => {
+  test('fills in the variant and its auto-dismiss delay', () => {
+    expect(createToast({ type: 'error', message: 'Boom' }, 1)).toEqual({
+      id: 1,
+      type: 'error',
+      title: undefined,
+      message: 'Boom',
+      action: undefined,
+      duration: TOAST_DURATIONS_MS.error,
+    });
+    expect(createToast({ type: 'nope', message: 'Hi', duration: 0 }, 2)).toMatchObject({ type: 'info', duration: 0 });
+  });
+
+  test('caps the queue and collapses repeats of the newest toast', () => {
+    let toasts = [];
+    for (let id = 1; id <= MAX_TOASTS + 2; id += 1) {
+      toasts = addToast(toasts, createToast({ message: `Toast ${id}` }, id));
+    }
+    expect(toasts.map(t => t.id)).toEqual([3, 4, 5, 6]);
+
+    toasts = addToast(toasts, createToast({ message: 'Toast 6' }, 7));
+    expect(toasts.map(t => t.id)).toEqual([3, 4, 5, 7]);
+
+    expect(removeToast(toasts, 4).map(t => t.id)).toEqual([3, 5, 7]);
+  });
+
+  test('tracks transaction steps up to confirmation', () => {
+    expect(getTxSteps({ stage: TX_STAGES.AWAITING_SIGNATURE }).map(s => s.state)).toEqual([
+      'done',
+      'done',
+      'done',
+      'active',
+      'pending',
+      'pending',
+    ]);
+    expect(getTxSteps({ stage: TX_STAGES.CONFIRMED }).map(s => s.state)).toEqual([
+      'done',
+      'done',
+      'done',
+      'done',
+      'done',
+      'done',
+    ]);
+  });
+
+  test('marks the step a failed transaction stopped at', () => {
+    const status = { stage: TX_STAGES.FAILED, failedStage: TX_STAGES.SUBMITTING };
+    expect(getTxSteps(status).map(s => s.state)).toEqual(['done', 'done', 'done', 'done', 'failed', 'pending']);
+    expect(
+      getTxSteps({ stage: TX_STAGES.FAILED, failedStage: TX_STAGES.SIMULATING }).map(s => s.state)
+    ).toEqual(['done', 'failed', 'pending', 'pending', 'pending', 'pending']);
+    expect(isTxSettled(status)).toBe(true);
+    expect(isTxSettled({ stage: TX_STAGES.BUILDING })).toBe(false);
+    expect(isTxSettled(null)).toBe(false);
+  });
+});
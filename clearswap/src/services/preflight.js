@@ -0,0 +1,186 @@
+/* global BigInt */
+/**
+ * PREFLIGHT.JS - SWAP PRE-FLIGHT VALIDATION
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Catches swaps that are bound to fail before a quote is requested or a
+ * transaction is built, so users do not spend time (or fees) finding out
+ * on-chain.
+ *
+ * CHECKS:
+ * - Wallet connected, two different tokens, a valid positive amount
+ *   (the input amount for EXACT_IN, the output amount for EXACT_OUT)
+ * - Amount against the real spendable balance of the source token; for
+ *   EXACT_OUT the input is only known once quoted, so the quote's maximum
+ *   sold amount is checked instead
+ * - Destination trustline: missing lines are blocked unless the gasless
+ *   trustline option (`gaslessTrustline: 'CREATE'`) will open one
+ * - XLM reserve: warns when the swap (or a new trustline's extra reserve)
+ *   would leave the account at or below its minimum balance
+ * - Execute phase only: a quote exists, still matches the inputs and is
+ *   not older than the configured maximum age
+ *
+ * RESULT:
+ * Field-level messages keyed by the input they belong to, so the UI can
+ * show each one next to the relevant control:
+ *   wallet | amount | amountOut | fromToken | toToken | reserve | quote
+ */
+
+import { BASE_RESERVE_STROOPS, FEE_BUFFER_STROOPS, getMinimumBalance } from './balances';
+import { baseUnitsToDecimal, decimalToBaseUnits } from '../utils/amounts';
+
+/**
+ * @typedef {Object} PreflightResult
+ * @property {boolean} ok - True when there are no blocking errors
+ * @property {Object<string, string>} errors - Blocking problems by field
+ * @property {Object<string, string>} warnings - Non-blocking notices by field
+ */
+
+/**
+ * Validates a swap before quoting or executing
+ *
+ * @param {Object} params
+ * @param {'quote'|'execute'} params.phase
+ * @param {boolean} params.isConnected
+ * @param {'EXACT_IN'|'EXACT_OUT'} [params.tradeType='EXACT_IN']
+ * @param {string} params.amount - Amount to sell (EXACT_IN), in whole token units
+ * @param {string} [params.amountOut] - Amount to buy (EXACT_OUT), in whole token units
+ * @param {Object|undefined} params.fromToken - Token object ({ address, symbol, decimals })
+ * @param {Object|undefined} params.toToken - Token object
+ * @param {Object<string, import('./balances').TokenBalance>} params.balances
+ * @param {Object|null} params.account - Horizon account record
+ * @param {string} params.nativeAddress - XLM contract address on this network
+ * @param {'CREATE'|'NONE'} [params.gaslessTrustline='CREATE']
+ * @param {Object|null} [params.quote] - Current quote; required in the execute phase
+ * @param {number} [params.quoteAgeMs=0] - Time since the quote was fetched
+ * @param {number} [params.maxQuoteAgeMs=Infinity] - Oldest quote that may be executed
+ * @returns {PreflightResult}
+ */
+export const validateSwap = ({
+  phase,
+  isConnected,
+  tradeType = 'EXACT_IN',
+  amount,
+  amountOut = '',
+  fromToken,
+  toToken,
+  balances,
+  account,
+  nativeAddress,
+  gaslessTrustline = 'CREATE',
+  quote = null,
+  quoteAgeMs = 0,
+  maxQuoteAgeMs = Infinity,
+}) => {
+  const errors = {};
+  const warnings = {};
+  const result = () => ({ ok: Object.keys(errors).length === 0, errors, warnings });
+
+  if (!isConnected) {
+    errors.wallet = 'Please connect your wallet first';
+    return result();
+  }
+
+  if (!fromToken) errors.fromToken = 'Select a token to swap from';
+  if (!toToken) errors.toToken = 'Select a token to receive';
+  if (fromToken && toToken && fromToken.address === toToken.address) {
+    errors.toToken = 'Select a different token to receive';
+  }
+
+  const isExactOut = tradeType === 'EXACT_OUT';
+  const decimals = fromToken?.decimals ?? 7;
+  const outDecimals = toToken?.decimals ?? 7;
+  const amountField = isExactOut ? 'amountOut' : 'amount';
+  const requested = isExactOut ? decimalToBaseUnits(amountOut, outDecimals) : decimalToBaseUnits(amount, decimals);
+
+  if (requested === null) {
+    errors[amountField] = `Enter a valid amount (up to ${isExactOut ? outDecimals : decimals} decimals)`;
+  } else if (requested <= 0n) {
+    errors[amountField] = 'Amount must be greater than zero';
+  }
+
+  if (Object.keys(errors).length > 0) return result();
+
+  // Most that can leave the account: the entered amount, or the quote's
+  // maximum sold for EXACT_OUT (unknown until quoted)
+  const quoteMatchesMode = quote && (quote.tradeType || 'EXACT_IN') === tradeType;
+  let amountIn = requested;
+  if (isExactOut) {
+    const maxSold = quoteMatchesMode ? quote.otherAmountThreshold || quote.amountIn : null;
+    amountIn = maxSold ? BigInt(maxSold) : null;
+  }
+
+  // BALANCE CHECK
+  const fromBalance = balances[fromToken.address];
+  const toBalance = balances[toToken.address];
+
+  if (!fromBalance) {
+    warnings.amount = 'Balance not loaded yet - the swap may fail if funds are insufficient';
+  } else if (amountIn !== null) {
+    // (amountIn is null for EXACT_OUT before the first quote)
+    const spendable = BigInt(fromBalance.spendable);
+    const isNativeIn = fromToken.address === nativeAddress;
+    // For XLM, the fee buffer is advisory: the hard limit is the reserve
+    const hardLimit = isNativeIn ? spendable + FEE_BUFFER_STROOPS : spendable;
+
+    if (amountIn > hardLimit) {
+      errors.amount = `Insufficient ${fromToken.symbol} balance (${
+        isExactOut ? `up to ${baseUnitsToDecimal(amountIn, decimals)} needed, ` : ''
+      }available ${baseUnitsToDecimal(spendable, decimals)})`;
+    } else if (amountIn > spendable) {
+      warnings.reserve = 'This leaves less than 0.1 XLM above your reserve to pay network fees';
+    }
+  }
+
+  // TRUSTLINE CHECK
+  const needsTrustline = toBalance && !toBalance.hasTrustline;
+  if (needsTrustline) {
+    if (gaslessTrustline === 'CREATE') {
+      warnings.toToken = `A ${toToken.symbol} trustline will be created for you (locks 0.5 XLM of reserve)`;
+    } else {
+      errors.toToken = `Your account has no ${toToken.symbol} trustline. Add one or enable trustline creation.`;
+    }
+  }
+
+  // XLM RESERVE CHECK
+  const native = account?.balances.find(b => b.asset_type === 'native');
+  if (native && !errors.amount) {
+    const nativeBalance = decimalToBaseUnits(native.balance, 7) ?? 0n;
+    const spentXlm = fromToken.address === nativeAddress ? amountIn ?? 0n : 0n;
+    const newReserve = needsTrustline && gaslessTrustline === 'CREATE' ? BASE_RESERVE_STROOPS : 0n;
+    const minimum = getMinimumBalance(account) + newReserve;
+    const remaining = nativeBalance - spentXlm - minimum;
+
+    if (remaining < 0n) {
+      warnings.reserve = `This swap would take your XLM below the ${baseUnitsToDecimal(
+        minimum
+      )} XLM minimum reserve and will likely fail`;
+    } else if (remaining < FEE_BUFFER_STROOPS && !warnings.reserve) {
+      warnings.reserve = 'Less than 0.1 XLM will remain above your reserve to pay network fees';
+    }
+  }
+
+  // QUOTE CHECK (execute only)
+  if (phase === 'execute') {
+    if (!quote) {
+      errors.quote = 'Please get a quote first';
+    } else if (
+      (quote.assetIn && quote.assetIn !== fromToken.address) ||
+      (quote.assetOut && quote.assetOut !== toToken.address)
+    ) {
+      errors.quote = 'The quote no longer matches the selected tokens. Get a new quote.';
+    } else if (
+      !quoteMatchesMode ||
+      (isExactOut && quote.amountOut && BigInt(quote.amountOut) !== requested) ||
+      (!isExactOut && quote.amountIn && BigInt(quote.amountIn) !== requested)
+    ) {
+      errors.quote = 'The quote no longer matches the amount entered. Get a new quote.';
+    } else if (quoteAgeMs > maxQuoteAgeMs) {
+      errors.quote = 'This quote has expired. Wait for it to refresh or get a new quote.';
+    }
+  }
+
+  return result();
+};
@@ -0,0 +1,120 @@
+import { validateSwap } from './preflight';
+
+const XLM = { address: 'CXLM', symbol: 'XLM', decimals: 7 };
+const USDC = { address: 'CUSDC', symbol: 'USDC', decimals: 7 };
+
+// 100 XLM with one subentry: 1.5 XLM minimum balance
+const account = {
+  subentry_count: 1,
+  balances: [{ asset_type: 'native', balance: '100.0000000', selling_liabilities: '0.0000000' }],
+};
+
+const balances = {
+  CXLM: { amount: '1000000000', spendable: '984000000', kind: 'native', hasTrustline: true },
+  CUSDC: { amount: '255000000', spendable: '205000000', kind: 'classic', hasTrustline: true },
+};
+
+const validate = overrides =>
+  validateSwap({
+    phase: 'quote',
+    isConnected: true,
+    amount: '10',
+    fromToken: XLM,
+    toToken: USDC,
+    balances,
+    account,
+    nativeAddress: 'CXLM',
+    ...overrides,
+  });
+
+describe('validateSwap', () => {
+  test('passes a normal swap', () => {
+    expect(validate()).toEqual({ ok: true, errors: {}, warnings: {} });
+  });
+
+  test('requires a connected wallet', () => {
+    expect(validate({ isConnected: false }).errors).toEqual({ wallet: 'Please connect your wallet first' });
+  });
+
+  test('rejects invalid, zero and over-precise amounts', () => {
+    expect(validate({ amount: 'abc' }).errors.amount).toMatch(/valid amount/);
+    expect(validate({ amount: '0' }).errors.amount).toMatch(/greater than zero/);
+    expect(validate({ amount: '1.00000001' }).errors.amount).toMatch(/up to 7 decimals/);
+  });
+
+  test('rejects swapping a token for itself', () => {
+    expect(validate({ toToken: XLM }).errors.toToken).toMatch(/different token/);
+  });
+
+  test('blocks amounts above the spendable balance', () => {
+    const { ok, errors } = validate({ fromToken: USDC, toToken: XLM, amount: '20.6' });
+    expect(ok).toBe(false);
+    expect(errors.amount).toBe('Insufficient USDC balance (available 20.5)');
+  });
+
+  test('warns when an XLM swap eats into the fee buffer', () => {
+    const { ok, warnings } = validate({ amount: '98.45' });
+    expect(ok).toBe(true);
+    expect(warnings.reserve).toMatch(/network fees/);
+  });
+
+  test('creates a missing trustline when gasless trustlines are enabled', () => {
+    const noLine = { ...balances, CUSDC: { ...balances.CUSDC, amount: '0', spendable: '0', hasTrustline: false } };
+
+    const created = validate({ balances: noLine });
+    expect(created.ok).toBe(true);
+    expect(created.warnings.toToken).toMatch(/trustline will be created/);
+
+    const blocked = validate({ balances: noLine, gaslessTrustline: 'NONE' });
+    expect(blocked.errors.toToken).toMatch(/no USDC trustline/);
+  });
+
+  test('warns when a new trustline reserve would breach the minimum balance', () => {
+    const noLine = { ...balances, CUSDC: { ...balances.CUSDC, hasTrustline: false } };
+    const { warnings } = validate({ balances: noLine, amount: '98.3' });
+    expect(warnings.reserve).toMatch(/below the 2 XLM minimum reserve/);
+  });
+
+  test('execute phase requires a quote matching the inputs', () => {
+    expect(validate({ phase: 'execute' }).errors.quote).toMatch(/get a quote/);
+
+    const quote = { assetIn: 'CXLM', assetOut: 'CUSDC', amountIn: '100000000', tradeType: 'EXACT_IN' };
+    expect(validate({ phase: 'execute', quote }).ok).toBe(true);
+    expect(validate({ phase: 'execute', quote, amount: '11' }).errors.quote).toMatch(/amount entered/);
+    expect(validate({ phase: 'execute', quote, toToken: { ...USDC, address: 'CEURC' } }).errors.quote).toMatch(
+      /selected tokens/
+    );
+  });
+
+  test('execute phase rejects quotes older than the maximum age', () => {
+    const quote = { assetIn: 'CXLM', assetOut: 'CUSDC', amountIn: '100000000', tradeType: 'EXACT_IN' };
+    expect(validate({ phase: 'execute', quote, quoteAgeMs: 29000, maxQuoteAgeMs: 30000 }).ok).toBe(true);
+    expect(validate({ phase: 'execute', quote, quoteAgeMs: 31000, maxQuoteAgeMs: 30000 }).errors.quote).toMatch(
+      /expired/
+    );
+  });
+
+  test('EXACT_OUT validates the output amount and checks the quoted maximum sold', () => {
+    const exactOut = { tradeType: 'EXACT_OUT', amount: '', amountOut: '5' };
+    expect(validate({ ...exactOut, amountOut: '' }).errors.amountOut).toMatch(/valid amount/);
+
+    // Not quoted yet: the input amount is unknown, so no balance verdict
+    expect(validate(exactOut)).toEqual({ ok: true, errors: {}, warnings: {} });
+
+    const quote = {
+      assetIn: 'CUSDC',
+      assetOut: 'CXLM',
+      amountIn: '200000000',
+      amountOut: '50000000',
+      otherAmountThreshold: '210000000',
+      tradeType: 'EXACT_OUT',
+    };
+    const swap = { ...exactOut, fromToken: USDC, toToken: XLM, quote, phase: 'execute' };
+    expect(validate(swap).errors.amount).toBe('Insufficient USDC balance (up to 21 needed, available 20.5)');
+    expect(validate({ ...swap, quote: { ...quote, otherAmountThreshold: '204000000' } }).ok).toBe(true);
+    expect(validate({ ...swap, amountOut: '6', quote: { ...quote, otherAmountThreshold: '204000000' } }).errors.quote).toMatch(
+      /amount entered/
+    );
+    expect(validate({ ...swap, tradeType: 'EXACT_IN', amount: '20' }).errors.quote).toMatch(/amount entered/);
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * PRICEGUARD.JS - INDEPENDENT PRICE CHECK FOR QUOTES
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * The aggregator's quote is checked against a reference price it did not
+ * produce, so a manipulated pool or an aggregator bug cannot push a swap
+ * through at a bad price unnoticed.
+ *
+ * REFERENCE SOURCES (first one that prices both tokens wins):
+ * 1. Reflector oracles from the network config (SEP-40 `lastprice`):
+ *    Stellar DEX prices by token contract, then exchange prices by ticker.
+ *    Both tokens come from the same oracle, so the pair price is the ratio
+ *    of their prices and the oracle's base asset and decimals cancel out.
+ * 2. Horizon SDEX order book mid-price, for classic assets and XLM
+ *
+ * The quoted execution price (output per input, after fees and price
+ * impact) is compared with the reference: an unfavourable deviation above
+ * WARN_DEVIATION_BPS warns and above BLOCK_DEVIATION_BPS blocks the swap
+ * unless expert mode is on. Prices use floating point; they only feed
+ * these checks.
+ */
+
+import { nativeToScVal, xdr } from '@stellar/stellar-sdk';
+import { addressArg, readContract } from './sorobanRpc';
+import { baseUnitsToDecimal } from '../utils/amounts';
+import { formatBps } from './swapSettings';
+
+export const WARN_DEVIATION_BPS = 200; // 2%
+export const BLOCK_DEVIATION_BPS = 1000; // 10%
+export const MAX_ORACLE_AGE_SECONDS = 15 * 60; // Reflector updates every 5 minutes
+
+/**
+ * @typedef {Object} ReferencePrice
+ * @property {number} price - Units of the output token per input token
+ * @property {string} source - Oracle id, or 'sdex'
+ * @property {string} sourceName - Display name of the source
+ * @property {number} updatedAt - When the price was observed (ms)
+ */
+
+/**
+ * @typedef {Object} PriceCheck
+ * @property {'ok'|'warn'|'blocked'|'unknown'} level - 'unknown' when no reference is available
+ * @property {number|null} deviationBps - How much worse than the reference the quote is;
+ *   negative when it is better
+ * @property {number|null} quotedPrice - Output per input of the quote
+ * @property {ReferencePrice|null} reference
+ * @property {string} message - Empty for 'ok'
+ */
+
+/**
+ * SEP-40 `Asset` argument: `Stellar(Address)` or `Other(Symbol)`
+ */
+const oracleAssetArg = (oracle, token) =>
+  oracle.assetType === 'stellar'
+    ? xdr.ScVal.scvVec([nativeToScVal('Stellar', { type: 'symbol' }), addressArg(token.address)])
+    : xdr.ScVal.scvVec([nativeToScVal('Other', { type: 'symbol' }), nativeToScVal(token.symbol, { type: 'symbol' })]);
+
+/**
+ * Latest oracle price of one token, or null when the oracle has no recent one
+ */
+const readOraclePrice = async ({ networkConfig, oracle, token, read, now, signal }) => {
+  const data = await read({
+    networkConfig,
+    contractId: oracle.contractId,
+    method: 'lastprice',
+    args: [oracleAssetArg(oracle, token)],
+    signal,
+  });
+  if (!data || typeof data.price !== 'bigint' || data.price <= 0n) return null;
+
+  const timestamp = Number(data.timestamp) * 1000;
+  if (now - timestamp > MAX_ORACLE_AGE_SECONDS * 1000) return null;
+  return { price: data.price, timestamp };
+};
+
+/**
+ * Pair price from one oracle
+ *
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {import('../config/networks').PriceOracle} params.oracle
+ * @param {Object} params.fromToken - Input token ({ address, symbol })
+ * @param {Object} params.toToken - Output token
+ * @param {function} [params.read] - Contract reader (injectable for tests)
+ * @param {number} [params.now]
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<ReferencePrice|null>} null when the oracle cannot price both tokens
+ */
+export const fetchOraclePrice = async ({
+  networkConfig,
+  oracle,
+  fromToken,
+  toToken,
+  read = readContract,
+  now = Date.now(),
+  signal,
+}) => {
+  const [from, to] = await Promise.all(
+    [fromToken, toToken].map(token => readOraclePrice({ networkConfig, oracle, token, read, now, signal }))
+  );
+  if (!from || !to) return null;
+
+  return {
+    price: Number(from.price) / Number(to.price),
+    source: oracle.id,
+    sourceName: oracle.name,
+    updatedAt: Math.min(from.timestamp, to.timestamp),
+  };
+};
+
+/**
+ * Horizon order book query parameters for a token, or null when it is not
+ * a classic asset (Soroban-native tokens do not trade on the SDEX)
+ *
+ * @param {Object} token - { address, symbol, issuer? }
+ * @param {string} nativeAddress - XLM's contract address on the network
+ * @param {string} prefix - Parameter prefix ('selling', 'buying', 'base', 'counter')
+ * @returns {Object<string, string>|null}
+ */
+export const horizonAssetParams = (token, nativeAddress, prefix) => {
+  if (token.address === nativeAddress) return { [`${prefix}_asset_type`]: 'native' };
+  if (!token.issuer) return null;
+  return {
+    [`${prefix}_asset_type`]: token.symbol.length <= 4 ? 'credit_alphanum4' : 'credit_alphanum12',
+    [`${prefix}_asset_code`]: token.symbol,
+    [`${prefix}_asset_issuer`]: token.issuer,
+  };
+};
+
+/**
+ * SDEX order book mid-price of the pair
+ *
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {Object} params.fromToken - Input token ({ address, symbol, issuer? })
+ * @param {Object} params.toToken - Output token
+ * @param {string} params.nativeAddress - XLM's contract address on the network
+ * @param {function} [params.fetchImpl]
+ * @param {AbortSignal} [params.signal]
+ * @param {number} [params.now]
+ * @returns {Promise<ReferencePrice|null>} null when either side of the book is empty
+ */
+export const fetchOrderbookMidPrice = async ({
+  networkConfig,
+  fromToken,
+  toToken,
+  nativeAddress,
+  fetchImpl = window.fetch,
+  signal,
+  now = Date.now(),
+}) => {
+  const selling = horizonAssetParams(fromToken, nativeAddress, 'selling');
+  const buying = horizonAssetParams(toToken, nativeAddress, 'buying');
+  if (!selling || !buying) return null;
+
+  const query = new URLSearchParams({ ...selling, ...buying, limit: '1' });
+  const response = await fetchImpl(`${networkConfig.horizonUrl}/order_book?${query}`, { signal });
+  if (!response.ok) throw new Error(`Horizon order book request failed: ${response.status}`);
+  const book = await response.json();
+
+  // Both sides are priced in output units per input unit
+  const bid = parseFloat(book.bids?.[0]?.price);
+  const ask = parseFloat(book.asks?.[0]?.price);
+  if (!(bid > 0) || !(ask > 0)) return null;
+
+  return { price: (bid + ask) / 2, source: 'sdex', sourceName: 'Stellar DEX order book', updatedAt: now };
+};
+
+/**
+ * Reference price of the pair from the first source that has one
+ *
+ * A source that fails is skipped like one that has no price; the error is
+ * logged, since the swap can still go ahead without a reference.
+ *
+ * @param {Object} params - See fetchOraclePrice and fetchOrderbookMidPrice
+ * @returns {Promise<ReferencePrice|null>}
+ */
+export const fetchReferencePrice = async ({ networkConfig, signal, ...params }) => {
+  for (const oracle of networkConfig.priceOracles || []) {
+    try {
+      const price = await fetchOraclePrice({ networkConfig, oracle, signal, ...params });
+      if (price) return price;
+    } catch (err) {
+      if (!signal?.aborted) console.error(`Reference price from ${oracle.id} failed:`, err);
+    }
+    if (signal?.aborted) return null;
+  }
+
+  try {
+    return await fetchOrderbookMidPrice({ networkConfig, signal, ...params });
+  } catch (err) {
+    if (!signal?.aborted) console.error('Reference price from the SDEX order book failed:', err);
+    return null;
+  }
+};
+
+/**
+ * Output per input of a quote, in whole tokens
+ *
+ * @param {Object} quote
+ * @param {number} fromDecimals
+ * @param {number} toDecimals
+ * @returns {number|null}
+ */
+export const getQuotedPrice = (quote, fromDecimals, toDecimals) => {
+  const amountIn = parseFloat(baseUnitsToDecimal(quote.amountIn, fromDecimals));
+  const amountOut = parseFloat(baseUnitsToDecimal(quote.amountOut, toDecimals));
+  return amountIn > 0 ? amountOut / amountIn : null;
+};
+
+/**
+ * Checks a quote against the reference price
+ *
+ * @param {Object} params
+ * @param {Object} params.quote
+ * @param {ReferencePrice|null} params.reference
+ * @param {Object} params.fromToken - Input token ({ decimals })
+ * @param {Object} params.toToken - Output token
+ * @param {boolean} params.expertMode - Downgrades a block to a warning
+ * @returns {PriceCheck}
+ */
+export const checkQuotePrice = ({ quote, reference, fromToken, toToken, expertMode }) => {
+  const quotedPrice = getQuotedPrice(quote, fromToken.decimals, toToken.decimals);
+  if (!reference || quotedPrice === null) {
+    return {
+      level: 'unknown',
+      deviationBps: null,
+      quotedPrice,
+      reference,
+      message: 'No independent reference price is available for this pair.',
+    };
+  }
+
+  const deviationBps = Math.round(((reference.price - quotedPrice) / reference.price) * 10000);
+  const result = { deviationBps, quotedPrice, reference };
+  const summary = `The quote is ${formatBps(deviationBps)} below the ${reference.sourceName} price.`;
+
+  if (deviationBps > BLOCK_DEVIATION_BPS) {
+    return expertMode
+      ? { ...result, level: 'warn', message: `${summary} Expert mode lets it through.` }
+      : {
+          ...result,
+          level: 'blocked',
+          message: `${summary} The pool may be manipulated or mispriced. Turn on expert mode in swap settings to swap anyway.`,
+        };
+  }
+  if (deviationBps > WARN_DEVIATION_BPS) return { ...result, level: 'warn', message: summary };
+  return { ...result, level: 'ok', message: '' };
+};
@@ -0,0 +1,145 @@
+/* global BigInt */
+import { StrKey, scValToNative } from '@stellar/stellar-sdk';
+import {
+  checkQuotePrice,
+  fetchOraclePrice,
+  fetchOrderbookMidPrice,
+  fetchReferencePrice,
+} from './priceGuard';
+
+const NOW = 1700000000000;
+const NATIVE = StrKey.encodeContract(Buffer.alloc(32, 1));
+const XLM = { address: NATIVE, symbol: 'XLM', decimals: 7 };
+const USDC = { address: StrKey.encodeContract(Buffer.alloc(32, 2)), symbol: 'USDC', decimals: 7, issuer: 'GAUSDCISSUER' };
+const DEX_ORACLE = { id: 'reflector-dex', name: 'Reflector (Stellar DEX)', contractId: 'CDEX', assetType: 'stellar' };
+const CEX_ORACLE = { id: 'reflector-cex', name: 'Reflector (exchanges)', contractId: 'CCEX', assetType: 'other' };
+const networkConfig = { id: 'mainnet', horizonUrl: 'https://horizon.test', priceOracles: [DEX_ORACLE, CEX_ORACLE] };
+
+// 14-decimal oracle prices: XLM $0.10, USDC $1.00
+const PRICES = { XLM: 10000000000000n, USDC: 100000000000000n };
+const oracleRead = (prices, timestamp = BigInt(NOW / 1000 - 60)) =>
+  jest.fn(async ({ args }) => {
+    const [variant, asset] = scValToNative(args[0]);
+    const key = variant === 'Other' ? asset : asset === XLM.address ? 'XLM' : 'USDC';
+    return prices[key] ? { price: prices[key], timestamp } : null;
+  });
+
+const jsonResponse = body => ({ ok: true, status: 200, json: async () => body });
+
+describe('priceGuard', () => {
+  test('prices the pair as the ratio of the two oracle prices', async () => {
+    const read = oracleRead(PRICES);
+    const price = await fetchOraclePrice({ networkConfig, oracle: CEX_ORACLE, fromToken: XLM, toToken: USDC, read, now: NOW });
+
+    expect(price).toMatchObject({ price: 0.1, source: 'reflector-cex' });
+    expect(read).toHaveBeenCalledWith(expect.objectContaining({ contractId: 'CCEX', method: 'lastprice' }));
+  });
+
+  test('ignores missing and stale oracle prices', async () => {
+    const missing = await fetchOraclePrice({
+      networkConfig,
+      oracle: DEX_ORACLE,
+      fromToken: XLM,
+      toToken: USDC,
+      read: oracleRead({ XLM: PRICES.XLM }),
+      now: NOW,
+    });
+    const stale = await fetchOraclePrice({
+      networkConfig,
+      oracle: DEX_ORACLE,
+      fromToken: XLM,
+      toToken: USDC,
+      read: oracleRead(PRICES, BigInt(NOW / 1000 - 3600)),
+      now: NOW,
+    });
+    expect(missing).toBeNull();
+    expect(stale).toBeNull();
+  });
+
+  test('takes the SDEX order book mid-price for classic assets', async () => {
+    const fetchImpl = jest.fn(async () => jsonResponse({ bids: [{ price: '0.099' }], asks: [{ price: '0.101' }] }));
+    const price = await fetchOrderbookMidPrice({
+      networkConfig,
+      fromToken: XLM,
+      toToken: USDC,
+      nativeAddress: NATIVE,
+      fetchImpl,
+      now: NOW,
+    });
+
+    expect(price).toMatchObject({ source: 'sdex', updatedAt: NOW });
+    expect(price.price).toBeCloseTo(0.1);
+    const url = new URL(fetchImpl.mock.calls[0][0]);
+    expect(url.pathname).toBe('/order_book');
+    expect(url.searchParams.get('selling_asset_type')).toBe('native');
+    expect(url.searchParams.get('buying_asset_type')).toBe('credit_alphanum4');
+    expect(url.searchParams.get('buying_asset_issuer')).toBe('GAUSDCISSUER');
+
+    const sorobanToken = { address: StrKey.encodeContract(Buffer.alloc(32, 3)), symbol: 'TKN', decimals: 7 };
+    await expect(
+      fetchOrderbookMidPrice({ networkConfig, fromToken: XLM, toToken: sorobanToken, nativeAddress: NATIVE, fetchImpl })
+    ).resolves.toBeNull();
+  });
+
+  test('falls back from a failing oracle to the next source', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const read = jest.fn(async ({ contractId }) => {
+      if (contractId === 'CDEX') throw new Error('RPC down');
+      return null;
+    });
+    const fetchImpl = jest.fn(async () => jsonResponse({ bids: [{ price: '0.1' }], asks: [{ price: '0.1' }] }));
+
+    const price = await fetchReferencePrice({
+      networkConfig,
+      fromToken: XLM,
+      toToken: USDC,
+      nativeAddress: NATIVE,
+      read,
+      fetchImpl,
+      now: NOW,
+    });
+    expect(price.source).toBe('sdex');
+    expect(read).toHaveBeenCalledTimes(4);
+    console.error.mockRestore();
+  });
+
+  test('passes the abort signal to oracle reads and stops once aborted', async () => {
+    const controller = new AbortController();
+    const read = jest.fn(async () => {
+      controller.abort();
+      throw new Error('aborted');
+    });
+    const fetchImpl = jest.fn();
+
+    const price = await fetchReferencePrice({
+      networkConfig,
+      fromToken: XLM,
+      toToken: USDC,
+      nativeAddress: NATIVE,
+      read,
+      fetchImpl,
+      now: NOW,
+      signal: controller.signal,
+    });
+    expect(price).toBeNull();
+    expect(read).toHaveBeenCalledWith(expect.objectContaining({ signal: controller.signal }));
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  test('warns or blocks on an unfavourable deviation from the reference', () => {
+    const reference = { price: 0.1, source: 'reflector-dex', sourceName: 'Reflector', updatedAt: NOW };
+    // 100 XLM in, output varies
+    const quoteFor = amountOut => ({ amountIn: '1000000000', amountOut });
+    const check = (amountOut, expertMode = false) =>
+      checkQuotePrice({ quote: quoteFor(amountOut), reference, fromToken: XLM, toToken: USDC, expertMode });
+
+    expect(check('99500000')).toMatchObject({ level: 'ok', deviationBps: 50 });
+    expect(check('105000000')).toMatchObject({ level: 'ok', deviationBps: -500 });
+    expect(check('95000000')).toMatchObject({ level: 'warn', deviationBps: 500 });
+    expect(check('80000000').level).toBe('blocked');
+    expect(check('80000000', true).level).toBe('warn');
+    expect(
+      checkQuotePrice({ quote: quoteFor('80000000'), reference: null, fromToken: XLM, toToken: USDC }).level
+    ).toBe('unknown');
+  });
+});
@@ -0,0 +1,150 @@
+/* global BigInt */
+/**
+ * QUOTECOMPARISON.JS - PER-PROTOCOL QUOTE COMPARISON
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Quotes the same trade from every protocol on its own (Soroswap,
+ * Phoenix, Aqua, SDEX) and from the aggregated route, all in parallel,
+ * so the comparison view can show what aggregation actually gains.
+ *
+ * Each row carries its own quote and the protocol selection it was
+ * requested with, so any row can be executed and refreshed as-is. A
+ * protocol with no route for the pair is a row with an error, not a
+ * failed comparison.
+ */
+
+import soroswapClient from './soroswapClient';
+import { RequestCancelledError } from './soroswapErrors';
+import { getFeeBreakdown } from './feeBreakdown';
+import { getQuoteRoute } from './quoteRoute';
+import { PROTOCOLS } from './swapSettings';
+import { getImpactBps } from './swapReview';
+
+export const AGGREGATED_ID = 'aggregated';
+
+/**
+ * @typedef {Object} ComparisonRow
+ * @property {string} id - 'aggregated' or a protocol id
+ * @property {string} name - Display name
+ * @property {Array<string>} protocols - Protocols the quote was requested with
+ * @property {Object|null} quote - Soroswap quote, null when the request failed
+ * @property {string} error - Why there is no quote
+ * @property {number} fetchedAt - When the quote arrived (ms)
+ */
+
+/**
+ * @typedef {Object} ComparisonSummary
+ * @property {string} amountIn - Base units sold
+ * @property {string} amountOut - Base units bought
+ * @property {number|null} impactBps - Price impact, null when not reported
+ * @property {number} feeBps - Platform plus pool fees
+ * @property {number} legs - Route legs the order is split across
+ * @property {number} hops - Pool hops over all legs
+ */
+
+/**
+ * Quote sources of a comparison: the aggregated route over the user's
+ * enabled protocols, then each protocol alone
+ *
+ * @param {Array<string>} enabledProtocols
+ * @returns {Array<{ id: string, name: string, protocols: Array<string> }>}
+ */
+export const getComparisonSources = enabledProtocols => [
+  { id: AGGREGATED_ID, name: 'Aggregated', protocols: enabledProtocols },
+  ...PROTOCOLS.map(({ id, name }) => ({ id, name, protocols: [id] })),
+];
+
+/**
+ * Requests a quote from every source in parallel
+ *
+ * @param {Object} params
+ * @param {Object} params.payload - Quote payload for the trade (its `protocols` is replaced per source)
+ * @param {Array<string>} params.enabledProtocols - Protocols the aggregated route may use
+ * @param {string} params.network - Soroswap network id
+ * @param {AbortSignal} [params.signal]
+ * @param {Object} [params.client] - Soroswap client (injectable for tests)
+ * @returns {Promise<Array<ComparisonRow>>} One row per source, in source order
+ * @throws {RequestCancelledError} When the comparison was cancelled
+ */
+export const fetchQuoteComparison = async ({ payload, enabledProtocols, network, signal, client = soroswapClient }) => {
+  const sources = getComparisonSources(enabledProtocols);
+  const results = await Promise.allSettled(
+    sources.map(source => client.getQuote({ ...payload, protocols: source.protocols }, { network, signal }))
+  );
+
+  if (signal?.aborted) throw new RequestCancelledError();
+
+  const fetchedAt = Date.now();
+  return sources.map((source, i) => {
+    const result = results[i];
+    return result.status === 'fulfilled'
+      ? { ...source, quote: result.value, error: '', fetchedAt }
+      : { ...source, quote: null, error: result.reason?.message || 'No quote', fetchedAt };
+  });
+};
+
+/**
+ * Output, impact, fees and route shape of one row's quote
+ *
+ * @param {Object} quote
+ * @param {Object} params
+ * @param {number} params.feeBps - Platform fee the quote was requested with
+ * @param {Object} params.fromToken - Input token ({ address, decimals })
+ * @param {Object} params.toToken - Output token
+ * @returns {ComparisonSummary}
+ */
+export const summariseQuote = (quote, { feeBps, fromToken, toToken }) => {
+  const legs = getQuoteRoute(quote);
+  const fees = getFeeBreakdown({ quote, feeBps, fromToken, toToken });
+  return {
+    amountIn: String(quote.amountIn),
+    amountOut: String(quote.amountOut),
+    impactBps: getImpactBps(quote),
+    feeBps: fees.totalBps,
+    legs: legs.length,
+    hops: legs.reduce((sum, leg) => sum + leg.path.length - 1, 0),
+  };
+};
+
+/**
+ * Row with the best price: most output for an exact-input trade, least
+ * input for an exact-output one. Ties go to the earlier row, so the
+ * aggregated route wins when a single protocol only matches it.
+ *
+ * @param {Array<ComparisonRow>} rows
+ * @param {'EXACT_IN'|'EXACT_OUT'} tradeType
+ * @returns {string|null} Id of the best row, null when no row has a quote
+ */
+export const getBestRowId = (rows, tradeType) => {
+  const field = tradeType === 'EXACT_OUT' ? 'amountIn' : 'amountOut';
+  const better = (a, b) => (tradeType === 'EXACT_OUT' ? a < b : a > b);
+
+  let best = null;
+  rows.forEach(row => {
+    if (!row.quote) return;
+    const amount = BigInt(row.quote[field]);
+    if (!best || better(amount, best.amount)) best = { id: row.id, amount };
+  });
+  return best ? best.id : null;
+};
+
+/**
+ * How much worse a row is than the best one, in basis points of the
+ * best row's market-decided amount
+ *
+ * @param {ComparisonRow} row
+ * @param {ComparisonRow} best
+ * @param {'EXACT_IN'|'EXACT_OUT'} tradeType
+ * @returns {number|null} 0 for the best row, null without quotes
+ */
+export const getShortfallBps = (row, best, tradeType) => {
+  if (!row?.quote || !best?.quote) return null;
+  const field = tradeType === 'EXACT_OUT' ? 'amountIn' : 'amountOut';
+  const amount = Number(row.quote[field]);
+  const bestAmount = Number(best.quote[field]);
+  if (!bestAmount) return null;
+  const diff = tradeType === 'EXACT_OUT' ? amount - bestAmount : bestAmount - amount;
+  return Math.round((diff / bestAmount) * 10000);
+};
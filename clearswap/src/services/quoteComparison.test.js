@@ -0,0 +1,77 @@
+import { AGGREGATED_ID, fetchQuoteComparison, getBestRowId, getShortfallBps, summariseQuote } from './quoteComparison';
+import { QuoteError } from './soroswapErrors';
+
+const XLM = { address: 'CXLM', decimals: 7 };
+const USDC = { address: 'CUSDC', decimals: 7 };
+const payload = { assetIn: 'CXLM', assetOut: 'CUSDC', amount: '1000000000', tradeType: 'EXACT_IN', feeBps: 50 };
+
+const quoteFor = (protocol, amountOut, path = ['CXLM', 'CUSDC']) => ({
+  assetIn: 'CXLM',
+  assetOut: 'CUSDC',
+  amountIn: '1000000000',
+  amountOut,
+  tradeType: 'EXACT_IN',
+  priceImpactPct: '0.4',
+  routePlan: [{ swapInfo: { protocol, path }, percent: '100' }],
+});
+
+const row = (id, quote) => ({ id, name: id, protocols: [id], quote, error: quote ? '' : 'No path', fetchedAt: 0 });
+
+describe('quoteComparison', () => {
+  test('quotes the aggregated route and each protocol alone, in parallel', async () => {
+    const client = {
+      getQuote: jest.fn(async ({ protocols }) => {
+        if (protocols.length === 1 && protocols[0] === 'aqua') throw new QuoteError('No path found');
+        return quoteFor(protocols.join('+'), '99000000');
+      }),
+    };
+
+    const rows = await fetchQuoteComparison({
+      payload,
+      enabledProtocols: ['soroswap', 'phoenix'],
+      network: 'mainnet',
+      client,
+    });
+
+    expect(client.getQuote).toHaveBeenCalledTimes(5);
+    expect(client.getQuote).toHaveBeenCalledWith({ ...payload, protocols: ['soroswap', 'phoenix'] }, expect.anything());
+    expect(rows.map(r => r.id)).toEqual([AGGREGATED_ID, 'soroswap', 'phoenix', 'aqua', 'sdex']);
+    expect(rows[3]).toMatchObject({ quote: null, error: 'No path found' });
+    expect(rows[4].quote).not.toBeNull();
+  });
+
+  test('picks the most output, or the least input for exact-output trades', () => {
+    const rows = [
+      row(AGGREGATED_ID, quoteFor('soroswap', '99500000')),
+      row('soroswap', quoteFor('soroswap', '99500000')),
+      row('aqua', null),
+    ];
+    expect(getBestRowId(rows, 'EXACT_IN')).toBe(AGGREGATED_ID);
+    expect(getBestRowId([...rows, row('sdex', quoteFor('sdex', '99600000'))], 'EXACT_IN')).toBe('sdex');
+
+    const exactOut = [
+      row('soroswap', { ...quoteFor('soroswap', '1'), amountIn: '500' }),
+      row('phoenix', { ...quoteFor('phoenix', '1'), amountIn: '400' }),
+    ];
+    expect(getBestRowId(exactOut, 'EXACT_OUT')).toBe('phoenix');
+    expect(getShortfallBps(exactOut[0], exactOut[1], 'EXACT_OUT')).toBe(2500);
+    expect(getBestRowId([row('aqua', null)], 'EXACT_IN')).toBeNull();
+  });
+
+  test('measures each row against the best', () => {
+    const best = row(AGGREGATED_ID, quoteFor('soroswap', '100000000'));
+    expect(getShortfallBps(row('phoenix', quoteFor('phoenix', '99000000')), best, 'EXACT_IN')).toBe(100);
+    expect(getShortfallBps(best, best, 'EXACT_IN')).toBe(0);
+    expect(getShortfallBps(row('aqua', null), best, 'EXACT_IN')).toBeNull();
+  });
+
+  test('summarises impact, fees and hops', () => {
+    const summary = summariseQuote(quoteFor('soroswap', '99500000', ['CXLM', 'CAQUA', 'CUSDC']), {
+      feeBps: 50,
+      fromToken: XLM,
+      toToken: USDC,
+    });
+    expect(summary).toMatchObject({ amountOut: '99500000', impactBps: 40, legs: 1, hops: 2 });
+    expect(summary.feeBps).toBeGreaterThan(100); // 0.5% platform + two 0.3% pool hops
+  });
+});
@@ -0,0 +1,145 @@
+/* global BigInt */
+/**
+ * QUOTEROUTE.JS - QUOTE ROUTE NORMALISATION
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Turns the routing data of a Soroswap quote into a list of legs the UI
+ * can draw: which protocol each part of the order goes through, the token
+ * path it follows hop by hop, its share of the order and what it is
+ * expected to return.
+ *
+ * SOURCES (first one present wins):
+ * 1. `routePlan` - [{ swapInfo: { protocol, path }, percent }]
+ * 2. `rawTrade.distribution` / `trade.distribution` - aggregator split
+ *    [{ protocol_id, path, parts }]
+ * 3. `rawTrade.path` / `trade.path` - single-protocol route
+ * 4. Direct assetIn -> assetOut on `platform`
+ *
+ * The API reports totals, not per-leg amounts, unless a leg carries its
+ * own; other legs get a pro-rata share of the totals, computed in integer
+ * base units so the legs always add up exactly. Such amounts are flagged
+ * `estimated`. A leg's pool fees are kept when the quote reports them.
+ */
+
+import { PROTOCOLS } from './swapSettings';
+
+const WEIGHT_SCALE = 100; // Percentages are kept to two decimals
+
+/**
+ * @typedef {Object} RouteLeg
+ * @property {string} protocol - Protocol id ('soroswap', 'phoenix', 'aqua', 'sdex')
+ * @property {Array<string>} path - Token contract addresses, first to last hop
+ * @property {number} percent - Share of the order, 0-100
+ * @property {string} amountIn - Input routed through this leg, in base units
+ * @property {string} amountOut - Expected output of this leg, in base units
+ * @property {boolean} estimated - True when the amounts are a pro-rata share of the totals
+ * @property {Array<number>} [feeBps] - Pool fee of each hop, when the quote reports it
+ */
+
+/**
+ * Display name of a protocol id
+ *
+ * @param {string} id
+ * @returns {string}
+ */
+export const getProtocolName = id =>
+  PROTOCOLS.find(p => p.id === String(id).toLowerCase())?.name ||
+  String(id || 'Unknown').replace(/^\w/, c => c.toUpperCase());
+
+/**
+ * Splits a total in proportion to integer weights; the last share takes
+ * the rounding remainder so the shares sum to the total
+ */
+const splitByWeight = (total, weights) => {
+  const sum = weights.reduce((a, b) => a + b, 0n);
+  let allocated = 0n;
+  return weights.map((weight, i) => {
+    if (i === weights.length - 1) return total - allocated;
+    const share = sum > 0n ? (total * weight) / sum : 0n;
+    allocated += share;
+    return share;
+  });
+};
+
+/**
+ * Integer weight of a leg from the API's share of it, scaled before
+ * rounding. A missing, non-numeric or negative share counts as 1n so one
+ * malformed leg cannot break the whole route.
+ */
+const toWeight = (value, scale = 1) => {
+  const share = Number(value);
+  return Number.isFinite(share) && share >= 0 ? BigInt(Math.round(share * scale)) : 1n;
+};
+
+/**
+ * Reads the raw legs from whichever routing field the quote carries
+ */
+const readRawLegs = quote => {
+  if (Array.isArray(quote.routePlan) && quote.routePlan.length > 0) {
+    return quote.routePlan.map(step => ({
+      protocol: step.swapInfo?.protocol || step.protocol || quote.platform,
+      path: step.swapInfo?.path || step.path,
+      weight: toWeight(step.percent ?? 100, WEIGHT_SCALE),
+      amountIn: step.swapInfo?.amountIn ?? step.amountIn,
+      amountOut: step.swapInfo?.amountOut ?? step.amountOut,
+      feeBps: step.swapInfo?.feeBps ?? step.feeBps,
+    }));
+  }
+
+  const trade = quote.rawTrade || quote.trade || {};
+  if (Array.isArray(trade.distribution) && trade.distribution.length > 0) {
+    return trade.distribution.map(part => ({
+      protocol: part.protocol_id || part.protocolId || part.protocol,
+      path: part.path,
+      weight: toWeight(part.parts ?? 1),
+      amountIn: part.amountIn ?? part.amount_in,
+      amountOut: part.amountOut ?? part.amount_out,
+      feeBps: part.feeBps ?? part.fee_bps,
+    }));
+  }
+
+  return [{ protocol: quote.platform, path: trade.path, weight: 1n }];
+};
+
+/**
+ * Per-hop pool fees a leg reports: one figure for every hop or one per
+ * hop. Null when missing or malformed.
+ */
+const readHopFees = (feeBps, hops) => {
+  const fees = Array.isArray(feeBps) ? feeBps.map(Number) : Array(hops).fill(Number(feeBps));
+  return feeBps != null && fees.length === hops && fees.every(fee => Number.isFinite(fee) && fee >= 0) ? fees : null;
+};
+
+/**
+ * Builds the route legs of a quote
+ *
+ * @param {Object|null} quote - Soroswap quote response
+ * @returns {Array<RouteLeg>} Empty when there is no quote
+ */
+export const getQuoteRoute = quote => {
+  if (!quote) return [];
+
+  const raw = readRawLegs(quote).filter(leg => leg.weight > 0n);
+  const weights = raw.map(leg => leg.weight);
+  const totalWeight = weights.reduce((a, b) => a + b, 0n);
+  const sharesIn = splitByWeight(BigInt(quote.amountIn || 0), weights);
+  const sharesOut = splitByWeight(BigInt(quote.amountOut || 0), weights);
+
+  return raw.map((leg, i) => {
+    const hasAmounts = leg.amountIn != null && leg.amountOut != null;
+    const path = Array.isArray(leg.path) && leg.path.length >= 2 ? leg.path : [quote.assetIn, quote.assetOut];
+    const route = {
+      protocol: String(leg.protocol || 'unknown').toLowerCase(),
+      path,
+      percent: Number(((Number(leg.weight) / Number(totalWeight)) * 100).toFixed(2)),
+      amountIn: String(hasAmounts ? leg.amountIn : sharesIn[i]),
+      amountOut: String(hasAmounts ? leg.amountOut : sharesOut[i]),
+      estimated: !hasAmounts,
+    };
+    const feeBps = readHopFees(leg.feeBps, path.length - 1);
+    if (feeBps) route.feeBps = feeBps;
+    return route;
+  });
+};
@@ -0,0 +1,100 @@
+/* global BigInt */
+import { getProtocolName, getQuoteRoute } from './quoteRoute';
+
+const base = { assetIn: 'CXLM', assetOut: 'CEURC', amountIn: '1000000000', amountOut: '333333333' };
+
+describe('getQuoteRoute', () => {
+  test('reads the route plan and splits totals exactly across legs', () => {
+    const legs = getQuoteRoute({
+      ...base,
+      platform: 'aggregator',
+      routePlan: [
+        { swapInfo: { protocol: 'soroswap', path: ['CXLM', 'CUSDC', 'CEURC'] }, percent: '66.67' },
+        { swapInfo: { protocol: 'aqua', path: ['CXLM', 'CEURC'] }, percent: '33.33' },
+      ],
+    });
+
+    expect(legs).toEqual([
+      {
+        protocol: 'soroswap',
+        path: ['CXLM', 'CUSDC', 'CEURC'],
+        percent: 66.67,
+        amountIn: '666700000',
+        amountOut: '222233333',
+        estimated: true,
+      },
+      {
+        protocol: 'aqua',
+        path: ['CXLM', 'CEURC'],
+        percent: 33.33,
+        amountIn: '333300000',
+        amountOut: '111100000',
+        estimated: true,
+      },
+    ]);
+    expect(BigInt(legs[0].amountOut) + BigInt(legs[1].amountOut)).toBe(BigInt(base.amountOut));
+  });
+
+  test('falls back to the aggregator distribution', () => {
+    const legs = getQuoteRoute({
+      ...base,
+      rawTrade: {
+        distribution: [
+          { protocol_id: 'phoenix', path: ['CXLM', 'CEURC'], parts: 3 },
+          { protocol_id: 'sdex', path: ['CXLM', 'CEURC'], parts: 1, amountIn: '250000000', amountOut: '80000000' },
+        ],
+      },
+    });
+
+    expect(legs.map(leg => [leg.protocol, leg.percent, leg.estimated])).toEqual([
+      ['phoenix', 75, true],
+      ['sdex', 25, false],
+    ]);
+    expect(legs[1].amountOut).toBe('80000000');
+  });
+
+  test('keeps malformed leg shares from breaking the route', () => {
+    const planned = getQuoteRoute({
+      ...base,
+      routePlan: [
+        { swapInfo: { protocol: 'soroswap', path: ['CXLM', 'CEURC'] }, percent: 'abc' },
+        { swapInfo: { protocol: 'aqua', path: ['CXLM', 'CEURC'] }, percent: 'abc' },
+      ],
+    });
+    expect(planned.map(leg => [leg.protocol, leg.percent])).toEqual([
+      ['soroswap', 50],
+      ['aqua', 50],
+    ]);
+
+    const distributed = getQuoteRoute({
+      ...base,
+      rawTrade: {
+        distribution: [
+          { protocol_id: 'phoenix', path: ['CXLM', 'CEURC'], parts: 0.5 },
+          { protocol_id: 'sdex', path: ['CXLM', 'CEURC'], parts: 1 },
+        ],
+      },
+    });
+    expect(distributed.map(leg => [leg.protocol, leg.percent])).toEqual([
+      ['phoenix', 50],
+      ['sdex', 50],
+    ]);
+  });
+
+  test('uses a single-protocol path, or a direct hop when no route is given', () => {
+    expect(getQuoteRoute({ ...base, platform: 'router', rawTrade: { path: ['CXLM', 'CUSDC', 'CEURC'] } })).toEqual([
+      expect.objectContaining({ protocol: 'router', path: ['CXLM', 'CUSDC', 'CEURC'], percent: 100 }),
+    ]);
+    expect(getQuoteRoute({ ...base, platform: 'sdex' })[0]).toMatchObject({
+      protocol: 'sdex',
+      path: ['CXLM', 'CEURC'],
+      amountOut: base.amountOut,
+    });
+    expect(getQuoteRoute(null)).toEqual([]);
+  });
+
+  test('names known protocols and capitalises unknown ones', () => {
+    expect(getProtocolName('sdex')).toBe('SDEX');
+    expect(getProtocolName('router')).toBe('Router');
+  });
+});
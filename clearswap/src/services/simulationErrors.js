@@ -0,0 +1,110 @@
+/**
+ * SIMULATIONERRORS.JS - TYPED ERRORS FOR TRANSACTION SIMULATION
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Soroban RPC reports a failed simulation as one host error string with a
+ * diagnostic event log attached. toSimulationError() classifies it into
+ * one of these classes with a message the user can act on; the raw text
+ * stays on `diagnostic` for the console.
+ *
+ * HIERARCHY:
+ *   SimulationError
+ *   ├── InsufficientBalanceError - the account cannot cover the amount sold
+ *   ├── MissingTrustlineError    - an asset has no trustline on the account
+ *   ├── SlippageExceededError    - pool prices moved past the slippage limit
+ *   │                              (the quoted liquidity is gone)
+ *   ├── DeadlineExpiredError     - the swap's deadline has passed
+ *   ├── RestoreRequiredError     - archived contract state must be restored first
+ *   ├── AuthorizationError       - a required authorization is missing or invalid
+ *   └── ResourceLimitError       - the call exceeds Soroban's resource limits
+ */
+
+/**
+ * Base class for simulation failures
+ *
+ * @property {string} diagnostic - Raw error reported by Soroban RPC
+ */
+export class SimulationError extends Error {
+  constructor(message, { diagnostic = '', cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.diagnostic = diagnostic;
+    if (cause) this.cause = cause;
+  }
+}
+
+export class InsufficientBalanceError extends SimulationError {}
+
+export class MissingTrustlineError extends SimulationError {}
+
+export class SlippageExceededError extends SimulationError {}
+
+export class DeadlineExpiredError extends SimulationError {}
+
+export class RestoreRequiredError extends SimulationError {}
+
+export class AuthorizationError extends SimulationError {}
+
+export class ResourceLimitError extends SimulationError {}
+
+// First match wins. Stellar Asset Contract error codes: #10 BalanceError,
+// #13 TrustlineMissingError.
+const CLASSIFIERS = [
+  {
+    pattern: /Error\(Contract, #10\)|balance is not sufficient|insufficient balance/i,
+    ErrorClass: InsufficientBalanceError,
+    message: 'Your balance is too low for this swap.',
+  },
+  {
+    pattern: /Error\(Contract, #13\)|trustline/i,
+    ErrorClass: MissingTrustlineError,
+    message: 'Your account has no trustline for one of the assets in this swap.',
+  },
+  {
+    pattern: /deadline|expired/i,
+    ErrorClass: DeadlineExpiredError,
+    message: 'The swap deadline has passed. Get a new quote and try again.',
+  },
+  {
+    pattern: /InsufficientOutputAmount|ExcessiveInputAmount|slippage|insufficient (output|input|liquidity)/i,
+    ErrorClass: SlippageExceededError,
+    message: 'Pool prices moved past your slippage limit since the quote. Get a new quote and try again.',
+  },
+  {
+    pattern: /Error\(Auth,/i,
+    ErrorClass: AuthorizationError,
+    message: 'The transaction is missing a required authorization.',
+  },
+  {
+    pattern: /Error\(Budget,|ExceededLimit|resource limit/i,
+    ErrorClass: ResourceLimitError,
+    message: 'This swap needs more Soroban resources than one transaction allows. Try a smaller amount.',
+  },
+];
+
+/**
+ * Classifies a simulation error reported by Soroban RPC
+ *
+ * @param {string} diagnostic - `error` of the simulation response
+ * @returns {SimulationError}
+ */
+export const toSimulationError = diagnostic => {
+  const text = String(diagnostic || '');
+  const match = CLASSIFIERS.find(({ pattern }) => pattern.test(text));
+  if (match) return new match.ErrorClass(match.message, { diagnostic: text });
+
+  const firstLine = text.split('\n')[0].trim() || 'unknown error';
+  return new SimulationError(`The transaction would fail: ${firstLine}`, { diagnostic: text });
+};
+
+/**
+ * The simulation succeeded only because archived entries were assumed restored
+ *
+ * @returns {RestoreRequiredError}
+ */
+export const restoreRequired = () =>
+  new RestoreRequiredError(
+    'Part of the pool contract state is archived and must be restored on-chain before this swap can run.'
+  );
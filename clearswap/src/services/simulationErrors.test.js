@@ -0,0 +1,38 @@
+import {
+  DeadlineExpiredError,
+  InsufficientBalanceError,
+  MissingTrustlineError,
+  RestoreRequiredError,
+  SimulationError,
+  SlippageExceededError,
+  restoreRequired,
+  toSimulationError,
+} from './simulationErrors';
+
+describe('simulationErrors', () => {
+  test('classifies Stellar Asset Contract and router failures', () => {
+    expect(toSimulationError('HostError: Error(Contract, #10)\n\nEvent log:...')).toBeInstanceOf(
+      InsufficientBalanceError
+    );
+    expect(toSimulationError('HostError: Error(Contract, #13)')).toBeInstanceOf(MissingTrustlineError);
+    expect(toSimulationError('HostError: Error(WasmVm, InvalidAction) "InsufficientOutputAmount"')).toBeInstanceOf(
+      SlippageExceededError
+    );
+    expect(toSimulationError('HostError: "deadline expired"')).toBeInstanceOf(DeadlineExpiredError);
+  });
+
+  test('keeps the raw diagnostic and falls back to its first line', () => {
+    const diagnostic = 'HostError: Error(Storage, MissingValue)\n\nEvent log (newest first):\n  0: ...';
+    const error = toSimulationError(diagnostic);
+    expect(error.constructor).toBe(SimulationError);
+    expect(error.message).toBe('The transaction would fail: HostError: Error(Storage, MissingValue)');
+    expect(error.diagnostic).toBe(diagnostic);
+  });
+
+  test('restore-required is a simulation error', () => {
+    const error = restoreRequired();
+    expect(error).toBeInstanceOf(RestoreRequiredError);
+    expect(error).toBeInstanceOf(SimulationError);
+    expect(error.name).toBe('RestoreRequiredError');
+  });
+});
@@ -0,0 +1,191 @@
+/* global BigInt */
+/**
+ * SOROBANRPC.JS - SOROBAN RPC HELPERS
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Read-only contract calls through Soroban RPC `simulateTransaction`.
+ * A read is a simulated invocation that is never signed or submitted, so
+ * it costs nothing and needs no wallet interaction.
+ *
+ * The same simulation previews a built swap before it is signed: what it
+ * does to the account's balances, the resources it uses and its network
+ * fee (the resource fee plus the inclusion fee the network charges).
+ * Failures are classified into services/simulationErrors.js. Classic
+ * transactions (SDEX path payments) cannot be simulated and are read from
+ * the envelope instead.
+ *
+ * A submission whose outcome is unclear is looked up by its hash.
+ */
+
+import {
+  Account,
+  Address,
+  BASE_FEE,
+  Contract,
+  TransactionBuilder,
+  rpc,
+  scValToNative,
+} from '@stellar/stellar-sdk';
+import { restoreRequired, toSimulationError } from './simulationErrors';
+import { RequestCancelledError } from './soroswapErrors';
+import { isSorobanTransaction, summariseClassicTransaction, summariseSimulation } from './txSimulation';
+
+// Any valid account works as the source of a read-only simulation
+const SIMULATION_SOURCE = 'GAAZI4TCR3TY5OJHCTJC2A4QSY6CJWJH5IAJTGKIN2ER7LBNVKOCCWN7';
+
+// Ledgers polled for a submission whose outcome is unclear
+const LOOKUP_ATTEMPTS = 10;
+
+const servers = new Map();
+
+/**
+ * Returns a cached RPC client for an endpoint
+ *
+ * @param {string} url - Soroban RPC endpoint
+ * @returns {rpc.Server}
+ */
+export const getRpcServer = url => {
+  if (!servers.has(url)) {
+    servers.set(url, new rpc.Server(url, { allowHttp: url.startsWith('http://') }));
+  }
+  return servers.get(url);
+};
+
+/**
+ * Converts a Stellar account or contract id to an ScVal address argument
+ */
+export const addressArg = id => new Address(id).toScVal();
+
+/**
+ * Rejects as soon as `signal` aborts
+ */
+const abortedBy = signal =>
+  new Promise((resolve, reject) => {
+    if (signal.aborted) reject(new RequestCancelledError());
+    signal.addEventListener('abort', () => reject(new RequestCancelledError()), { once: true });
+  });
+
+/**
+ * Calls a read-only contract method and returns its decoded result
+ *
+ * The SDK cannot cancel an RPC request once it is sent, so an aborted read
+ * rejects straight away and its response is discarded.
+ *
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {string} params.contractId - Contract to call
+ * @param {string} params.method - Contract function name
+ * @param {Array} [params.args] - ScVal arguments
+ * @param {string} [params.source] - Account used as the simulation source
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<*>} Native JS value (i128 balances come back as BigInt)
+ * @throws {RequestCancelledError} When `signal` aborts first
+ */
+export const readContract = async ({
+  networkConfig,
+  contractId,
+  method,
+  args = [],
+  source = SIMULATION_SOURCE,
+  signal,
+}) => {
+  if (signal?.aborted) throw new RequestCancelledError();
+
+  const server = getRpcServer(networkConfig.sorobanRpcUrl);
+  const tx = new TransactionBuilder(new Account(source, '0'), {
+    fee: BASE_FEE,
+    networkPassphrase: networkConfig.passphrase,
+  })
+    .addOperation(new Contract(contractId).call(method, ...args))
+    .setTimeout(30)
+    .build();
+
+  const request = server.simulateTransaction(tx);
+  const simulation = await (signal ? Promise.race([request, abortedBy(signal)]) : request);
+
+  if (rpc.Api.isSimulationError(simulation)) {
+    throw new Error(`${method}() failed on ${contractId}: ${simulation.error}`);
+  }
+  if (!simulation.result) {
+    throw new Error(`${method}() returned no result on ${contractId}`);
+  }
+  return scValToNative(simulation.result.retval);
+};
+
+/**
+ * Simulates a built transaction before it is signed
+ *
+ * The result is what signing would do: the account's balance changes,
+ * the resources and fees, and the authorizations it carries (see
+ * services/txSimulation.js). The inclusion fee is the network's median
+ * recent Soroban inclusion fee, never below the protocol minimum.
+ *
+ * A transaction with no Soroban operation is not sent to the RPC: its
+ * path payments and envelope fee are reviewed as they are.
+ *
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {string} params.xdr - Unsigned transaction envelope
+ * @param {string} [params.account] - Account whose balance changes are reported
+ * @returns {Promise<import('./txSimulation').TransactionSimulation>}
+ * @throws {import('./simulationErrors').SimulationError} When the transaction would fail
+ */
+export const simulateTransaction = async ({ networkConfig, xdr, account }) => {
+  const server = getRpcServer(networkConfig.sorobanRpcUrl);
+  const tx = TransactionBuilder.fromXDR(xdr, networkConfig.passphrase);
+  if (!isSorobanTransaction(tx)) {
+    return summariseClassicTransaction(tx, { account, networkPassphrase: networkConfig.passphrase });
+  }
+
+  const [simulation, feeStats] = await Promise.all([
+    server.simulateTransaction(tx),
+    // Without fee stats the minimum fee is the best estimate
+    server.getFeeStats().catch(() => null),
+  ]);
+
+  if (rpc.Api.isSimulationError(simulation)) throw toSimulationError(simulation.error);
+  if (rpc.Api.isSimulationRestore(simulation)) throw restoreRequired();
+
+  const minimum = BigInt(BASE_FEE) * BigInt(tx.operations.length);
+  const median = BigInt(feeStats?.sorobanInclusionFee?.p50 || 0);
+  return summariseSimulation(simulation, { account, inclusionFee: median > minimum ? median : minimum });
+};
+
+/**
+ * Network fee of a built transaction, from simulating it
+ *
+ * A classic transaction (SDEX path payment) is not simulated: its fee is
+ * the one in the envelope.
+ *
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {string} params.xdr - Unsigned transaction envelope
+ * @returns {Promise<import('./feeBreakdown').NetworkFee>} Stroops
+ */
+export const estimateNetworkFee = async params => {
+  const tx = TransactionBuilder.fromXDR(params.xdr, params.networkConfig.passphrase);
+  if (!isSorobanTransaction(tx)) return { inclusionFee: BigInt(tx.fee), resourceFee: 0n, classic: true };
+  return (await simulateTransaction(params)).fees;
+};
+
+/**
+ * Looks up a signed transaction on the network by its hash
+ *
+ * For a submission that timed out or got a 5xx: the network may have
+ * accepted the envelope anyway. Polls for a few seconds, since an accepted
+ * transaction only shows up once its ledger closes.
+ *
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {string} params.xdr - Signed transaction envelope
+ * @param {number} [params.attempts] - Polls before giving up
+ * @returns {Promise<{ hash: string, status: 'SUCCESS'|'FAILED'|'NOT_FOUND', ledger: number|null }>}
+ */
+export const lookupTransaction = async ({ networkConfig, xdr, attempts = LOOKUP_ATTEMPTS }) => {
+  const server = getRpcServer(networkConfig.sorobanRpcUrl);
+  const hash = TransactionBuilder.fromXDR(xdr, networkConfig.passphrase).hash().toString('hex');
+  const response = await server.pollTransaction(hash, { attempts });
+  return { hash, status: response.status, ledger: response.ledger ?? null };
+};
@@ -0,0 +1,30 @@
+import { Account, Asset, Keypair, Networks, Operation, TransactionBuilder } from '@stellar/stellar-sdk';
+import { estimateNetworkFee } from './sorobanRpc';
+
+const networkConfig = { id: 'testnet', passphrase: Networks.TESTNET, sorobanRpcUrl: 'http://rpc.invalid' };
+
+describe('sorobanRpc', () => {
+  test('a classic path payment costs its envelope fee, without simulating it', async () => {
+    const account = Keypair.random().publicKey();
+    const xdr = new TransactionBuilder(new Account(account, '1'), { fee: '300', networkPassphrase: Networks.TESTNET })
+      .addOperation(
+        Operation.pathPaymentStrictSend({
+          sendAsset: Asset.native(),
+          sendAmount: '10',
+          destination: account,
+          destAsset: new Asset('USDC', Keypair.random().publicKey()),
+          destMin: '0.995',
+          path: [],
+        })
+      )
+      .setTimeout(30)
+      .build()
+      .toXDR();
+
+    await expect(estimateNetworkFee({ networkConfig, xdr })).resolves.toEqual({
+      inclusionFee: 300n,
+      resourceFee: 0n,
+      classic: true,
+    });
+  });
+});
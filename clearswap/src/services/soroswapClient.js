@@ -0,0 +1,377 @@
+/**
+ * SOROSWAPCLIENT.JS - SOROSWAP AGGREGATOR API CLIENT
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Single entry point for every Soroswap API call made by ClearSwap screens.
+ * Components never call `fetch` against the aggregator directly.
+ *
+ * SHARED BEHAVIOUR:
+ * - Bearer auth header injected on every request
+ * - Per-request timeout, combined with an optional caller AbortSignal
+ * - Retries with exponential backoff for 429 and 5xx responses
+ *   (Retry-After is honoured when the API sends it, up to the request
+ *   timeout; a longer one fails straight away); /send is never retried,
+ *   since the network may already have the envelope
+ * - Failures surfaced as typed errors from ./soroswapErrors
+ * - Endpoint, key and network resolved from runtime configuration; when a
+ *   proxy URL is configured the key stays server-side
+ *
+ * ENDPOINTS:
+ * - GET  /asset-list   - Curated token lists
+ * - POST /quote        - Best route quote across protocols
+ * - POST /quote/build  - Unsigned XDR transaction for a quote
+ * - POST /send         - Submit a signed XDR transaction
+ * - GET  /pools        - Liquidity pools per protocol
+ * - GET  /price        - USD prices for assets
+ */
+
+import {
+  ApiError,
+  BuildError,
+  NetworkError,
+  QuoteError,
+  RateLimitError,
+  RequestCancelledError,
+  SendError,
+  ServerError,
+  TimeoutError,
+} from './soroswapErrors';
+import { getConfig } from '../config/runtimeConfig';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 500;
+
+/**
+ * @typedef {Object} SoroswapClientOptions
+ * @property {string} baseUrl - API root, without trailing slash
+ * @property {string} [apiKey] - Bearer key; omitted when calling through a proxy
+ * @property {string} [network='mainnet'] - Default `network` query parameter
+ * @property {number} [timeoutMs=15000] - Per-attempt timeout
+ * @property {number} [maxRetries=2] - Extra attempts for 429 / 5xx responses
+ * @property {number} [retryDelayMs=500] - Base backoff delay, doubled each attempt
+ * @property {Function} [fetchImpl] - fetch implementation (tests inject a mock)
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Cancels the request (and pending retries)
+ * @property {string} [network] - Overrides the client's default network
+ * @property {number} [timeoutMs] - Overrides the client's timeout
+ * @property {number} [maxRetries] - Overrides the client's retry count
+ */
+
+/**
+ * @typedef {Object} Asset
+ * @property {string} contract - Soroban contract address
+ * @property {string} code - Asset code (e.g. USDC)
+ * @property {string} [issuer] - Classic issuer account, when wrapped
+ * @property {string} [name]
+ * @property {number} [decimals]
+ * @property {string} [icon]
+ */
+
+/**
+ * @typedef {Object} QuoteRequest
+ * @property {string} assetIn - Source asset contract
+ * @property {string} assetOut - Destination asset contract
+ * @property {string} amount - Amount in base units (stroops for 7 decimals)
+ * @property {'EXACT_IN'|'EXACT_OUT'} tradeType
+ * @property {string[]} protocols - e.g. ['soroswap', 'phoenix', 'aqua', 'sdex']
+ * @property {number} [slippageTolerance] - Basis points
+ * @property {'CREATE'|'NONE'} [gaslessTrustline]
+ * @property {number} [feeBps] - Platform fee in basis points
+ */
+
+/**
+ * @typedef {Object} Quote
+ * @property {string} assetIn
+ * @property {string} assetOut
+ * @property {string} amountIn
+ * @property {string} amountOut
+ * @property {string} otherAmountThreshold - Minimum received (EXACT_IN) or maximum sold (EXACT_OUT)
+ * @property {string} priceImpactPct
+ * @property {string} platform
+ * @property {'EXACT_IN'|'EXACT_OUT'} tradeType
+ * @property {Array<Object>} [routePlan]
+ */
+
+/**
+ * Promise that resolves after `ms`, rejecting early if `signal` aborts
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new RequestCancelledError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new RequestCancelledError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * Parses the Retry-After header (seconds or HTTP date) into milliseconds
+ */
+const parseRetryAfter = header => {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Reads an error response body as JSON when possible, falling back to text
+ */
+const readErrorBody = async response => {
+  const text = await response.text().catch(() => '');
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Extracts a readable message from an error body
+ */
+const describeErrorBody = body => {
+  if (!body) return '';
+  if (typeof body === 'string') return body;
+  const message = body.message || body.error || body.detail;
+  if (Array.isArray(message)) return message.join(', ');
+  return typeof message === 'string' ? message : JSON.stringify(body);
+};
+
+/**
+ * Creates a Soroswap API client
+ *
+ * @param {SoroswapClientOptions} options
+ */
+export function createSoroswapClient({
+  baseUrl,
+  apiKey,
+  network = 'mainnet',
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  fetchImpl,
+} = {}) {
+  if (!baseUrl) throw new Error('createSoroswapClient requires a baseUrl');
+
+  const root = baseUrl.replace(/\/+$/, '');
+  const doFetch = (...args) => (fetchImpl || window.fetch)(...args);
+
+  /**
+   * Single attempt with timeout; network failures become typed errors
+   */
+  const attempt = async (url, init, { signal, timeout }) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      return await doFetch(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      if (timedOut) throw new TimeoutError(timeout);
+      if (signal?.aborted) throw new RequestCancelledError();
+      throw new NetworkError(`Network request failed: ${err.message}`, { cause: err });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+
+  /**
+   * Performs an API request with auth, timeout and retry handling
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Endpoint path, e.g. '/quote'
+   * @param {Object} config
+   * @param {Object} [config.query] - Query parameters (arrays repeat the key)
+   * @param {Object} [config.body] - JSON body
+   * @param {Function} [config.ErrorClass=ApiError] - Error class for 4xx responses
+   * @param {RequestOptions} [config.options]
+   */
+  const request = async (method, path, { query = {}, body, ErrorClass = ApiError, options = {} } = {}) => {
+    const { signal, timeoutMs: timeout = timeoutMs, maxRetries: retries = maxRetries } = options;
+
+    const params = new URLSearchParams();
+    Object.entries({ network: options.network || network, ...query }).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      (Array.isArray(value) ? value : [value]).forEach(v => params.append(key, v));
+    });
+    const url = `${root}${path}?${params.toString()}`;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    const init = { method, headers };
+    if (body !== undefined) init.body = JSON.stringify(body);
+
+    for (let attemptNo = 0; ; attemptNo += 1) {
+      if (signal?.aborted) throw new RequestCancelledError();
+
+      const response = await attempt(url, init, { signal, timeout });
+      if (response.ok) {
+        return response.status === 204 ? null : response.json();
+      }
+
+      const errorBody = await readErrorBody(response);
+      const details = { status: response.status, statusText: response.statusText, body: errorBody };
+      const reason = describeErrorBody(errorBody);
+      const message = `${method} ${path} failed: ${response.status} ${response.statusText}${
+        reason ? ` - ${reason}` : ''
+      }`;
+
+      let error;
+      if (response.status === 429) {
+        error = new RateLimitError(message, {
+          ...details,
+          retryAfterMs: parseRetryAfter(response.headers?.get?.('Retry-After')),
+        });
+      } else if (response.status >= 500) {
+        error = new ServerError(message, details);
+      } else {
+        throw new ErrorClass(message, details);
+      }
+
+      if (attemptNo >= retries) throw error;
+      // A server asking for a longer wait than a whole attempt gets the error instead
+      if (error.retryAfterMs > timeout) throw error;
+      const backoff = error.retryAfterMs ?? retryDelayMs * 2 ** attemptNo;
+      await sleep(Math.min(backoff, timeout), signal);
+    }
+  };
+
+  return {
+    /**
+     * Fetches a named asset list
+     *
+     * @param {string} [name='soroswap']
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ name: string, assets: Asset[] }>}
+     */
+    getAssetList: (name = 'soroswap', options) =>
+      request('GET', '/asset-list', { query: { name }, options }),
+
+    /**
+     * Requests the best quote for a trade
+     *
+     * @param {QuoteRequest} payload
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Quote>}
+     */
+    getQuote: (payload, options) =>
+      request('POST', '/quote', { body: payload, ErrorClass: QuoteError, options }),
+
+    /**
+     * Builds an unsigned transaction for a quote
+     *
+     * @param {{ quote: Quote, from: string, to?: string, referralId?: string }} params
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{ xdr: string }>}
+     */
+    buildTransaction: ({ quote, from, to = from, referralId }, options) =>
+      request('POST', '/quote/build', {
+        body: { quote, from, to, referralId },
+        ErrorClass: BuildError,
+        options,
+      }),
+
+    /**
+     * Submits a signed transaction envelope
+     *
+     * Not retried by default: a 5xx or timeout can arrive after the network
+     * accepted the envelope, and resending it would then fail as a
+     * duplicate. Callers look the hash up instead (see sorobanRpc.js).
+     *
+     * @param {{ xdr: string, launchtube?: boolean }} params
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} Submission result (hash, ledger, status...)
+     */
+    sendTransaction: ({ xdr, launchtube = false }, options) =>
+      request('POST', '/send', {
+        body: { xdr, launchtube },
+        ErrorClass: SendError,
+        options: { maxRetries: 0, ...options },
+      }),
+
+    /**
+     * Lists liquidity pools for the given protocols
+     *
+     * @param {{ protocols?: string[], assetList?: string }} [params]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Array<Object>>}
+     */
+    getPools: ({ protocols, assetList } = {}, options) =>
+      request('GET', '/pools', { query: { protocol: protocols, assetList }, options }),
+
+    /**
+     * Fetches USD prices for one or more assets
+     *
+     * @param {string[]} assets - Asset contract addresses
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Array<{ asset: string, referenceCurrency: string, price: number }>>}
+     */
+    getPrices: (assets, options) =>
+      request('GET', '/price', { query: { asset: assets, referenceCurrency: 'USD' }, options }),
+  };
+}
+
+/**
+ * Maps runtime configuration to client options
+ *
+ * The proxy, when configured, injects the key itself, so no key is sent
+ * from the browser in that mode.
+ *
+ * @param {import('../config/runtimeConfig').RuntimeConfig} config
+ * @returns {SoroswapClientOptions}
+ */
+export const clientOptionsFromConfig = config =>
+  config.soroswapProxyUrl
+    ? { baseUrl: config.soroswapProxyUrl, network: config.network }
+    : { baseUrl: config.soroswapApiUrl, apiKey: config.soroswapApiKey, network: config.network };
+
+let sharedClient = null;
+let sharedConfig = null;
+
+/**
+ * Returns the client for the active configuration, rebuilding it when
+ * the runtime config has been (re)loaded
+ */
+const getSharedClient = () => {
+  const config = getConfig();
+  if (!sharedClient || sharedConfig !== config) {
+    sharedClient = createSoroswapClient(clientOptionsFromConfig(config));
+    sharedConfig = config;
+  }
+  return sharedClient;
+};
+
+/**
+ * Shared client used by ClearSwap screens, bound to the runtime config
+ */
+const soroswapClient = {
+  getAssetList: (...args) => getSharedClient().getAssetList(...args),
+  getQuote: (...args) => getSharedClient().getQuote(...args),
+  buildTransaction: (...args) => getSharedClient().buildTransaction(...args),
+  sendTransaction: (...args) => getSharedClient().sendTransaction(...args),
+  getPools: (...args) => getSharedClient().getPools(...args),
+  getPrices: (...args) => getSharedClient().getPrices(...args),
+};
+
+export default soroswapClient;
@@ -0,0 +1,173 @@
+import { createSoroswapClient } from './soroswapClient';
+import {
+  BuildError,
+  NetworkError,
+  QuoteError,
+  RateLimitError,
+  RequestCancelledError,
+  SendError,
+  ServerError,
+  TimeoutError,
+} from './soroswapErrors';
+
+const BASE_URL = 'https://api.example.test';
+
+const jsonResponse = (body, { status = 200, statusText = 'OK', headers = {} } = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText,
+  headers: { get: name => headers[name] ?? null },
+  json: () => Promise.resolve(body),
+  text: () => Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body)),
+});
+
+const makeClient = (fetchImpl, options = {}) =>
+  createSoroswapClient({
+    baseUrl: `${BASE_URL}/`,
+    apiKey: 'sk_test',
+    retryDelayMs: 1,
+    fetchImpl,
+    ...options,
+  });
+
+describe('soroswapClient', () => {
+  test('injects the bearer key and network on every request', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(jsonResponse({ assets: [] }));
+    await makeClient(fetchImpl).getAssetList('soroswap');
+
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe(`${BASE_URL}/asset-list?network=mainnet&name=soroswap`);
+    expect(init.method).toBe('GET');
+    expect(init.headers.Authorization).toBe('Bearer sk_test');
+  });
+
+  test('omits the auth header when no key is configured', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(jsonResponse({ assets: [] }));
+    await makeClient(fetchImpl, { apiKey: undefined }).getAssetList();
+
+    expect(fetchImpl.mock.calls[0][1].headers.Authorization).toBeUndefined();
+  });
+
+  test('posts the quote payload and honours a per-call network', async () => {
+    const quote = { amountOut: '100' };
+    const fetchImpl = jest.fn().mockResolvedValue(jsonResponse(quote));
+    const payload = { assetIn: 'A', assetOut: 'B', amount: '10', tradeType: 'EXACT_IN' };
+
+    await expect(makeClient(fetchImpl).getQuote(payload, { network: 'testnet' })).resolves.toEqual(quote);
+
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe(`${BASE_URL}/quote?network=testnet`);
+    expect(JSON.parse(init.body)).toEqual(payload);
+  });
+
+  test('repeats array query parameters for pools and prices', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(jsonResponse([]));
+    const client = makeClient(fetchImpl);
+
+    await client.getPools({ protocols: ['soroswap', 'aqua'] });
+    await client.getPrices(['C1', 'C2']);
+
+    expect(fetchImpl.mock.calls[0][0]).toBe(`${BASE_URL}/pools?network=mainnet&protocol=soroswap&protocol=aqua`);
+    expect(fetchImpl.mock.calls[1][0]).toBe(
+      `${BASE_URL}/price?network=mainnet&asset=C1&asset=C2&referenceCurrency=USD`
+    );
+  });
+
+  test('maps 4xx responses to endpoint-specific errors without retrying', async () => {
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValue(jsonResponse({ message: 'No path found' }, { status: 400, statusText: 'Bad Request' }));
+    const client = makeClient(fetchImpl);
+
+    const error = await client.getQuote({}).catch(e => e);
+    expect(error).toBeInstanceOf(QuoteError);
+    expect(error.status).toBe(400);
+    expect(error.message).toContain('No path found');
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+    await expect(client.buildTransaction({ quote: {}, from: 'G' })).rejects.toBeInstanceOf(BuildError);
+    await expect(client.sendTransaction({ xdr: 'AAA' })).rejects.toBeInstanceOf(SendError);
+  });
+
+  test('retries 5xx responses with backoff and then succeeds', async () => {
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValueOnce(jsonResponse('boom', { status: 502, statusText: 'Bad Gateway' }))
+      .mockResolvedValueOnce(jsonResponse({ xdr: 'AAA' }));
+
+    await expect(makeClient(fetchImpl).buildTransaction({ quote: {}, from: 'G' })).resolves.toEqual({ xdr: 'AAA' });
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  test('never retries a transaction submission', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(jsonResponse('boom', { status: 502, statusText: 'Bad Gateway' }));
+
+    await expect(makeClient(fetchImpl, { maxRetries: 2 }).sendTransaction({ xdr: 'AAA' })).rejects.toBeInstanceOf(
+      ServerError
+    );
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after maxRetries with the last server error', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(jsonResponse('down', { status: 503, statusText: 'Unavailable' }));
+
+    await expect(makeClient(fetchImpl, { maxRetries: 2 }).getAssetList()).rejects.toBeInstanceOf(ServerError);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+
+  test('exposes Retry-After on rate limit errors', async () => {
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValue(jsonResponse('slow down', { status: 429, statusText: 'Too Many', headers: { 'Retry-After': '0' } }));
+
+    const error = await makeClient(fetchImpl, { maxRetries: 1 }).getQuote({}).catch(e => e);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfterMs).toBe(0);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  test('fails at once when Retry-After is longer than the timeout', async () => {
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValue(jsonResponse('later', { status: 429, statusText: 'Too Many', headers: { 'Retry-After': '3600' } }));
+
+    const error = await makeClient(fetchImpl, { maxRetries: 2, timeoutMs: 1000 }).getQuote({}).catch(e => e);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfterMs).toBe(3600000);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  test('wraps transport failures in NetworkError', async () => {
+    const fetchImpl = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const error = await makeClient(fetchImpl).getAssetList().catch(e => e);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.cause).toBeInstanceOf(TypeError);
+  });
+
+  test('times out slow requests', async () => {
+    const fetchImpl = jest.fn(
+      (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('aborted')));
+        })
+    );
+
+    await expect(makeClient(fetchImpl, { timeoutMs: 5 }).getAssetList()).rejects.toBeInstanceOf(TimeoutError);
+  });
+
+  test('cancels through the caller AbortSignal', async () => {
+    const fetchImpl = jest.fn(
+      (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('aborted')));
+        })
+    );
+    const controller = new AbortController();
+
+    const pending = makeClient(fetchImpl).getQuote({}, { signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toBeInstanceOf(RequestCancelledError);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * SOROSWAPERRORS.JS - TYPED ERRORS FOR THE SOROSWAP API CLIENT
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Every failure coming out of soroswapClient is one of these classes, so
+ * screens can branch on `instanceof` (retry later, reconnect, fix input)
+ * instead of parsing message strings.
+ *
+ * HIERARCHY:
+ *   SoroswapError
+ *   ├── NetworkError          - fetch never got a response (offline, DNS, CORS)
+ *   │   └── TimeoutError      - no response within the configured timeout
+ *   ├── RequestCancelledError - caller aborted through its AbortSignal
+ *   └── ApiError              - the API answered with a non-2xx status
+ *       ├── RateLimitError    - 429, carries retryAfterMs when provided
+ *       ├── ServerError       - 5xx
+ *       ├── QuoteError        - /quote rejected the request
+ *       ├── BuildError        - /quote/build rejected the request
+ *       └── SendError         - /send rejected the transaction
+ */
+
+/**
+ * Base class for all Soroswap client errors
+ */
+export class SoroswapError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * The request never reached the API or no response came back
+ */
+export class NetworkError extends SoroswapError {}
+
+/**
+ * No response within the client's timeout
+ */
+export class TimeoutError extends NetworkError {
+  constructor(timeoutMs) {
+    super(`Request timed out after ${timeoutMs}ms`);
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * The caller cancelled the request through its AbortSignal
+ */
+export class RequestCancelledError extends SoroswapError {
+  constructor() {
+    super('Request was cancelled');
+  }
+}
+
+/**
+ * The API responded with a non-2xx status
+ *
+ * @property {number} status - HTTP status code
+ * @property {string} statusText - HTTP status text
+ * @property {*} body - Parsed JSON error body, or raw text
+ */
+export class ApiError extends SoroswapError {
+  constructor(message, { status, statusText, body } = {}) {
+    super(message);
+    this.status = status;
+    this.statusText = statusText;
+    this.body = body;
+  }
+}
+
+/**
+ * 429 Too Many Requests
+ *
+ * @property {number|null} retryAfterMs - Delay requested by the Retry-After header
+ */
+export class RateLimitError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+/**
+ * 5xx responses
+ */
+export class ServerError extends ApiError {}
+
+/**
+ * Quote request rejected (unknown asset, no route, invalid amount...)
+ */
+export class QuoteError extends ApiError {}
+
+/**
+ * Transaction build rejected (stale quote, missing trustline...)
+ */
+export class BuildError extends ApiError {}
+
+/**
+ * Signed transaction rejected on submission
+ */
+export class SendError extends ApiError {}
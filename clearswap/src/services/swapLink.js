@@ -0,0 +1,105 @@
+/**
+ * SWAPLINK.JS - SHAREABLE SWAP URLS
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * The swap page keeps its pair and amount in the query string, so a swap
+ * can be bookmarked or shared pre-filled:
+ *
+ *   /swap?from=XLM&to=USDC&amount=100&exactOut=false
+ *
+ * Tokens are written as their symbol when that is unambiguous in the
+ * token list, otherwise as their contract address. When reading a link,
+ * `from` and `to` may be a symbol, a contract ID or CODE:ISSUER; anything
+ * not on the list is left for the token picker's import flow.
+ */
+
+import { parseTokenInput } from './tokenResolver';
+
+const AMOUNT_PATTERN = /^\d*\.?\d+$|^\d+\.$/;
+
+/**
+ * @typedef {Object} SwapLink
+ * @property {string} from - Token as written in the link ('' when absent)
+ * @property {string} to
+ * @property {string} amount - Decimal amount ('' when absent or invalid)
+ * @property {boolean} exactOut - Whether `amount` is the amount to receive
+ */
+
+/**
+ * Reads swap state from a query string
+ *
+ * @param {URLSearchParams} params
+ * @returns {SwapLink|null} Null when the link carries no swap state
+ */
+export const parseSwapLink = params => {
+  const from = (params.get('from') || '').trim();
+  const to = (params.get('to') || '').trim();
+  const rawAmount = (params.get('amount') || '').trim();
+  if (!from && !to && !rawAmount) return null;
+
+  return {
+    from,
+    to,
+    amount: AMOUNT_PATTERN.test(rawAmount) ? rawAmount : '',
+    exactOut: params.get('exactOut') === 'true',
+  };
+};
+
+/**
+ * Finds the listed token a link refers to
+ *
+ * Symbols match case-insensitively; when several tokens share a symbol,
+ * verified ones vouched for by more lists win.
+ *
+ * @param {Array<Object>} tokens - Token list
+ * @param {string} value - Symbol, contract ID or CODE:ISSUER
+ * @returns {Object|null}
+ */
+export const findLinkedToken = (tokens, value) => {
+  if (!value) return null;
+
+  const parsed = parseTokenInput(value);
+  if (parsed?.kind === 'contract') return tokens.find(t => t.address === parsed.contractId) || null;
+  if (parsed?.kind === 'classic') {
+    return tokens.find(t => t.symbol === parsed.code && t.issuer === parsed.issuer) || null;
+  }
+
+  const symbol = value.toUpperCase();
+  const matches = tokens.filter(t => t.symbol?.toUpperCase() === symbol);
+  const rank = t => (t.unverified ? -1 : (t.lists || []).length);
+  return matches.sort((a, b) => rank(b) - rank(a))[0] || null;
+};
+
+/**
+ * How a token is written in a link: its symbol when no other listed
+ * token shares it, otherwise its contract address
+ *
+ * @param {Array<Object>} tokens
+ * @param {string} address
+ * @returns {string}
+ */
+export const linkTokenParam = (tokens, address) => {
+  const token = tokens.find(t => t.address === address);
+  if (!token) return address || '';
+  const sameSymbol = tokens.filter(t => t.symbol?.toUpperCase() === token.symbol?.toUpperCase());
+  return sameSymbol.length === 1 && !token.unverified ? token.symbol : address;
+};
+
+/**
+ * Builds the query string for the current swap form
+ *
+ * @param {{ from: string, to: string, amount: string, exactOut: boolean }} state - Tokens already as link params
+ * @returns {string} Query string without the leading "?"
+ */
+export const buildSwapSearch = ({ from, to, amount, exactOut }) => {
+  const params = new URLSearchParams();
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  if (amount) {
+    params.set('amount', amount);
+    params.set('exactOut', String(Boolean(exactOut)));
+  }
+  return params.toString();
+};
@@ -0,0 +1,53 @@
+import { buildSwapSearch, findLinkedToken, linkTokenParam, parseSwapLink } from './swapLink';
+
+const ISSUER = 'GA5ZSEJYB37JRC5AVCIA5MOP4RHTM335X2KGX3IHOJAPP5RE34K4KZVN';
+const XLM = { address: 'CXLM', symbol: 'XLM', lists: ['soroswap'] };
+const USDC = { address: 'CUSDC', symbol: 'USDC', issuer: ISSUER, lists: ['soroswap', 'clearswap'] };
+const FAKE_USDC = { address: 'CFAKE', symbol: 'USDC', unverified: true };
+const OTHER_USDC = { address: 'COTHER', symbol: 'usdc', lists: ['stellarexpert'] };
+
+describe('swapLink', () => {
+  test('reads pair, amount and trade direction from the query string', () => {
+    expect(parseSwapLink(new URLSearchParams('from=XLM&to=USDC&amount=100&exactOut=true'))).toEqual({
+      from: 'XLM',
+      to: 'USDC',
+      amount: '100',
+      exactOut: true,
+    });
+    expect(parseSwapLink(new URLSearchParams('to=USDC&amount=1e5'))).toEqual({
+      from: '',
+      to: 'USDC',
+      amount: '',
+      exactOut: false,
+    });
+    expect(parseSwapLink(new URLSearchParams('utm_source=mail'))).toBeNull();
+  });
+
+  test('finds tokens by symbol, contract or CODE:ISSUER', () => {
+    const tokens = [XLM, FAKE_USDC, OTHER_USDC, USDC];
+
+    expect(findLinkedToken(tokens, 'xlm')).toBe(XLM);
+    expect(findLinkedToken(tokens, `USDC:${ISSUER}`)).toBe(USDC);
+    expect(findLinkedToken(tokens, 'CNOPE')).toBeNull();
+    expect(findLinkedToken(tokens, '')).toBeNull();
+  });
+
+  test('prefers the most widely listed token when symbols collide', () => {
+    expect(findLinkedToken([FAKE_USDC, OTHER_USDC, USDC], 'USDC')).toBe(USDC);
+    expect(findLinkedToken([FAKE_USDC, OTHER_USDC], 'USDC')).toBe(OTHER_USDC);
+  });
+
+  test('writes ambiguous or unverified tokens by address', () => {
+    expect(linkTokenParam([XLM, USDC], 'CUSDC')).toBe('USDC');
+    expect(linkTokenParam([XLM, USDC, OTHER_USDC], 'CUSDC')).toBe('CUSDC');
+    expect(linkTokenParam([XLM, FAKE_USDC], 'CFAKE')).toBe('CFAKE');
+    expect(linkTokenParam([XLM], 'CUNKNOWN')).toBe('CUNKNOWN');
+  });
+
+  test('builds a query string that round-trips', () => {
+    const search = buildSwapSearch({ from: 'XLM', to: 'USDC', amount: '100', exactOut: false });
+    expect(search).toBe('from=XLM&to=USDC&amount=100&exactOut=false');
+    expect(parseSwapLink(new URLSearchParams(search))).toEqual({ from: 'XLM', to: 'USDC', amount: '100', exactOut: false });
+    expect(buildSwapSearch({ from: 'XLM', to: '', amount: '', exactOut: true })).toBe('from=XLM');
+  });
+});
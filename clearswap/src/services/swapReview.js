@@ -0,0 +1,123 @@
+/* global BigInt */
+/**
+ * SWAPREVIEW.JS - SWAP REVIEW RULES
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Decides what the review dialog asks of the user before a swap runs:
+ * - Price change: the quote was refreshed while the dialog was open, so
+ *   the new amounts must be accepted explicitly
+ * - Impact gate: above the user's price-impact threshold the confirmation
+ *   phrase must be typed; above MAX_PRICE_IMPACT_BPS the swap is blocked
+ *   unless expert mode is on (which still requires the phrase)
+ */
+
+import { MAX_PRICE_IMPACT_BPS, formatBps } from './swapSettings';
+
+export const CONFIRM_PHRASE = 'CONFIRM';
+
+/**
+ * @typedef {Object} PriceChange
+ * @property {'amountIn'|'amountOut'} field - The amount the market decides
+ * @property {string} previous - Accepted amount, base units
+ * @property {string} current - Refreshed amount, base units
+ * @property {boolean} better - Whether the user now gets more or pays less
+ * @property {number} changePct - Relative change, positive when better
+ */
+
+/**
+ * @typedef {Object} ImpactGate
+ * @property {'none'|'confirm'|'blocked'} level
+ * @property {number|null} impactBps - Price impact, null when the quote has none
+ * @property {string} message - Why the gate applies; empty for 'none'
+ */
+
+/**
+ * Compares the accepted quote with the current one
+ *
+ * Only the market-decided side matters: the output of an exact-input
+ * trade or the input of an exact-output one.
+ *
+ * @param {Object} accepted - Quote the user last agreed to
+ * @param {Object} current - Latest quote
+ * @returns {PriceChange|null} null when the price is unchanged
+ */
+export const getPriceChange = (accepted, current) => {
+  if (!accepted || !current || accepted === current) return null;
+
+  const field = current.tradeType === 'EXACT_OUT' ? 'amountIn' : 'amountOut';
+  const previous = BigInt(accepted[field]);
+  const next = BigInt(current[field]);
+  if (previous === next) return null;
+
+  const better = field === 'amountOut' ? next > previous : next < previous;
+  const delta = Number(next - previous) / Number(previous || 1n);
+  return {
+    field,
+    previous: previous.toString(),
+    current: next.toString(),
+    better,
+    changePct: (field === 'amountOut' ? delta : -delta) * 100,
+  };
+};
+
+/**
+ * Price impact of a quote in basis points
+ *
+ * @param {Object} quote
+ * @returns {number|null} null when the quote reports none
+ */
+export const getImpactBps = quote => {
+  const pct = parseFloat(quote?.priceImpactPct);
+  return Number.isFinite(pct) ? Math.round(Math.abs(pct) * 100) : null;
+};
+
+/**
+ * What the user must do before a quote with this price impact can run
+ *
+ * @param {Object} quote
+ * @param {{ impactConfirmBps: number, expertMode: boolean }} settings
+ * @returns {ImpactGate}
+ */
+export const getImpactGate = (quote, { impactConfirmBps, expertMode }) => {
+  const impactBps = getImpactBps(quote);
+
+  if (impactBps === null) {
+    return { level: 'confirm', impactBps, message: 'The price impact of this swap is unknown.' };
+  }
+  if (impactBps > MAX_PRICE_IMPACT_BPS) {
+    return expertMode
+      ? {
+          level: 'confirm',
+          impactBps,
+          message: `Price impact is ${formatBps(impactBps)}, above the ${formatBps(
+            MAX_PRICE_IMPACT_BPS
+          )} limit. Expert mode lets it through.`,
+        }
+      : {
+          level: 'blocked',
+          impactBps,
+          message: `Price impact is ${formatBps(impactBps)}, above the ${formatBps(
+            MAX_PRICE_IMPACT_BPS
+          )} limit. Swap a smaller amount, or turn on expert mode in swap settings.`,
+        };
+  }
+  if (impactBps > impactConfirmBps) {
+    return {
+      level: 'confirm',
+      impactBps,
+      message: `Price impact is ${formatBps(impactBps)}, above your ${formatBps(impactConfirmBps)} threshold.`,
+    };
+  }
+  return { level: 'none', impactBps, message: '' };
+};
+
+/**
+ * Whether the typed text is the confirmation phrase (case and surrounding
+ * spaces are ignored)
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isConfirmPhrase = value => String(value || '').trim().toUpperCase() === CONFIRM_PHRASE;
@@ -0,0 +1,43 @@
+import { getImpactGate, getPriceChange, isConfirmPhrase } from './swapReview';
+
+const quote = { tradeType: 'EXACT_IN', amountIn: '1000000000', amountOut: '100000000', priceImpactPct: '0.5' };
+const settings = { impactConfirmBps: 300, expertMode: false };
+
+describe('swapReview', () => {
+  test('a refreshed quote with the same amounts is not a price change', () => {
+    expect(getPriceChange(quote, { ...quote })).toBeNull();
+    expect(getPriceChange(quote, quote)).toBeNull();
+  });
+
+  test('compares the side the market decides', () => {
+    expect(getPriceChange(quote, { ...quote, amountOut: '99000000' })).toEqual({
+      field: 'amountOut',
+      previous: '100000000',
+      current: '99000000',
+      better: false,
+      changePct: -1,
+    });
+
+    const exactOut = { ...quote, tradeType: 'EXACT_OUT' };
+    const change = getPriceChange(exactOut, { ...exactOut, amountIn: '990000000' });
+    expect(change).toMatchObject({ field: 'amountIn', better: true });
+    expect(change.changePct).toBeCloseTo(1);
+  });
+
+  test('gates on the confirm threshold and the hard limit', () => {
+    expect(getImpactGate(quote, settings).level).toBe('none');
+    expect(getImpactGate({ ...quote, priceImpactPct: '4.2' }, settings)).toMatchObject({
+      level: 'confirm',
+      impactBps: 420,
+    });
+    expect(getImpactGate({ ...quote, priceImpactPct: '20' }, settings).level).toBe('blocked');
+    expect(getImpactGate({ ...quote, priceImpactPct: '20' }, { ...settings, expertMode: true }).level).toBe('confirm');
+    expect(getImpactGate({ ...quote, priceImpactPct: undefined }, settings).level).toBe('confirm');
+  });
+
+  test('accepts the phrase in any case', () => {
+    expect(isConfirmPhrase(' confirm ')).toBe(true);
+    expect(isConfirmPhrase('CONFIRMED')).toBe(false);
+    expect(isConfirmPhrase('')).toBe(false);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * SWAPSETTINGS.JS - USER SWAP PREFERENCES
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Slippage tolerance, protocol selection, trustline behaviour, transaction
+ * deadline and the price-impact safeguards chosen in the swap settings
+ * panel. Settings are
+ * stored in localStorage per wallet address, so two accounts used in the
+ * same browser keep their own preferences, and feed straight into the
+ * quote payload.
+ *
+ * The platform fee (`feeBps`) is ClearSwap's own fee and is not a user
+ * setting; it lives here so every quote request reads it from one place.
+ */
+
+export const SETTINGS_STORAGE_PREFIX = 'clearswap.swapSettings.';
+
+export const PLATFORM_FEE_BPS = 50; // 0.5% platform fee in basis points
+
+// Liquidity sources the Soroswap aggregator can route through
+export const PROTOCOLS = [
+  { id: 'soroswap', name: 'Soroswap' },
+  { id: 'phoenix', name: 'Phoenix' },
+  { id: 'aqua', name: 'Aqua' },
+  { id: 'sdex', name: 'SDEX' },
+];
+
+export const SLIPPAGE_PRESETS_BPS = [10, 50, 100]; // 0.1%, 0.5%, 1%
+export const MAX_SLIPPAGE_BPS = 5000; // 50% - anything above is certainly a typo
+export const LOW_SLIPPAGE_BPS = 5; // Below this, swaps routinely fail
+export const HIGH_SLIPPAGE_BPS = 300; // Above this, a swap can be sandwiched
+
+export const MIN_DEADLINE_MINUTES = 1;
+export const MAX_DEADLINE_MINUTES = 180;
+
+// Price impact above which the review asks for a typed confirmation, and
+// the hard limit only expert mode may exceed (see services/swapReview.js)
+export const MIN_IMPACT_CONFIRM_BPS = 10; // 0.1%
+export const MAX_PRICE_IMPACT_BPS = 1500; // 15%
+
+/**
+ * @typedef {Object} SwapSettings
+ * @property {number} slippageBps - Slippage tolerance in basis points
+ * @property {Array<string>} protocols - Protocol ids quotes may route through
+ * @property {'CREATE'|'NONE'} gaslessTrustline - Create missing destination trustlines or fail
+ * @property {number} deadlineMinutes - Signed transactions expire after this long
+ * @property {number} impactConfirmBps - Price impact that requires typing the confirmation phrase
+ * @property {boolean} expertMode - Allow swaps above MAX_PRICE_IMPACT_BPS or blocked by the price guard
+ */
+
+/** @type {SwapSettings} */
+export const DEFAULT_SWAP_SETTINGS = {
+  slippageBps: 50,
+  protocols: PROTOCOLS.map(p => p.id),
+  gaslessTrustline: 'CREATE',
+  deadlineMinutes: 20,
+  impactConfirmBps: 300,
+  expertMode: false,
+};
+
+const isIntegerInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Drops invalid or unknown values, falling back to the defaults field by field
+ *
+ * @param {Object} [raw]
+ * @returns {SwapSettings}
+ */
+export const sanitizeSwapSettings = (raw = {}) => {
+  const settings = { ...DEFAULT_SWAP_SETTINGS };
+  if (!raw || typeof raw !== 'object') return settings;
+
+  if (isIntegerInRange(raw.slippageBps, 1, MAX_SLIPPAGE_BPS)) settings.slippageBps = raw.slippageBps;
+
+  if (Array.isArray(raw.protocols)) {
+    // Keep the canonical order and never allow an empty selection
+    const known = PROTOCOLS.map(p => p.id).filter(id => raw.protocols.includes(id));
+    if (known.length > 0) settings.protocols = known;
+  }
+
+  if (raw.gaslessTrustline === 'CREATE' || raw.gaslessTrustline === 'NONE') {
+    settings.gaslessTrustline = raw.gaslessTrustline;
+  }
+
+  if (isIntegerInRange(raw.deadlineMinutes, MIN_DEADLINE_MINUTES, MAX_DEADLINE_MINUTES)) {
+    settings.deadlineMinutes = raw.deadlineMinutes;
+  }
+
+  if (isIntegerInRange(raw.impactConfirmBps, MIN_IMPACT_CONFIRM_BPS, MAX_PRICE_IMPACT_BPS)) {
+    settings.impactConfirmBps = raw.impactConfirmBps;
+  }
+
+  if (typeof raw.expertMode === 'boolean') settings.expertMode = raw.expertMode;
+
+  return settings;
+};
+
+/**
+ * Reads the stored settings for a wallet, or the defaults
+ *
+ * @param {string|null} publicKey
+ * @returns {SwapSettings}
+ */
+export const loadSwapSettings = publicKey => {
+  if (!publicKey) return { ...DEFAULT_SWAP_SETTINGS };
+  try {
+    return sanitizeSwapSettings(JSON.parse(window.localStorage.getItem(SETTINGS_STORAGE_PREFIX + publicKey)));
+  } catch {
+    return { ...DEFAULT_SWAP_SETTINGS };
+  }
+};
+
+/**
+ * Stores settings for a wallet
+ *
+ * @param {string} publicKey
+ * @param {SwapSettings} settings
+ * @returns {SwapSettings} The sanitized settings that were stored
+ */
+export const saveSwapSettings = (publicKey, settings) => {
+  const clean = sanitizeSwapSettings(settings);
+  if (publicKey) {
+    window.localStorage.setItem(SETTINGS_STORAGE_PREFIX + publicKey, JSON.stringify(clean));
+  }
+  return clean;
+};
+
+/**
+ * Parses a slippage percentage typed by the user ("0.5") into basis points
+ *
+ * @param {string} value
+ * @returns {number|null} null when empty, malformed or out of range
+ */
+export const parseSlippagePercent = value => {
+  if (!/^\d*\.?\d{0,2}$/.test(String(value).trim()) || String(value).trim() === '.') return null;
+  const bps = Math.round(Number(value) * 100);
+  return isIntegerInRange(bps, 1, MAX_SLIPPAGE_BPS) ? bps : null;
+};
+
+/**
+ * Parses a price-impact threshold typed as a percentage ("3") into basis points
+ *
+ * @param {string} value
+ * @returns {number|null} null when empty, malformed or out of range
+ */
+export const parseImpactPercent = value => {
+  const bps = parseSlippagePercent(value);
+  return bps !== null && isIntegerInRange(bps, MIN_IMPACT_CONFIRM_BPS, MAX_PRICE_IMPACT_BPS) ? bps : null;
+};
+
+/**
+ * Warning for an unusually tight or loose slippage tolerance
+ *
+ * @param {number} bps
+ * @returns {string} Empty when the value is unremarkable
+ */
+export const getSlippageWarning = bps => {
+  if (bps < LOW_SLIPPAGE_BPS) return 'Very low slippage - your swap may fail if the price moves';
+  if (bps > HIGH_SLIPPAGE_BPS) return 'High slippage - your swap may be frontrun and execute at a worse price';
+  return '';
+};
+
+/**
+ * Quote payload fields driven by the user's settings
+ *
+ * @param {SwapSettings} settings
+ * @returns {{ slippageTolerance: number, protocols: Array<string>, gaslessTrustline: string, feeBps: number }}
+ */
+export const toQuoteParams = settings => ({
+  protocols: settings.protocols,
+  slippageTolerance: settings.slippageBps,
+  gaslessTrustline: settings.gaslessTrustline,
+  feeBps: PLATFORM_FEE_BPS,
+});
+
+/**
+ * Formats basis points as a percentage label ("0.5%")
+ */
+export const formatBps = bps => `${Number((bps / 100).toFixed(2))}%`;
@@ -0,0 +1,82 @@
+import {
+  DEFAULT_SWAP_SETTINGS,
+  SETTINGS_STORAGE_PREFIX,
+  getSlippageWarning,
+  loadSwapSettings,
+  parseImpactPercent,
+  parseSlippagePercent,
+  sanitizeSwapSettings,
+  saveSwapSettings,
+  toQuoteParams,
+} from './swapSettings';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe('swapSettings', () => {
+  test('stores settings separately for each wallet', () => {
+    saveSwapSettings('GALICE', { ...DEFAULT_SWAP_SETTINGS, slippageBps: 10, protocols: ['sdex'] });
+
+    expect(loadSwapSettings('GALICE')).toMatchObject({ slippageBps: 10, protocols: ['sdex'] });
+    expect(loadSwapSettings('GBOB')).toEqual(DEFAULT_SWAP_SETTINGS);
+    expect(loadSwapSettings(null)).toEqual(DEFAULT_SWAP_SETTINGS);
+  });
+
+  test('falls back to defaults for invalid or corrupted values', () => {
+    expect(
+      sanitizeSwapSettings({
+        slippageBps: 9000,
+        protocols: ['unknown'],
+        gaslessTrustline: 'MAYBE',
+        deadlineMinutes: 0,
+      })
+    ).toEqual(DEFAULT_SWAP_SETTINGS);
+
+    window.localStorage.setItem(`${SETTINGS_STORAGE_PREFIX}GALICE`, '{broken');
+    expect(loadSwapSettings('GALICE')).toEqual(DEFAULT_SWAP_SETTINGS);
+  });
+
+  test('keeps protocols in canonical order', () => {
+    expect(sanitizeSwapSettings({ protocols: ['sdex', 'soroswap', 'bogus'] }).protocols).toEqual(['soroswap', 'sdex']);
+  });
+
+  test('parses custom slippage percentages into basis points', () => {
+    expect(parseSlippagePercent('0.5')).toBe(50);
+    expect(parseSlippagePercent('2')).toBe(200);
+    expect(parseSlippagePercent('.25')).toBe(25);
+    expect(parseSlippagePercent('0')).toBeNull();
+    expect(parseSlippagePercent('51')).toBeNull();
+    expect(parseSlippagePercent('0.125')).toBeNull();
+    expect(parseSlippagePercent('abc')).toBeNull();
+  });
+
+  test('keeps the price-impact threshold between 0.1% and the hard limit', () => {
+    expect(sanitizeSwapSettings({ impactConfirmBps: 500, expertMode: true })).toMatchObject({
+      impactConfirmBps: 500,
+      expertMode: true,
+    });
+    expect(sanitizeSwapSettings({ impactConfirmBps: 5000, expertMode: 'yes' })).toMatchObject({
+      impactConfirmBps: DEFAULT_SWAP_SETTINGS.impactConfirmBps,
+      expertMode: false,
+    });
+    expect(parseImpactPercent('5')).toBe(500);
+    expect(parseImpactPercent('0.05')).toBeNull();
+    expect(parseImpactPercent('20')).toBeNull();
+  });
+
+  test('warns about very low and very high slippage', () => {
+    expect(getSlippageWarning(1)).toMatch(/may fail/);
+    expect(getSlippageWarning(50)).toBe('');
+    expect(getSlippageWarning(1000)).toMatch(/frontrun/);
+  });
+
+  test('maps settings onto the quote payload', () => {
+    expect(toQuoteParams({ ...DEFAULT_SWAP_SETTINGS, slippageBps: 25, gaslessTrustline: 'NONE' })).toEqual({
+      protocols: ['soroswap', 'phoenix', 'aqua', 'sdex'],
+      slippageTolerance: 25,
+      gaslessTrustline: 'NONE',
+      feeBps: 50,
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * TOKENPREFERENCES.JS - FAVOURITE, RECENT AND IMPORTED TOKENS
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Remembers, per network, which tokens the user pinned, which they used
+ * last and which custom tokens they imported, so the token picker can put
+ * them first. Contract addresses differ between networks, hence one
+ * record per network.
+ */
+
+export const TOKEN_PREFS_STORAGE_PREFIX = 'clearswap.tokens.';
+export const MAX_RECENT_TOKENS = 6;
+
+// Pinned for everyone, ahead of the user's own favourites
+export const COMMON_TOKEN_SYMBOLS = ['XLM', 'USDC', 'EURC', 'AQUA'];
+
+/**
+ * @typedef {Object} TokenPreferences
+ * @property {Array<string>} favorites - Pinned token addresses
+ * @property {Array<string>} recents - Recently selected addresses, newest first
+ * @property {Array<Object>} imported - Custom tokens added by the user
+ */
+
+const EMPTY_PREFS = { favorites: [], recents: [], imported: [] };
+
+const isAddressList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Reads the stored preferences for a network
+ *
+ * @param {string} network - Network id
+ * @returns {TokenPreferences}
+ */
+export const loadTokenPreferences = network => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(TOKEN_PREFS_STORAGE_PREFIX + network)) || {};
+    return {
+      favorites: isAddressList(stored.favorites) ? stored.favorites : [],
+      recents: isAddressList(stored.recents) ? stored.recents.slice(0, MAX_RECENT_TOKENS) : [],
+      imported: Array.isArray(stored.imported)
+        ? stored.imported.filter(token => token?.address && token.symbol)
+        : [],
+    };
+  } catch {
+    return { ...EMPTY_PREFS };
+  }
+};
+
+/**
+ * Stores preferences for a network
+ *
+ * @param {string} network
+ * @param {TokenPreferences} prefs
+ * @returns {TokenPreferences}
+ */
+export const saveTokenPreferences = (network, prefs) => {
+  window.localStorage.setItem(TOKEN_PREFS_STORAGE_PREFIX + network, JSON.stringify(prefs));
+  return prefs;
+};
+
+/**
+ * Pins or unpins a token
+ */
+export const toggleFavorite = (prefs, address) => ({
+  ...prefs,
+  favorites: prefs.favorites.includes(address)
+    ? prefs.favorites.filter(a => a !== address)
+    : [...prefs.favorites, address],
+});
+
+/**
+ * Moves a token to the front of the recent list
+ */
+export const addRecent = (prefs, address) => ({
+  ...prefs,
+  recents: [address, ...prefs.recents.filter(a => a !== address)].slice(0, MAX_RECENT_TOKENS),
+});
+
+/**
+ * Adds (or refreshes) an imported custom token
+ */
+export const addImported = (prefs, token) => ({
+  ...prefs,
+  imported: [...prefs.imported.filter(t => t.address !== token.address), { ...token, unverified: true }],
+});
+
+/**
+ * Listed tokens followed by imported ones the list does not already contain
+ *
+ * @param {Array<Object>} listed
+ * @param {Array<Object>} imported
+ * @returns {Array<Object>}
+ */
+export const mergeImportedTokens = (listed, imported) => {
+  const known = new Set(listed.map(t => t.address));
+  return [...listed, ...imported.filter(t => !known.has(t.address))];
+};
+
+/**
+ * Filters tokens by symbol, name or contract address
+ *
+ * Exact symbol matches come first, then symbols starting with the query,
+ * then any other match.
+ *
+ * @param {Array<Object>} tokens
+ * @param {string} query
+ * @returns {Array<Object>}
+ */
+export const searchTokens = (tokens, query) => {
+  const q = query.trim().toLowerCase();
+  if (!q) return tokens;
+
+  const rank = token => {
+    const symbol = token.symbol.toLowerCase();
+    if (symbol === q || token.address.toLowerCase() === q) return 0;
+    if (symbol.startsWith(q)) return 1;
+    if (symbol.includes(q) || (token.name || '').toLowerCase().includes(q) || token.address.toLowerCase().includes(q)) {
+      return 2;
+    }
+    return -1;
+  };
+
+  return tokens
+    .map(token => ({ token, score: rank(token) }))
+    .filter(entry => entry.score >= 0)
+    .sort((a, b) => a.score - b.score)
+    .map(entry => entry.token);
+};
@@ -0,0 +1,68 @@
+import {
+  MAX_RECENT_TOKENS,
+  TOKEN_PREFS_STORAGE_PREFIX,
+  addImported,
+  addRecent,
+  loadTokenPreferences,
+  mergeImportedTokens,
+  saveTokenPreferences,
+  searchTokens,
+  toggleFavorite,
+} from './tokenPreferences';
+
+const XLM = { address: 'CXLM', symbol: 'XLM', name: 'Stellar Lumens' };
+const USDC = { address: 'CUSDC', symbol: 'USDC', name: 'USD Coin' };
+const USDX = { address: 'CUSDX', symbol: 'USDX', name: 'Dollar X' };
+const AQUA = { address: 'CAQUA', symbol: 'AQUA', name: 'Aquarius' };
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe('tokenPreferences', () => {
+  test('keeps preferences per network', () => {
+    saveTokenPreferences('testnet', toggleFavorite(loadTokenPreferences('testnet'), 'CUSDC'));
+
+    expect(loadTokenPreferences('testnet').favorites).toEqual(['CUSDC']);
+    expect(loadTokenPreferences('mainnet').favorites).toEqual([]);
+  });
+
+  test('discards corrupted storage', () => {
+    window.localStorage.setItem(`${TOKEN_PREFS_STORAGE_PREFIX}mainnet`, '{"favorites": 3, "imported": [{}]}');
+    expect(loadTokenPreferences('mainnet')).toEqual({ favorites: [], recents: [], imported: [] });
+  });
+
+  test('favourites toggle on and off', () => {
+    const prefs = toggleFavorite(loadTokenPreferences('mainnet'), 'CXLM');
+    expect(prefs.favorites).toEqual(['CXLM']);
+    expect(toggleFavorite(prefs, 'CXLM').favorites).toEqual([]);
+  });
+
+  test('recents are most-recent first, unique and capped', () => {
+    let prefs = loadTokenPreferences('mainnet');
+    for (let i = 0; i < MAX_RECENT_TOKENS + 2; i += 1) prefs = addRecent(prefs, `C${i}`);
+    prefs = addRecent(prefs, 'C4');
+
+    expect(prefs.recents[0]).toBe('C4');
+    expect(prefs.recents).toHaveLength(MAX_RECENT_TOKENS);
+    expect(new Set(prefs.recents).size).toBe(MAX_RECENT_TOKENS);
+  });
+
+  test('imported tokens are marked unverified and never shadow listed ones', () => {
+    const prefs = addImported(loadTokenPreferences('mainnet'), { ...USDX });
+
+    expect(prefs.imported).toEqual([{ ...USDX, unverified: true }]);
+    expect(mergeImportedTokens([XLM, USDX], prefs.imported)).toEqual([XLM, USDX]);
+    expect(mergeImportedTokens([XLM], prefs.imported).map(t => t.address)).toEqual(['CXLM', 'CUSDX']);
+  });
+
+  test('search ranks exact, then prefix, then other matches', () => {
+    const tokens = [AQUA, USDX, XLM, USDC];
+
+    expect(searchTokens(tokens, 'usdc').map(t => t.symbol)).toEqual(['USDC']);
+    expect(searchTokens(tokens, 'usd').map(t => t.symbol)).toEqual(['USDX', 'USDC']);
+    expect(searchTokens(tokens, 'lumens')).toEqual([XLM]);
+    expect(searchTokens(tokens, 'caqua')).toEqual([AQUA]);
+    expect(searchTokens(tokens, '  ')).toBe(tokens);
+  });
+});
@@ -0,0 +1,60 @@
+import { Asset } from '@stellar/stellar-sdk';
+import { parseTokenInput, resolveToken } from './tokenResolver';
+import { NETWORKS } from '../config/networks';
+
+const networkConfig = NETWORKS.testnet;
+const ISSUER = 'GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5';
+const CONTRACT = 'CBIELTK6YBZJU5UP2WWQEUCYKLPU6AUNZ2BQ4WWFEIE3USCIHMXQDAMA';
+
+const reader = metadata => jest.fn((contractId, method) => Promise.resolve(metadata[method]));
+
+describe('tokenResolver', () => {
+  test('recognises contract IDs and CODE:ISSUER assets', () => {
+    expect(parseTokenInput(` ${CONTRACT} `)).toEqual({ kind: 'contract', contractId: CONTRACT });
+    expect(parseTokenInput(`USDC:${ISSUER}`)).toEqual({ kind: 'classic', code: 'USDC', issuer: ISSUER });
+    expect(parseTokenInput(`USDC-${ISSUER}`)).toEqual({ kind: 'classic', code: 'USDC', issuer: ISSUER });
+    expect(parseTokenInput('USDC')).toBeNull();
+    expect(parseTokenInput(`TOOLONGASSETCODE:${ISSUER}`)).toBeNull();
+    expect(parseTokenInput(ISSUER)).toBeNull();
+  });
+
+  test('derives the asset contract of a classic asset', async () => {
+    const read = jest.fn();
+    const token = await resolveToken(`USDC:${ISSUER}`, { networkConfig, read });
+
+    expect(token).toEqual({
+      address: new Asset('USDC', ISSUER).contractId(networkConfig.passphrase),
+      symbol: 'USDC',
+      name: `USDC:${ISSUER}`,
+      decimals: 7,
+      issuer: ISSUER,
+      unverified: true,
+    });
+    expect(read).not.toHaveBeenCalled();
+  });
+
+  test('reads metadata from a Soroban token contract', async () => {
+    const token = await resolveToken(CONTRACT, {
+      networkConfig,
+      read: reader({ symbol: 'SORO', name: 'Soro Token', decimals: 9 }),
+    });
+
+    expect(token).toEqual({ address: CONTRACT, symbol: 'SORO', name: 'Soro Token', decimals: 9, unverified: true });
+  });
+
+  test('keeps the issuer of a wrapped classic asset', async () => {
+    const token = await resolveToken(CONTRACT, {
+      networkConfig,
+      read: reader({ symbol: 'USDC', name: `USDC:${ISSUER}`, decimals: 7 }),
+    });
+
+    expect(token).toMatchObject({ symbol: 'USDC', issuer: ISSUER });
+  });
+
+  test('rejects unknown input and contracts that are not tokens', async () => {
+    await expect(resolveToken('hello', { networkConfig })).rejects.toThrow(/contract ID/);
+    await expect(
+      resolveToken(CONTRACT, { networkConfig, read: jest.fn().mockRejectedValue(new Error('no such function')) })
+    ).rejects.toThrow('Not a token contract on Testnet: no such function');
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * TXDEADLINE.JS - TRANSACTION DEADLINE
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Applies the user's transaction deadline to a built, unsigned swap.
+ * The deadline becomes the transaction's `maxTime` time bound, so the
+ * network itself rejects the swap (`tx_too_late`) if it is signed or
+ * submitted too late - a delayed swap can never execute at an old price.
+ *
+ * The envelope is edited at the XDR level rather than rebuilt, so the
+ * Soroban resource data and authorization entries stay untouched.
+ */
+
+import { xdr } from '@stellar/stellar-sdk';
+
+/**
+ * Sets the max time of an unsigned transaction envelope
+ *
+ * @param {string} envelopeXdr - Base64 transaction envelope, before signing
+ * @param {number} deadlineMinutes - Minutes from `now` the transaction stays valid
+ * @param {number} [now=Date.now()]
+ * @returns {string} Base64 envelope with the new time bounds
+ */
+export const applyDeadline = (envelopeXdr, deadlineMinutes, now = Date.now()) => {
+  const envelope = xdr.TransactionEnvelope.fromXDR(envelopeXdr, 'base64');
+  if (envelope.switch() !== xdr.EnvelopeType.envelopeTypeTx()) {
+    throw new Error('Unexpected transaction envelope type');
+  }
+
+  const tx = envelope.v1().tx();
+  const maxTime = xdr.Uint64.fromString(String(Math.floor(now / 1000) + deadlineMinutes * 60));
+  const cond = tx.cond();
+
+  if (cond.switch() === xdr.PreconditionType.precondV2()) {
+    // Keep ledger bounds, sequence and signer preconditions
+    const v2 = cond.v2();
+    const minTime = v2.timeBounds()?.minTime() ?? xdr.Uint64.fromString('0');
+    v2.timeBounds(new xdr.TimeBounds({ minTime, maxTime }));
+  } else {
+    const minTime =
+      cond.switch() === xdr.PreconditionType.precondTime() ? cond.timeBounds().minTime() : xdr.Uint64.fromString('0');
+    tx.cond(xdr.Preconditions.precondTime(new xdr.TimeBounds({ minTime, maxTime })));
+  }
+
+  return envelope.toXDR('base64');
+};
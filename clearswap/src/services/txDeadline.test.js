@@ -0,0 +1,33 @@
+import { Account, Networks, Operation, TransactionBuilder } from '@stellar/stellar-sdk';
+import { applyDeadline } from './txDeadline';
+
+const SOURCE = 'GAAZI4TCR3TY5OJHCTJC2A4QSY6CJWJH5IAJTGKIN2ER7LBNVKOCCWN7';
+const NOW = 1_700_000_000_000;
+
+const buildTx = options =>
+  new TransactionBuilder(new Account(SOURCE, '1'), { fee: '100', networkPassphrase: Networks.TESTNET, ...options })
+    .addOperation(Operation.bumpSequence({ bumpTo: '10' }))
+    .build();
+
+const parse = envelope => TransactionBuilder.fromXDR(envelope, Networks.TESTNET);
+
+describe('applyDeadline', () => {
+  test('sets max time relative to now', () => {
+    const tx = buildTx({ timebounds: { minTime: 0, maxTime: 0 } });
+
+    const updated = parse(applyDeadline(tx.toXDR(), 20, NOW));
+
+    expect(updated.timeBounds).toEqual({ minTime: '0', maxTime: String(NOW / 1000 + 20 * 60) });
+    expect(updated.operations).toEqual(tx.operations);
+    expect(updated.sequence).toBe(tx.sequence);
+  });
+
+  test('keeps min time and other preconditions', () => {
+    const tx = buildTx({ timebounds: { minTime: 5, maxTime: 0 }, ledgerbounds: { minLedger: 1, maxLedger: 99 } });
+
+    const updated = parse(applyDeadline(tx.toXDR(), 1, NOW));
+
+    expect(updated.timeBounds).toEqual({ minTime: '5', maxTime: String(NOW / 1000 + 60) });
+    expect(updated.ledgerBounds).toEqual({ minLedger: 1, maxLedger: 99 });
+  });
+});
@@ -0,0 +1,323 @@
+/* global BigInt */
+/**
+ * TXHISTORY.JS - SWAP TRANSACTION HISTORY
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Records every swap submitted from ClearSwap, per network and wallet, so
+ * users can see whether it went through and how it compared to the quote.
+ *
+ * SOURCES:
+ * - Swaps submitted from this browser are recorded as `pending` with their
+ *   quoted amounts, route and fee, then completed from Horizon
+ *   `/transactions/{hash}` once the network has a final result
+ * - Swaps made elsewhere (or before history existed) are backfilled from
+ *   Horizon `/accounts/{id}/operations`: contract invocations whose asset
+ *   balance changes show the account selling one asset for another, and
+ *   classic path payments to self
+ *
+ * Actual amounts come from Horizon asset balance changes, which cover
+ * native XLM and classic assets; Soroban-native tokens keep only the
+ * quoted figures.
+ */
+
+import { Asset } from '@stellar/stellar-sdk';
+import { decimalToBaseUnits } from '../utils/amounts';
+
+export const HISTORY_STORAGE_PREFIX = 'clearswap.history.';
+export const MAX_HISTORY_ENTRIES = 100;
+export const BACKFILL_LIMIT = 50; // Horizon operations scanned per backfill
+
+// A swap still missing this long after its time bounds passed never landed
+const PENDING_GRACE_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} HistoryToken
+ * @property {string} address - Token contract address
+ * @property {string} symbol
+ * @property {number} decimals
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} hash - Transaction hash
+ * @property {'pending'|'confirmed'|'failed'} status
+ * @property {'clearswap'|'horizon'} source - Recorded on submit, or backfilled
+ * @property {number} createdAt - Submission (or ledger close) time in ms
+ * @property {number} [expiresAt] - Latest time the transaction can land, in ms
+ * @property {HistoryToken} fromToken
+ * @property {HistoryToken} toToken
+ * @property {'EXACT_IN'|'EXACT_OUT'} [tradeType]
+ * @property {string|null} [quotedAmountIn] - Quoted amount sold, base units
+ * @property {string|null} [quotedAmountOut] - Quoted amount bought, base units
+ * @property {string|null} amountIn - Actual amount sold, base units
+ * @property {string|null} amountOut - Actual amount bought, base units
+ * @property {number} [feeBps] - Platform fee in basis points
+ * @property {string|null} [networkFee] - Fee charged by the network, stroops
+ * @property {Array<{ protocol: string, percent: number }>} [route]
+ * @property {number|null} [ledger]
+ * @property {string} [error]
+ */
+
+const RECORDED_AT_SUBMISSION = ['source', 'createdAt', 'fromToken', 'toToken', 'tradeType', 'route'];
+
+const storageKey = (network, address) => `${HISTORY_STORAGE_PREFIX}${network}.${address}`;
+
+const isEntry = entry =>
+  entry && typeof entry.hash === 'string' && typeof entry.status === 'string' && entry.fromToken && entry.toToken;
+
+/**
+ * Reads the stored history of a wallet on a network, newest first
+ *
+ * @param {string} network - Network id
+ * @param {string} address - Wallet public key
+ * @returns {Array<HistoryEntry>}
+ */
+export const loadHistory = (network, address) => {
+  if (!address) return [];
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(storageKey(network, address)));
+    return Array.isArray(stored) ? stored.filter(isEntry) : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+/**
+ * Stores a wallet's history and returns what was stored
+ *
+ * @param {string} network
+ * @param {string} address
+ * @param {Array<HistoryEntry>} entries
+ * @returns {Array<HistoryEntry>}
+ */
+export const saveHistory = (network, address, entries) => {
+  const trimmed = entries.slice(0, MAX_HISTORY_ENTRIES);
+  try {
+    window.localStorage.setItem(storageKey(network, address), JSON.stringify(trimmed));
+  } catch (err) {
+    console.warn('Could not save transaction history:', err);
+  }
+  return trimmed;
+};
+
+/**
+ * Adds entries or merges them into existing ones with the same hash
+ *
+ * Status and actual amounts from the update win; a backfill keeps the
+ * token, trade and route details recorded when the swap was submitted.
+ * The result is sorted newest first.
+ *
+ * @param {Array<HistoryEntry>} entries
+ * @param {Array<Partial<HistoryEntry>>} updates - Each must carry a `hash`
+ * @returns {Array<HistoryEntry>}
+ */
+export const mergeEntries = (entries, updates) => {
+  const byHash = new Map(entries.map(entry => [entry.hash, entry]));
+
+  updates.forEach(update => {
+    const existing = byHash.get(update.hash);
+    if (!existing) {
+      byHash.set(update.hash, update);
+      return;
+    }
+    const merged = { ...existing };
+    Object.entries(update).forEach(([key, value]) => {
+      if (value === undefined) return;
+      // A backfill never overwrites what was recorded at submission
+      if (update.source === 'horizon' && existing.source === 'clearswap' && RECORDED_AT_SUBMISSION.includes(key)) {
+        return;
+      }
+      merged[key] = value;
+    });
+    byHash.set(update.hash, merged);
+  });
+
+  return [...byHash.values()].sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Realised slippage against the quote, in basis points
+ *
+ * Positive means worse than quoted: less received on an exact-input
+ * trade, more sold on an exact-output trade.
+ *
+ * @param {HistoryEntry} entry
+ * @returns {number|null} Null while the actual amounts are unknown
+ */
+export const getRealisedSlippageBps = entry => {
+  const exactOut = entry.tradeType === 'EXACT_OUT';
+  const quoted = exactOut ? entry.quotedAmountIn : entry.quotedAmountOut;
+  const actual = exactOut ? entry.amountIn : entry.amountOut;
+  if (quoted == null || actual == null || BigInt(quoted) === 0n) return null;
+
+  const diff = exactOut ? BigInt(actual) - BigInt(quoted) : BigInt(quoted) - BigInt(actual);
+  return Number((diff * 10000n) / BigInt(quoted));
+};
+
+/**
+ * Contract address of the asset in a Horizon balance change or payment
+ */
+const horizonAssetContract = (type, code, issuer, passphrase) => {
+  try {
+    return (type === 'native' ? Asset.native() : new Asset(code, issuer)).contractId(passphrase);
+  } catch (err) {
+    return null;
+  }
+};
+
+const horizonAssetToken = (type, code, issuer, passphrase) => ({
+  address: horizonAssetContract(type, code, issuer, passphrase),
+  symbol: type === 'native' ? 'XLM' : code,
+  decimals: 7,
+});
+
+/**
+ * Sums what an account sent and received in an operation's balance changes
+ *
+ * @param {Array<Object>} changes - Horizon `asset_balance_changes`
+ * @param {string} account
+ * @param {string} passphrase
+ * @returns {{ sent: Map<string, Object>, received: Map<string, Object> }} Keyed by contract address
+ */
+const summariseBalanceChanges = (changes = [], account, passphrase) => {
+  const sent = new Map();
+  const received = new Map();
+
+  changes.forEach(change => {
+    const direction = change.from === account ? sent : change.to === account ? received : null;
+    if (!direction || change.from === change.to) return;
+
+    const token = horizonAssetToken(change.asset_type, change.asset_code, change.asset_issuer, passphrase);
+    if (!token.address) return;
+
+    const amount = decimalToBaseUnits(change.amount, 7) ?? 0n;
+    const current = direction.get(token.address);
+    direction.set(token.address, { token, amount: (current?.amount || 0n) + amount });
+  });
+
+  return { sent, received };
+};
+
+/**
+ * Reads a swap out of a Horizon operation
+ *
+ * @param {Object} operation - Horizon operation record
+ * @param {string} account - Wallet public key
+ * @param {string} passphrase - Network passphrase
+ * @returns {HistoryEntry|null} Null when the operation is not a swap by the account
+ */
+export const parseHorizonSwap = (operation, account, passphrase) => {
+  const base = {
+    hash: operation.transaction_hash,
+    status: operation.transaction_successful === false ? 'failed' : 'confirmed',
+    source: 'horizon',
+    createdAt: Date.parse(operation.created_at) || 0,
+    ledger: operation.transaction?.ledger ?? null,
+  };
+
+  if (operation.type === 'path_payment_strict_send' || operation.type === 'path_payment_strict_receive') {
+    if (operation.from !== account || operation.to !== account) return null;
+    return {
+      ...base,
+      fromToken: horizonAssetToken(
+        operation.source_asset_type,
+        operation.source_asset_code,
+        operation.source_asset_issuer,
+        passphrase
+      ),
+      toToken: horizonAssetToken(operation.asset_type, operation.asset_code, operation.asset_issuer, passphrase),
+      tradeType: operation.type === 'path_payment_strict_receive' ? 'EXACT_OUT' : 'EXACT_IN',
+      amountIn: String(decimalToBaseUnits(operation.source_amount, 7) ?? 0n),
+      amountOut: String(decimalToBaseUnits(operation.amount, 7) ?? 0n),
+      route: [{ protocol: 'sdex', percent: 100 }],
+    };
+  }
+
+  if (operation.type === 'invoke_host_function') {
+    const { sent, received } = summariseBalanceChanges(operation.asset_balance_changes, account, passphrase);
+    if (sent.size !== 1 || received.size !== 1) return null;
+
+    const [[sentAddress, sold]] = [...sent];
+    const [[receivedAddress, bought]] = [...received];
+    if (sentAddress === receivedAddress) return null;
+
+    return {
+      ...base,
+      fromToken: sold.token,
+      toToken: bought.token,
+      amountIn: String(sold.amount),
+      amountOut: String(bought.amount),
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Looks up the final result of a submitted swap on Horizon
+ *
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {HistoryEntry} params.entry
+ * @param {string} params.account - Wallet public key
+ * @param {Function} [params.fetchImpl]
+ * @param {number} [params.now]
+ * @returns {Promise<Partial<HistoryEntry>>} Fields to merge into the entry
+ */
+export const fetchSwapResult = async ({ networkConfig, entry, account, fetchImpl = window.fetch, now = Date.now() }) => {
+  const { horizonUrl, passphrase } = networkConfig;
+  const response = await fetchImpl(`${horizonUrl}/transactions/${entry.hash}`);
+
+  if (response.status === 404) {
+    if (entry.expiresAt && now > entry.expiresAt + PENDING_GRACE_MS) {
+      return { hash: entry.hash, status: 'failed', error: 'Transaction expired before it reached the ledger' };
+    }
+    return { hash: entry.hash, status: 'pending' };
+  }
+  if (!response.ok) throw new Error(`Horizon transaction request failed: ${response.status}`);
+
+  const tx = await response.json();
+  const update = {
+    hash: entry.hash,
+    status: tx.successful ? 'confirmed' : 'failed',
+    ledger: tx.ledger ?? null,
+    networkFee: tx.fee_charged != null ? String(tx.fee_charged) : null,
+  };
+  if (!tx.successful) return { ...update, error: 'Transaction failed on the network' };
+
+  const opsResponse = await fetchImpl(`${horizonUrl}/transactions/${entry.hash}/operations`);
+  if (!opsResponse.ok) return update;
+
+  const records = (await opsResponse.json())?._embedded?.records || [];
+  records.forEach(operation => {
+    const { sent, received } = summariseBalanceChanges(operation.asset_balance_changes, account, passphrase);
+    const sold = sent.get(entry.fromToken.address);
+    const bought = received.get(entry.toToken.address);
+    if (sold) update.amountIn = String(sold.amount);
+    if (bought) update.amountOut = String(bought.amount);
+  });
+
+  return update;
+};
+
+/**
+ * Reads recent swaps of an account from Horizon operations
+ *
+ * @param {Object} params
+ * @param {import('../config/networks').NetworkConfig} params.networkConfig
+ * @param {string} params.account - Wallet public key
+ * @param {Function} [params.fetchImpl]
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<Array<HistoryEntry>>}
+ */
+export const fetchHorizonSwaps = async ({ networkConfig, account, fetchImpl = window.fetch, signal }) => {
+  const url = `${networkConfig.horizonUrl}/accounts/${account}/operations?order=desc&limit=${BACKFILL_LIMIT}&join=transactions`;
+  const response = await fetchImpl(url, { signal });
+  if (response.status === 404) return []; // Unfunded account
+  if (!response.ok) throw new Error(`Horizon operations request failed: ${response.status}`);
+
+  const records = (await response.json())?._embedded?.records || [];
+  return records.map(operation => parseHorizonSwap(operation, account, networkConfig.passphrase)).filter(Boolean);
+};
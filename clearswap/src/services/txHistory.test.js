@@ -0,0 +1,194 @@
+import { Asset } from '@stellar/stellar-sdk';
+import {
+  MAX_HISTORY_ENTRIES,
+  fetchHorizonSwaps,
+  fetchSwapResult,
+  getRealisedSlippageBps,
+  loadHistory,
+  mergeEntries,
+  parseHorizonSwap,
+  saveHistory,
+} from './txHistory';
+import { NETWORKS } from '../config/networks';
+
+const networkConfig = NETWORKS.testnet;
+const ACCOUNT = 'GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5';
+const ROUTER = 'CBIELTK6YBZJU5UP2WWQEUCYKLPU6AUNZ2BQ4WWFEIE3USCIHMXQDAMA';
+const ISSUER = 'GA5ZSEJYB37JRC5AVCIA5MOP4RHTM335X2KGX3IHOJAPP5RE34K4KZVN';
+
+const XLM = { address: Asset.native().contractId(networkConfig.passphrase), symbol: 'XLM', decimals: 7 };
+const USDC = { address: new Asset('USDC', ISSUER).contractId(networkConfig.passphrase), symbol: 'USDC', decimals: 7 };
+
+const pendingSwap = (overrides = {}) => ({
+  hash: 'abc',
+  status: 'pending',
+  source: 'clearswap',
+  createdAt: 1000,
+  expiresAt: 61000,
+  fromToken: XLM,
+  toToken: USDC,
+  tradeType: 'EXACT_IN',
+  quotedAmountIn: '100000000',
+  quotedAmountOut: '12000000',
+  amountIn: null,
+  amountOut: null,
+  route: [{ protocol: 'soroswap', percent: 100 }],
+  ...overrides,
+});
+
+const swapChanges = [
+  { asset_type: 'native', type: 'transfer', from: ACCOUNT, to: ROUTER, amount: '10.0000000' },
+  {
+    asset_type: 'credit_alphanum4',
+    asset_code: 'USDC',
+    asset_issuer: ISSUER,
+    type: 'transfer',
+    from: ROUTER,
+    to: ACCOUNT,
+    amount: '1.1900000',
+  },
+];
+
+const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, json: async () => body });
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe('txHistory', () => {
+  test('stores history per network and wallet, capped', () => {
+    const entries = Array.from({ length: MAX_HISTORY_ENTRIES + 5 }, (_, i) => pendingSwap({ hash: `h${i}` }));
+    saveHistory('testnet', ACCOUNT, entries);
+
+    expect(loadHistory('testnet', ACCOUNT)).toHaveLength(MAX_HISTORY_ENTRIES);
+    expect(loadHistory('mainnet', ACCOUNT)).toEqual([]);
+    expect(loadHistory('testnet', null)).toEqual([]);
+  });
+
+  test('merging keeps submission details but takes the final status', () => {
+    const backfilled = parseHorizonSwap(
+      {
+        type: 'invoke_host_function',
+        transaction_hash: 'abc',
+        transaction_successful: true,
+        created_at: '2024-01-01T00:00:00Z',
+        asset_balance_changes: swapChanges,
+      },
+      ACCOUNT,
+      networkConfig.passphrase
+    );
+    const merged = mergeEntries([pendingSwap()], [backfilled, pendingSwap({ hash: 'newer', createdAt: 5000 })]);
+
+    expect(merged.map(e => e.hash)).toEqual(['newer', 'abc']);
+    expect(merged[1]).toMatchObject({
+      status: 'confirmed',
+      source: 'clearswap',
+      createdAt: 1000,
+      route: [{ protocol: 'soroswap', percent: 100 }],
+      amountOut: '11900000',
+    });
+  });
+
+  test('realised slippage compares the actual amount with the quote', () => {
+    expect(getRealisedSlippageBps(pendingSwap())).toBeNull();
+    expect(getRealisedSlippageBps(pendingSwap({ amountOut: '11940000' }))).toBe(50);
+    expect(getRealisedSlippageBps(pendingSwap({ amountOut: '12060000' }))).toBe(-50);
+    expect(getRealisedSlippageBps(pendingSwap({ tradeType: 'EXACT_OUT', amountIn: '101000000' }))).toBe(100);
+  });
+
+  test('reads swaps out of Horizon operations', () => {
+    const pathPayment = parseHorizonSwap(
+      {
+        type: 'path_payment_strict_send',
+        transaction_hash: 'pp',
+        transaction_successful: true,
+        created_at: '2024-01-01T00:00:00Z',
+        from: ACCOUNT,
+        to: ACCOUNT,
+        source_asset_type: 'native',
+        source_amount: '5.0000000',
+        asset_type: 'credit_alphanum4',
+        asset_code: 'USDC',
+        asset_issuer: ISSUER,
+        amount: '0.6000000',
+      },
+      ACCOUNT,
+      networkConfig.passphrase
+    );
+
+    expect(pathPayment).toMatchObject({
+      fromToken: XLM,
+      toToken: USDC,
+      amountIn: '50000000',
+      amountOut: '6000000',
+      route: [{ protocol: 'sdex', percent: 100 }],
+    });
+    expect(
+      parseHorizonSwap({ type: 'payment', transaction_hash: 'p' }, ACCOUNT, networkConfig.passphrase)
+    ).toBeNull();
+    expect(
+      parseHorizonSwap(
+        { type: 'invoke_host_function', transaction_hash: 'x', asset_balance_changes: swapChanges.slice(0, 1) },
+        ACCOUNT,
+        networkConfig.passphrase
+      )
+    ).toBeNull();
+  });
+
+  test('completes a confirmed swap with the actual amounts', async () => {
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValueOnce(jsonResponse({ successful: true, ledger: 123, fee_charged: '10500' }))
+      .mockResolvedValueOnce(jsonResponse({ _embedded: { records: [{ asset_balance_changes: swapChanges }] } }));
+
+    const update = await fetchSwapResult({ networkConfig, entry: pendingSwap(), account: ACCOUNT, fetchImpl });
+
+    expect(fetchImpl).toHaveBeenCalledWith(`${networkConfig.horizonUrl}/transactions/abc`);
+    expect(update).toEqual({
+      hash: 'abc',
+      status: 'confirmed',
+      ledger: 123,
+      networkFee: '10500',
+      amountIn: '100000000',
+      amountOut: '11900000',
+    });
+  });
+
+  test('keeps unknown swaps pending until their time bounds pass', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(jsonResponse({}, 404));
+    const entry = pendingSwap();
+
+    await expect(fetchSwapResult({ networkConfig, entry, account: ACCOUNT, fetchImpl, now: 30000 })).resolves.toEqual({
+      hash: 'abc',
+      status: 'pending',
+    });
+    await expect(
+      fetchSwapResult({ networkConfig, entry, account: ACCOUNT, fetchImpl, now: 200000 })
+    ).resolves.toMatchObject({ status: 'failed' });
+  });
+
+  test('backfills from account operations', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(
+      jsonResponse({
+        _embedded: {
+          records: [
+            { type: 'create_account', transaction_hash: 'c' },
+            {
+              type: 'invoke_host_function',
+              transaction_hash: 'swap',
+              transaction_successful: false,
+              created_at: '2024-01-01T00:00:00Z',
+              asset_balance_changes: swapChanges,
+            },
+          ],
+        },
+      })
+    );
+
+    const swaps = await fetchHorizonSwaps({ networkConfig, account: ACCOUNT, fetchImpl });
+
+    expect(fetchImpl.mock.calls[0][0]).toContain(`/accounts/${ACCOUNT}/operations?order=desc`);
+    expect(swaps).toHaveLength(1);
+    expect(swaps[0]).toMatchObject({ hash: 'swap', status: 'failed', source: 'horizon' });
+  });
+});
@@ -0,0 +1,238 @@
+/* global BigInt */
+/**
+ * TXSIMULATION.JS - SIMULATION RESULT PARSING
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Turns a Soroban RPC `simulateTransaction` response for a built swap into
+ * what the user reviews before signing (see services/sorobanRpc.js):
+ * - Balance changes: the account's net change per asset contract, summed
+ *   from the token events the call emits (transfer, mint, burn, clawback)
+ * - Resources: CPU instructions, bytes read and written, and the ledger
+ *   entries in the footprint
+ * - Fees: inclusion fee plus the Soroban resource fee
+ * - Authorizations: every auth entry the transaction carries, who signs
+ *   it and which contract call it approves
+ *
+ * Token events are read in both the SEP-41 layout (`mint` / `clawback`
+ * name the admin first) and the newer one that leaves the admin out.
+ *
+ * SDEX routes build a classic path payment, which Soroban RPC cannot
+ * simulate. Those are reviewed from the envelope itself: the amount sent
+ * and received (one side bounded by the slippage limit) and its fee.
+ */
+
+import { Address, humanizeEvents } from '@stellar/stellar-sdk';
+import { decimalToBaseUnits } from '../utils/amounts';
+
+/**
+ * @typedef {Object} BalanceChange
+ * @property {string} contractId - Token contract
+ * @property {bigint} amount - Net change in base units; negative when spent
+ * @property {'min'|'max'} [bound] - Classic path payments only: the amount is
+ *   the least received ('min') or the most sent ('max'), not the exact change
+ */
+
+/**
+ * @typedef {Object} SimulatedResources
+ * @property {number} instructions - CPU instructions
+ * @property {number} readBytes
+ * @property {number} writeBytes
+ * @property {number} readEntries - Ledger entries only read
+ * @property {number} writeEntries - Ledger entries written
+ */
+
+/**
+ * @typedef {Object} AuthEntry
+ * @property {string|null} signer - Address that signs the entry; null when the
+ *   transaction source's own signature covers it
+ * @property {string|null} contractId - Contract called; null for a contract deployment
+ * @property {string} functionName
+ * @property {number} subInvocations - Nested calls approved along with it
+ */
+
+/**
+ * @typedef {Object} TransactionSimulation
+ * @property {Array<BalanceChange>} balanceChanges
+ * @property {SimulatedResources|null} resources - Null for a classic transaction
+ * @property {import('./feeBreakdown').NetworkFee} fees
+ * @property {Array<AuthEntry>} auth
+ * @property {number|null} latestLedger - Ledger the simulation ran against; null when not simulated
+ * @property {boolean} classic - Read from a classic envelope rather than simulated
+ */
+
+// The only operations Soroban RPC can simulate
+const SOROBAN_OPERATIONS = ['invokeHostFunction', 'extendFootprintTtl', 'restoreFootprint'];
+
+const ADDRESS_PATTERN = /^[GC][A-Z2-7]{55}$|^M[A-Z2-7]{68}$/;
+
+const isAddress = value => typeof value === 'string' && ADDRESS_PATTERN.test(value);
+
+/**
+ * Amount of a token event: a bare i128, or `{ amount }` when the event
+ * also carries a muxed id
+ */
+const readAmount = data => {
+  if (typeof data === 'bigint') return data;
+  if (data && typeof data.amount === 'bigint') return data.amount;
+  return null;
+};
+
+/**
+ * Net balance change of an account per token contract
+ *
+ * @param {Array<{ type: string, contractId?: string, topics: Array, data: * }>} events - humanizeEvents() output
+ * @param {string} account
+ * @returns {Array<BalanceChange>} Tokens whose balance changes, in event order
+ */
+export const getBalanceChanges = (events, account) => {
+  const changes = new Map();
+  const add = (contractId, amount) => changes.set(contractId, (changes.get(contractId) || 0n) + amount);
+
+  events.forEach(({ type, contractId, topics, data }) => {
+    if (type !== 'contract' || !contractId || !Array.isArray(topics)) return;
+    const amount = readAmount(data);
+    if (amount === null) return;
+
+    const [name, ...addresses] = topics;
+    // mint and clawback may name the admin before the account
+    const target = isAddress(addresses[1]) ? addresses[1] : addresses[0];
+
+    switch (name) {
+      case 'transfer':
+        if (addresses[0] === account) add(contractId, -amount);
+        if (addresses[1] === account) add(contractId, amount);
+        break;
+      case 'mint':
+        if (target === account) add(contractId, amount);
+        break;
+      case 'clawback':
+        if (target === account) add(contractId, -amount);
+        break;
+      case 'burn':
+        if (addresses[0] === account) add(contractId, -amount);
+        break;
+      default:
+    }
+  });
+
+  return [...changes.entries()]
+    .filter(([, amount]) => amount !== 0n)
+    .map(([contractId, amount]) => ({ contractId, amount }));
+};
+
+/**
+ * Resources the simulation says the transaction uses
+ *
+ * @param {import('@stellar/stellar-sdk').SorobanDataBuilder} transactionData
+ * @returns {SimulatedResources}
+ */
+export const getResources = transactionData => {
+  const resources = transactionData.build().resources();
+  const footprint = resources.footprint();
+  return {
+    instructions: resources.instructions(),
+    readBytes: resources.readBytes(),
+    writeBytes: resources.writeBytes(),
+    readEntries: footprint.readOnly().length,
+    writeEntries: footprint.readWrite().length,
+  };
+};
+
+const countSubInvocations = invocation =>
+  invocation.subInvocations().reduce((count, sub) => count + 1 + countSubInvocations(sub), 0);
+
+/**
+ * Describes the authorization entries a transaction carries
+ *
+ * @param {Array<import('@stellar/stellar-sdk').xdr.SorobanAuthorizationEntry>} [auth]
+ * @returns {Array<AuthEntry>}
+ */
+export const getAuthEntries = (auth = []) =>
+  auth.map(entry => {
+    const credentials = entry.credentials();
+    const invocation = entry.rootInvocation();
+    const fn = invocation.function();
+    const call = fn.switch().name === 'sorobanAuthorizedFunctionTypeContractFn' ? fn.contractFn() : null;
+
+    return {
+      signer:
+        credentials.switch().name === 'sorobanCredentialsAddress'
+          ? Address.fromScAddress(credentials.address().address()).toString()
+          : null,
+      contractId: call ? Address.fromScAddress(call.contractAddress()).toString() : null,
+      functionName: call ? call.functionName().toString() : 'create contract',
+      subInvocations: countSubInvocations(invocation),
+    };
+  });
+
+/**
+ * Summarises a successful simulation for review
+ *
+ * @param {Object} simulation - Parsed simulateTransaction success response
+ * @param {Object} params
+ * @param {string} params.account - Account whose balance changes are reported
+ * @param {bigint} params.inclusionFee - Stroops bid for inclusion
+ * @returns {TransactionSimulation}
+ */
+export const summariseSimulation = (simulation, { account, inclusionFee }) => ({
+  balanceChanges: getBalanceChanges(humanizeEvents(simulation.events || []), account),
+  resources: getResources(simulation.transactionData),
+  fees: { inclusionFee, resourceFee: BigInt(simulation.minResourceFee || 0) },
+  auth: getAuthEntries(simulation.result?.auth),
+  latestLedger: simulation.latestLedger,
+  classic: false,
+});
+
+/**
+ * Whether a transaction has an operation Soroban RPC can simulate
+ *
+ * @param {import('@stellar/stellar-sdk').Transaction} tx
+ * @returns {boolean}
+ */
+export const isSorobanTransaction = tx => tx.operations.some(op => SOROBAN_OPERATIONS.includes(op.type));
+
+/**
+ * Summarises a classic transaction for review from its own operations
+ *
+ * A strict-send path payment sends exactly `sendAmount` and receives at
+ * least `destMin`; a strict-receive one receives exactly `destAmount` and
+ * sends at most `sendMax`. The fee is the envelope's: classic operations
+ * use no Soroban resources.
+ *
+ * @param {import('@stellar/stellar-sdk').Transaction} tx
+ * @param {Object} params
+ * @param {string} params.account - Account whose balance changes are reported
+ * @param {string} params.networkPassphrase - For the assets' contract ids
+ * @returns {TransactionSimulation}
+ */
+export const summariseClassicTransaction = (tx, { account, networkPassphrase }) => {
+  const balanceChanges = [];
+  const add = (asset, value, sign, bound) => {
+    const amount = decimalToBaseUnits(value, 7);
+    if (!amount) return;
+    const change = { contractId: asset.contractId(networkPassphrase), amount: sign * amount };
+    balanceChanges.push(bound ? { ...change, bound } : change);
+  };
+
+  tx.operations.forEach(op => {
+    const source = op.source || tx.source;
+    if (op.type === 'pathPaymentStrictSend') {
+      if (source === account) add(op.sendAsset, op.sendAmount, -1n);
+      if (op.destination === account) add(op.destAsset, op.destMin, 1n, 'min');
+    } else if (op.type === 'pathPaymentStrictReceive') {
+      if (source === account) add(op.sendAsset, op.sendMax, -1n, 'max');
+      if (op.destination === account) add(op.destAsset, op.destAmount, 1n);
+    }
+  });
+
+  return {
+    balanceChanges,
+    resources: null,
+    fees: { inclusionFee: BigInt(tx.fee), resourceFee: 0n },
+    auth: [],
+    latestLedger: null,
+    classic: true,
+  };
+};
@@ -0,0 +1,152 @@
+/* global BigInt */
+import {
+  Account,
+  Asset,
+  Contract,
+  Keypair,
+  Networks,
+  Operation,
+  SorobanDataBuilder,
+  StrKey,
+  TransactionBuilder,
+} from '@stellar/stellar-sdk';
+import {
+  getBalanceChanges,
+  getResources,
+  isSorobanTransaction,
+  summariseClassicTransaction,
+} from './txSimulation';
+
+const ACCOUNT = Keypair.random().publicKey();
+const POOL = StrKey.encodeContract(Buffer.alloc(32, 1));
+const ADMIN = Keypair.random().publicKey();
+const XLM = StrKey.encodeContract(Buffer.alloc(32, 2));
+const USDC = StrKey.encodeContract(Buffer.alloc(32, 3));
+
+const event = (contractId, topics, data) => ({ type: 'contract', contractId, topics, data });
+
+describe('txSimulation', () => {
+  test('nets the account transfers per token and drops other accounts', () => {
+    const changes = getBalanceChanges(
+      [
+        event(XLM, ['transfer', ACCOUNT, POOL, 'native'], 1000000000n),
+        event(USDC, ['transfer', POOL, ACCOUNT, 'USDC:GA...'], { amount: 99500000n }),
+        event(USDC, ['transfer', POOL, ADMIN], 500000n),
+        event(XLM, ['transfer', POOL, ACCOUNT], 1000n),
+        { type: 'diagnostic', contractId: XLM, topics: ['transfer', ACCOUNT, POOL], data: 5n },
+      ],
+      ACCOUNT
+    );
+    expect(changes).toEqual([
+      { contractId: XLM, amount: -999999000n },
+      { contractId: USDC, amount: 99500000n },
+    ]);
+  });
+
+  test('reads mint and clawback with or without the admin topic', () => {
+    const changes = getBalanceChanges(
+      [
+        event(USDC, ['mint', ADMIN, ACCOUNT], 300n),
+        event(USDC, ['mint', ACCOUNT], 200n),
+        event(USDC, ['clawback', ADMIN, ACCOUNT], 100n),
+        event(XLM, ['burn', ACCOUNT], 50n),
+        event(XLM, ['burn', ADMIN], 70n),
+      ],
+      ACCOUNT
+    );
+    expect(changes).toEqual([
+      { contractId: USDC, amount: 400n },
+      { contractId: XLM, amount: -50n },
+    ]);
+  });
+
+  test('leaves out tokens whose balance ends where it started', () => {
+    const changes = getBalanceChanges(
+      [event(XLM, ['transfer', ACCOUNT, POOL], 10n), event(XLM, ['transfer', POOL, ACCOUNT], 10n)],
+      ACCOUNT
+    );
+    expect(changes).toEqual([]);
+  });
+
+  test('reports instructions, bytes and footprint sizes', () => {
+    const data = new SorobanDataBuilder()
+      .setResources(2500000, 4096, 512)
+      .setResourceFee(BigInt(90000));
+    const resources = getResources(data);
+    expect(resources).toEqual({
+      instructions: 2500000,
+      readBytes: 4096,
+      writeBytes: 512,
+      readEntries: 0,
+      writeEntries: 0,
+    });
+  });
+
+  describe('classic transactions', () => {
+    const USDC_ASSET = new Asset('USDC', Keypair.random().publicKey());
+    const build = operation =>
+      new TransactionBuilder(new Account(ACCOUNT, '1'), { fee: '250', networkPassphrase: Networks.TESTNET })
+        .addOperation(operation)
+        .setTimeout(30)
+        .build();
+
+    test('only Soroban operations need simulating', () => {
+      const payment = build(
+        Operation.pathPaymentStrictSend({
+          sendAsset: Asset.native(),
+          sendAmount: '10',
+          destination: ACCOUNT,
+          destAsset: USDC_ASSET,
+          destMin: '0.995',
+        })
+      );
+      expect(isSorobanTransaction(payment)).toBe(false);
+      expect(isSorobanTransaction(build(new Contract(POOL).call('swap')))).toBe(true);
+    });
+
+    test('reviews a strict-send path payment from its own amounts and fee', () => {
+      const tx = build(
+        Operation.pathPaymentStrictSend({
+          sendAsset: Asset.native(),
+          sendAmount: '10',
+          destination: ACCOUNT,
+          destAsset: USDC_ASSET,
+          destMin: '0.995',
+          path: [],
+        })
+      );
+      const summary = summariseClassicTransaction(tx, { account: ACCOUNT, networkPassphrase: Networks.TESTNET });
+      expect(summary).toEqual({
+        balanceChanges: [
+          { contractId: Asset.native().contractId(Networks.TESTNET), amount: -100000000n },
+          { contractId: USDC_ASSET.contractId(Networks.TESTNET), amount: 9950000n, bound: 'min' },
+        ],
+        resources: null,
+        fees: { inclusionFee: 250n, resourceFee: 0n },
+        auth: [],
+        latestLedger: null,
+        classic: true,
+      });
+    });
+
+    test('bounds what a strict-receive path payment sends', () => {
+      const tx = build(
+        Operation.pathPaymentStrictReceive({
+          sendAsset: USDC_ASSET,
+          sendMax: '1.005',
+          destination: ACCOUNT,
+          destAsset: Asset.native(),
+          destAmount: '10',
+        })
+      );
+      const { balanceChanges } = summariseClassicTransaction(tx, {
+        account: ACCOUNT,
+        networkPassphrase: Networks.TESTNET,
+      });
+      expect(balanceChanges).toEqual([
+        { contractId: USDC_ASSET.contractId(Networks.TESTNET), amount: -10050000n, bound: 'max' },
+        { contractId: Asset.native().contractId(Networks.TESTNET), amount: 100000000n },
+      ]);
+    });
+  });
+});
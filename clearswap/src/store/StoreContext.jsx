@@ -0,0 +1,101 @@
+/**
+ * STORECONTEXT.JSX - SHARED STORE PROVIDER
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Holds the shared store (see store/reducer.js) in React context. Any
+ * component reads it with the useStore hook and the selectors in
+ * store/selectors.js, and changes it by dispatching store/actions.js:
+ *
+ *   const { state, dispatch } = useStore();
+ *   const network = selectNetwork(state);
+ *   dispatch(networkChanged('testnet'));
+ *
+ * The provider also keeps the store in step with storage:
+ * - Loads the connected wallet's swap settings when the wallet changes
+ * - Loads the account's swap history when the wallet or network changes,
+ *   and saves it after every update
+ * - Polls pending swaps on Horizon until they confirm or fail, whichever
+ *   view is open
+ */
+
+import React, { createContext, useEffect, useMemo, useReducer, useRef } from 'react';
+import { createInitialState, rootReducer } from './reducer';
+import { historyLoaded, historyMerged, settingsLoaded } from './actions';
+import { selectNetworkConfig, selectOwner, selectPendingTransactions } from './selectors';
+import { getConfig } from '../config/runtimeConfig';
+import { getNetworkConfig } from '../config/networks';
+import { loadSwapSettings } from '../services/swapSettings';
+import { fetchSwapResult, loadHistory, saveHistory } from '../services/txHistory';
+
+const HISTORY_POLL_MS = 5000;
+
+export const StoreContext = createContext(null);
+
+/**
+ * Store Provider
+ *
+ * @param {React.ReactNode} children
+ * @param {Object} [initialState] - Starting state (tests); defaults to the configured network
+ */
+export const StoreProvider = ({ children, initialState }) => {
+  const [state, dispatch] = useReducer(
+    rootReducer,
+    initialState,
+    preset => preset || createInitialState(getNetworkConfig(getConfig().network).id)
+  );
+
+  const { publicKey } = state.wallet;
+  const { network, transactions } = state;
+  const networkConfig = selectNetworkConfig(state);
+  const owner = selectOwner(state);
+
+  // Each wallet has its own swap settings
+  useEffect(() => {
+    dispatch(settingsLoaded(loadSwapSettings(publicKey)));
+  }, [publicKey]);
+
+  // History belongs to one account on one network
+  useEffect(() => {
+    dispatch(historyLoaded(network, publicKey, loadHistory(network, publicKey)));
+  }, [network, publicKey]);
+
+  // Save the history under the account it was loaded for
+  useEffect(() => {
+    if (transactions.publicKey) saveHistory(transactions.network, transactions.publicKey, transactions.entries);
+  }, [transactions.network, transactions.publicKey, transactions.entries]);
+
+  // PENDING TRANSACTIONS
+
+  const pending = selectPendingTransactions(state);
+  const pendingRef = useRef(pending); // Latest pending swaps for the poller
+  pendingRef.current = pending;
+  const hasPending = pending.length > 0;
+
+  // Poll pending swaps until the network has a final result
+  useEffect(() => {
+    if (!hasPending || !owner) return undefined;
+
+    let cancelled = false;
+    const poll = async () => {
+      const results = await Promise.allSettled(
+        pendingRef.current.map(entry => fetchSwapResult({ networkConfig, entry, account: publicKey }))
+      );
+      if (cancelled) return;
+      const settled = results.filter(r => r.status === 'fulfilled' && r.value.status !== 'pending');
+      dispatch(historyMerged(owner, settled.map(r => r.value)));
+    };
+
+    poll();
+    const timer = setInterval(poll, HISTORY_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [hasPending, owner, publicKey, networkConfig]);
+
+  const value = useMemo(() => ({ state, dispatch }), [state]);
+
+  return <StoreContext.Provider value={value}>{children}</StoreContext.Provider>;
+};
@@ -0,0 +1,151 @@
+/**
+ * ACTIONS.JS - STORE ACTION TYPES AND CREATORS
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Every change to the shared store (see store/reducer.js) goes through one
+ * of these actions. Components dispatch the creators rather than building
+ * action objects by hand.
+ *
+ * Actions about an account's data (balances, history) carry the `owner`
+ * they were loaded for, so a response that lands after the wallet or
+ * network changed is ignored instead of showing another account's data.
+ */
+
+export const ActionTypes = {
+  // Wallet session
+  SESSION_RESTORED: 'wallet/sessionRestored',
+  WALLET_CONNECTED: 'wallet/connected',
+  SESSION_EXPIRY_SET: 'wallet/sessionExpirySet',
+  WALLET_DISCONNECTED: 'wallet/disconnected',
+
+  // Network
+  NETWORK_CHANGED: 'network/changed',
+
+  // Token registry
+  TOKENS_REQUESTED: 'tokens/requested',
+  TOKENS_LOADED: 'tokens/loaded',
+
+  // Balances
+  BALANCES_REQUESTED: 'balances/requested',
+  BALANCES_LOADED: 'balances/loaded',
+  BALANCES_FAILED: 'balances/failed',
+
+  // Swap settings
+  SETTINGS_LOADED: 'settings/loaded',
+
+  // Transactions
+  HISTORY_LOADED: 'transactions/historyLoaded',
+  HISTORY_MERGED: 'transactions/historyMerged',
+  BACKFILL_STARTED: 'transactions/backfillStarted',
+  BACKFILL_FINISHED: 'transactions/backfillFinished',
+};
+
+/**
+ * Key identifying one account on one network
+ *
+ * @param {string} network - Network id
+ * @param {string|null} publicKey
+ * @returns {string|null} Null without an account
+ */
+export const ownerKey = (network, publicKey) => (publicKey ? `${network}:${publicKey}` : null);
+
+// WALLET SESSION
+
+/**
+ * The stored session was checked on startup
+ *
+ * @param {{ adapter: Object, publicKey: string, expiresAt: number }|null} session - Null when nothing was restored
+ */
+export const sessionRestored = session => ({ type: ActionTypes.SESSION_RESTORED, session });
+
+/**
+ * @param {Object} adapter - WalletAdapter used to connect
+ * @param {string} publicKey
+ */
+export const walletConnected = (adapter, publicKey) => ({ type: ActionTypes.WALLET_CONNECTED, adapter, publicKey });
+
+/**
+ * @param {number} expiresAt - When the persisted session lapses (ms)
+ */
+export const sessionExpirySet = expiresAt => ({ type: ActionTypes.SESSION_EXPIRY_SET, expiresAt });
+
+export const walletDisconnected = () => ({ type: ActionTypes.WALLET_DISCONNECTED });
+
+// NETWORK
+
+/**
+ * @param {string} network - Network id ('mainnet' or 'testnet')
+ */
+export const networkChanged = network => ({ type: ActionTypes.NETWORK_CHANGED, network });
+
+// TOKEN REGISTRY
+
+/**
+ * @param {string} network
+ */
+export const tokensRequested = network => ({ type: ActionTypes.TOKENS_REQUESTED, network });
+
+/**
+ * @param {string} network
+ * @param {{ tokens: Array<Object>, source: string, savedAt?: number, failedLists?: Array<string> }} result - loadTokenList() result
+ */
+export const tokensLoaded = (network, result) => ({ type: ActionTypes.TOKENS_LOADED, network, result });
+
+// BALANCES
+
+/**
+ * @param {string} owner - ownerKey() of the account
+ */
+export const balancesRequested = owner => ({ type: ActionTypes.BALANCES_REQUESTED, owner });
+
+/**
+ * @param {string} owner
+ * @param {{ byToken: Object, account: Object|null, error: string }} result
+ */
+export const balancesLoaded = (owner, result) => ({ type: ActionTypes.BALANCES_LOADED, owner, result });
+
+/**
+ * @param {string} owner
+ * @param {string} error - User-facing message
+ */
+export const balancesFailed = (owner, error) => ({ type: ActionTypes.BALANCES_FAILED, owner, error });
+
+// SWAP SETTINGS
+
+/**
+ * @param {import('../services/swapSettings').SwapSettings} settings - Settings of the connected wallet
+ */
+export const settingsLoaded = settings => ({ type: ActionTypes.SETTINGS_LOADED, settings });
+
+// TRANSACTIONS
+
+/**
+ * The stored history of the account that is now selected
+ *
+ * @param {string} network
+ * @param {string|null} publicKey
+ * @param {Array<import('../services/txHistory').HistoryEntry>} entries
+ */
+export const historyLoaded = (network, publicKey, entries) => ({
+  type: ActionTypes.HISTORY_LOADED,
+  network,
+  publicKey,
+  entries,
+});
+
+/**
+ * New or updated history entries, merged by hash
+ *
+ * @param {string} owner - ownerKey() of the account
+ * @param {Array<Object>} updates
+ */
+export const historyMerged = (owner, updates) => ({ type: ActionTypes.HISTORY_MERGED, owner, updates });
+
+export const backfillStarted = () => ({ type: ActionTypes.BACKFILL_STARTED });
+
+/**
+ * @param {string} [error] - User-facing message when the backfill failed
+ */
+export const backfillFinished = (error = '') => ({ type: ActionTypes.BACKFILL_FINISHED, error });
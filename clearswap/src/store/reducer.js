@@ -0,0 +1,197 @@
+/**
+ * REDUCER.JS - SHARED APPLICATION STATE
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * One store for the state several views need, instead of passing it down
+ * through App:
+ * - wallet: connected account, its adapter and the session expiry
+ * - network: selected network id
+ * - tokens: merged asset list per network, loaded once and shared by the
+ *   swap and analytics views
+ * - balances: the connected account's balances on the selected network
+ * - settings: the connected wallet's swap settings
+ * - transactions: the account's swap history, including pending swaps
+ *
+ * The reducer is pure; loading and persistence happen in the hooks and
+ * StoreProvider effects that dispatch the actions (see store/actions.js).
+ */
+
+import { ActionTypes, ownerKey } from './actions';
+import { DEFAULT_SWAP_SETTINGS } from '../services/swapSettings';
+import { MAX_HISTORY_ENTRIES, mergeEntries } from '../services/txHistory';
+
+/**
+ * @typedef {Object} TokenRegistryEntry
+ * @property {'loading'|'ready'} status
+ * @property {Array<Object>} list - Merged asset list
+ * @property {string|null} source - 'live', 'cache' or 'fallback'
+ * @property {number|null} savedAt - When a cached list was saved
+ * @property {Array<string>} failedLists - Asset list ids that could not be fetched
+ */
+
+/**
+ * @typedef {Object} StoreState
+ * @property {{ restoring: boolean, publicKey: string|null, adapter: Object|null, expiresAt: number|null }} wallet
+ * @property {string} network
+ * @property {Object<string, TokenRegistryEntry>} tokens - By network id
+ * @property {{ owner: string|null, byToken: Object, account: Object|null, loading: boolean, error: string }} balances
+ * @property {import('../services/swapSettings').SwapSettings} settings
+ * @property {{ owner: string|null, network: string, publicKey: string|null, entries: Array<Object>, backfilling: boolean, error: string }} transactions
+ */
+
+const emptyBalances = { owner: null, byToken: {}, account: null, loading: false, error: '' };
+
+/**
+ * Initial store state
+ *
+ * @param {string} network - Network selected at startup
+ * @returns {StoreState}
+ */
+export const createInitialState = network => ({
+  wallet: { restoring: true, publicKey: null, adapter: null, expiresAt: null },
+  network,
+  tokens: {},
+  balances: emptyBalances,
+  settings: DEFAULT_SWAP_SETTINGS,
+  transactions: { owner: null, network, publicKey: null, entries: [], backfilling: false, error: '' },
+});
+
+const walletReducer = (wallet, action) => {
+  switch (action.type) {
+    case ActionTypes.SESSION_RESTORED:
+      return action.session
+        ? {
+            restoring: false,
+            publicKey: action.session.publicKey,
+            adapter: action.session.adapter,
+            expiresAt: action.session.expiresAt,
+          }
+        : { ...wallet, restoring: false };
+    case ActionTypes.WALLET_CONNECTED:
+      return { restoring: false, publicKey: action.publicKey, adapter: action.adapter, expiresAt: null };
+    case ActionTypes.SESSION_EXPIRY_SET:
+      return { ...wallet, expiresAt: action.expiresAt };
+    case ActionTypes.WALLET_DISCONNECTED:
+      return { restoring: false, publicKey: null, adapter: null, expiresAt: null };
+    default:
+      return wallet;
+  }
+};
+
+const networkReducer = (network, action) =>
+  action.type === ActionTypes.NETWORK_CHANGED ? action.network : network;
+
+const tokensReducer = (tokens, action) => {
+  switch (action.type) {
+    case ActionTypes.TOKENS_REQUESTED:
+      return {
+        ...tokens,
+        [action.network]: {
+          list: [],
+          source: null,
+          savedAt: null,
+          failedLists: [],
+          ...tokens[action.network],
+          status: 'loading',
+        },
+      };
+    case ActionTypes.TOKENS_LOADED:
+      return {
+        ...tokens,
+        [action.network]: {
+          status: 'ready',
+          list: action.result.tokens,
+          source: action.result.source,
+          savedAt: action.result.savedAt ?? null,
+          failedLists: action.result.failedLists || [],
+        },
+      };
+    default:
+      return tokens;
+  }
+};
+
+const balancesReducer = (balances, action) => {
+  switch (action.type) {
+    case ActionTypes.BALANCES_REQUESTED:
+      // Keep showing the account's last balances while they reload
+      return action.owner === balances.owner
+        ? { ...balances, loading: true }
+        : { ...emptyBalances, owner: action.owner, loading: true };
+    case ActionTypes.BALANCES_LOADED:
+      if (action.owner !== balances.owner) return balances;
+      return {
+        owner: action.owner,
+        byToken: action.result.byToken,
+        account: action.result.account,
+        loading: false,
+        error: action.result.error || '',
+      };
+    case ActionTypes.BALANCES_FAILED:
+      return action.owner === balances.owner ? { ...balances, loading: false, error: action.error } : balances;
+    case ActionTypes.WALLET_DISCONNECTED:
+    case ActionTypes.NETWORK_CHANGED:
+      return emptyBalances;
+    default:
+      return balances;
+  }
+};
+
+const settingsReducer = (settings, action) => {
+  switch (action.type) {
+    case ActionTypes.SETTINGS_LOADED:
+      return action.settings;
+    case ActionTypes.WALLET_DISCONNECTED:
+      return DEFAULT_SWAP_SETTINGS;
+    default:
+      return settings;
+  }
+};
+
+const transactionsReducer = (transactions, action) => {
+  switch (action.type) {
+    case ActionTypes.HISTORY_LOADED:
+      return {
+        owner: ownerKey(action.network, action.publicKey),
+        network: action.network,
+        publicKey: action.publicKey,
+        entries: action.entries,
+        backfilling: false,
+        error: '',
+      };
+    case ActionTypes.HISTORY_MERGED:
+      if (!action.owner || action.owner !== transactions.owner || action.updates.length === 0) return transactions;
+      return {
+        ...transactions,
+        entries: mergeEntries(transactions.entries, action.updates).slice(0, MAX_HISTORY_ENTRIES),
+      };
+    case ActionTypes.BACKFILL_STARTED:
+      return { ...transactions, backfilling: true, error: '' };
+    case ActionTypes.BACKFILL_FINISHED:
+      return { ...transactions, backfilling: false, error: action.error };
+    default:
+      return transactions;
+  }
+};
+
+/**
+ * Root reducer: each slice handles the actions it cares about
+ *
+ * @param {StoreState} state
+ * @param {Object} action
+ * @returns {StoreState}
+ */
+export const rootReducer = (state, action) => {
+  const next = {
+    wallet: walletReducer(state.wallet, action),
+    network: networkReducer(state.network, action),
+    tokens: tokensReducer(state.tokens, action),
+    balances: balancesReducer(state.balances, action),
+    settings: settingsReducer(state.settings, action),
+    transactions: transactionsReducer(state.transactions, action),
+  };
+  // Unchanged slices keep the same state object, so nothing re-renders
+  return Object.keys(next).every(key => next[key] === state[key]) ? state : next;
+};
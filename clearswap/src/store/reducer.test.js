@@ -0,0 +1,82 @@
+import {
+  balancesLoaded,
+  balancesRequested,
+  historyLoaded,
+  historyMerged,
+  networkChanged,
+  ownerKey,
+  sessionRestored,
+  settingsLoaded,
+  tokensLoaded,
+  tokensRequested,
+  walletConnected,
+  walletDisconnected,
+} from './actions';
+import { createInitialState, rootReducer } from './reducer';
+import { DEFAULT_SWAP_SETTINGS } from '../services/swapSettings';
+
+const KEY = 'GABC';
+const adapter = { id: 'freighter' };
+const reduce = (state, ...actions) => actions.reduce(rootReducer, state);
+
+describe('store reducer', () => {
+  test('tracks the wallet session from restore to disconnect', () => {
+    let state = createInitialState('testnet');
+    expect(state.wallet.restoring).toBe(true);
+
+    state = reduce(state, sessionRestored(null));
+    expect(state.wallet).toEqual({ restoring: false, publicKey: null, adapter: null, expiresAt: null });
+
+    state = reduce(state, walletConnected(adapter, KEY), settingsLoaded({ ...DEFAULT_SWAP_SETTINGS, slippageBps: 100 }));
+    expect(state.wallet).toMatchObject({ publicKey: KEY, adapter });
+    expect(state.settings.slippageBps).toBe(100);
+
+    state = reduce(state, walletDisconnected());
+    expect(state.wallet.publicKey).toBeNull();
+    expect(state.settings).toBe(DEFAULT_SWAP_SETTINGS);
+  });
+
+  test('keeps a token list per network', () => {
+    const list = [{ address: 'CA', symbol: 'XLM' }];
+    let state = reduce(createInitialState('testnet'), tokensRequested('testnet'));
+    expect(state.tokens.testnet.status).toBe('loading');
+
+    state = reduce(state, tokensLoaded('testnet', { tokens: list, source: 'live' }), networkChanged('mainnet'));
+    expect(state.tokens.testnet).toEqual({ status: 'ready', list, source: 'live', savedAt: null, failedLists: [] });
+    expect(state.tokens.mainnet).toBeUndefined();
+  });
+
+  test('ignores balances loaded for another account and clears them on network change', () => {
+    const owner = ownerKey('testnet', KEY);
+    let state = reduce(createInitialState('testnet'), walletConnected(adapter, KEY), balancesRequested(owner));
+    expect(state.balances).toMatchObject({ owner, loading: true });
+
+    const stale = reduce(state, balancesLoaded('testnet:GOTHER', { byToken: { CA: {} }, account: null }));
+    expect(stale).toBe(state);
+
+    state = reduce(state, balancesLoaded(owner, { byToken: { CA: { available: 1n } }, account: {}, error: '' }));
+    expect(state.balances).toMatchObject({ loading: false, byToken: { CA: { available: 1n } } });
+
+    state = reduce(state, networkChanged('mainnet'));
+    expect(state.balances.owner).toBeNull();
+  });
+
+  test('merges history updates only for the loaded account', () => {
+    const owner = ownerKey('testnet', KEY);
+    let state = reduce(
+      createInitialState('testnet'),
+      historyLoaded('testnet', KEY, [{ hash: 'a', status: 'pending', createdAt: 1 }])
+    );
+    expect(state.transactions.owner).toBe(owner);
+
+    expect(reduce(state, historyMerged('mainnet:GABC', [{ hash: 'a', status: 'confirmed' }]))).toBe(state);
+
+    state = reduce(state, historyMerged(owner, [{ hash: 'a', status: 'confirmed' }]));
+    expect(state.transactions.entries).toEqual([{ hash: 'a', status: 'confirmed', createdAt: 1 }]);
+  });
+
+  test('returns the same state for unrelated actions', () => {
+    const state = createInitialState('testnet');
+    expect(rootReducer(state, { type: 'unknown' })).toBe(state);
+  });
+});
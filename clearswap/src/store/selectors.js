@@ -0,0 +1,96 @@
+/**
+ * SELECTORS.JS - STORE SELECTORS
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Read access to the shared store (see store/reducer.js). Components go
+ * through these instead of reaching into the state shape, so slices can
+ * change without touching every view.
+ */
+
+import { ownerKey } from './actions';
+import { getNetworkConfig } from '../config/networks';
+
+const EMPTY_LIST = [];
+const NO_BALANCES = { owner: null, byToken: {}, account: null, loading: false, error: '' };
+
+// WALLET
+
+export const selectPublicKey = state => state.wallet.publicKey;
+export const selectWalletAdapter = state => state.wallet.adapter;
+export const selectIsConnected = state => Boolean(state.wallet.publicKey);
+export const selectIsRestoringSession = state => state.wallet.restoring;
+export const selectSessionExpiresAt = state => state.wallet.expiresAt;
+
+// NETWORK
+
+export const selectNetwork = state => state.network;
+export const selectNetworkConfig = state => getNetworkConfig(state.network);
+
+/**
+ * Key of the connected account on the selected network
+ *
+ * @returns {string|null} Null when disconnected
+ */
+export const selectOwner = state => ownerKey(state.network, state.wallet.publicKey);
+
+// TOKEN REGISTRY
+
+/**
+ * Registry entry for the selected network
+ *
+ * @returns {import('./reducer').TokenRegistryEntry|undefined} Undefined until a load starts
+ */
+export const selectTokenRegistry = state => state.tokens[state.network];
+
+export const selectTokens = state => selectTokenRegistry(state)?.list || EMPTY_LIST;
+export const selectTokensLoading = state => selectTokenRegistry(state)?.status === 'loading';
+
+/**
+ * Whether the selected network's token list still has to be loaded
+ */
+export const selectTokensNeeded = state => !selectTokenRegistry(state);
+
+/**
+ * Listed token by contract address
+ *
+ * @param {string} address
+ * @returns {Object|undefined}
+ */
+export const selectTokenByAddress = (state, address) => selectTokens(state).find(token => token.address === address);
+
+// BALANCES
+
+/**
+ * Balances of the connected account on the selected network; empty while
+ * they belong to another account or network
+ */
+export const selectBalances = state => {
+  const { balances } = state;
+  return balances.owner !== null && balances.owner === selectOwner(state) ? balances : NO_BALANCES;
+};
+
+// SETTINGS
+
+export const selectSwapSettings = state => state.settings;
+
+// TRANSACTIONS
+
+/**
+ * The connected account's swap history on the selected network
+ */
+export const selectHistory = state => {
+  const { transactions } = state;
+  return transactions.owner !== null && transactions.owner === selectOwner(state) ? transactions.entries : EMPTY_LIST;
+};
+
+/**
+ * Swaps still waiting for a final result
+ */
+export const selectPendingTransactions = state => selectHistory(state).filter(entry => entry.status === 'pending');
+
+export const selectBackfill = state => ({
+  backfilling: state.transactions.backfilling,
+  error: state.transactions.error,
+});
@@ -0,0 +1,64 @@
+import { balancesLoaded, balancesRequested, historyLoaded, networkChanged, tokensLoaded, walletConnected } from './actions';
+import { createInitialState, rootReducer } from './reducer';
+import {
+  selectBalances,
+  selectHistory,
+  selectIsConnected,
+  selectNetworkConfig,
+  selectOwner,
+  selectPendingTransactions,
+  selectTokenByAddress,
+  selectTokens,
+  selectTokensNeeded,
+} from './selectors';
+
+const KEY = 'GABC';
+const reduce = (state, ...actions) => actions.reduce(rootReducer, state);
+
+describe('store selectors', () => {
+  test('derive the account and network', () => {
+    let state = createInitialState('testnet');
+    expect(selectIsConnected(state)).toBe(false);
+    expect(selectOwner(state)).toBeNull();
+    expect(selectNetworkConfig(state).id).toBe('testnet');
+
+    state = reduce(state, walletConnected({ id: 'freighter' }, KEY));
+    expect(selectIsConnected(state)).toBe(true);
+    expect(selectOwner(state)).toBe('testnet:GABC');
+  });
+
+  test('read the selected network token list', () => {
+    const list = [{ address: 'CA', symbol: 'XLM' }];
+    let state = createInitialState('testnet');
+    expect(selectTokensNeeded(state)).toBe(true);
+    expect(selectTokens(state)).toBe(selectTokens(createInitialState('mainnet')));
+
+    state = reduce(state, tokensLoaded('testnet', { tokens: list, source: 'live' }));
+    expect(selectTokensNeeded(state)).toBe(false);
+    expect(selectTokens(state)).toBe(list);
+    expect(selectTokenByAddress(state, 'CA')).toBe(list[0]);
+
+    state = reduce(state, networkChanged('mainnet'));
+    expect(selectTokensNeeded(state)).toBe(true);
+  });
+
+  test('hide balances and history that belong to another account', () => {
+    let state = reduce(
+      createInitialState('testnet'),
+      walletConnected({ id: 'freighter' }, KEY),
+      balancesRequested('testnet:GABC'),
+      balancesLoaded('testnet:GABC', { byToken: { CA: {} }, account: {} }),
+      historyLoaded('testnet', KEY, [
+        { hash: 'a', status: 'pending' },
+        { hash: 'b', status: 'confirmed' },
+      ])
+    );
+    expect(selectBalances(state).byToken).toEqual({ CA: {} });
+    expect(selectPendingTransactions(state).map(entry => entry.hash)).toEqual(['a']);
+
+    // The history is reloaded by StoreProvider after the switch
+    state = reduce(state, networkChanged('mainnet'));
+    expect(selectBalances(state).byToken).toEqual({});
+    expect(selectHistory(state)).toEqual([]);
+  });
+});
@@ -0,0 +1,159 @@
+/* global BigInt */
+/**
+ * AMOUNTS.JS - PRECISE TOKEN AMOUNT ARITHMETIC
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Every token amount in ClearSwap is an integer in the token's base units
+ * (stroops for 7-decimal tokens). Parsing, formatting and rates are done
+ * with BigInt so nothing is ever rounded through a float: a float only
+ * carries ~15 significant digits, which silently corrupts large amounts
+ * and the minimum-received values derived from them.
+ *
+ * - decimalToBaseUnits / baseUnitsToDecimal: exact input <-> base units
+ * - formatAmount: rounded, locale-grouped display with significant digits
+ * - computeRate / formatRate: price and inverse price as fixed-point
+ */
+
+export const RATE_DECIMALS = 18; // Fixed-point precision of computed rates
+
+/**
+ * 10^n as a BigInt (built from a string so Babel never rewrites it to Math.pow)
+ */
+const pow10 = n => BigInt(`1${'0'.repeat(n)}`);
+
+/**
+ * Parses a user-entered decimal string into base units
+ *
+ * @param {string} value - e.g. "12.5"
+ * @param {number} [decimals=7]
+ * @returns {bigint|null} null when the input is not a plain non-negative decimal
+ *   or has more fractional digits than the token supports
+ */
+export const decimalToBaseUnits = (value, decimals = 7) => {
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(String(value ?? '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  const fraction = match[2] || '';
+  if (fraction.length > decimals) return null;
+  return BigInt(`${match[1] || '0'}${fraction.padEnd(decimals, '0')}`);
+};
+
+/**
+ * Converts base units back to a plain decimal string ("12.34"), trimming
+ * trailing zeros - suitable for an amount input
+ *
+ * @param {string|bigint} base - Amount in base units
+ * @param {number} [decimals=7]
+ * @returns {string}
+ */
+export const baseUnitsToDecimal = (base, decimals = 7) => {
+  const digits = BigInt(base).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole;
+};
+
+const formatters = new Map();
+
+/**
+ * Cached integer formatter and decimal separator for a locale
+ */
+const getLocaleFormat = locale => {
+  const key = locale || '';
+  if (!formatters.has(key)) {
+    const integer = new Intl.NumberFormat(locale, { maximumFractionDigits: 0 });
+    const decimal =
+      new Intl.NumberFormat(locale).formatToParts(1.5).find(part => part.type === 'decimal')?.value || '.';
+    formatters.set(key, { integer, decimal });
+  }
+  return formatters.get(key);
+};
+
+/**
+ * Formats base units for display
+ *
+ * Amounts of 1 or more keep `significantDigits` in total but never fewer
+ * than two decimals (1.23457, 1,234,567.89); amounts below 1 keep
+ * `significantDigits` after their leading zeros (0.0000123457). Rounding
+ * is half-up, trailing zeros are dropped and the whole part is grouped
+ * for the user's locale.
+ *
+ * @param {string|bigint|null} value - Amount in base units
+ * @param {number} [decimals=7] - Token decimals
+ * @param {Object} [options]
+ * @param {number} [options.significantDigits=6]
+ * @param {number} [options.minFractionDigits=0] - Pad with zeros up to this many decimals
+ * @param {string} [options.locale] - BCP 47 locale, defaults to the browser's
+ * @returns {string}
+ */
+export const formatAmount = (value, decimals = 7, { significantDigits = 6, minFractionDigits = 0, locale } = {}) => {
+  if (value === null || value === undefined || value === '') return '0';
+
+  let units = BigInt(value);
+  const negative = units < 0n;
+  if (negative) units = -units;
+
+  // Decide how many decimals carry information
+  const whole = units / pow10(decimals);
+  let fractionDigits;
+  if (whole > 0n) {
+    fractionDigits = Math.max(significantDigits - whole.toString().length, 2);
+  } else {
+    const fraction = units.toString().padStart(decimals, '0');
+    const leadingZeros = fraction.length - fraction.replace(/^0+/, '').length;
+    fractionDigits = leadingZeros + significantDigits;
+  }
+  fractionDigits = Math.min(fractionDigits, decimals);
+
+  // Round half-up to that many decimals
+  const step = pow10(decimals - fractionDigits);
+  const rounded = (units + step / 2n) / step;
+
+  const digits = rounded.toString().padStart(fractionDigits + 1, '0');
+  const wholeDigits = digits.slice(0, digits.length - fractionDigits);
+  const fraction = digits
+    .slice(digits.length - fractionDigits)
+    .replace(/0+$/, '')
+    .padEnd(Math.min(minFractionDigits, decimals), '0');
+
+  const { integer, decimal } = getLocaleFormat(locale);
+  const sign = negative && rounded > 0n ? '-' : '';
+  return `${sign}${integer.format(BigInt(wholeDigits))}${fraction ? decimal + fraction : ''}`;
+};
+
+/**
+ * Price of one whole input token in output tokens, as a fixed-point BigInt
+ * with RATE_DECIMALS decimals (truncated, never rounded through a float)
+ *
+ * @param {string|bigint} amountIn - Base units sold
+ * @param {number} decimalsIn
+ * @param {string|bigint} amountOut - Base units bought
+ * @param {number} decimalsOut
+ * @returns {bigint|null} null when the input amount is zero or missing
+ */
+export const computeRate = (amountIn, decimalsIn, amountOut, decimalsOut) => {
+  if (!amountIn || BigInt(amountIn) === 0n) return null;
+  return (
+    (BigInt(amountOut || 0) * pow10(decimalsIn) * pow10(RATE_DECIMALS)) /
+    (BigInt(amountIn) * pow10(decimalsOut))
+  );
+};
+
+/**
+ * Formats the rate of a trade, or its inverse (input tokens per output token)
+ *
+ * @param {string|bigint} amountIn
+ * @param {number} decimalsIn
+ * @param {string|bigint} amountOut
+ * @param {number} decimalsOut
+ * @param {Object} [options] - formatAmount options, plus:
+ * @param {boolean} [options.inverse=false]
+ * @returns {string} '-' when the rate is undefined
+ */
+export const formatRate = (amountIn, decimalsIn, amountOut, decimalsOut, { inverse = false, ...options } = {}) => {
+  const rate = inverse
+    ? computeRate(amountOut, decimalsOut, amountIn, decimalsIn)
+    : computeRate(amountIn, decimalsIn, amountOut, decimalsOut);
+  return rate === null ? '-' : formatAmount(rate, RATE_DECIMALS, options);
+};
@@ -0,0 +1,121 @@
+/* global BigInt */
+import fc from 'fast-check';
+import {
+  RATE_DECIMALS,
+  baseUnitsToDecimal,
+  computeRate,
+  decimalToBaseUnits,
+  formatAmount,
+  formatRate,
+} from './amounts';
+
+const decimalsArb = fc.integer({ min: 0, max: 18 });
+const unitsArb = fc.bigUintN(128);
+const positiveUnitsArb = unitsArb.map(n => n + 1n);
+
+// Inverse of en-US formatting, back into base units
+const parseDisplay = (text, decimals) => decimalToBaseUnits(text.replace(/,/g, ''), decimals);
+
+describe('amounts', () => {
+  test('parses user input exactly', () => {
+    expect(decimalToBaseUnits('12.5')).toBe(125000000n);
+    expect(decimalToBaseUnits('.5', 2)).toBe(50n);
+    expect(decimalToBaseUnits('7.', 0)).toBe(7n);
+    expect(decimalToBaseUnits('123456789012345678901234567890.1234567')).toBe(
+      1234567890123456789012345678901234567n
+    );
+    // Math.floor(parseFloat(x) * 1e7) gave 20 and 90071992547409940 for these
+    expect(decimalToBaseUnits('0.0000021')).toBe(21n);
+    expect(decimalToBaseUnits('9007199254.7409931')).toBe(90071992547409931n);
+    ['', '.', '-1', '1e5', '1.2.3', 'abc', '0.12345678'].forEach(input =>
+      expect(decimalToBaseUnits(input)).toBeNull()
+    );
+  });
+
+  test('baseUnitsToDecimal is exact', () => {
+    expect(baseUnitsToDecimal('984000000')).toBe('98.4');
+    expect(baseUnitsToDecimal('1')).toBe('0.0000001');
+    expect(baseUnitsToDecimal('123456789012345678901234567890', 7)).toBe('12345678901234567890123.456789');
+    expect(baseUnitsToDecimal('0')).toBe('0');
+  });
+
+  test('formats with significant digits and locale grouping', () => {
+    const en = { locale: 'en-US' };
+    expect(formatAmount('12345678912345', 7, en)).toBe('1,234,567.89');
+    expect(formatAmount('12345678', 7, en)).toBe('1.23457');
+    expect(formatAmount('123', 7, en)).toBe('0.0000123');
+    expect(formatAmount('1000000000', 7, en)).toBe('100');
+    expect(formatAmount('1000000000', 7, { ...en, minFractionDigits: 2 })).toBe('100.00');
+    expect(formatAmount('9999999', 7, en)).toBe('1');
+    expect(formatAmount('15', 1, en)).toBe('1.5');
+    expect(formatAmount(null)).toBe('0');
+    expect(formatAmount('12345678912345', 7, { locale: 'de-DE' })).toBe('1.234.567,89');
+  });
+
+  test('computes rates and inverse rates across decimals', () => {
+    // 10 XLM (7 decimals) -> 2.5 USDC (6 decimals)
+    expect(computeRate('100000000', 7, '2500000', 6)).toBe(25n * 10n ** BigInt(RATE_DECIMALS - 2));
+    expect(formatRate('100000000', 7, '2500000', 6, { locale: 'en-US' })).toBe('0.25');
+    expect(formatRate('100000000', 7, '2500000', 6, { inverse: true, locale: 'en-US' })).toBe('4');
+    expect(formatRate('3', 0, '1', 0, { locale: 'en-US' })).toBe('0.333333');
+    expect(formatRate('0', 7, '1', 7)).toBe('-');
+  });
+
+  describe('properties', () => {
+    test('base units survive a round trip through the decimal string', () => {
+      fc.assert(
+        fc.property(unitsArb, decimalsArb, (units, decimals) => {
+          expect(decimalToBaseUnits(baseUnitsToDecimal(units, decimals), decimals)).toBe(units);
+        })
+      );
+    });
+
+    test('input with too many decimals is rejected, never truncated', () => {
+      fc.assert(
+        fc.property(unitsArb, decimalsArb, fc.integer({ min: 1, max: 9 }), (units, decimals, digit) => {
+          expect(decimalToBaseUnits(`${units}.${'0'.repeat(decimals)}${digit}`, decimals)).toBeNull();
+        })
+      );
+    });
+
+    test('formatting is within half a displayed unit of the exact value', () => {
+      fc.assert(
+        fc.property(unitsArb, decimalsArb, fc.integer({ min: 1, max: 12 }), (units, decimals, significantDigits) => {
+          const text = formatAmount(units, decimals, { significantDigits, locale: 'en-US' });
+          const shown = parseDisplay(text, decimals);
+          const fractionDigits = text.includes('.') ? text.split('.')[1].length : 0;
+          const diff = shown > units ? shown - units : units - shown;
+
+          expect(shown).not.toBeNull();
+          // Rounded to the last digit shown, however large the amount
+          expect(diff * 2n <= 10n ** BigInt(decimals - fractionDigits)).toBe(true);
+        })
+      );
+    });
+
+    test('a rate times its inverse is one, up to fixed-point truncation', () => {
+      fc.assert(
+        fc.property(positiveUnitsArb, decimalsArb, positiveUnitsArb, decimalsArb, (amountIn, decIn, amountOut, decOut) => {
+          const one = 10n ** BigInt(RATE_DECIMALS);
+          const rate = computeRate(amountIn, decIn, amountOut, decOut);
+          const inverse = computeRate(amountOut, decOut, amountIn, decIn);
+          const product = (rate * inverse) / one;
+
+          expect(product <= one).toBe(true);
+          // Truncation loses less than one unit of each factor
+          expect(one - product <= (rate + inverse) / one + 2n).toBe(true);
+        })
+      );
+    });
+
+    test('rates are exact when the output is a whole multiple of the input', () => {
+      fc.assert(
+        fc.property(positiveUnitsArb, decimalsArb, fc.bigUintN(64), (amountIn, decimals, multiple) => {
+          expect(computeRate(amountIn, decimals, amountIn * multiple, decimals)).toBe(
+            multiple * 10n ** BigInt(RATE_DECIMALS)
+          );
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * ALBEDOADAPTER.JS - ALBEDO WALLET ADAPTER
+ *
+ * Albedo is a web wallet exposed as `window.albedo`. Every request opens
+ * an Albedo popup for user confirmation; there is no persistent session,
+ * and the network is chosen per request rather than in the wallet.
+ */
+
+import { WalletNotAvailableError, toWalletError } from './walletErrors';
+
+export const ALBEDO_ID = 'albedo';
+
+/**
+ * Creates an Albedo adapter
+ *
+ * @returns {import('./walletAdapter').WalletAdapter}
+ */
+export function createAlbedoAdapter() {
+  let publicKey = null;
+
+  const getAlbedo = () => {
+    if (!window.albedo) {
+      throw new WalletNotAvailableError('Albedo wallet is not available. Please install it to connect your wallet.', {
+        walletId: ALBEDO_ID,
+      });
+    }
+    return window.albedo;
+  };
+
+  return {
+    id: ALBEDO_ID,
+    name: 'Albedo',
+    url: 'https://albedo.link',
+
+    isAvailable: async () => Boolean(window.albedo),
+
+    connect: async () => {
+      const albedo = getAlbedo();
+      try {
+        // Opens Albedo popup for user confirmation to connect wallet
+        const response = await albedo.publicKey({ token: 'auth' });
+        if (!response?.pubkey) throw new Error('No public key returned');
+        publicKey = response.pubkey;
+        return publicKey;
+      } catch (err) {
+        throw toWalletError(err, ALBEDO_ID, 'Connection');
+      }
+    },
+
+    disconnect: async () => {
+      publicKey = null;
+    },
+
+    getPublicKey: async () => publicKey,
+
+    // Albedo keeps no site session to check; the stored key stays valid while
+    // Albedo is reachable, and every signature is confirmed in its popup anyway
+    restore: async storedKey => {
+      if (!window.albedo) return null;
+      publicKey = storedKey;
+      return publicKey;
+    },
+
+    signTransaction: async (xdr, { networkPassphrase, address } = {}) => {
+      const albedo = getAlbedo();
+      try {
+        const signed = await albedo.tx({
+          xdr,
+          pubkey: address || publicKey || undefined,
+          network: networkPassphrase,
+          submit: false,
+        });
+        if (!signed?.signed_envelope_xdr) throw new Error('Wallet did not return a signed transaction');
+        return signed.signed_envelope_xdr;
+      } catch (err) {
+        throw toWalletError(err, ALBEDO_ID, 'Signing');
+      }
+    },
+
+    // Albedo signs for whichever network each request names
+    getNetwork: async () => null,
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * FREIGHTERADAPTER.JS - FREIGHTER WALLET ADAPTER
+ *
+ * Freighter is the SDF browser extension, reached through
+ * @stellar/freighter-api. The user picks the active network inside
+ * Freighter, so getNetwork reports it and signing passes the expected
+ * passphrase for the extension to check.
+ */
+
+import {
+  getAddress,
+  getNetwork,
+  isAllowed,
+  isConnected,
+  requestAccess,
+  signTransaction,
+} from '@stellar/freighter-api';
+import { WalletNotAvailableError, toWalletError } from './walletErrors';
+
+export const FREIGHTER_ID = 'freighter';
+
+/**
+ * Throws when a Freighter API call returned an `{ error }` payload
+ */
+const unwrap = (result, action) => {
+  if (result?.error) throw toWalletError(result.error, FREIGHTER_ID, action);
+  return result;
+};
+
+/**
+ * Creates a Freighter adapter
+ *
+ * @returns {import('./walletAdapter').WalletAdapter}
+ */
+export function createFreighterAdapter() {
+  let publicKey = null;
+
+  const ensureInstalled = async () => {
+    const result = await isConnected().catch(() => null);
+    if (!result?.isConnected) {
+      throw new WalletNotAvailableError('Freighter extension is not installed. Please install it to connect your wallet.', {
+        walletId: FREIGHTER_ID,
+      });
+    }
+  };
+
+  return {
+    id: FREIGHTER_ID,
+    name: 'Freighter',
+    url: 'https://www.freighter.app',
+
+    isAvailable: async () => {
+      const result = await isConnected().catch(() => null);
+      return Boolean(result?.isConnected);
+    },
+
+    connect: async () => {
+      await ensureInstalled();
+      try {
+        const { address } = unwrap(await requestAccess(), 'Connection');
+        if (!address) throw new Error('No public key returned');
+        publicKey = address;
+        return publicKey;
+      } catch (err) {
+        throw toWalletError(err, FREIGHTER_ID, 'Connection');
+      }
+    },
+
+    // Freighter keeps the site allow-listed; forgetting the key is all we can do
+    disconnect: async () => {
+      publicKey = null;
+    },
+
+    getPublicKey: async () => {
+      if (publicKey) return publicKey;
+      const allowed = await isAllowed().catch(() => null);
+      if (!allowed?.isAllowed) return null;
+      const result = await getAddress().catch(() => null);
+      return result?.address || null;
+    },
+
+    // Valid only while the site is still allowed and the same account is active
+    restore: async storedKey => {
+      const allowed = await isAllowed().catch(() => null);
+      if (!allowed?.isAllowed) return null;
+      const result = await getAddress().catch(() => null);
+      if (result?.address !== storedKey) return null;
+      publicKey = storedKey;
+      return publicKey;
+    },
+
+    signTransaction: async (xdr, { networkPassphrase, address } = {}) => {
+      await ensureInstalled();
+      try {
+        const { signedTxXdr } = unwrap(
+          await signTransaction(xdr, { networkPassphrase, address: address || publicKey || undefined }),
+          'Signing'
+        );
+        if (!signedTxXdr) throw new Error('Wallet did not return a signed transaction');
+        return signedTxXdr;
+      } catch (err) {
+        throw toWalletError(err, FREIGHTER_ID, 'Signing');
+      }
+    },
+
+    getNetwork: async () => {
+      const result = await getNetwork().catch(() => null);
+      if (!result || result.error) return null;
+      return { network: result.network, networkPassphrase: result.networkPassphrase };
+    },
+  };
+}
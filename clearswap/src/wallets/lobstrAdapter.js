@@ -0,0 +1,84 @@
+/**
+ * LOBSTRADAPTER.JS - LOBSTR SIGNER EXTENSION ADAPTER
+ *
+ * Reached through @lobstrco/signer-extension-api. The LOBSTR signer only
+ * works with Stellar mainnet accounts, so signing for any other network
+ * is refused up front instead of producing an unusable signature.
+ */
+
+import { getPublicKey, isConnected, signTransaction } from '@lobstrco/signer-extension-api';
+import { WalletNetworkError, WalletNotAvailableError, toWalletError } from './walletErrors';
+import { NETWORKS } from '../config/networks';
+
+export const LOBSTR_ID = 'lobstr';
+
+/**
+ * Creates a LOBSTR adapter
+ *
+ * @returns {import('./walletAdapter').WalletAdapter}
+ */
+export function createLobstrAdapter() {
+  let publicKey = null;
+
+  const ensureInstalled = async () => {
+    const connected = await isConnected().catch(() => false);
+    if (!connected) {
+      throw new WalletNotAvailableError('LOBSTR signer extension is not installed. Please install it to connect your wallet.', {
+        walletId: LOBSTR_ID,
+      });
+    }
+  };
+
+  return {
+    id: LOBSTR_ID,
+    name: 'LOBSTR',
+    url: 'https://lobstr.co',
+
+    isAvailable: async () => Boolean(await isConnected().catch(() => false)),
+
+    connect: async () => {
+      await ensureInstalled();
+      try {
+        const key = await getPublicKey();
+        if (!key) throw new Error('No public key returned');
+        publicKey = key;
+        return publicKey;
+      } catch (err) {
+        throw toWalletError(err, LOBSTR_ID, 'Connection');
+      }
+    },
+
+    disconnect: async () => {
+      publicKey = null;
+    },
+
+    getPublicKey: async () => publicKey,
+
+    // The signer only answers for a connected extension; fetching the key
+    // again could open its popup, so the stored key is kept
+    restore: async storedKey => {
+      const connected = await isConnected().catch(() => false);
+      if (!connected) return null;
+      publicKey = storedKey;
+      return publicKey;
+    },
+
+    signTransaction: async (xdr, { networkPassphrase } = {}) => {
+      if (networkPassphrase && networkPassphrase !== NETWORKS.mainnet.passphrase) {
+        throw new WalletNetworkError('LOBSTR can only sign Mainnet transactions. Switch network or use another wallet.', {
+          walletId: LOBSTR_ID,
+        });
+      }
+      await ensureInstalled();
+      try {
+        const signed = await signTransaction(xdr);
+        if (!signed) throw new Error('Wallet did not return a signed transaction');
+        return signed;
+      } catch (err) {
+        throw toWalletError(err, LOBSTR_ID, 'Signing');
+      }
+    },
+
+    getNetwork: async () => ({ network: 'PUBLIC', networkPassphrase: NETWORKS.mainnet.passphrase }),
+  };
+}
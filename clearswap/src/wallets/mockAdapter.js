@@ -0,0 +1,87 @@
+/**
+ * MOCKADAPTER.JS - IN-MEMORY WALLET ADAPTER FOR TESTS
+ *
+ * Implements the full WalletAdapter interface without any extension.
+ * Every call is recorded in `calls` so tests can assert on what the app
+ * asked the wallet to do, and failures can be scripted per method.
+ */
+
+import { WalletNotAvailableError, WalletRejectedError } from './walletErrors';
+
+export const MOCK_ID = 'mock';
+
+/**
+ * Creates a scriptable mock adapter
+ *
+ * @param {Object} [options]
+ * @param {string} [options.publicKey] - Key returned by connect
+ * @param {boolean} [options.available=true] - Result of isAvailable; false makes connect throw
+ * @param {Object} [options.network] - Result of getNetwork
+ * @param {Function} [options.sign] - (xdr, opts) => signed XDR; defaults to tagging the input
+ * @param {Object<string, Error|boolean>} [options.failOn] - Method name -> error to throw
+ *   (`true` throws a WalletRejectedError)
+ * @returns {import('./walletAdapter').WalletAdapter & { calls: Array<{ method: string, args: Array }> }}
+ */
+export function createMockAdapter({
+  publicKey = 'GMOCKWALLETPUBLICKEY',
+  available = true,
+  network = null,
+  sign = xdr => `signed:${xdr}`,
+  failOn = {},
+} = {}) {
+  const calls = [];
+  let connectedKey = null;
+
+  const record = (method, args) => {
+    calls.push({ method, args });
+    const failure = failOn[method];
+    if (failure) {
+      throw failure === true ? new WalletRejectedError(`${method} rejected`, { walletId: MOCK_ID }) : failure;
+    }
+  };
+
+  return {
+    id: MOCK_ID,
+    name: 'Mock Wallet',
+    url: '',
+    calls,
+
+    isAvailable: async () => {
+      record('isAvailable', []);
+      return available;
+    },
+
+    connect: async (...args) => {
+      record('connect', args);
+      if (!available) throw new WalletNotAvailableError('Mock wallet unavailable', { walletId: MOCK_ID });
+      connectedKey = publicKey;
+      return connectedKey;
+    },
+
+    disconnect: async () => {
+      record('disconnect', []);
+      connectedKey = null;
+    },
+
+    getPublicKey: async () => {
+      record('getPublicKey', []);
+      return connectedKey;
+    },
+
+    restore: async storedKey => {
+      record('restore', [storedKey]);
+      connectedKey = available && storedKey === publicKey ? storedKey : null;
+      return connectedKey;
+    },
+
+    signTransaction: async (xdr, opts = {}) => {
+      record('signTransaction', [xdr, opts]);
+      return sign(xdr, opts);
+    },
+
+    getNetwork: async () => {
+      record('getNetwork', []);
+      return network;
+    },
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * WALLETADAPTER.JS - WALLET ADAPTER INTERFACE & REGISTRY
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * ClearSwap talks to every wallet through the same small interface, so
+ * connection, signing and network checks are written once and each
+ * provider's quirks stay inside its adapter.
+ *
+ * SUPPORTED WALLETS:
+ * - Freighter (browser extension, @stellar/freighter-api)
+ * - xBull (browser extension, window.xBullSDK)
+ * - LOBSTR (signer extension, @lobstrco/signer-extension-api)
+ * - Albedo (web wallet, window.albedo)
+ *
+ * Failures are reported with the classes in ./walletErrors.
+ */
+
+import { createAlbedoAdapter } from './albedoAdapter';
+import { createFreighterAdapter } from './freighterAdapter';
+import { createLobstrAdapter } from './lobstrAdapter';
+import { createXBullAdapter } from './xbullAdapter';
+
+/**
+ * @typedef {Object} WalletAdapter
+ * @property {string} id - Stable identifier ('freighter', 'albedo'...)
+ * @property {string} name - Display name
+ * @property {string} url - Install / homepage link
+ * @property {() => Promise<boolean>} isAvailable - Whether the wallet can be used in this browser
+ * @property {(options?: { networkPassphrase?: string }) => Promise<string>} connect
+ *   Asks the user for access and resolves with their public key
+ * @property {() => Promise<void>} disconnect - Forgets the connected account
+ * @property {() => Promise<string|null>} getPublicKey - Connected key, without prompting
+ * @property {(publicKey: string) => Promise<string|null>} restore
+ *   Silently re-validates a stored session after a reload: resolves with the
+ *   key when the wallet still grants access to it, null otherwise. Never prompts.
+ * @property {(xdr: string, options?: { networkPassphrase?: string, address?: string }) => Promise<string>} signTransaction
+ *   Resolves with the signed transaction envelope XDR
+ * @property {() => Promise<{ network: string, networkPassphrase: string }|null>} getNetwork
+ *   Network selected inside the wallet, or null when the wallet does not expose one
+ */
+
+// Picker order: most common wallets first
+const ADAPTER_FACTORIES = {
+  freighter: createFreighterAdapter,
+  xbull: createXBullAdapter,
+  lobstr: createLobstrAdapter,
+  albedo: createAlbedoAdapter,
+};
+
+/**
+ * Ids of all supported wallets, in picker order
+ */
+export const WALLET_IDS = Object.keys(ADAPTER_FACTORIES);
+
+/**
+ * Creates a fresh adapter for a wallet id
+ *
+ * @param {string} id
+ * @returns {WalletAdapter}
+ */
+export const createWalletAdapter = id => {
+  const factory = ADAPTER_FACTORIES[id];
+  if (!factory) throw new Error(`Unknown wallet: ${id}`);
+  return factory();
+};
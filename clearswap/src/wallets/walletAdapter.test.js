@@ -0,0 +1,132 @@
+import * as freighterApi from '@stellar/freighter-api';
+import * as lobstrApi from '@lobstrco/signer-extension-api';
+import { WALLET_IDS, createWalletAdapter } from './walletAdapter';
+import { createMockAdapter } from './mockAdapter';
+import { WalletNetworkError, WalletNotAvailableError, WalletRejectedError } from './walletErrors';
+import { NETWORKS } from '../config/networks';
+
+jest.mock('@stellar/freighter-api', () => ({
+  isConnected: jest.fn(),
+  isAllowed: jest.fn(),
+  requestAccess: jest.fn(),
+  getAddress: jest.fn(),
+  getNetwork: jest.fn(),
+  signTransaction: jest.fn(),
+}));
+
+jest.mock('@lobstrco/signer-extension-api', () => ({
+  isConnected: jest.fn(),
+  getPublicKey: jest.fn(),
+  signTransaction: jest.fn(),
+}));
+
+const INTERFACE = ['isAvailable', 'connect', 'disconnect', 'getPublicKey', 'restore', 'signTransaction', 'getNetwork'];
+const TESTNET = NETWORKS.testnet.passphrase;
+
+afterEach(() => {
+  delete window.albedo;
+  delete window.xBullSDK;
+  jest.clearAllMocks();
+});
+
+describe('wallet registry', () => {
+  test.each(WALLET_IDS)('%s implements the adapter interface', id => {
+    const adapter = createWalletAdapter(id);
+    expect(adapter.id).toBe(id);
+    INTERFACE.forEach(method => expect(typeof adapter[method]).toBe('function'));
+  });
+
+  test('rejects unknown wallet ids', () => {
+    expect(() => createWalletAdapter('metamask')).toThrow('Unknown wallet');
+  });
+});
+
+describe('albedo adapter', () => {
+  test('reports missing extension as WalletNotAvailableError', async () => {
+    const adapter = createWalletAdapter('albedo');
+    expect(await adapter.isAvailable()).toBe(false);
+    await expect(adapter.connect()).rejects.toBeInstanceOf(WalletNotAvailableError);
+  });
+
+  test('connects and signs with the requested network', async () => {
+    window.albedo = {
+      publicKey: jest.fn().mockResolvedValue({ pubkey: 'GALBEDO' }),
+      tx: jest.fn().mockResolvedValue({ signed_envelope_xdr: 'SIGNED' }),
+    };
+    const adapter = createWalletAdapter('albedo');
+
+    await expect(adapter.connect()).resolves.toBe('GALBEDO');
+    await expect(adapter.signTransaction('XDR', { networkPassphrase: TESTNET })).resolves.toBe('SIGNED');
+    expect(window.albedo.tx).toHaveBeenCalledWith({ xdr: 'XDR', pubkey: 'GALBEDO', network: TESTNET, submit: false });
+  });
+
+  test('maps user rejection to WalletRejectedError', async () => {
+    window.albedo = { publicKey: jest.fn().mockRejectedValue({ code: -4, message: 'Action request was rejected by the user' }) };
+    await expect(createWalletAdapter('albedo').connect()).rejects.toBeInstanceOf(WalletRejectedError);
+  });
+});
+
+describe('freighter adapter', () => {
+  test('connects through requestAccess and reports the wallet network', async () => {
+    freighterApi.isConnected.mockResolvedValue({ isConnected: true });
+    freighterApi.requestAccess.mockResolvedValue({ address: 'GFREIGHTER' });
+    freighterApi.getNetwork.mockResolvedValue({ network: 'TESTNET', networkPassphrase: TESTNET });
+    const adapter = createWalletAdapter('freighter');
+
+    await expect(adapter.connect()).resolves.toBe('GFREIGHTER');
+    await expect(adapter.getNetwork()).resolves.toEqual({ network: 'TESTNET', networkPassphrase: TESTNET });
+  });
+
+  test('surfaces error payloads from signTransaction', async () => {
+    freighterApi.isConnected.mockResolvedValue({ isConnected: true });
+    freighterApi.signTransaction.mockResolvedValue({ error: { code: -4, message: 'The user rejected this request.' } });
+
+    await expect(
+      createWalletAdapter('freighter').signTransaction('XDR', { networkPassphrase: TESTNET })
+    ).rejects.toBeInstanceOf(WalletRejectedError);
+  });
+
+  test('does not restore a session when the active account changed', async () => {
+    freighterApi.isAllowed.mockResolvedValue({ isAllowed: true });
+    freighterApi.getAddress.mockResolvedValue({ address: 'GOTHER' });
+
+    await expect(createWalletAdapter('freighter').restore('GFREIGHTER')).resolves.toBeNull();
+  });
+});
+
+describe('xbull adapter', () => {
+  test('requests permissions before reading the key', async () => {
+    window.xBullSDK = {
+      connect: jest.fn().mockResolvedValue(undefined),
+      getPublicKey: jest.fn().mockResolvedValue('GXBULL'),
+      signXDR: jest.fn().mockResolvedValue('SIGNED'),
+    };
+    const adapter = createWalletAdapter('xbull');
+
+    await expect(adapter.connect()).resolves.toBe('GXBULL');
+    expect(window.xBullSDK.connect).toHaveBeenCalledWith({ canRequestPublicKey: true, canRequestSign: true });
+    await expect(adapter.signTransaction('XDR', { networkPassphrase: TESTNET })).resolves.toBe('SIGNED');
+    expect(window.xBullSDK.signXDR).toHaveBeenCalledWith('XDR', { network: TESTNET, publicKey: 'GXBULL' });
+  });
+});
+
+describe('lobstr adapter', () => {
+  test('refuses to sign non-mainnet transactions', async () => {
+    lobstrApi.isConnected.mockResolvedValue(true);
+    await expect(
+      createWalletAdapter('lobstr').signTransaction('XDR', { networkPassphrase: TESTNET })
+    ).rejects.toBeInstanceOf(WalletNetworkError);
+    expect(lobstrApi.signTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('mock adapter', () => {
+  test('records calls and scripts failures', async () => {
+    const adapter = createMockAdapter({ publicKey: 'GTEST', failOn: { signTransaction: true } });
+
+    await expect(adapter.connect()).resolves.toBe('GTEST');
+    await expect(adapter.getPublicKey()).resolves.toBe('GTEST');
+    await expect(adapter.signTransaction('XDR')).rejects.toBeInstanceOf(WalletRejectedError);
+    expect(adapter.calls.map(c => c.method)).toEqual(['connect', 'getPublicKey', 'signTransaction']);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * WALLETERRORS.JS - TYPED ERRORS FOR WALLET ADAPTERS
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Every adapter normalises its provider's failures into these classes, so
+ * the UI can tell "not installed" from "user said no" without knowing
+ * which wallet is behind it.
+ */
+
+/**
+ * Base class for wallet failures
+ *
+ * @property {string} walletId - Adapter that raised the error
+ */
+export class WalletError extends Error {
+  constructor(message, { walletId, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.walletId = walletId;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * The wallet extension or service is not installed / reachable
+ */
+export class WalletNotAvailableError extends WalletError {}
+
+/**
+ * The user declined the connection or signature request
+ */
+export class WalletRejectedError extends WalletError {}
+
+/**
+ * The wallet cannot sign for the requested network
+ */
+export class WalletNetworkError extends WalletError {}
+
+const REJECTION_PATTERN = /reject|declin|denied|cancel/i;
+
+/**
+ * Converts a provider error (or error-shaped result) into a WalletError
+ *
+ * @param {*} err - Thrown value or `{ error }` payload from the provider
+ * @param {string} walletId
+ * @param {string} action - What was being attempted, for the message
+ * @returns {WalletError}
+ */
+export const toWalletError = (err, walletId, action) => {
+  if (err instanceof WalletError) return err;
+  const message = (err && (err.message || err.error || String(err))) || 'Unknown error';
+  const ErrorClass = REJECTION_PATTERN.test(message) || err?.code === -4 ? WalletRejectedError : WalletError;
+  return new ErrorClass(`${action} failed: ${message}`, { walletId, cause: err });
+};
@@ -0,0 +1,88 @@
+/**
+ * WALLETSESSION.JS - PERSISTED WALLET SESSION
+ *
+ * STELLAR HACKATHON SUBMISSION - ClearSwap DeFi Application
+ *
+ * PURPOSE:
+ * Keeps the user connected across page reloads. The wallet type and public
+ * key are stored in localStorage with an expiry; on
+ * startup the session is re-validated with the wallet provider without
+ * opening any popup, and discarded if the provider no longer vouches for it.
+ *
+ * Nothing secret is stored: the public key is public, and every signature
+ * still goes through the wallet's own confirmation prompt.
+ */
+
+import { createWalletAdapter } from './walletAdapter';
+
+export const SESSION_STORAGE_KEY = 'clearswap.walletSession';
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * @typedef {Object} WalletSession
+ * @property {string} walletId - Adapter id ('freighter', 'albedo'...)
+ * @property {string} publicKey - Connected Stellar public key
+ * @property {number} expiresAt - Epoch milliseconds after which the session is discarded
+ */
+
+/**
+ * Reads the stored session, discarding it when expired or malformed
+ *
+ * @param {number} [now=Date.now()]
+ * @returns {WalletSession|null}
+ */
+export const loadSession = (now = Date.now()) => {
+  try {
+    const session = JSON.parse(window.localStorage.getItem(SESSION_STORAGE_KEY));
+    if (session?.walletId && session.publicKey && session.expiresAt > now) return session;
+  } catch {
+    // Corrupted entry - fall through and clear it
+  }
+  clearSession();
+  return null;
+};
+
+/**
+ * Stores a newly connected wallet, starting a fresh expiry window
+ *
+ * @param {{ walletId: string, publicKey: string }} session
+ * @param {number} [now=Date.now()]
+ * @returns {WalletSession}
+ */
+export const saveSession = ({ walletId, publicKey }, now = Date.now()) => {
+  const session = { walletId, publicKey, expiresAt: now + SESSION_TTL_MS };
+  window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  return session;
+};
+
+/**
+ * Removes the stored session
+ */
+export const clearSession = () => {
+  window.localStorage.removeItem(SESSION_STORAGE_KEY);
+};
+
+/**
+ * Restores the stored session if the wallet still recognises it
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.createAdapter] - Adapter factory (tests inject a mock)
+ * @returns {Promise<{ adapter: Object, publicKey: string, expiresAt: number }|null>}
+ */
+export const restoreSession = async ({ createAdapter = createWalletAdapter } = {}) => {
+  const session = loadSession();
+  if (!session) return null;
+
+  try {
+    const adapter = createAdapter(session.walletId);
+    const publicKey = await adapter.restore(session.publicKey);
+    if (publicKey === session.publicKey) {
+      return { adapter, publicKey, expiresAt: session.expiresAt };
+    }
+  } catch (err) {
+    console.warn('Stored wallet session could not be restored:', err.message);
+  }
+
+  clearSession();
+  return null;
+};
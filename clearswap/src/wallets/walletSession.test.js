@@ -0,0 +1,67 @@
+import {
+  SESSION_STORAGE_KEY,
+  SESSION_TTL_MS,
+  clearSession,
+  loadSession,
+  restoreSession,
+  saveSession,
+} from './walletSession';
+import { createMockAdapter } from './mockAdapter';
+
+const NOW = 1_700_000_000_000;
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe('walletSession storage', () => {
+  test('round-trips a session until it expires', () => {
+    saveSession({ walletId: 'freighter', publicKey: 'GKEY' }, NOW);
+
+    expect(loadSession(NOW + 1000)).toEqual({
+      walletId: 'freighter',
+      publicKey: 'GKEY',
+      expiresAt: NOW + SESSION_TTL_MS,
+    });
+    expect(loadSession(NOW + SESSION_TTL_MS)).toBeNull();
+    expect(window.localStorage.getItem(SESSION_STORAGE_KEY)).toBeNull();
+  });
+
+  test('discards corrupted entries', () => {
+    window.localStorage.setItem(SESSION_STORAGE_KEY, '{not json');
+    expect(loadSession()).toBeNull();
+  });
+
+  test('clearSession removes the entry', () => {
+    saveSession({ walletId: 'albedo', publicKey: 'GKEY' });
+    clearSession();
+    expect(loadSession()).toBeNull();
+  });
+});
+
+describe('restoreSession', () => {
+  test('restores when the wallet still recognises the key', async () => {
+    saveSession({ walletId: 'mock', publicKey: 'GKEY' });
+    const adapter = createMockAdapter({ publicKey: 'GKEY' });
+
+    const restored = await restoreSession({ createAdapter: () => adapter });
+
+    expect(restored).toMatchObject({ adapter, publicKey: 'GKEY' });
+    expect(adapter.calls.map(c => c.method)).toEqual(['restore']);
+  });
+
+  test('clears the session when the wallet no longer vouches for it', async () => {
+    saveSession({ walletId: 'mock', publicKey: 'GKEY' });
+
+    const restored = await restoreSession({ createAdapter: () => createMockAdapter({ publicKey: 'GOTHER' }) });
+
+    expect(restored).toBeNull();
+    expect(loadSession()).toBeNull();
+  });
+
+  test('returns null without a stored session', async () => {
+    const createAdapter = jest.fn();
+    await expect(restoreSession({ createAdapter })).resolves.toBeNull();
+    expect(createAdapter).not.toHaveBeenCalled();
+  });
+});
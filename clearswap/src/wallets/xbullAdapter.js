@@ -0,0 +1,81 @@
+/**
+ * XBULLADAPTER.JS - XBULL WALLET ADAPTER
+ *
+ * The xBull extension injects `window.xBullSDK`. A site must be granted
+ * permissions through `connect` before it can read the public key or
+ * request signatures; the passphrase is passed on each signature.
+ */
+
+import { WalletNotAvailableError, toWalletError } from './walletErrors';
+
+export const XBULL_ID = 'xbull';
+
+/**
+ * Creates an xBull adapter
+ *
+ * @returns {import('./walletAdapter').WalletAdapter}
+ */
+export function createXBullAdapter() {
+  let publicKey = null;
+
+  const getSdk = () => {
+    if (!window.xBullSDK) {
+      throw new WalletNotAvailableError('xBull wallet is not installed. Please install it to connect your wallet.', {
+        walletId: XBULL_ID,
+      });
+    }
+    return window.xBullSDK;
+  };
+
+  return {
+    id: XBULL_ID,
+    name: 'xBull',
+    url: 'https://xbull.app',
+
+    isAvailable: async () => Boolean(window.xBullSDK),
+
+    connect: async () => {
+      const sdk = getSdk();
+      try {
+        await sdk.connect({ canRequestPublicKey: true, canRequestSign: true });
+        const key = await sdk.getPublicKey();
+        if (!key) throw new Error('No public key returned');
+        publicKey = key;
+        return publicKey;
+      } catch (err) {
+        throw toWalletError(err, XBULL_ID, 'Connection');
+      }
+    },
+
+    disconnect: async () => {
+      publicKey = null;
+    },
+
+    getPublicKey: async () => publicKey,
+
+    // Site permissions persist in the extension; reading them back would
+    // prompt, so the session is trusted while xBull is installed
+    restore: async storedKey => {
+      if (!window.xBullSDK) return null;
+      publicKey = storedKey;
+      return publicKey;
+    },
+
+    signTransaction: async (xdr, { networkPassphrase, address } = {}) => {
+      const sdk = getSdk();
+      try {
+        const signed = await sdk.signXDR(xdr, {
+          network: networkPassphrase,
+          publicKey: address || publicKey || undefined,
+        });
+        if (!signed) throw new Error('Wallet did not return a signed transaction');
+        return signed;
+      } catch (err) {
+        throw toWalletError(err, XBULL_ID, 'Signing');
+      }
+    },
+
+    // xBull does not expose its active network to sites
+    getNetwork: async () => null,
+  };
+}